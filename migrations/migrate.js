@@ -1,8 +1,14 @@
 require('dotenv').config();
 const { supabaseAdmin } = require('../src/config/supabase');
+const { useStore } = require('../src/repositories');
 const RoleModel = require('../src/models/RoleModel');
+const PermissionModel = require('../src/models/PermissionModel');
+const SessionModel = require('../src/models/SessionModel');
 const logger = require('../src/utils/logger');
 
+// Las migraciones siempre inicializan la BD, aunque DATA_STORE apunte a otro almacenamiento
+useStore('supabase');
+
 /**
  * Script de migración para inicializar la base de datos
  */
@@ -16,6 +22,12 @@ async function runMigrations() {
     // Inicializar roles por defecto
     await initializeDefaultRoles();
 
+    // Inicializar permisos por defecto
+    await initializeDefaultPermissions();
+
+    // Reemplazar refresh tokens en texto plano por su digest
+    await migrateRefreshTokens(process.argv.includes('--invalidate-refresh-tokens') ? 'invalidate' : 'rehash');
+
     logger.info('✅ Migraciones completadas exitosamente');
   } catch (error) {
     logger.error('❌ Error en migraciones', error);
@@ -93,6 +105,241 @@ async function createTables() {
     CREATE INDEX IF NOT EXISTS idx_sesiones_fecha_expiracion ON sesiones(fecha_expiracion);
   `;
 
+  // Tabla permisos
+  const createPermisosTable = `
+    CREATE TABLE IF NOT EXISTS permisos (
+      id_permiso SERIAL PRIMARY KEY,
+      nombre TEXT UNIQUE NOT NULL,
+      descripcion TEXT
+    );
+  `;
+
+  // Tabla rol_permisos
+  const createRolPermisosTable = `
+    CREATE TABLE IF NOT EXISTS rol_permisos (
+      id SERIAL PRIMARY KEY,
+      rol_id INT REFERENCES roles(id_rol) ON DELETE CASCADE,
+      permiso_id INT REFERENCES permisos(id_permiso) ON DELETE CASCADE,
+      UNIQUE(rol_id, permiso_id)
+    );
+
+    -- Índices para rol_permisos
+    CREATE INDEX IF NOT EXISTS idx_rol_permisos_rol_id ON rol_permisos(rol_id);
+  `;
+
+  // Tabla tokens_recuperacion
+  const createTokensRecuperacionTable = `
+    CREATE TABLE IF NOT EXISTS tokens_recuperacion (
+      id_token SERIAL PRIMARY KEY,
+      usuario_id INT REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      fecha_creacion TIMESTAMP DEFAULT NOW(),
+      fecha_expiracion TIMESTAMP NOT NULL,
+      usado BOOLEAN DEFAULT false,
+      fecha_uso TIMESTAMP
+    );
+
+    -- Índices para tokens_recuperacion
+    CREATE INDEX IF NOT EXISTS idx_tokens_recuperacion_usuario_id ON tokens_recuperacion(usuario_id);
+  `;
+
+  // Verificación de email
+  const createTokensVerificacionTable = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS email_verificado BOOLEAN DEFAULT false;
+
+    -- Las cuentas ya aprobadas se consideran verificadas
+    UPDATE usuarios SET email_verificado = true WHERE activo = true AND email_verificado = false;
+
+    CREATE TABLE IF NOT EXISTS tokens_verificacion (
+      id_token SERIAL PRIMARY KEY,
+      usuario_id INT REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      fecha_creacion TIMESTAMP DEFAULT NOW(),
+      fecha_expiracion TIMESTAMP NOT NULL,
+      usado BOOLEAN DEFAULT false,
+      fecha_uso TIMESTAMP
+    );
+
+    -- Índices para tokens_verificacion
+    CREATE INDEX IF NOT EXISTS idx_tokens_verificacion_usuario_id ON tokens_verificacion(usuario_id);
+  `;
+
+  // Autenticación de dos factores (TOTP)
+  const createMfaTables = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS mfa_habilitado BOOLEAN DEFAULT false;
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS mfa_secreto TEXT;
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS mfa_ultimo_paso BIGINT;
+
+    CREATE TABLE IF NOT EXISTS codigos_recuperacion_mfa (
+      id_codigo SERIAL PRIMARY KEY,
+      usuario_id INT REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+      codigo_hash TEXT NOT NULL,
+      usado BOOLEAN DEFAULT false,
+      fecha_uso TIMESTAMP,
+      fecha_creacion TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Índices para codigos_recuperacion_mfa
+    CREATE INDEX IF NOT EXISTS idx_codigos_recuperacion_mfa_usuario_id ON codigos_recuperacion_mfa(usuario_id);
+  `;
+
+  // Familias de refresh tokens y detección de reutilización
+  const createTokensRotadosTable = `
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS familia_token UUID DEFAULT gen_random_uuid();
+    CREATE INDEX IF NOT EXISTS idx_sesiones_familia_token ON sesiones(familia_token);
+
+    CREATE TABLE IF NOT EXISTS tokens_rotados (
+      id SERIAL PRIMARY KEY,
+      sesion_id INT REFERENCES sesiones(id_sesion) ON DELETE CASCADE,
+      familia_token UUID NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      fecha_rotacion TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Índices para tokens_rotados
+    CREATE INDEX IF NOT EXISTS idx_tokens_rotados_familia_token ON tokens_rotados(familia_token);
+  `;
+
+  // Registro de auditoría (sin FK: los eventos sobreviven a la eliminación del usuario)
+  const createAuditoriaTable = `
+    CREATE TABLE IF NOT EXISTS auditoria (
+      id_auditoria BIGSERIAL PRIMARY KEY,
+      accion VARCHAR(100) NOT NULL,
+      actor_id INT,
+      objetivo_id INT,
+      ip VARCHAR(45),
+      user_agent TEXT,
+      cambios JSONB,
+      metadata JSONB,
+      fecha TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Índices para auditoria
+    CREATE INDEX IF NOT EXISTS idx_auditoria_accion ON auditoria(accion);
+    CREATE INDEX IF NOT EXISTS idx_auditoria_actor_id ON auditoria(actor_id);
+    CREATE INDEX IF NOT EXISTS idx_auditoria_objetivo_id ON auditoria(objetivo_id);
+    CREATE INDEX IF NOT EXISTS idx_auditoria_fecha ON auditoria(fecha);
+  `;
+
+  // Lista de revocación de access tokens (clave: jti:<jti>, sesion:<id> o usuario:<id>)
+  const createTokensRevocadosTable = `
+    CREATE TABLE IF NOT EXISTS tokens_revocados (
+      clave VARCHAR(100) PRIMARY KEY,
+      usuario_id INT,
+      motivo VARCHAR(50),
+      fecha_revocacion TIMESTAMP NOT NULL DEFAULT NOW(),
+      fecha_expiracion TIMESTAMP NOT NULL
+    );
+
+    -- Índices para tokens_revocados
+    CREATE INDEX IF NOT EXISTS idx_tokens_revocados_fecha_expiracion ON tokens_revocados(fecha_expiracion);
+  `;
+
+  // Dispositivo de cada sesión (user_agent guarda ahora el encabezado completo)
+  const addSesionesDispositivoColumns = `
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS navegador VARCHAR(50);
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS navegador_version VARCHAR(50);
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS sistema_operativo VARCHAR(50);
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS sistema_operativo_version VARCHAR(50);
+    ALTER TABLE sesiones ADD COLUMN IF NOT EXISTS tipo_dispositivo VARCHAR(20);
+  `;
+
+  // Usuarios creados por un administrador: contraseña temporal o invitación
+  const createInvitacionesTable = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS debe_cambiar_password BOOLEAN DEFAULT false;
+
+    CREATE TABLE IF NOT EXISTS tokens_invitacion (
+      id_token SERIAL PRIMARY KEY,
+      usuario_id INT REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      fecha_creacion TIMESTAMP DEFAULT NOW(),
+      fecha_expiracion TIMESTAMP NOT NULL,
+      usado BOOLEAN DEFAULT false,
+      fecha_uso TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tokens_invitacion_usuario_id ON tokens_invitacion(usuario_id);
+  `;
+
+  // Historial de contraseñas y antigüedad de la contraseña actual
+  const createHistorialPasswordsTable = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS fecha_cambio_password TIMESTAMP DEFAULT NOW();
+
+    CREATE TABLE IF NOT EXISTS historial_passwords (
+      id_historial SERIAL PRIMARY KEY,
+      usuario_id INT REFERENCES usuarios(id_usuario) ON DELETE CASCADE,
+      password_hash TEXT NOT NULL,
+      fecha_creacion TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_historial_passwords_usuario_id ON historial_passwords(usuario_id, fecha_creacion DESC);
+  `;
+
+  // Estado de aprobación del registro (pending -> approved | rejected)
+  const addAprobacionUsuariosColumns = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS estado_aprobacion VARCHAR(20) NOT NULL DEFAULT 'approved'
+      CHECK (estado_aprobacion IN ('pending', 'approved', 'rejected'));
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS motivo_rechazo TEXT;
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS fecha_revision TIMESTAMP;
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS revisado_por INT REFERENCES usuarios(id_usuario) ON DELETE SET NULL;
+
+    -- Los registros que hoy esperan aprobación son los inactivos con el rol colaborador
+    UPDATE usuarios u SET estado_aprobacion = 'pending'
+    WHERE u.activo = false
+      AND u.estado_aprobacion = 'approved'
+      AND EXISTS (
+        SELECT 1 FROM usuario_roles ur
+        JOIN roles r ON r.id_rol = ur.rol_id
+        WHERE ur.usuario_id = u.id_usuario AND r.nombre = 'colaborador'
+      );
+
+    CREATE INDEX IF NOT EXISTS idx_usuarios_estado_aprobacion ON usuarios(estado_aprobacion) WHERE estado_aprobacion = 'pending';
+  `;
+
+  // Último login y los índices que usan los filtros, el orden y la paginación por cursor de GET /api/users
+  const addBusquedaUsuariosColumns = `
+    ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS ultimo_login TIMESTAMP;
+
+    -- Se toma la sesión más reciente de cada usuario como su último login
+    UPDATE usuarios u SET ultimo_login = s.ultima
+    FROM (SELECT usuario_id, MAX(fecha_creacion) AS ultima FROM sesiones GROUP BY usuario_id) s
+    WHERE s.usuario_id = u.id_usuario AND u.ultimo_login IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_usuarios_fecha_creacion ON usuarios(fecha_creacion, id_usuario);
+    CREATE INDEX IF NOT EXISTS idx_usuarios_ultimo_login ON usuarios(ultimo_login, id_usuario);
+    CREATE INDEX IF NOT EXISTS idx_usuarios_nombre ON usuarios(nombre, id_usuario);
+  `;
+
+  // Contadores de rate limiting compartidos entre instancias (RATE_LIMIT_STORE=database)
+  const createLimitesTasaTable = `
+    CREATE TABLE IF NOT EXISTS limites_tasa (
+      clave VARCHAR(255) PRIMARY KEY,
+      total INT NOT NULL DEFAULT 0,
+      fecha_reinicio TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_limites_tasa_fecha_reinicio ON limites_tasa(fecha_reinicio);
+
+    -- Incremento atómico: reinicia el contador si su ventana terminó
+    CREATE OR REPLACE FUNCTION incrementar_limite_tasa(p_clave VARCHAR, p_ventana_ms INT)
+    RETURNS TABLE (intentos INT, reinicio TIMESTAMPTZ) AS $$
+      INSERT INTO limites_tasa AS l (clave, total, fecha_reinicio)
+      VALUES (p_clave, 1, NOW() + p_ventana_ms * INTERVAL '1 millisecond')
+      ON CONFLICT (clave) DO UPDATE SET
+        total = CASE WHEN l.fecha_reinicio <= NOW() THEN 1 ELSE l.total + 1 END,
+        fecha_reinicio = CASE
+          WHEN l.fecha_reinicio <= NOW() THEN NOW() + p_ventana_ms * INTERVAL '1 millisecond'
+          ELSE l.fecha_reinicio
+        END
+      RETURNING l.total, l.fecha_reinicio;
+    $$ LANGUAGE sql;
+
+    CREATE OR REPLACE FUNCTION decrementar_limite_tasa(p_clave VARCHAR)
+    RETURNS VOID AS $$
+      UPDATE limites_tasa SET total = GREATEST(total - 1, 0) WHERE clave = p_clave;
+    $$ LANGUAGE sql;
+  `;
+
   try {
     // Ejecutar creación de tablas
     await supabaseAdmin.rpc('execute_sql', { sql: createUsuariosTable });
@@ -107,6 +354,48 @@ async function createTables() {
     await supabaseAdmin.rpc('execute_sql', { sql: createSesionesTable });
     logger.info('  ✅ Tabla sesiones creada');
 
+    await supabaseAdmin.rpc('execute_sql', { sql: createPermisosTable });
+    logger.info('  ✅ Tabla permisos creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createRolPermisosTable });
+    logger.info('  ✅ Tabla rol_permisos creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createTokensRecuperacionTable });
+    logger.info('  ✅ Tabla tokens_recuperacion creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createTokensVerificacionTable });
+    logger.info('  ✅ Tabla tokens_verificacion creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createMfaTables });
+    logger.info('  ✅ Tabla codigos_recuperacion_mfa creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createTokensRotadosTable });
+    logger.info('  ✅ Tabla tokens_rotados creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createAuditoriaTable });
+    logger.info('  ✅ Tabla auditoria creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createTokensRevocadosTable });
+    logger.info('  ✅ Tabla tokens_revocados creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: addSesionesDispositivoColumns });
+    logger.info('  ✅ Columnas de dispositivo en sesiones creadas');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createLimitesTasaTable });
+    logger.info('  ✅ Tabla limites_tasa creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createInvitacionesTable });
+    logger.info('  ✅ Tabla tokens_invitacion creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: createHistorialPasswordsTable });
+    logger.info('  ✅ Tabla historial_passwords creada');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: addAprobacionUsuariosColumns });
+    logger.info('  ✅ Columnas de aprobación agregadas a usuarios');
+
+    await supabaseAdmin.rpc('execute_sql', { sql: addBusquedaUsuariosColumns });
+    logger.info('  ✅ Columna ultimo_login e índices de búsqueda de usuarios creados');
+
   } catch (error) {
     // Si el método rpc no está disponible, las tablas deben crearse manualmente en Supabase
     logger.warn('⚠️  No se pudieron crear tablas automáticamente. Asegúrate de que las tablas existan en Supabase.');
@@ -119,6 +408,34 @@ async function createTables() {
     console.log(createUsuarioRolesTable);
     console.log('\n-- SESIONES');
     console.log(createSesionesTable);
+    console.log('\n-- PERMISOS');
+    console.log(createPermisosTable);
+    console.log('\n-- ROL_PERMISOS');
+    console.log(createRolPermisosTable);
+    console.log('\n-- TOKENS_RECUPERACION');
+    console.log(createTokensRecuperacionTable);
+    console.log('\n-- TOKENS_VERIFICACION');
+    console.log(createTokensVerificacionTable);
+    console.log('\n-- 2FA');
+    console.log(createMfaTables);
+    console.log('\n-- TOKENS_ROTADOS');
+    console.log(createTokensRotadosTable);
+    console.log('\n-- AUDITORIA');
+    console.log(createAuditoriaTable);
+    console.log('\n-- TOKENS_REVOCADOS');
+    console.log(createTokensRevocadosTable);
+    console.log('\n-- SESIONES (DISPOSITIVO)');
+    console.log(addSesionesDispositivoColumns);
+    console.log('\n-- LIMITES_TASA');
+    console.log(createLimitesTasaTable);
+    console.log('\n-- TOKENS_INVITACION');
+    console.log(createInvitacionesTable);
+    console.log('\n-- HISTORIAL_PASSWORDS');
+    console.log(createHistorialPasswordsTable);
+    console.log('\n-- USUARIOS (APROBACIÓN)');
+    console.log(addAprobacionUsuariosColumns);
+    console.log('\n-- USUARIOS (BÚSQUEDA)');
+    console.log(addBusquedaUsuariosColumns);
   }
 }
 
@@ -142,6 +459,48 @@ async function initializeDefaultRoles() {
   }
 }
 
+/**
+ * Inicializa permisos por defecto
+ */
+async function initializeDefaultPermissions() {
+  try {
+    logger.info('🔐 Inicializando permisos por defecto...');
+
+    const createdPermissions = await PermissionModel.initializeDefaultPermissions();
+
+    if (createdPermissions.length > 0) {
+      logger.info(`  ✅ Creados ${createdPermissions.length} permisos: ${createdPermissions.map(p => p.nombre).join(', ')}`);
+    } else {
+      logger.info('  ℹ️  Todos los permisos por defecto ya existen');
+    }
+  } catch (error) {
+    logger.error('Error al inicializar permisos', error);
+    throw error;
+  }
+}
+
+/**
+ * Migra sesiones con refresh token en texto plano (activas o no) guardando el digest.
+ * 'rehash' conserva las sesiones; 'invalidate' además las cierra
+ * (usar con --invalidate-refresh-tokens si se sospecha que la BD fue expuesta).
+ */
+async function migrateRefreshTokens(mode = 'rehash') {
+  try {
+    logger.info(`🔑 Migrando refresh tokens en texto plano (modo: ${mode})...`);
+
+    const migratedCount = await SessionModel.migratePlaintextRefreshTokens({ mode });
+
+    if (migratedCount > 0) {
+      logger.info(`  ✅ ${migratedCount} sesiones migradas`);
+    } else {
+      logger.info('  ℹ️  No hay refresh tokens en texto plano');
+    }
+  } catch (error) {
+    logger.error('Error al migrar refresh tokens', error);
+    throw error;
+  }
+}
+
 /**
  * Función para crear un usuario administrador por defecto
  */
@@ -185,5 +544,7 @@ module.exports = {
   runMigrations,
   createTables,
   initializeDefaultRoles,
+  initializeDefaultPermissions,
+  migrateRefreshTokens,
   createDefaultAdmin
 };
\ No newline at end of file
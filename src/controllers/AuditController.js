@@ -0,0 +1,81 @@
+const { query } = require('express-validator');
+const AuditModel = require('../models/AuditModel');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Mapea un evento de auditoría de la BD al formato del frontend
+ * @param {Object} entry - Evento con id_auditoria
+ * @returns {Object} Evento con id
+ */
+const mapEntry = (entry) => ({
+  id: entry.id_auditoria,
+  accion: entry.accion,
+  actorId: entry.actor_id,
+  objetivoId: entry.objetivo_id,
+  ip: entry.ip,
+  userAgent: entry.user_agent,
+  cambios: entry.cambios,
+  metadata: entry.metadata,
+  fecha: entry.fecha
+});
+
+/**
+ * Controlador del registro de auditoría
+ */
+class AuditController {
+  /**
+   * Validaciones para consultar la auditoría
+   */
+  static getAuditLogValidation = [
+    query('userId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('ID de usuario inválido'),
+    query('action')
+      .optional()
+      .trim()
+      .matches(/^[a-z_.]+\*?$/)
+      .withMessage('La acción debe tener el formato recurso.accion (se admite * al final)'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from debe ser una fecha ISO 8601'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to debe ser una fecha ISO 8601'),
+    query('cursor')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Cursor inválido'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('El límite debe ser un número entre 1 y 100')
+  ];
+
+  /**
+   * Consulta eventos de auditoría (más recientes primero)
+   * GET /api/audit
+   */
+  static getAuditLog = asyncHandler(async (req, res) => {
+    const { userId, action, from, to, cursor, limit = 50 } = req.query;
+
+    const result = await AuditModel.list({
+      userId: userId ? parseInt(userId) : null,
+      action: action || null,
+      from: from || null,
+      to: to || null,
+      cursor: cursor ? parseInt(cursor) : null,
+      limit: parseInt(limit)
+    });
+
+    ApiResponse.success(res, {
+      entries: result.entries.map(mapEntry),
+      nextCursor: result.nextCursor
+    }, 'Auditoría obtenida exitosamente');
+  });
+}
+
+module.exports = AuditController;
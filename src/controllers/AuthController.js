@@ -1,10 +1,14 @@
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const AuthService = require('../services/AuthService');
 const SessionModel = require('../models/SessionModel');
 const UserModel = require('../models/UserModel');
 const ApiResponse = require('../utils/apiResponse');
 const AuthUtils = require('../utils/authUtils');
+const JwtKeys = require('../utils/jwtKeys');
 const logger = require('../utils/logger');
+const AuditService = require('../services/AuditService');
+const PasswordPolicyService = require('../services/PasswordPolicyService');
+const SessionController = require('./SessionController');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -68,6 +72,114 @@ class AuthController {
       .withMessage('La nueva contraseña debe tener al menos 8 caracteres')
   ];
 
+  /**
+   * Validaciones para solicitar recuperación de contraseña
+   */
+  static forgotPasswordValidation = [
+    body('email')
+      .isEmail()
+      .withMessage('Email inválido')
+  ];
+
+  /**
+   * Validaciones para restablecer contraseña
+   */
+  static resetPasswordValidation = [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 128, max: 128 })
+      .withMessage('Token de recuperación inválido'),
+    body('newPassword')
+      .isLength({ min: 8 })
+      .withMessage('La nueva contraseña debe tener al menos 8 caracteres')
+  ];
+
+  /**
+   * Validaciones para aceptar una invitación
+   */
+  static acceptInviteValidation = [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 128, max: 128 })
+      .withMessage('Token de invitación inválido'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('La contraseña debe tener al menos 8 caracteres')
+  ];
+
+  /**
+   * Validaciones para verificar email
+   */
+  static verifyEmailValidation = [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 128, max: 128 })
+      .withMessage('Token de verificación inválido')
+  ];
+
+  /**
+   * Validaciones para reenviar verificación de email
+   */
+  static resendVerificationValidation = [
+    body('email')
+      .isEmail()
+      .withMessage('Email inválido')
+  ];
+
+  /**
+   * Validaciones para completar login con 2FA
+   */
+  static mfaVerifyValidation = [
+    body('mfaToken')
+      .notEmpty()
+      .withMessage('mfaToken requerido'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .matches(/^\d{6}$/)
+      .withMessage('El código debe tener 6 dígitos'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 12 })
+      .withMessage('Código de recuperación inválido')
+  ];
+
+  /**
+   * Validaciones para confirmar 2FA
+   */
+  static mfaConfirmValidation = [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('El código debe tener 6 dígitos')
+  ];
+
+  /**
+   * Validaciones para deshabilitar 2FA
+   */
+  static mfaDisableValidation = [
+    body('password')
+      .notEmpty()
+      .withMessage('Contraseña requerida'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .matches(/^\d{6}$/)
+      .withMessage('El código debe tener 6 dígitos'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 12 })
+      .withMessage('Código de recuperación inválido')
+  ];
+
+  /**
+   * Validaciones para invalidar una sesión
+   */
+  static sessionIdValidation = [
+    param('sessionId')
+      .isInt({ min: 1 })
+      .withMessage('ID de sesión inválido')
+  ];
+
   /**
    * Registra un nuevo usuario
    * POST /api/auth/register
@@ -91,12 +203,14 @@ class AuthController {
           email: result.user.email,
           nombre: result.user.nombre,
           activo: result.user.activo,
+          emailVerificado: result.user.emailVerificado,
+          estadoAprobacion: result.user.estadoAprobacion,
           roles: result.user.roles
         },
         tokens: result.tokens
       };
 
-      ApiResponse.success(res, response, 'Solicitud de acceso enviada. Tu cuenta está pendiente de aprobación por un administrador.', 201);
+      ApiResponse.success(res, response, 'Solicitud de acceso enviada. Confirma tu email; tu cuenta está pendiente de aprobación por un administrador.', 201);
     } catch (error) {
       if (error.message === 'EMAIL_ALREADY_EXISTS') {
         return ApiResponse.error(res, 'El email ya está registrado', 409, 'EMAIL_ALREADY_EXISTS');
@@ -107,7 +221,7 @@ class AuthController {
       }
 
       if (error.message === 'PASSWORD_WEAK') {
-        return ApiResponse.validationError(res, error.details, 'La contraseña no cumple los requisitos');
+        return AuthController.passwordWeakResponse(res, error, 'La contraseña no cumple los requisitos');
       }
 
       throw error;
@@ -130,6 +244,19 @@ class AuthController {
         }
       );
 
+      // Segundo paso requerido: aún no se emiten tokens
+      if (result.mfaRequired) {
+        return ApiResponse.success(res, {
+          mfaRequired: true,
+          mfaToken: result.mfaToken,
+          expiresIn: result.expiresIn
+        }, 'Ingresa el código de verificación de dos factores');
+      }
+
+      if (result.passwordChangeRequired) {
+        return AuthController.passwordChangeResponse(res, result);
+      }
+
       // Mapear respuesta para frontend
       const response = {
         user: {
@@ -156,6 +283,91 @@ class AuthController {
         return ApiResponse.unauthorized(res, 'Cuenta bloqueada', 'ACCOUNT_LOCKED');
       }
 
+      if (error.message === 'ACCOUNT_TEMPORARILY_LOCKED') {
+        res.set('Retry-After', String(error.retryAfter));
+        return ApiResponse.error(
+          res,
+          'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+          429,
+          'ACCOUNT_TEMPORARILY_LOCKED',
+          { retryAfter: error.retryAfter }
+        );
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Respuesta de un login cuya contraseña debe cambiarse: sin sesión, solo el token restringido
+   * @param {Object} res - Response object
+   * @param {Object} result - Resultado de AuthService.issuePasswordChangeToken
+   */
+  static passwordChangeResponse(res, result) {
+    const message = result.reason === 'expired'
+      ? 'Tu contraseña caducó. Usa el token en POST /api/auth/change-password.'
+      : 'Debes cambiar tu contraseña. Usa el token en POST /api/auth/change-password.';
+
+    return ApiResponse.success(res, {
+      passwordChangeRequired: true,
+      reason: result.reason,
+      passwordChangeToken: result.passwordChangeToken,
+      expiresIn: result.expiresIn
+    }, message);
+  }
+
+  /**
+   * Completa el login con un código 2FA
+   * POST /api/auth/2fa/verify
+   */
+  static verifyMfa = asyncHandler(async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    try {
+      const result = await AuthService.verifyMfaLogin(
+        { mfaToken, code, recoveryCode },
+        {
+          userAgent: req.get('User-Agent'),
+          ip: AuthUtils.getRealIP(req)
+        }
+      );
+
+      if (result.passwordChangeRequired) {
+        return AuthController.passwordChangeResponse(res, result);
+      }
+
+      const response = {
+        user: {
+          id: result.user.id,
+          email: result.user.email,
+          nombre: result.user.nombre,
+          activo: result.user.activo,
+          roles: result.user.roles
+        },
+        tokens: result.tokens
+      };
+
+      ApiResponse.success(res, response, 'Inicio de sesión exitoso');
+    } catch (error) {
+      if (error.message === 'INVALID_MFA_TOKEN') {
+        return ApiResponse.unauthorized(res, 'La verificación expiró, inicia sesión nuevamente', 'INVALID_MFA_TOKEN');
+      }
+
+      if (error.message === 'INVALID_MFA_CODE') {
+        return ApiResponse.unauthorized(res, 'Código de verificación inválido', 'INVALID_MFA_CODE');
+      }
+
+      if (error.message === 'ACCOUNT_TEMPORARILY_LOCKED') {
+        res.set('Retry-After', String(error.retryAfter));
+        return ApiResponse.error(
+          res,
+          'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+          429,
+          'ACCOUNT_TEMPORARILY_LOCKED',
+          { retryAfter: error.retryAfter }
+        );
+      }
+
       throw error;
     }
   });
@@ -191,6 +403,10 @@ class AuthController {
         return ApiResponse.unauthorized(res, 'Sesión expirada', 'SESSION_EXPIRED');
       }
 
+      if (error.message === 'REFRESH_TOKEN_REUSED') {
+        return ApiResponse.unauthorized(res, 'Refresh token reutilizado. Se cerró la sesión por seguridad.', 'REFRESH_TOKEN_REUSED');
+      }
+
       throw error;
     }
   });
@@ -203,7 +419,7 @@ class AuthController {
     const { refreshToken } = req.body;
 
     try {
-      await AuthService.logout(refreshToken);
+      await AuthService.logout(refreshToken, AuditService.contextFromRequest(req));
 
       ApiResponse.success(res, null, 'Sesión cerrada exitosamente');
     } catch (error) {
@@ -214,19 +430,23 @@ class AuthController {
   });
 
   /**
-   * Cierra todas las sesiones del usuario autenticado
+   * Cierra todas las sesiones del usuario autenticado excepto la actual
    * POST /api/auth/logout-all
    */
   static logoutAll = asyncHandler(async (req, res) => {
     const userId = req.userId;
-    const currentSessionId = req.session?.id;
+    const currentSessionId = req.sessionId; // sid del access token si existe
 
     try {
-      const invalidatedCount = await AuthService.logoutAllSessions(userId, currentSessionId);
+      const invalidatedCount = await AuthService.logoutAllSessions(
+        userId,
+        currentSessionId,
+        AuditService.contextFromRequest(req)
+      );
 
       ApiResponse.success(res,
         { invalidatedSessions: invalidatedCount },
-        'Todas las sesiones fueron cerradas'
+        'Todas las demás sesiones fueron cerradas'
       );
     } catch (error) {
       throw error;
@@ -242,9 +462,11 @@ class AuthController {
     const userId = req.userId;
 
     try {
-      await AuthService.changePassword(userId, currentPassword, newPassword);
+      await AuthService.changePassword(userId, currentPassword, newPassword, AuditService.contextFromRequest(req));
 
-      ApiResponse.success(res, null, 'Contraseña cambiada exitosamente');
+      ApiResponse.success(res, null, req.passwordChangeOnly
+        ? 'Contraseña cambiada exitosamente. Inicia sesión con tu nueva contraseña.'
+        : 'Contraseña cambiada exitosamente');
     } catch (error) {
       if (error.message === 'USER_NOT_FOUND') {
         return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
@@ -254,8 +476,228 @@ class AuthController {
         return ApiResponse.error(res, 'Contraseña actual incorrecta', 400, 'INVALID_CURRENT_PASSWORD');
       }
 
+      if (error.message === 'PASSWORD_UNCHANGED') {
+        return ApiResponse.error(res, 'La nueva contraseña debe ser distinta de la actual', 400, 'PASSWORD_UNCHANGED');
+      }
+
+      if (error.message === 'PASSWORD_REUSED') {
+        return AuthController.passwordReusedResponse(res, error);
+      }
+
+      if (error.message === 'PASSWORD_WEAK') {
+        return AuthController.passwordWeakResponse(res, error, 'La nueva contraseña no cumple los requisitos');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Respuesta ante una contraseña rechazada por la política
+   * @param {Object} res - Response object
+   * @param {Error} error - Error PASSWORD_WEAK con details { score, minScore, reasons }
+   * @param {string} message - Mensaje de la respuesta
+   */
+  static passwordWeakResponse(res, error, message) {
+    return ApiResponse.error(res, message, 400, 'PASSWORD_WEAK', error.details);
+  }
+
+  /**
+   * Respuesta ante una contraseña que ya se usó recientemente
+   * @param {Object} res - Response object
+   * @param {Error} error - Error PASSWORD_REUSED con details.historySize
+   */
+  static passwordReusedResponse(res, error) {
+    return ApiResponse.error(
+      res,
+      `La nueva contraseña no puede ser ninguna de las últimas ${error.details.historySize} utilizadas`,
+      400,
+      'PASSWORD_REUSED',
+      error.details
+    );
+  }
+
+  /**
+   * Publica la política de contraseñas vigente para que los clientes validen antes de enviar
+   * GET /api/auth/password-policy
+   */
+  static getPasswordPolicy = asyncHandler(async (req, res) => {
+    ApiResponse.success(res, PasswordPolicyService.getPolicy(), 'Política de contraseñas');
+  });
+
+  /**
+   * Solicita un enlace de recuperación de contraseña
+   * POST /api/auth/forgot-password
+   */
+  static forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    await AuthService.requestPasswordReset(email);
+
+    // Misma respuesta exista o no el email para no revelar cuentas
+    ApiResponse.success(res, null, 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña');
+  });
+
+  /**
+   * Restablece la contraseña con un token de recuperación
+   * POST /api/auth/reset-password
+   */
+  static resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    try {
+      await AuthService.resetPassword(token, newPassword, AuditService.contextFromRequest(req));
+
+      ApiResponse.success(res, null, 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña.');
+    } catch (error) {
+      if (error.message === 'INVALID_RESET_TOKEN') {
+        return ApiResponse.error(res, 'El enlace de recuperación es inválido o expiró', 400, 'INVALID_RESET_TOKEN');
+      }
+
+      if (error.message === 'USER_NOT_FOUND') {
+        return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
+      }
+
+      if (error.message === 'PASSWORD_REUSED') {
+        return AuthController.passwordReusedResponse(res, error);
+      }
+
+      if (error.message === 'PASSWORD_WEAK') {
+        return AuthController.passwordWeakResponse(res, error, 'La nueva contraseña no cumple los requisitos');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Acepta una invitación y define la contraseña del usuario
+   * POST /api/auth/accept-invite
+   */
+  static acceptInvite = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+      const user = await AuthService.acceptInvitation(token, password, AuditService.contextFromRequest(req));
+
+      ApiResponse.success(res, { email: user.email }, 'Invitación aceptada. Inicia sesión con tu nueva contraseña.');
+    } catch (error) {
+      if (error.message === 'INVALID_INVITATION_TOKEN') {
+        return ApiResponse.error(res, 'El enlace de invitación es inválido o expiró', 400, 'INVALID_INVITATION_TOKEN');
+      }
+
       if (error.message === 'PASSWORD_WEAK') {
-        return ApiResponse.validationError(res, error.details, 'La nueva contraseña no cumple los requisitos');
+        return AuthController.passwordWeakResponse(res, error, 'La contraseña no cumple los requisitos');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Confirma el email del usuario
+   * POST /api/auth/verify-email
+   */
+  static verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    try {
+      await AuthService.verifyEmail(token);
+
+      ApiResponse.success(res, null, 'Email verificado exitosamente');
+    } catch (error) {
+      if (error.message === 'INVALID_VERIFICATION_TOKEN') {
+        return ApiResponse.error(res, 'El enlace de verificación es inválido o expiró', 400, 'INVALID_VERIFICATION_TOKEN');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Reenvía el enlace de verificación de email
+   * POST /api/auth/resend-verification
+   */
+  static resendVerification = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    await AuthService.resendVerification(email);
+
+    // Misma respuesta exista o no el email para no revelar cuentas
+    ApiResponse.success(res, null, 'Si el email está pendiente de verificación, recibirás un nuevo enlace');
+  });
+
+  /**
+   * Inicia la configuración de 2FA
+   * POST /api/auth/2fa/setup
+   */
+  static setupMfa = asyncHandler(async (req, res) => {
+    try {
+      const result = await AuthService.setupMfa(req.userId);
+
+      ApiResponse.success(res, result, 'Escanea el código en tu app autenticadora y confirma con un código');
+    } catch (error) {
+      if (error.message === 'MFA_ALREADY_ENABLED') {
+        return ApiResponse.error(res, 'La verificación en dos pasos ya está habilitada', 409, 'MFA_ALREADY_ENABLED');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Confirma y habilita 2FA
+   * POST /api/auth/2fa/confirm
+   */
+  static confirmMfa = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    try {
+      const recoveryCodes = await AuthService.confirmMfa(req.userId, code);
+
+      ApiResponse.success(res,
+        { recoveryCodes },
+        'Verificación en dos pasos habilitada. Guarda tus códigos de recuperación, no se mostrarán de nuevo.'
+      );
+    } catch (error) {
+      if (error.message === 'MFA_ALREADY_ENABLED') {
+        return ApiResponse.error(res, 'La verificación en dos pasos ya está habilitada', 409, 'MFA_ALREADY_ENABLED');
+      }
+
+      if (error.message === 'MFA_SETUP_REQUIRED') {
+        return ApiResponse.error(res, 'Primero inicia la configuración con /2fa/setup', 400, 'MFA_SETUP_REQUIRED');
+      }
+
+      if (error.message === 'INVALID_MFA_CODE') {
+        return ApiResponse.error(res, 'Código de verificación inválido', 400, 'INVALID_MFA_CODE');
+      }
+
+      throw error;
+    }
+  });
+
+  /**
+   * Deshabilita 2FA
+   * POST /api/auth/2fa/disable
+   */
+  static disableMfa = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    try {
+      await AuthService.disableMfa(req.userId, { password, code, recoveryCode });
+
+      ApiResponse.success(res, null, 'Verificación en dos pasos deshabilitada');
+    } catch (error) {
+      if (error.message === 'MFA_NOT_ENABLED') {
+        return ApiResponse.error(res, 'La verificación en dos pasos no está habilitada', 400, 'MFA_NOT_ENABLED');
+      }
+
+      if (error.message === 'INVALID_CURRENT_PASSWORD') {
+        return ApiResponse.error(res, 'Contraseña actual incorrecta', 400, 'INVALID_CURRENT_PASSWORD');
+      }
+
+      if (error.message === 'INVALID_MFA_CODE') {
+        return ApiResponse.error(res, 'Código de verificación inválido', 400, 'INVALID_MFA_CODE');
       }
 
       throw error;
@@ -278,6 +720,9 @@ class AuthController {
         email: user.email,
         nombre: user.nombre,
         activo: user.activo,
+        emailVerificado: user.email_verificado,
+        estadoAprobacion: user.estado_aprobacion,
+        mfaHabilitado: !!user.mfa_habilitado,
         roles: user.roles || [],
         fechaCreacion: user.fecha_creacion
       },
@@ -304,6 +749,16 @@ class AuthController {
     }, 'Token válido');
   });
 
+  /**
+   * Publica las claves públicas para verificar access tokens (RFC 7517)
+   * Responde el JWKS sin el envoltorio de ApiResponse para que lo lean librerías estándar
+   * GET /.well-known/jwks.json
+   */
+  static getJwks = asyncHandler(async (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(JwtKeys.getJwks());
+  });
+
   /**
    * Obtiene sesiones activas del usuario autenticado
    * GET /api/auth/sessions
@@ -312,31 +767,16 @@ class AuthController {
     const userId = req.userId; // req.userId viene del middleware (es id_usuario)
 
     const sessions = await SessionModel.getActiveSessions(userId);
-
-    // Mapear id_sesion a id en cada sesión
-    const mappedSessions = sessions.map(session => ({
-      id: session.id_sesion,
-      userAgent: session.user_agent,
-      ip: session.ip,
-      fechaCreacion: session.fecha_creacion,
-      fechaExpiracion: session.fecha_expiracion
-    }));
+    const mappedSessions = sessions.map(session => SessionController.mapSession(session, req.sessionId));
 
     ApiResponse.success(res, { sessions: mappedSessions }, 'Sesiones activas obtenidas');
   });
 
   /**
-   * Invalida una sesión específica
+   * Invalida una sesión específica del usuario autenticado (misma lógica que DELETE /api/sessions/:sessionId)
    * DELETE /api/auth/sessions/:sessionId
    */
-  static invalidateSession = asyncHandler(async (req, res) => {
-    const { sessionId } = req.params; // sessionId es id_sesion (INTEGER)
-    const userId = req.userId; // userId es id_usuario (INTEGER)
-
-    await SessionModel.invalidateSession(parseInt(sessionId), userId);
-
-    ApiResponse.success(res, null, 'Sesión invalidada exitosamente');
-  });
+  static invalidateSession = SessionController.invalidateSession;
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -0,0 +1,342 @@
+const { body, param } = require('express-validator');
+const RoleModel = require('../models/RoleModel');
+const PermissionModel = require('../models/PermissionModel');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Roles que no pueden eliminarse ni renombrarse
+ */
+const PROTECTED_ROLES = ['admin'];
+
+/**
+ * Mapea un rol de la BD al formato del frontend
+ * @param {Object} role - Rol con id_rol
+ * @returns {Object} Rol con id
+ */
+const mapRole = (role) => ({
+  id: role.id_rol,
+  nombre: role.nombre,
+  descripcion: role.descripcion,
+  fechaCreacion: role.fecha_creacion
+});
+
+/**
+ * Mapea un permiso de la BD al formato del frontend
+ * @param {Object} permission - Permiso con id_permiso
+ * @returns {Object} Permiso con id
+ */
+const mapPermission = (permission) => ({
+  id: permission.id_permiso,
+  nombre: permission.nombre,
+  descripcion: permission.descripcion
+});
+
+/**
+ * Controlador de roles
+ */
+class RoleController {
+  /**
+   * Validación del parámetro roleId
+   */
+  static roleIdValidation = [
+    param('roleId')
+      .isInt({ min: 1 })
+      .withMessage('ID de rol inválido')
+  ];
+
+  /**
+   * Validaciones para crear rol
+   */
+  static createRoleValidation = [
+    body('nombre')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('El nombre debe tener entre 2 y 50 caracteres')
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage('El nombre solo puede contener letras, números, guiones y guiones bajos'),
+    body('descripcion')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('La descripción no puede exceder 255 caracteres')
+  ];
+
+  /**
+   * Validaciones para actualizar rol
+   */
+  static updateRoleValidation = [
+    param('roleId')
+      .isInt({ min: 1 })
+      .withMessage('ID de rol inválido'),
+    body('nombre')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('El nombre debe tener entre 2 y 50 caracteres')
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage('El nombre solo puede contener letras, números, guiones y guiones bajos'),
+    body('descripcion')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('La descripción no puede exceder 255 caracteres')
+  ];
+
+  /**
+   * Validaciones para otorgar permiso a un rol
+   */
+  static grantPermissionValidation = [
+    param('roleId')
+      .isInt({ min: 1 })
+      .withMessage('ID de rol inválido'),
+    body('permiso')
+      .trim()
+      .matches(/^[a-z0-9_-]+:[a-z0-9_-]+$/i)
+      .withMessage('El permiso debe tener el formato recurso:acción')
+  ];
+
+  /**
+   * Validaciones para revocar permiso de un rol
+   */
+  static revokePermissionValidation = [
+    param('roleId')
+      .isInt({ min: 1 })
+      .withMessage('ID de rol inválido'),
+    param('permissionId')
+      .isInt({ min: 1 })
+      .withMessage('ID de permiso inválido')
+  ];
+
+  /**
+   * Obtiene todos los roles
+   * GET /api/roles
+   */
+  static getRoles = asyncHandler(async (req, res) => {
+    const roles = await RoleModel.getAllRoles();
+
+    ApiResponse.success(res, { roles: roles.map(mapRole) }, 'Roles obtenidos exitosamente');
+  });
+
+  /**
+   * Obtiene un rol específico
+   * GET /api/roles/:roleId
+   */
+  static getRole = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+
+    const role = await RoleModel.findById(parseInt(roleId));
+    if (!role) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    ApiResponse.success(res, { role: mapRole(role) }, 'Rol obtenido exitosamente');
+  });
+
+  /**
+   * Crea un nuevo rol
+   * POST /api/roles
+   */
+  static createRole = asyncHandler(async (req, res) => {
+    const { nombre, descripcion = null } = req.body;
+
+    // ROLE_ALREADY_EXISTS se mapea en errorHandler
+    const role = await RoleModel.createRole(nombre, descripcion);
+
+    logger.info('Rol creado por admin', { roleId: role.id_rol, nombre: role.nombre, adminId: req.userId });
+
+    ApiResponse.success(res, { role: mapRole(role) }, 'Rol creado exitosamente', 201);
+  });
+
+  /**
+   * Actualiza un rol
+   * PUT /api/roles/:roleId
+   */
+  static updateRole = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+    const { nombre, descripcion } = req.body;
+
+    const existingRole = await RoleModel.findById(parseInt(roleId));
+    if (!existingRole) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    const updateData = {};
+    if (nombre !== undefined) updateData.nombre = nombre.toLowerCase();
+    if (descripcion !== undefined) updateData.descripcion = descripcion;
+
+    if (Object.keys(updateData).length === 0) {
+      return ApiResponse.error(res, 'No hay datos para actualizar', 400, 'NO_UPDATE_DATA');
+    }
+
+    if (updateData.nombre && updateData.nombre !== existingRole.nombre && PROTECTED_ROLES.includes(existingRole.nombre)) {
+      return ApiResponse.error(res, 'Este rol del sistema no puede renombrarse', 400, 'ROLE_PROTECTED');
+    }
+
+    // ROLE_ALREADY_EXISTS se mapea en errorHandler
+    const role = await RoleModel.updateRole(parseInt(roleId), updateData);
+
+    ApiResponse.success(res, { role: mapRole(role) }, 'Rol actualizado exitosamente');
+  });
+
+  /**
+   * Elimina un rol sin usuarios asignados
+   * DELETE /api/roles/:roleId
+   */
+  static deleteRole = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+
+    const existingRole = await RoleModel.findById(parseInt(roleId));
+    if (!existingRole) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    if (PROTECTED_ROLES.includes(existingRole.nombre)) {
+      return ApiResponse.error(res, 'Este rol del sistema no puede eliminarse', 400, 'ROLE_PROTECTED');
+    }
+
+    // ROLE_HAS_USERS se mapea en errorHandler
+    await RoleModel.deleteRole(parseInt(roleId));
+
+    logger.info('Rol eliminado por admin', { roleId: parseInt(roleId), adminId: req.userId });
+
+    ApiResponse.success(res, null, `Rol ${existingRole.nombre} eliminado exitosamente`);
+  });
+
+  /**
+   * Obtiene los usuarios que tienen un rol
+   * GET /api/roles/:roleId/users
+   */
+  static getRoleUsers = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+
+    const role = await RoleModel.findById(parseInt(roleId));
+    if (!role) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    const users = await RoleModel.getUsersByRole(parseInt(roleId));
+
+    const mappedUsers = users.filter(Boolean).map(user => ({
+      id: user.id_usuario,
+      email: user.email,
+      nombre: user.nombre,
+      activo: user.activo,
+      fechaCreacion: user.fecha_creacion
+    }));
+
+    ApiResponse.success(res, { role: mapRole(role), users: mappedUsers }, 'Usuarios del rol obtenidos exitosamente');
+  });
+
+  /**
+   * Obtiene el catálogo de permisos
+   * GET /api/roles/permissions
+   */
+  static getPermissions = asyncHandler(async (req, res) => {
+    const permissions = await PermissionModel.getAllPermissions();
+
+    ApiResponse.success(res, { permissions: permissions.map(mapPermission) }, 'Permisos obtenidos exitosamente');
+  });
+
+  /**
+   * Obtiene los permisos de un rol
+   * GET /api/roles/:roleId/permissions
+   */
+  static getRolePermissions = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+
+    const role = await RoleModel.findById(parseInt(roleId));
+    if (!role) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    const permissions = await PermissionModel.getRolePermissions(parseInt(roleId));
+
+    ApiResponse.success(res,
+      { role: mapRole(role), permissions: permissions.map(mapPermission) },
+      'Permisos del rol obtenidos exitosamente'
+    );
+  });
+
+  /**
+   * Otorga un permiso a un rol
+   * POST /api/roles/:roleId/permissions
+   */
+  static grantPermission = asyncHandler(async (req, res) => {
+    const { roleId } = req.params;
+    const { permiso } = req.body;
+
+    const role = await RoleModel.findById(parseInt(roleId));
+    if (!role) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    const permission = await PermissionModel.findByName(permiso);
+    if (!permission) {
+      return ApiResponse.notFound(res, 'Permiso no encontrado', 'PERMISSION_NOT_FOUND');
+    }
+
+    // PERMISSION_ALREADY_GRANTED se mapea en errorHandler
+    await PermissionModel.grantToRole(parseInt(roleId), permission.id_permiso);
+
+    logger.info('Permiso otorgado por admin', {
+      roleId: parseInt(roleId),
+      permiso: permission.nombre,
+      adminId: req.userId
+    });
+
+    ApiResponse.success(res,
+      { permission: mapPermission(permission) },
+      `Permiso ${permission.nombre} otorgado al rol ${role.nombre}`,
+      201
+    );
+  });
+
+  /**
+   * Revoca un permiso de un rol
+   * DELETE /api/roles/:roleId/permissions/:permissionId
+   */
+  static revokePermission = asyncHandler(async (req, res) => {
+    const { roleId, permissionId } = req.params;
+
+    const role = await RoleModel.findById(parseInt(roleId));
+    if (!role) {
+      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+    }
+
+    const permission = await PermissionModel.findById(parseInt(permissionId));
+    if (!permission) {
+      return ApiResponse.notFound(res, 'Permiso no encontrado', 'PERMISSION_NOT_FOUND');
+    }
+
+    await PermissionModel.revokeFromRole(parseInt(roleId), parseInt(permissionId));
+
+    logger.info('Permiso revocado por admin', {
+      roleId: parseInt(roleId),
+      permiso: permission.nombre,
+      adminId: req.userId
+    });
+
+    ApiResponse.success(res, null, `Permiso ${permission.nombre} revocado del rol ${role.nombre}`);
+  });
+
+  /**
+   * Crea los roles y permisos por defecto que falten
+   * POST /api/roles/initialize
+   */
+  static initializeDefaultRoles = asyncHandler(async (req, res) => {
+    const createdRoles = await RoleModel.initializeDefaultRoles();
+    const createdPermissions = await PermissionModel.initializeDefaultPermissions();
+
+    ApiResponse.success(res,
+      {
+        createdRoles: createdRoles.map(mapRole),
+        createdPermissions: createdPermissions.map(mapPermission)
+      },
+      `${createdRoles.length} roles y ${createdPermissions.length} permisos por defecto creados`
+    );
+  });
+}
+
+module.exports = RoleController;
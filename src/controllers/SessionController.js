@@ -1,12 +1,51 @@
 const { body, param } = require('express-validator');
 const SessionModel = require('../models/SessionModel');
+const RateLimitModel = require('../models/RateLimitModel');
+const AuthService = require('../services/AuthService');
+const AuditService = require('../services/AuditService');
+const TokenRevocationService = require('../services/TokenRevocationService');
 const ApiResponse = require('../utils/apiResponse');
+const UserAgentParser = require('../utils/userAgentParser');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
  * Controlador de sesiones
  */
 class SessionController {
+  /**
+   * Da formato a una sesión para el frontend
+   * @param {Object} session - Sesión de SessionModel.getActiveSessions
+   * @param {number|null} currentSessionId - Sesión del access token que hace la petición
+   * @returns {Object} Sesión con etiqueta de dispositivo y marca de sesión actual
+   */
+  static mapSession(session, currentSessionId = null) {
+    // Las sesiones creadas antes de guardar el dispositivo solo tienen user_agent
+    const device = session.tipo_dispositivo
+      ? {
+        browser: session.navegador,
+        browserVersion: session.navegador_version,
+        os: session.sistema_operativo,
+        osVersion: session.sistema_operativo_version,
+        deviceType: session.tipo_dispositivo
+      }
+      : UserAgentParser.parse(session.user_agent);
+
+    return {
+      id: session.id_sesion,
+      dispositivo: UserAgentParser.describe(device) || session.user_agent || 'Dispositivo desconocido',
+      navegador: device.browser,
+      versionNavegador: device.browserVersion,
+      sistemaOperativo: device.os,
+      versionSistemaOperativo: device.osVersion,
+      tipoDispositivo: device.deviceType,
+      userAgent: session.user_agent,
+      ip: session.ip,
+      fechaCreacion: session.fecha_creacion,
+      fechaExpiracion: session.fecha_expiracion,
+      current: currentSessionId !== null && session.id_sesion === currentSessionId
+    };
+  }
+
   /**
    * Obtiene sesiones activas del usuario autenticado
    * GET /api/sessions
@@ -15,15 +54,7 @@ class SessionController {
     const userId = req.userId; // userId es id_usuario
 
     const sessions = await SessionModel.getActiveSessions(userId);
-    
-    // Mapear id_sesion a id para compatibilidad con frontend
-    const mappedSessions = sessions.map(session => ({
-      id: session.id_sesion,
-      userAgent: session.user_agent,
-      ip: session.ip,
-      fechaCreacion: session.fecha_creacion,
-      fechaExpiracion: session.fecha_expiracion
-    }));
+    const mappedSessions = sessions.map(session => SessionController.mapSession(session, req.sessionId));
     
     ApiResponse.success(res, { sessions: mappedSessions }, 'Sesiones activas obtenidas exitosamente');
   });
@@ -57,6 +88,7 @@ class SessionController {
     }
 
     await SessionModel.invalidateSession(parseInt(sessionId), userId);
+    await TokenRevocationService.revokeSession(parseInt(sessionId), userId, 'session_invalidated');
     
     ApiResponse.success(res, null, 'Sesión invalidada exitosamente');
   });
@@ -67,9 +99,13 @@ class SessionController {
    */
   static invalidateAllSessions = asyncHandler(async (req, res) => {
     const userId = req.userId; // userId es id_usuario
-    const currentSessionId = req.session?.id_sesion; // id_sesion si existe
+    const currentSessionId = req.sessionId; // sid del access token si existe
 
-    const invalidatedCount = await SessionModel.invalidateAllUserSessions(userId, currentSessionId);
+    const invalidatedCount = await AuthService.logoutAllSessions(
+      userId,
+      currentSessionId,
+      AuditService.contextFromRequest(req)
+    );
     
     ApiResponse.success(res, 
       { invalidatedSessions: invalidatedCount },
@@ -83,9 +119,11 @@ class SessionController {
    */
   static cleanupExpiredSessions = asyncHandler(async (req, res) => {
     const cleanedCount = await SessionModel.cleanExpiredSessions();
+    const cleanedRevocations = await TokenRevocationService.cleanExpired();
+    const cleanedRateLimits = await RateLimitModel.deleteExpired();
     
     ApiResponse.success(res, 
-      { cleanedSessions: cleanedCount },
+      { cleanedSessions: cleanedCount, cleanedRevocations, cleanedRateLimits },
       `${cleanedCount} sesiones expiradas fueron limpiadas`
     );
   });
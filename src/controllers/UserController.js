@@ -1,10 +1,76 @@
 const { body, param, query } = require('express-validator');
 const UserModel = require('../models/UserModel');
+const SessionModel = require('../models/SessionModel');
 const RoleModel = require('../models/RoleModel');
+const AuthService = require('../services/AuthService');
+const AuditService = require('../services/AuditService');
+const TokenRevocationService = require('../services/TokenRevocationService');
+const RegistrationApprovalService = require('../services/RegistrationApprovalService');
+const UserAdminService = require('../services/UserAdminService');
+const UserTransferService = require('../services/UserTransferService');
 const ApiResponse = require('../utils/apiResponse');
+const KeysetCursor = require('../utils/keysetCursor');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+/**
+ * Campos del usuario que se guardan en la auditoría como estado antes/después
+ */
+const auditSnapshot = (user) => user && {
+  nombre: user.nombre,
+  activo: user.activo,
+  bloqueado: user.bloqueado,
+  ...(user.roles && { roles: user.roles.map(r => r.nombre) })
+};
+
+/**
+ * Errores de UserAdminService y RegistrationApprovalService: [status, mensaje]
+ */
+const USER_ERRORS = {
+  USER_NOT_FOUND: [404, 'Usuario no encontrado'],
+  ROLE_NOT_FOUND: [404, 'Rol no encontrado'],
+  CANNOT_DEACTIVATE_SELF: [400, 'No puedes desactivar tu propia cuenta'],
+  ROLE_ALREADY_ASSIGNED: [409, 'El usuario ya tiene este rol asignado'],
+  NOT_PENDING_APPROVAL: [400, 'El usuario no está pendiente de aprobación'],
+  USER_NOT_APPROVED: [409, 'El usuario no está aprobado. Un registro pendiente se activa al aprobarlo.'],
+  EMAIL_NOT_VERIFIED: [
+    409,
+    'El usuario aún no ha verificado su email. Envía { "force": true } para aprobarlo de todas formas.'
+  ]
+};
+
+/**
+ * Campos por los que se puede ordenar GET /api/users: [columna, orden por defecto]
+ */
+const USER_SORT_FIELDS = {
+  createdAt: ['fecha_creacion', 'desc'],
+  lastLogin: ['ultimo_login', 'desc'],
+  email: ['email', 'asc'],
+  nombre: ['nombre', 'asc'],
+  id: ['id_usuario', 'asc']
+};
+
+/**
+ * Orden solicitado en la query, con sus valores por defecto
+ * @param {Object} query - req.query
+ * @returns {Object} { sortBy, sortOrder, column }
+ */
+const resolveUserSort = (query) => {
+  const sortBy = query.sortBy || 'createdAt';
+  const [column, defaultOrder] = USER_SORT_FIELDS[sortBy];
+  return { sortBy, sortOrder: query.sortOrder || defaultOrder, column };
+};
+
+/**
+ * Errores que rechazan un archivo de importación completo
+ */
+const IMPORT_FILE_ERRORS = {
+  IMPORT_EMPTY: 'El archivo no contiene filas para importar',
+  IMPORT_TOO_LARGE: 'El archivo supera el máximo de filas por importación',
+  IMPORT_INVALID_HEADER: 'La primera fila del CSV debe ser el encabezado e incluir la columna email',
+  CSV_UNTERMINATED_QUOTE: 'El CSV tiene un campo entre comillas sin cerrar'
+};
+
 /**
  * Controlador de usuarios
  */
@@ -29,7 +95,45 @@ class UserController {
     query('includeInactive')
       .optional()
       .isBoolean()
-      .withMessage('includeInactive debe ser true o false')
+      .withMessage('includeInactive debe ser true o false'),
+    query('role')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('El rol debe tener entre 1 y 50 caracteres'),
+    query('blocked')
+      .optional()
+      .isBoolean()
+      .withMessage('blocked debe ser true o false'),
+    query('approvalState')
+      .optional()
+      .isIn(Object.values(RegistrationApprovalService.STATES))
+      .withMessage(`approvalState debe ser uno de: ${Object.values(RegistrationApprovalService.STATES).join(', ')}`),
+    query(['createdFrom', 'createdTo', 'lastLoginFrom', 'lastLoginTo'])
+      .optional()
+      .isISO8601()
+      .withMessage('Las fechas deben estar en formato ISO 8601'),
+    query('sortBy')
+      .optional()
+      .isIn(Object.keys(USER_SORT_FIELDS))
+      .withMessage(`sortBy debe ser uno de: ${Object.keys(USER_SORT_FIELDS).join(', ')}`),
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('sortOrder debe ser asc o desc'),
+    query('cursor')
+      .optional()
+      .custom((value, { req }) => {
+        const cursor = KeysetCursor.decode(value);
+        const { sortBy, sortOrder } = resolveUserSort(req.query);
+
+        // Un cursor solo sirve con el mismo orden con el que se generó
+        if (!cursor || cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder) {
+          throw new Error('Cursor inválido para el orden solicitado');
+        }
+
+        return true;
+      })
   ];
 
   /**
@@ -67,7 +171,119 @@ class UserController {
   ];
 
   /**
-   * Obtiene lista de usuarios (solo admin)
+   * Validaciones para la cola de registros pendientes
+   */
+  static getPendingUsersValidation = [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La página debe ser un número entero mayor a 0'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('El límite debe ser un número entre 1 y 100')
+  ];
+
+  /**
+   * Validaciones para rechazar un registro
+   */
+  static rejectUserValidation = [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('ID de usuario inválido'),
+    body('reason')
+      .isString()
+      .withMessage('El motivo es requerido')
+      .bail()
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('El motivo debe tener entre 3 y 500 caracteres')
+  ];
+
+  /**
+   * Validaciones para acciones masivas
+   */
+  static bulkValidation = [
+    body('action')
+      .isIn(Object.keys(UserAdminService.BULK_ACTIONS))
+      .withMessage(`action debe ser una de: ${Object.keys(UserAdminService.BULK_ACTIONS).join(', ')}`),
+    body('userIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('userIds debe ser un arreglo con entre 1 y 100 usuarios'),
+    body('userIds.*')
+      .isInt({ min: 1 })
+      .withMessage('ID de usuario inválido')
+      .toInt(),
+    body('roleId')
+      .if(body('action').isIn(['assign_role', 'remove_role']))
+      .isInt({ min: 1 })
+      .withMessage('roleId es requerido para asignar o remover un rol')
+      .toInt(),
+    body('reason')
+      .if(body('action').equals('reject'))
+      .isString()
+      .withMessage('El motivo es requerido para rechazar registros')
+      .bail()
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('El motivo debe tener entre 3 y 500 caracteres'),
+    body('force')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('force debe ser true o false')
+  ];
+
+  /**
+   * Validaciones para exportar usuarios
+   */
+  static exportUsersValidation = [
+    query('format')
+      .optional()
+      .isIn(Object.keys(UserTransferService.FORMATS))
+      .withMessage('format debe ser csv o ndjson')
+  ];
+
+  /**
+   * Validaciones para importar usuarios (el formato lo indica el Content-Type)
+   */
+  static importUsersValidation = [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun debe ser true o false'),
+    query('invite')
+      .optional()
+      .isBoolean()
+      .withMessage('invite debe ser true o false')
+  ];
+
+  /**
+   * Validaciones para crear usuario desde administración
+   */
+  static createUserValidation = [
+    body('email')
+      .isEmail()
+      .withMessage('Email inválido'),
+    body('nombre')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+    body('roleIds')
+      .isArray({ min: 1, max: 10 })
+      .withMessage('roleIds debe ser un arreglo con entre 1 y 10 roles'),
+    body('roleIds.*')
+      .isInt({ min: 1 })
+      .withMessage('ID de rol inválido')
+      .toInt(),
+    body('invite')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('invite debe ser true o false')
+  ];
+
+  /**
+   * Obtiene lista de usuarios (solo admin) con filtros y orden. Pagina por página
+   * (page, con total) o por cursor (cursor = nextCursor de la respuesta anterior, sin total).
    * GET /api/users
    */
   static getUsers = asyncHandler(async (req, res) => {
@@ -75,14 +291,49 @@ class UserController {
       page = 1,
       limit = 10,
       search = '',
-      includeInactive = false
+      includeInactive,
+      role,
+      blocked,
+      approvalState,
+      createdFrom,
+      createdTo,
+      lastLoginFrom,
+      lastLoginTo,
+      cursor
     } = req.query;
+    const { sortBy, sortOrder, column } = resolveUserSort(req.query);
+
+    let roleId = null;
+    if (role) {
+      const foundRole = await RoleModel.findByName(role);
+
+      if (!foundRole) {
+        return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+      }
+
+      roleId = foundRole.id_rol;
+    }
+
+    const after = cursor ? KeysetCursor.decode(cursor) : null;
 
     const result = await UserModel.getUsers({
       page: parseInt(page),
       limit: parseInt(limit),
       search,
-      includeInactive: includeInactive === 'true'
+      // Los registros pendientes o rechazados están inactivos: filtrar por estado los incluye
+      includeInactive: includeInactive === undefined ? !!approvalState : includeInactive === 'true',
+      approvalState: approvalState || null,
+      roleId,
+      blocked: blocked === undefined ? null : blocked === 'true',
+      // Un bloqueo temporal por intentos fallidos también cuenta como bloqueado
+      lockedSince: AuthService.getLockoutCutoff().toISOString(),
+      createdFrom: createdFrom || null,
+      createdTo: createdTo || null,
+      lastLoginFrom: lastLoginFrom || null,
+      lastLoginTo: lastLoginTo || null,
+      sortBy: column,
+      sortOrder,
+      after: after && { value: after.value, id: after.id }
     });
 
     // Mapear id_usuario a id en cada usuario
@@ -92,14 +343,50 @@ class UserController {
       nombre: user.nombre,
       activo: user.activo,
       bloqueado: user.bloqueado,
+      emailVerificado: user.email_verificado,
+      debeCambiarPassword: user.debe_cambiar_password,
+      estadoAprobacion: user.estado_aprobacion,
       intentosFallidos: user.intentos_fallidos,
+      fechaCreacion: user.fecha_creacion,
+      ultimoLogin: user.ultimo_login
+    }));
+
+    const last = result.users[result.users.length - 1];
+    const nextCursor = result.pagination.hasMore && last
+      ? KeysetCursor.encode({ sortBy, sortOrder, value: last[column], id: last.id_usuario })
+      : null;
+
+    ApiResponse.success(res, {
+      users: mappedUsers,
+      pagination: { ...result.pagination, sortBy, sortOrder, nextCursor }
+    }, 'Usuarios obtenidos exitosamente');
+  });
+
+  /**
+   * Cola de registros pendientes de aprobación (los más recientes primero)
+   * GET /api/users/pending
+   */
+  static getPendingUsers = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await RegistrationApprovalService.listPending({
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const mappedUsers = result.users.map(user => ({
+      id: user.id_usuario,
+      email: user.email,
+      nombre: user.nombre,
+      emailVerificado: user.email_verificado,
+      estadoAprobacion: user.estado_aprobacion,
       fechaCreacion: user.fecha_creacion
     }));
 
     ApiResponse.success(res, {
       users: mappedUsers,
       pagination: result.pagination
-    }, 'Usuarios obtenidos exitosamente');
+    }, 'Registros pendientes obtenidos exitosamente');
   });
 
   /**
@@ -122,8 +409,13 @@ class UserController {
       nombre: user.nombre,
       activo: user.activo,
       bloqueado: user.bloqueado,
+      emailVerificado: user.email_verificado,
+      estadoAprobacion: user.estado_aprobacion,
+      motivoRechazo: user.motivo_rechazo,
+      fechaRevision: user.fecha_revision,
       intentosFallidos: user.intentos_fallidos,
       fechaCreacion: user.fecha_creacion,
+      ultimoLogin: user.ultimo_login,
       roles: user.roles?.map(r => ({
         id: r.id_rol,
         nombre: r.nombre,
@@ -134,6 +426,133 @@ class UserController {
     ApiResponse.success(res, { user: mappedUser }, 'Usuario obtenido exitosamente');
   });
 
+  /**
+   * Crea un usuario con los roles indicados, por invitación (por defecto)
+   * o con una contraseña temporal que debe cambiar
+   * POST /api/users
+   */
+  static createUser = asyncHandler(async (req, res) => {
+    const { email, nombre, roleIds, invite = true } = req.body;
+
+    try {
+      const result = await AuthService.createUserByAdmin(
+        { email, nombre, roleIds, invite },
+        AuditService.contextFromRequest(req)
+      );
+
+      const { user } = result;
+      const data = {
+        user: {
+          id: user.id_usuario,
+          email: user.email,
+          nombre: user.nombre,
+          activo: user.activo,
+          emailVerificado: user.email_verificado,
+          debeCambiarPassword: user.debe_cambiar_password,
+          fechaCreacion: user.fecha_creacion,
+          roles: user.roles?.map(r => ({
+            id: r.id_rol,
+            nombre: r.nombre,
+            descripcion: r.descripcion
+          })) || []
+        }
+      };
+
+      if (invite) {
+        data.invitation = result.invitation;
+      } else {
+        // Única vez que se muestra: no se guarda en texto plano
+        data.temporaryPassword = result.temporaryPassword;
+      }
+
+      ApiResponse.success(res, data,
+        invite ? 'Usuario creado. Se envió la invitación por email.' : 'Usuario creado con contraseña temporal',
+        201
+      );
+    } catch (error) {
+      if (error.message === 'ROLE_NOT_FOUND') {
+        return ApiResponse.error(res, 'Rol no encontrado', 404, 'ROLE_NOT_FOUND', error.details);
+      }
+
+      if (error.message === 'EMAIL_INVALID') {
+        return ApiResponse.error(res, 'Formato de email inválido', 400, 'EMAIL_INVALID');
+      }
+
+      // EMAIL_ALREADY_EXISTS lo traduce el errorHandler
+      throw error;
+    }
+  });
+
+  /**
+   * Descarga todos los usuarios con sus roles en CSV (por defecto) o NDJSON.
+   * La respuesta se escribe por lotes a medida que se leen de la base de datos.
+   * GET /api/users/export
+   */
+  static exportUsers = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { contentType, extension } = UserTransferService.FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="usuarios-${date}.${extension}"`);
+
+    // Respeta la contrapresión del socket: espera a que se vacíe antes del siguiente lote
+    const write = (chunk) => res.write(chunk) || new Promise(resolve => res.once('drain', resolve));
+
+    try {
+      await UserTransferService.exportUsers(format, write, AuditService.contextFromRequest(req));
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+
+      // Con la descarga ya iniciada no se puede responder un error JSON: se corta la conexión
+      logger.error('Error durante la exportación de usuarios', error, { format });
+      res.destroy(error);
+    }
+  });
+
+  /**
+   * Importa usuarios nuevos desde un CSV (text/csv) o NDJSON (application/x-ndjson).
+   * Con ?dryRun=true solo valida y reporta qué se crearía.
+   * POST /api/users/import
+   */
+  static importUsers = asyncHandler(async (req, res) => {
+    const format = Object.keys(UserTransferService.FORMATS)
+      .find(name => req.is(UserTransferService.FORMATS[name].contentType));
+
+    if (!format || typeof req.body !== 'string') {
+      return ApiResponse.error(
+        res,
+        'El archivo debe enviarse como text/csv o application/x-ndjson',
+        415,
+        'UNSUPPORTED_MEDIA_TYPE'
+      );
+    }
+
+    try {
+      const report = await UserTransferService.importUsers({
+        format,
+        content: req.body,
+        dryRun: req.query.dryRun === 'true',
+        invite: req.query.invite !== 'false'
+      }, AuditService.contextFromRequest(req));
+
+      const message = report.dryRun
+        ? `Validación completada: ${report.summary.valid} de ${report.summary.total} filas se pueden importar`
+        : `Importación completada: ${report.summary.created} de ${report.summary.total} usuarios creados`;
+
+      ApiResponse.success(res, report, message);
+    } catch (error) {
+      if (IMPORT_FILE_ERRORS[error.message]) {
+        return ApiResponse.error(res, IMPORT_FILE_ERRORS[error.message], 400, error.message, error.details);
+      }
+
+      throw error;
+    }
+  });
+
   /**
    * Actualiza información de un usuario
    * PUT /api/users/:userId
@@ -150,6 +569,17 @@ class UserController {
 
     const updatedUser = await UserModel.updateUser(parseInt(userId), updateData);
 
+    if (updateData.activo === false || updateData.bloqueado === true) {
+      await TokenRevocationService.revokeUserTokens(parseInt(userId), 'user_disabled');
+    }
+
+    await AuditService.record(AuditService.ACTIONS.USER_UPDATE, {
+      context: AuditService.contextFromRequest(req),
+      targetId: parseInt(userId),
+      before: auditSnapshot(existingUser),
+      after: auditSnapshot(updatedUser)
+    });
+
     // Mapear respuesta
     const mappedUser = {
       id: updatedUser.id_usuario,
@@ -181,6 +611,14 @@ class UserController {
     }
 
     await UserModel.deactivateUser(parseInt(userId));
+    await TokenRevocationService.revokeUserTokens(parseInt(userId), 'user_deactivated');
+
+    await AuditService.record(AuditService.ACTIONS.USER_DEACTIVATE, {
+      context: AuditService.contextFromRequest(req),
+      targetId: parseInt(userId),
+      before: { activo: existingUser.activo },
+      after: { activo: false }
+    });
 
     ApiResponse.success(res, null, 'Usuario desactivado exitosamente');
   });
@@ -193,27 +631,16 @@ class UserController {
     const { userId } = req.params;
     const { rolId } = req.body;
 
-    // Verificar que el usuario existe
-    const user = await UserModel.findById(parseInt(userId));
-    if (!user) {
-      return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
-    }
-
-    // Verificar que el rol existe
-    const role = await RoleModel.findById(rolId);
-    if (!role) {
-      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
-    }
-
     try {
-      await UserModel.assignRole(parseInt(userId), rolId);
+      const role = await UserAdminService.assignRole(
+        parseInt(userId),
+        parseInt(rolId),
+        AuditService.contextFromRequest(req)
+      );
 
       ApiResponse.success(res, null, `Rol ${role.nombre} asignado exitosamente`);
     } catch (error) {
-      if (error.message === 'ROLE_ALREADY_ASSIGNED') {
-        return ApiResponse.error(res, 'El usuario ya tiene este rol asignado', 409, 'ROLE_ALREADY_ASSIGNED');
-      }
-      throw error;
+      return UserController.userErrorResponse(res, error);
     }
   });
 
@@ -224,21 +651,17 @@ class UserController {
   static removeRole = asyncHandler(async (req, res) => {
     const { userId, roleId } = req.params;
 
-    // Verificar que el usuario existe
-    const user = await UserModel.findById(parseInt(userId));
-    if (!user) {
-      return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
-    }
+    try {
+      const role = await UserAdminService.removeRole(
+        parseInt(userId),
+        parseInt(roleId),
+        AuditService.contextFromRequest(req)
+      );
 
-    // Verificar que el rol existe
-    const role = await RoleModel.findById(parseInt(roleId));
-    if (!role) {
-      return ApiResponse.notFound(res, 'Rol no encontrado', 'ROLE_NOT_FOUND');
+      ApiResponse.success(res, null, `Rol ${role.nombre} removido exitosamente`);
+    } catch (error) {
+      return UserController.userErrorResponse(res, error);
     }
-
-    await UserModel.removeRole(parseInt(userId), parseInt(roleId));
-
-    ApiResponse.success(res, null, `Rol ${role.nombre} removido exitosamente`);
   });
 
   /**
@@ -279,6 +702,7 @@ class UserController {
         email: user.email,
         nombre: user.nombre,
         activo: user.activo,
+        emailVerificado: user.email_verificado,
         roles: user.roles?.map(r => ({
           id: r.id_rol,
           nombre: r.nombre,
@@ -319,6 +743,7 @@ class UserController {
       nombre: user.nombre,
       activo: user.activo,
       bloqueado: user.bloqueado,
+      email_verificado: user.email_verificado,
       intentos_fallidos: user.intentos_fallidos,
       fecha_creacion: user.fecha_creacion,
       roles: user.roles || [],
@@ -329,47 +754,121 @@ class UserController {
   });
 
   /**
-   * Aprueba un usuario pendiente (activo=true, bloqueado=false)
+   * Aprueba un registro pendiente: lo activa y le asigna REGISTRATION_APPROVED_ROLE
+   * Requiere email verificado salvo que se envíe { force: true }
    * PATCH /api/users/:userId/approve
    */
   static approveUser = asyncHandler(async (req, res) => {
     const { userId } = req.params;
+    const force = req.body?.force === true;
 
-    // Verificar que el usuario existe
-    const existingUser = await UserModel.findById(parseInt(userId));
-    if (!existingUser) {
-      return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
+    try {
+      const user = await RegistrationApprovalService.approve(
+        parseInt(userId),
+        { force },
+        AuditService.contextFromRequest(req)
+      );
+
+      ApiResponse.success(res, {
+        user: {
+          id: user.id_usuario,
+          email: user.email,
+          activo: user.activo,
+          estadoAprobacion: user.estado_aprobacion,
+          roles: user.roles?.map(r => ({ id: r.id_rol, nombre: r.nombre })) || []
+        }
+      }, 'Usuario aprobado exitosamente');
+    } catch (error) {
+      return UserController.userErrorResponse(res, error);
     }
+  });
 
-    // Verificar que el usuario tiene rol 5 (colaborador)
-    const userWithRoles = await UserModel.findWithRoles(parseInt(userId));
-    const hasColaboradorRole = userWithRoles.roles?.some(r => r.id_rol === 5);
+  /**
+   * Rechaza un registro pendiente con un motivo: queda inactivo, sin roles ni sesiones
+   * PATCH /api/users/:userId/reject
+   */
+  static rejectUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const user = await RegistrationApprovalService.reject(
+        parseInt(userId),
+        reason,
+        AuditService.contextFromRequest(req)
+      );
 
-    if (!hasColaboradorRole) {
-      return ApiResponse.error(res, 'El usuario no está pendiente de aprobación', 400, 'NOT_PENDING_APPROVAL');
+      ApiResponse.success(res, {
+        user: {
+          id: user.id_usuario,
+          email: user.email,
+          activo: user.activo,
+          estadoAprobacion: user.estado_aprobacion,
+          motivoRechazo: user.motivo_rechazo
+        }
+      }, 'Registro rechazado');
+    } catch (error) {
+      return UserController.userErrorResponse(res, error);
     }
+  });
 
-    // 1. Activar usuario
-    await UserModel.updateUser(parseInt(userId), {
-      activo: true,
-      bloqueado: false
+  /**
+   * Aplica una acción a varios usuarios con las mismas verificaciones que las rutas
+   * individuales. Responde 200 con el resultado de cada usuario aunque alguno falle.
+   * POST /api/users/bulk
+   */
+  static bulkUsers = asyncHandler(async (req, res) => {
+    const { action, userIds, roleId, reason, force = false } = req.body;
+
+    const outcomes = await UserAdminService.runBulk(
+      action,
+      userIds,
+      { roleId, reason, force },
+      AuditService.contextFromRequest(req)
+    );
+
+    const results = outcomes.map(({ userId, success, error, details }) => {
+      if (success) {
+        return { userId, success };
+      }
+
+      // Los errores no previstos no exponen su mensaje interno
+      const [, message] = USER_ERRORS[error] || [500, 'Error interno del servidor'];
+      return {
+        userId,
+        success,
+        error: {
+          code: USER_ERRORS[error] ? error : 'INTERNAL_ERROR',
+          message,
+          ...(details && { details })
+        }
+      };
     });
 
-    // 2. Remover rol 5 (colaborador)
-    await UserModel.removeAllRoles(parseInt(userId));
+    const succeeded = results.filter(r => r.success).length;
 
-    // 3. Asignar rol 2 (cliente)
-    const clienteRoleId = 2;
-    await UserModel.assignRole(parseInt(userId), clienteRoleId);
+    ApiResponse.success(res, {
+      action,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results
+    }, `Acción ${action} aplicada a ${succeeded} de ${results.length} usuarios`);
+  });
 
-    logger.info('Usuario aprobado y rol cambiado', {
-      userId: parseInt(userId),
-      oldRole: 5,
-      newRole: clienteRoleId
-    });
+  /**
+   * Traduce los errores de UserAdminService y RegistrationApprovalService
+   * @param {Object} res - Response object
+   * @param {Error} error - Error lanzado por el servicio
+   */
+  static userErrorResponse(res, error) {
+    const mapped = USER_ERRORS[error.message];
 
-    ApiResponse.success(res, null, 'Usuario aprobado exitosamente');
-  });
+    if (!mapped) {
+      throw error;
+    }
+
+    const [status, message] = mapped;
+    return ApiResponse.error(res, message, status, error.message, error.details);
+  }
 
   /**
    * Cambia el rol de un usuario (reemplaza el rol actual)
@@ -389,11 +888,10 @@ class UserController {
       return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
     }
 
-    // Verificar que el usuario no tiene rol 5 (colaborador pendiente)
+    // Un registro pendiente se resuelve con approve/reject, no cambiando su rol
     const userWithRoles = await UserModel.findWithRoles(parseInt(userId));
-    const hasColaboradorRole = userWithRoles.roles?.some(r => r.id_rol === 5);
 
-    if (hasColaboradorRole) {
+    if (RegistrationApprovalService.isPending(userWithRoles)) {
       return ApiResponse.error(
         res,
         'No se puede cambiar el rol de un usuario pendiente de aprobación. Debe aprobarlo primero.',
@@ -411,6 +909,14 @@ class UserController {
     // Remover todos los roles actuales y asignar el nuevo
     await UserModel.removeAllRoles(parseInt(userId));
     await UserModel.assignRole(parseInt(userId), parseInt(roleId));
+    await TokenRevocationService.revokeUserTokens(parseInt(userId), 'roles_changed');
+
+    await AuditService.record(AuditService.ACTIONS.USER_ROLE_CHANGE, {
+      context: AuditService.contextFromRequest(req),
+      targetId: parseInt(userId),
+      before: { roles: userWithRoles.roles?.map(r => r.nombre) || [] },
+      after: { roles: [role.nombre] }
+    });
 
     ApiResponse.success(res, null, `Rol cambiado a ${role.nombre} exitosamente`);
   });
@@ -427,21 +933,50 @@ class UserController {
       return ApiResponse.error(res, 'El campo activo debe ser true o false', 400, 'INVALID_ACTIVO');
     }
 
-    // Verificar que el usuario existe
+    try {
+      await UserAdminService.setActive(parseInt(userId), activo, AuditService.contextFromRequest(req));
+    } catch (error) {
+      return UserController.userErrorResponse(res, error);
+    }
+
+    const message = activo ? 'Usuario activado exitosamente' : 'Usuario desactivado exitosamente';
+    ApiResponse.success(res, null, message);
+  });
+
+  /**
+   * Marca (o desmarca) que el usuario debe cambiar su contraseña en el próximo login.
+   * Al marcarla se cierran sus sesiones para que el cambio sea inmediato.
+   * PATCH /api/users/:userId/require-password-change
+   */
+  static requirePasswordChange = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const required = req.body?.required !== false;
+
     const existingUser = await UserModel.findById(parseInt(userId));
     if (!existingUser) {
       return ApiResponse.notFound(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
     }
 
-    // No permitir desactivar el propio usuario si es admin
-    if (parseInt(userId) === req.userId && !activo) {
-      return ApiResponse.error(res, 'No puedes desactivar tu propia cuenta', 400, 'CANNOT_DEACTIVATE_SELF');
+    await UserModel.setPasswordChangeRequired(parseInt(userId), required);
+
+    let invalidatedSessions = 0;
+    if (required) {
+      invalidatedSessions = await SessionModel.invalidateAllUserSessions(parseInt(userId));
+      await TokenRevocationService.revokeUserTokens(parseInt(userId), 'password_change_required');
     }
 
-    await UserModel.updateUser(parseInt(userId), { activo });
+    await AuditService.record(AuditService.ACTIONS.USER_UPDATE, {
+      context: AuditService.contextFromRequest(req),
+      targetId: parseInt(userId),
+      before: { debeCambiarPassword: !!existingUser.debe_cambiar_password },
+      after: { debeCambiarPassword: required },
+      metadata: { invalidatedSessions }
+    });
 
-    const message = activo ? 'Usuario activado exitosamente' : 'Usuario desactivado exitosamente';
-    ApiResponse.success(res, null, message);
+    const message = required
+      ? 'El usuario deberá cambiar su contraseña en el próximo inicio de sesión'
+      : 'Se quitó el cambio de contraseña obligatorio';
+    ApiResponse.success(res, { debeCambiarPassword: required, invalidatedSessions }, message);
   });
 
   /**
@@ -464,6 +999,14 @@ class UserController {
 
     try {
       await UserModel.deleteUser(parseInt(userId));
+      await TokenRevocationService.revokeUserTokens(parseInt(userId), 'user_deleted');
+
+      await AuditService.record(AuditService.ACTIONS.USER_DELETE, {
+        context: AuditService.contextFromRequest(req),
+        targetId: parseInt(userId),
+        before: { email: existingUser.email, ...auditSnapshot(existingUser) }
+      });
+
       ApiResponse.success(res, null, 'Usuario eliminado permanentemente');
     } catch (error) {
       // Si hay error de foreign key, informar al usuario
@@ -3,19 +3,31 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const sessionRoutes = require('./routes/sessionRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
 
 const { errorHandler } = require('./middleware/errorHandler');
+const { globalLimiter } = require('./middleware/rateLimiters');
+const { requestId } = require('./middleware/requestId');
 const logger = require('./utils/logger');
+const AuthUtils = require('./utils/authUtils');
+const ClientIp = require('./utils/clientIp');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ID de solicitud: header X-Request-Id, logs y cuerpos de error
+app.use(requestId);
+
+// req.ip usa la misma lista de proxies de confianza que AuthUtils.getRealIP (TRUSTED_PROXIES)
+app.set('trust proxy', ClientIp.isTrusted);
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -29,8 +41,7 @@ app.use(cors({
       'https://login-shoker.vercel.app'
     ];
 
-    console.log('Incoming origin:', origin); // Debug log
-
+    logger.debug('Origen CORS recibido', { origin });
 
     // Allow requests with no origin (like mobile apps or curl requests)
     if (!origin) return callback(null, true);
@@ -54,7 +65,8 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Additional CORS headers for development
@@ -72,19 +84,8 @@ if (process.env.NODE_ENV === 'development') {
   });
 }
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    error: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.',
-    code: 'RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use(limiter);
+// Rate limiting global (los endpoints de autenticación tienen limitadores propios en authRoutes)
+app.use(globalLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -93,10 +94,23 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
-if (process.env.NODE_ENV !== 'test') {
-  app.use(morgan('combined'));
-}
+// Logging middleware: una línea JSON por solicitud a través del logger
+app.use(morgan((tokens, req, res) => {
+  logger.info('Solicitud HTTP', {
+    requestId: req.requestId,
+    userId: req.userId,
+    method: tokens.method(req, res),
+    // Sin query string: puede traer tokens (ej: verificación de email)
+    path: req.originalUrl.split('?')[0],
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    ip: AuthUtils.getRealIP(req),
+    userAgent: tokens['user-agent'](req, res)
+  });
+
+  // El logger ya escribió la línea; morgan no escribe nada más
+  return null;
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -108,17 +122,23 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Rutas públicas de descubrimiento (JWKS)
+app.use('/.well-known', wellKnownRoutes);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Endpoint no encontrado',
     message: `La ruta ${req.originalUrl} no existe en este servidor`,
-    code: 'ENDPOINT_NOT_FOUND'
+    code: 'ENDPOINT_NOT_FOUND',
+    requestId: req.requestId
   });
 });
 
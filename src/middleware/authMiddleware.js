@@ -3,7 +3,11 @@ const ApiResponse = require('../utils/apiResponse');
 const UserModel = require('../models/UserModel');
 const SessionModel = require('../models/SessionModel');
 const RoleModel = require('../models/RoleModel');
+const AuthService = require('../services/AuthService');
+const TokenRevocationService = require('../services/TokenRevocationService');
+const PasswordPolicyService = require('../services/PasswordPolicyService');
 const logger = require('../utils/logger');
+const RequestContext = require('../utils/requestContext');
 
 /**
  * Middleware de autenticación JWT
@@ -19,6 +23,21 @@ const authenticateToken = async (req, res, next) => {
 
     // Verificar JWT
     const decoded = AuthUtils.verifyJWT(token);
+
+    // El token restringido del login solo sirve para cambiar la contraseña
+    if (decoded.aud === 'password_change') {
+      return ApiResponse.forbidden(res, 'Debes cambiar tu contraseña antes de continuar', 'PASSWORD_CHANGE_REQUIRED');
+    }
+
+    // Solo se aceptan access tokens (no tokens intermedios como el de 2FA)
+    if (decoded.aud !== 'authenticated') {
+      return ApiResponse.unauthorized(res, 'Token inválido', 'INVALID_TOKEN');
+    }
+
+    // Rechazar tokens revocados (logout, desactivación, cambio de roles...)
+    if (await TokenRevocationService.isRevoked(decoded)) {
+      return ApiResponse.unauthorized(res, 'Token revocado', 'TOKEN_REVOKED');
+    }
     
     // Obtener información completa del usuario
     const user = await UserModel.findWithRoles(decoded.userId);
@@ -35,10 +54,18 @@ const authenticateToken = async (req, res, next) => {
       return ApiResponse.unauthorized(res, 'Cuenta bloqueada', 'ACCOUNT_LOCKED');
     }
 
+    // Tokens emitidos antes de marcar la contraseña para cambio (el marcado también los revoca)
+    if (user.debe_cambiar_password) {
+      return ApiResponse.forbidden(res, 'Debes cambiar tu contraseña antes de continuar', 'PASSWORD_CHANGE_REQUIRED');
+    }
+
     // Agregar usuario al request
     req.user = user;
     req.userId = user.id_usuario; // Usar id_usuario internamente
     req.userRoles = user.roles || [];
+    req.userPermissions = decoded.permissions || [];
+    req.sessionId = decoded.sid || null;
+    RequestContext.set({ userId: user.id_usuario });
 
     next();
   } catch (error) {
@@ -56,6 +83,56 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Autenticación de POST /api/auth/change-password: acepta el access token normal
+ * o el token restringido que emite el login cuando la contraseña debe cambiarse
+ */
+const authenticatePasswordChange = async (req, res, next) => {
+  let decoded = null;
+
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    decoded = token ? AuthUtils.verifyJWT(token) : null;
+  } catch (error) {
+    decoded = null;
+  }
+
+  // Access token normal, ausente o inválido: authenticateToken responde como siempre
+  if (decoded?.aud !== 'password_change') {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    if (await TokenRevocationService.isRevoked(decoded)) {
+      return ApiResponse.unauthorized(res, 'Token revocado', 'TOKEN_REVOKED');
+    }
+
+    const user = await UserModel.findWithRoles(decoded.userId);
+
+    if (!user) {
+      return ApiResponse.unauthorized(res, 'Usuario no encontrado', 'USER_NOT_FOUND');
+    }
+
+    // Una vez cambiada la contraseña el token restringido deja de servir
+    if (!PasswordPolicyService.passwordChangeReason(user)) {
+      return ApiResponse.unauthorized(res, 'Token inválido', 'INVALID_TOKEN');
+    }
+
+    req.user = user;
+    req.userId = user.id_usuario;
+    req.userRoles = [];
+    req.userPermissions = [];
+    req.sessionId = null;
+    req.passwordChangeOnly = true;
+    RequestContext.set({ userId: user.id_usuario });
+
+    next();
+  } catch (error) {
+    logger.error('Error en autenticación para cambio de contraseña', error);
+    return ApiResponse.error(res, 'Error de autenticación', 500);
+  }
+};
+
 /**
  * Middleware de autenticación opcional
  * Similar a authenticateToken pero no falla si no hay token
@@ -70,21 +147,27 @@ const optionalAuthentication = async (req, res, next) => {
       req.user = null;
       req.userId = null;
       req.userRoles = [];
+      req.userPermissions = [];
       return next();
     }
 
     // Si hay token, validarlo
     const decoded = AuthUtils.verifyJWT(token);
-    const user = await UserModel.findWithRoles(decoded.userId);
+    const user = decoded.aud === 'authenticated' && !(await TokenRevocationService.isRevoked(decoded))
+      ? await UserModel.findWithRoles(decoded.userId)
+      : null;
     
     if (user && user.activo && !user.bloqueado) {
       req.user = user;
       req.userId = user.id_usuario; // Usar id_usuario internamente
       req.userRoles = user.roles || [];
+      req.userPermissions = decoded.permissions || [];
+      req.sessionId = decoded.sid || null;
     } else {
       req.user = null;
       req.userId = null;
       req.userRoles = [];
+      req.userPermissions = [];
     }
 
     next();
@@ -93,6 +176,7 @@ const optionalAuthentication = async (req, res, next) => {
     req.user = null;
     req.userId = null;
     req.userRoles = [];
+    req.userPermissions = [];
     next();
   }
 };
@@ -112,6 +196,11 @@ const validateRefreshToken = async (req, res, next) => {
     const session = await SessionModel.findByRefreshToken(refreshToken);
     
     if (!session) {
+      // Un token ya rotado indica robo: se revoca la familia completa
+      if (await AuthService.detectRefreshTokenReuse(refreshToken)) {
+        return ApiResponse.unauthorized(res, 'Refresh token reutilizado. Se cerró la sesión por seguridad.', 'REFRESH_TOKEN_REUSED');
+      }
+
       return ApiResponse.unauthorized(res, 'Sesión no válida', 'INVALID_SESSION');
     }
 
@@ -126,6 +215,7 @@ const validateRefreshToken = async (req, res, next) => {
     req.session = session;
     req.user = session.usuarios;
     req.userId = session.usuarios.id_usuario; // Usar id_usuario
+    RequestContext.set({ userId: req.userId });
 
     next();
   } catch (error) {
@@ -171,6 +261,45 @@ const requireRole = (...roles) => {
  */
 const requireAdmin = requireRole('admin');
 
+/**
+ * Middleware para autorización por permisos
+ * Requiere todos los permisos indicados. Los permisos vienen embebidos en el
+ * access token, por lo que los cambios se reflejan al renovar tokens.
+ * El rol admin tiene todos los permisos.
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return ApiResponse.unauthorized(res, 'Autenticación requerida', 'AUTHENTICATION_REQUIRED');
+      }
+
+      const userRoles = req.userRoles || [];
+      const isAdmin = userRoles.some(role => role.nombre.toLowerCase() === 'admin');
+
+      if (isAdmin) {
+        return next();
+      }
+
+      const userPermissions = req.userPermissions || [];
+      const requiredPermissions = permissions.map(permission => permission.toLowerCase());
+      const missingPermissions = requiredPermissions.filter(permission => !userPermissions.includes(permission));
+
+      if (missingPermissions.length > 0) {
+        return ApiResponse.forbidden(res,
+          `Se requieren los siguientes permisos: ${missingPermissions.join(', ')}`,
+          'INSUFFICIENT_PERMISSIONS'
+        );
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error en autorización de permisos', error);
+      return ApiResponse.error(res, 'Error de autorización', 500);
+    }
+  };
+};
+
 /**
  * Middleware para verificar propiedad del recurso o admin
  */
@@ -187,7 +316,8 @@ const requireOwnershipOrAdmin = (getUserIdFromParams = (req) => req.params.userI
       const isAdmin = userRoles.some(role => role.nombre.toLowerCase() === 'admin');
 
       // El usuario puede acceder si es admin o es el dueño del recurso
-      if (isAdmin || currentUserId === targetUserId) {
+      // (el id de los parámetros de la URL llega como string)
+      if (isAdmin || String(currentUserId) === String(targetUserId)) {
         next();
       } else {
         return ApiResponse.forbidden(res, 
@@ -252,10 +382,12 @@ const requireActiveUser = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticatePasswordChange,
   optionalAuthentication,
   validateRefreshToken,
   requireRole,
   requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
   logAuthenticatedRequest,
   requireActiveUser
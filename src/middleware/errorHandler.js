@@ -1,5 +1,20 @@
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
+const AuthUtils = require('../utils/authUtils');
+
+/**
+ * Cuerpo de la solicitud para el log. Los cuerpos de texto (CSV/NDJSON de
+ * /import) no pasan por la redacción de campos, así que solo se registra su tamaño.
+ * @param {*} body - req.body
+ * @returns {*} El cuerpo JSON tal cual, o { type, length } para texto y binario
+ */
+const describeBody = (body) => {
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return { type: typeof body === 'string' ? 'text' : 'binary', length: body.length };
+  }
+
+  return body;
+};
 
 /**
  * Middleware global de manejo de errores
@@ -9,10 +24,10 @@ const errorHandler = (error, req, res, next) => {
   logger.error('Error no manejado', error, {
     method: req.method,
     path: req.path,
-    body: req.body,
+    body: describeBody(req.body),
     params: req.params,
     query: req.query,
-    ip: req.ip,
+    ip: AuthUtils.getRealIP(req),
     userAgent: req.get('User-Agent')
   });
 
@@ -42,6 +57,14 @@ const errorHandler = (error, req, res, next) => {
     return ApiResponse.error(res, 'No se puede eliminar el rol porque tiene usuarios asignados', 400, 'ROLE_HAS_USERS');
   }
 
+  if (error.message === 'PERMISSION_ALREADY_EXISTS') {
+    return ApiResponse.error(res, 'El permiso ya existe', 409, 'PERMISSION_ALREADY_EXISTS');
+  }
+
+  if (error.message === 'PERMISSION_ALREADY_GRANTED') {
+    return ApiResponse.error(res, 'El rol ya tiene este permiso', 409, 'PERMISSION_ALREADY_GRANTED');
+  }
+
   // Errores de JWT
   if (error.name === 'TokenExpiredError') {
     return ApiResponse.unauthorized(res, 'Token expirado', 'TOKEN_EXPIRED');
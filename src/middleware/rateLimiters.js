@@ -0,0 +1,182 @@
+const rateLimit = require('express-rate-limit');
+const RateLimitModel = require('../models/RateLimitModel');
+const ApiResponse = require('../utils/apiResponse');
+const AuthUtils = require('../utils/authUtils');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Límites por defecto de cada limitador. Se sobrescriben con
+ * RATE_LIMIT_<NOMBRE>_MAX y RATE_LIMIT_<NOMBRE>_WINDOW_MS (ej: RATE_LIMIT_LOGIN_EMAIL_MAX).
+ */
+const LIMITS = {
+  login_ip: { windowMs: 15 * MINUTE, max: 20 },
+  login_email: { windowMs: 15 * MINUTE, max: 5 },
+  register_ip: { windowMs: 60 * MINUTE, max: 5 },
+  refresh_ip: { windowMs: 15 * MINUTE, max: 60 },
+  refresh_user: { windowMs: 15 * MINUTE, max: 30 },
+  password_ip: { windowMs: 60 * MINUTE, max: 10 },
+  password_email: { windowMs: 60 * MINUTE, max: 3 },
+  password_user: { windowMs: 15 * MINUTE, max: 5 },
+  verification_ip: { windowMs: 60 * MINUTE, max: 10 },
+  verification_email: { windowMs: 60 * MINUTE, max: 3 }
+};
+
+/**
+ * Store de express-rate-limit que guarda los contadores en el almacenamiento de datos
+ * (RateLimitModel), compartido entre instancias serverless y arranques en frío.
+ */
+class SharedRateLimitStore {
+  /**
+   * @param {string} prefix - Prefijo de las claves (nombre del limitador)
+   */
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = null;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { total, fechaReinicio } = await RateLimitModel.increment(this.prefix + key, this.windowMs);
+    return { totalHits: total, resetTime: fechaReinicio };
+  }
+
+  async decrement(key) {
+    await RateLimitModel.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await RateLimitModel.reset(this.prefix + key);
+  }
+}
+
+/**
+ * Límite configurado de un limitador
+ * @param {string} name - Nombre del limitador (ver LIMITS)
+ * @returns {Object} { windowMs, max }
+ */
+const getLimit = (name) => {
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+
+  return {
+    windowMs: parseInt(process.env[`${envName}_WINDOW_MS`]) || LIMITS[name].windowMs,
+    max: parseInt(process.env[`${envName}_MAX`]) || LIMITS[name].max
+  };
+};
+
+/**
+ * Crea el store del limitador según RATE_LIMIT_STORE
+ * (memory: contadores del proceso; database: compartidos vía RateLimitModel)
+ * @param {string} name - Nombre del limitador
+ * @returns {Object|undefined} Store o undefined para usar el de memoria
+ */
+const createStore = (name) => {
+  const storeName = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  if (storeName === 'memory') {
+    return undefined;
+  }
+
+  if (storeName === 'database') {
+    return new SharedRateLimitStore(name);
+  }
+
+  throw new Error(`RATE_LIMIT_STORE no soportado: ${storeName}`);
+};
+
+/**
+ * Respuesta al superar un límite
+ */
+const limitExceededHandler = (name) => (req, res) => {
+  logger.warn('Límite de solicitudes excedido', { limiter: name, ip: AuthUtils.getRealIP(req), path: req.path });
+
+  return ApiResponse.error(res,
+    'Demasiados intentos. Espera unos minutos antes de volver a intentarlo.',
+    429,
+    'RATE_LIMIT_EXCEEDED'
+  );
+};
+
+/**
+ * Crea un limitador
+ * @param {string} name - Nombre del limitador (ver LIMITS)
+ * @param {Function} getKey - Obtiene la clave del request (null para no limitar ese request)
+ * @param {Object} options - Opciones extra de express-rate-limit
+ * @returns {Function} Middleware
+ */
+const createLimiter = (name, getKey, options = {}) => {
+  const { windowMs, max } = getLimit(name);
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createStore(name),
+    // Si el almacenamiento compartido falla se deja pasar la solicitud en lugar de bloquear el login
+    passOnStoreError: true,
+    keyGenerator: (req) => getKey(req),
+    skip: (req) => !getKey(req),
+    handler: limitExceededHandler(name),
+    ...options
+  });
+};
+
+const byIp = (req) => AuthUtils.getRealIP(req);
+const byEmail = (req) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email || null;
+};
+const byUser = (req) => (req.userId ? String(req.userId) : null);
+
+/**
+ * Limitador global por IP: protección gruesa contra floods. Usa siempre memoria
+ * para no consultar el almacenamiento en cada solicitud.
+ */
+const globalLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * MINUTE,
+  limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: byIp,
+  handler: limitExceededHandler('global')
+});
+
+// En login solo cuentan los intentos fallidos: un usuario legítimo no se bloquea a sí mismo
+const loginIpLimiter = createLimiter('login_ip', byIp, { skipSuccessfulRequests: true });
+const loginEmailLimiter = createLimiter('login_email', byEmail, { skipSuccessfulRequests: true });
+
+const registerIpLimiter = createLimiter('register_ip', byIp);
+
+// refresh_user y password_user van después del middleware que identifica al usuario
+const refreshIpLimiter = createLimiter('refresh_ip', byIp);
+const refreshUserLimiter = createLimiter('refresh_user', byUser);
+
+// Presupuesto por IP compartido entre forgot-password y reset-password
+const passwordIpLimiter = createLimiter('password_ip', byIp);
+const passwordEmailLimiter = createLimiter('password_email', byEmail);
+const passwordUserLimiter = createLimiter('password_user', byUser);
+
+// Presupuesto por IP compartido entre verify-email y resend-verification
+const verificationIpLimiter = createLimiter('verification_ip', byIp);
+const verificationEmailLimiter = createLimiter('verification_email', byEmail);
+
+module.exports = {
+  SharedRateLimitStore,
+  globalLimiter,
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  refreshIpLimiter,
+  refreshUserLimiter,
+  passwordIpLimiter,
+  passwordEmailLimiter,
+  passwordUserLimiter,
+  verificationIpLimiter,
+  verificationEmailLimiter
+};
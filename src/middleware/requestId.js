@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const RequestContext = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Se acepta el ID de un proxy o cliente solo si no puede inyectar nada raro en los logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Asigna un ID a cada solicitud (o reutiliza el de X-Request-Id si es válido),
+ * lo devuelve en el header X-Request-Id y lo deja en el contexto para los logs
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+
+  RequestContext.run({ requestId: id }, next);
+};
+
+module.exports = {
+  requestId,
+  REQUEST_ID_HEADER
+};
@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de registro de auditoría.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/AuditRepository.js o src/repositories/memory/AuditRepository.js).
+ */
+module.exports = createRepositoryProxy('audit');
@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de tokens de verificación de email.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/EmailVerificationRepository.js o src/repositories/memory/EmailVerificationRepository.js).
+ */
+module.exports = createRepositoryProxy('emailVerifications');
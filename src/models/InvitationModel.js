@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de tokens de invitación (usuarios creados por un administrador).
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/InvitationRepository.js o src/repositories/memory/OneTimeTokenRepository.js).
+ */
+module.exports = createRepositoryProxy('invitations');
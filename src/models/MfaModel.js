@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de autenticación de dos factores (TOTP).
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/MfaRepository.js o src/repositories/memory/MfaRepository.js).
+ */
+module.exports = createRepositoryProxy('mfa');
@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo del historial de contraseñas.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/PasswordHistoryRepository.js o src/repositories/memory/PasswordHistoryRepository.js).
+ */
+module.exports = createRepositoryProxy('passwordHistory');
@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de tokens de recuperación de contraseña.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/PasswordResetRepository.js o src/repositories/memory/PasswordResetRepository.js).
+ */
+module.exports = createRepositoryProxy('passwordResets');
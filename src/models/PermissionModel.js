@@ -0,0 +1,9 @@
+const { createRepositoryProxy } = require('../repositories');
+const { DEFAULT_PERMISSIONS } = require('../repositories/defaults');
+
+/**
+ * Modelo de permisos.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/PermissionRepository.js o src/repositories/memory/PermissionRepository.js).
+ */
+module.exports = createRepositoryProxy('permissions', { DEFAULT_PERMISSIONS });
@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de contadores de rate limiting compartidos (RATE_LIMIT_STORE=database).
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/RateLimitRepository.js o src/repositories/memory/RateLimitRepository.js).
+ */
+module.exports = createRepositoryProxy('rateLimits');
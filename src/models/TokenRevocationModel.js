@@ -0,0 +1,8 @@
+const { createRepositoryProxy } = require('../repositories');
+
+/**
+ * Modelo de lista de revocación de access tokens.
+ * Delega en el repositorio del almacenamiento configurado en DATA_STORE
+ * (src/repositories/supabase/TokenRevocationRepository.js o src/repositories/memory/TokenRevocationRepository.js).
+ */
+module.exports = createRepositoryProxy('tokenRevocations');
@@ -0,0 +1,29 @@
+/**
+ * Datos por defecto compartidos por todos los almacenamientos
+ */
+
+/**
+ * Roles por defecto del sistema
+ */
+const DEFAULT_ROLES = ['admin', 'empleado', 'cliente', 'colaborador'];
+
+/**
+ * Permisos por defecto del sistema (formato recurso:acción)
+ */
+const DEFAULT_PERMISSIONS = [
+  { nombre: 'users:read', descripcion: 'Listar y consultar usuarios' },
+  { nombre: 'users:create', descripcion: 'Crear usuarios e invitar empleados' },
+  { nombre: 'users:update', descripcion: 'Actualizar datos de usuarios' },
+  { nombre: 'users:approve', descripcion: 'Aprobar usuarios pendientes' },
+  { nombre: 'users:deactivate', descripcion: 'Activar o desactivar usuarios' },
+  { nombre: 'users:delete', descripcion: 'Eliminar usuarios permanentemente' },
+  { nombre: 'users:roles', descripcion: 'Asignar y remover roles de usuarios' },
+  { nombre: 'roles:manage', descripcion: 'Administrar roles y permisos' },
+  { nombre: 'sessions:cleanup', descripcion: 'Limpiar sesiones expiradas' },
+  { nombre: 'audit:read', descripcion: 'Consultar el registro de auditoría' }
+];
+
+module.exports = {
+  DEFAULT_ROLES,
+  DEFAULT_PERMISSIONS
+};
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+
+/**
+ * Contrato de cada repositorio: métodos que toda implementación debe exponer.
+ * Las firmas y valores de retorno están documentados en la implementación Supabase.
+ */
+const REPOSITORY_METHODS = {
+  users: [
+    'createUser', 'findByEmail', 'findById', 'findWithRoles', 'updateUser', 'setApprovalState',
+    'setPasswordChangeRequired', 'updateLastLogin', 'changePassword', 'assignRole', 'removeRole', 'getUsers',
+    'deactivateUser', 'getAllWithRoles', 'removeAllRoles', 'deleteUser'
+  ],
+  sessions: [
+    'createSession', 'findByRefreshToken', 'getActiveSessions', 'invalidateSession',
+    'invalidateAllUserSessions', 'invalidateByRefreshToken', 'isValidSession', 'updateLastActivity',
+    'cleanExpiredSessions', 'renewSession', 'findRotatedToken', 'revokeFamily',
+    'migratePlaintextRefreshTokens', 'getUserSessionStats'
+  ],
+  roles: [
+    'createRole', 'getAllRoles', 'findById', 'findByName', 'updateRole', 'deleteRole',
+    'getUsersByRole', 'getUserRoles', 'userHasRole', 'userHasAnyRole', 'initializeDefaultRoles'
+  ],
+  permissions: [
+    'createPermission', 'getAllPermissions', 'findById', 'findByName', 'getRolePermissions',
+    'getPermissionNamesForRoles', 'grantToRole', 'revokeFromRole', 'initializeDefaultPermissions'
+  ],
+  passwordResets: ['createToken', 'findValidToken', 'markUsed', 'invalidateUserTokens'],
+  emailVerifications: ['createToken', 'findValidToken', 'markUsed', 'invalidateUserTokens'],
+  invitations: ['createToken', 'findValidToken', 'markUsed', 'invalidateUserTokens'],
+  passwordHistory: ['add', 'findRecent', 'prune'],
+  mfa: [
+    'getSettings', 'savePendingSecret', 'enable', 'disable', 'markStepUsed', 'replaceRecoveryCodes',
+    'consumeRecoveryCode', 'countRemainingRecoveryCodes', 'deleteRecoveryCodes'
+  ],
+  audit: ['create', 'list'],
+  tokenRevocations: ['upsert', 'findActiveByKeys', 'deleteExpired'],
+  rateLimits: ['increment', 'decrement', 'reset', 'deleteExpired']
+};
+
+/**
+ * Almacenamientos disponibles (se cargan bajo demanda para no requerir
+ * las variables de Supabase cuando se usa el almacenamiento en memoria)
+ */
+const STORES = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory')
+};
+
+let selectedStore = null;
+let loadedRepositories = null;
+
+/**
+ * Nombre del almacenamiento activo (DATA_STORE, por defecto supabase)
+ * @returns {string} supabase | memory
+ */
+const getStoreName = () => selectedStore || (process.env.DATA_STORE || 'supabase').toLowerCase();
+
+/**
+ * Verifica que un almacenamiento implemente el contrato completo
+ * @param {string} storeName - Nombre del almacenamiento
+ * @param {Object} repositories - Repositorios por entidad
+ */
+const assertContract = (storeName, repositories) => {
+  Object.entries(REPOSITORY_METHODS).forEach(([entity, methods]) => {
+    const repository = repositories[entity];
+    const missing = methods.filter(method => typeof repository?.[method] !== 'function');
+
+    if (missing.length > 0) {
+      throw new Error(`El almacenamiento ${storeName} no implementa ${entity}: ${missing.join(', ')}`);
+    }
+  });
+};
+
+/**
+ * Obtiene los repositorios del almacenamiento activo
+ * @returns {Object} Repositorios por entidad
+ */
+const getRepositories = () => {
+  if (loadedRepositories) {
+    return loadedRepositories;
+  }
+
+  const storeName = getStoreName();
+  const loadStore = STORES[storeName];
+
+  if (!loadStore) {
+    throw new Error(`DATA_STORE no soportado: ${storeName}`);
+  }
+
+  const repositories = loadStore();
+  assertContract(storeName, repositories);
+
+  logger.info('Almacenamiento de datos seleccionado', { store: storeName });
+  loadedRepositories = repositories;
+  return loadedRepositories;
+};
+
+/**
+ * Obtiene el repositorio de una entidad
+ * @param {string} entity - Entidad (ver REPOSITORY_METHODS)
+ * @returns {Object} Repositorio
+ */
+const getRepository = (entity) => getRepositories()[entity];
+
+/**
+ * Cambia el almacenamiento activo (tests o scripts)
+ * @param {string} storeName - supabase | memory
+ */
+const useStore = (storeName) => {
+  selectedStore = storeName;
+  loadedRepositories = null;
+};
+
+/**
+ * Crea el objeto que usan servicios y controladores (UserModel, SessionModel, ...).
+ * Cada llamada se delega al repositorio del almacenamiento activo, que se resuelve
+ * en el primer uso y no al importar el módulo.
+ * @param {string} entity - Entidad (ver REPOSITORY_METHODS)
+ * @param {Object} extras - Propiedades propias del modelo (constantes compartidas)
+ * @returns {Object} Modelo
+ */
+const createRepositoryProxy = (entity, extras = {}) => new Proxy(extras, {
+  get(target, property) {
+    if (property in target) {
+      return target[property];
+    }
+
+    const repository = getRepository(entity);
+    const value = repository[property];
+    return typeof value === 'function' ? value.bind(repository) : value;
+  }
+});
+
+module.exports = {
+  REPOSITORY_METHODS,
+  getStoreName,
+  getRepositories,
+  getRepository,
+  useStore,
+  createRepositoryProxy
+};
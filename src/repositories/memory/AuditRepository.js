@@ -0,0 +1,47 @@
+const MemoryStore = require('./store');
+
+/**
+ * Repositorio en memoria del registro de auditoría.
+ * Implementa el mismo contrato que SupabaseAuditRepository.
+ */
+class MemoryAuditRepository {
+  static async create({ accion, actorId = null, objetivoId = null, ip = null, userAgent = null, cambios = null, metadata = null }) {
+    const entry = MemoryStore.insert('auditoria', 'id_auditoria', {
+      accion,
+      actor_id: actorId,
+      objetivo_id: objetivoId,
+      ip,
+      user_agent: userAgent,
+      cambios,
+      metadata,
+      fecha: MemoryStore.now()
+    });
+
+    delete entry.fecha_creacion;
+    return MemoryStore.copy(entry);
+  }
+
+  static async list({ userId = null, action = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+    const matchesAction = (accion) => {
+      if (!action) return true;
+      return action.endsWith('*') ? accion.startsWith(action.slice(0, -1)) : accion === action;
+    };
+
+    const rows = MemoryStore.table('auditoria')
+      .filter(e => !userId || e.actor_id === userId || e.objetivo_id === userId)
+      .filter(e => matchesAction(e.accion))
+      .filter(e => !from || new Date(e.fecha) >= new Date(from))
+      .filter(e => !to || new Date(e.fecha) <= new Date(to))
+      .filter(e => !cursor || e.id_auditoria < cursor)
+      .sort((a, b) => b.id_auditoria - a.id_auditoria);
+
+    const entries = rows.slice(0, limit).map(e => MemoryStore.copy(e));
+
+    return {
+      entries,
+      nextCursor: rows.length > limit ? entries[entries.length - 1].id_auditoria : null
+    };
+  }
+}
+
+module.exports = MemoryAuditRepository;
@@ -0,0 +1,114 @@
+const MemoryStore = require('./store');
+const AuthUtils = require('../../utils/authUtils');
+const TotpUtils = require('../../utils/totpUtils');
+
+const findUser = (userId) => MemoryStore.table('usuarios').find(u => u.id_usuario === userId);
+
+const hashRecoveryCode = (code) => AuthUtils.hashToken(TotpUtils.normalizeRecoveryCode(code));
+
+/**
+ * Repositorio en memoria de la autenticación de dos factores.
+ * Implementa el mismo contrato que SupabaseMfaRepository; el secreto se guarda cifrado igual que en la BD.
+ */
+class MemoryMfaRepository {
+  static async getSettings(userId) {
+    const user = findUser(userId);
+
+    if (!user) {
+      return null;
+    }
+
+    return {
+      userId: user.id_usuario,
+      enabled: !!user.mfa_habilitado,
+      secret: user.mfa_secreto ? TotpUtils.decryptSecret(user.mfa_secreto) : null,
+      lastUsedStep: user.mfa_ultimo_paso
+    };
+  }
+
+  static async savePendingSecret(userId, secret) {
+    const user = findUser(userId);
+
+    if (user) {
+      Object.assign(user, {
+        mfa_secreto: TotpUtils.encryptSecret(secret),
+        mfa_habilitado: false,
+        mfa_ultimo_paso: null
+      });
+    }
+
+    return true;
+  }
+
+  static async enable(userId, usedStep) {
+    const user = findUser(userId);
+
+    if (user) {
+      Object.assign(user, { mfa_habilitado: true, mfa_ultimo_paso: usedStep });
+    }
+
+    return true;
+  }
+
+  static async disable(userId) {
+    const user = findUser(userId);
+
+    if (user) {
+      Object.assign(user, { mfa_habilitado: false, mfa_secreto: null, mfa_ultimo_paso: null });
+    }
+
+    await this.deleteRecoveryCodes(userId);
+    return true;
+  }
+
+  static async markStepUsed(userId, step) {
+    const user = findUser(userId);
+
+    if (!user || (user.mfa_ultimo_paso !== null && user.mfa_ultimo_paso >= step)) {
+      return false;
+    }
+
+    user.mfa_ultimo_paso = step;
+    return true;
+  }
+
+  static async replaceRecoveryCodes(userId, codes) {
+    await this.deleteRecoveryCodes(userId);
+
+    codes.forEach(code => {
+      MemoryStore.insert('codigos_recuperacion_mfa', 'id_codigo', {
+        usuario_id: userId,
+        codigo_hash: hashRecoveryCode(code),
+        usado: false,
+        fecha_uso: null
+      });
+    });
+
+    return true;
+  }
+
+  static async consumeRecoveryCode(userId, code) {
+    const codeHash = hashRecoveryCode(code);
+    const record = MemoryStore.table('codigos_recuperacion_mfa')
+      .find(c => c.usuario_id === userId && c.codigo_hash === codeHash && !c.usado);
+
+    if (!record) {
+      return false;
+    }
+
+    record.usado = true;
+    record.fecha_uso = MemoryStore.now();
+    return true;
+  }
+
+  static async countRemainingRecoveryCodes(userId) {
+    return MemoryStore.table('codigos_recuperacion_mfa').filter(c => c.usuario_id === userId && !c.usado).length;
+  }
+
+  static async deleteRecoveryCodes(userId) {
+    MemoryStore.remove('codigos_recuperacion_mfa', c => c.usuario_id === userId);
+    return true;
+  }
+}
+
+module.exports = MemoryMfaRepository;
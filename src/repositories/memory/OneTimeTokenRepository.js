@@ -0,0 +1,57 @@
+const MemoryStore = require('./store');
+const AuthUtils = require('../../utils/authUtils');
+
+/**
+ * Crea un repositorio en memoria de tokens de un solo uso guardados como hash
+ * (tokens_recuperacion, tokens_verificacion y tokens_invitacion comparten estructura)
+ * @param {string} tableName - Tabla
+ * @param {string} defaultExpiresIn - Vigencia por defecto
+ * @returns {Object} Repositorio con createToken, findValidToken, markUsed, invalidateUserTokens
+ */
+const createOneTimeTokenRepository = (tableName, defaultExpiresIn) => ({
+  async createToken(userId, expiresIn = defaultExpiresIn) {
+    const token = AuthUtils.generateRefreshToken();
+
+    const record = MemoryStore.insert(tableName, 'id_token', {
+      usuario_id: userId,
+      token_hash: AuthUtils.hashToken(token),
+      fecha_expiracion: AuthUtils.getExpirationDate(expiresIn).toISOString(),
+      usado: false,
+      fecha_uso: null
+    });
+
+    return { token, record: MemoryStore.pick(record, ['id_token', 'usuario_id', 'fecha_expiracion']) };
+  },
+
+  async findValidToken(token) {
+    const tokenHash = AuthUtils.hashToken(token);
+    const now = new Date();
+
+    const record = MemoryStore.table(tableName)
+      .find(t => t.token_hash === tokenHash && !t.usado && new Date(t.fecha_expiracion) > now);
+
+    return MemoryStore.pick(record, ['id_token', 'usuario_id', 'fecha_expiracion', 'usado']);
+  },
+
+  async markUsed(tokenId) {
+    const record = MemoryStore.table(tableName).find(t => t.id_token === tokenId && !t.usado);
+
+    if (!record) {
+      return false;
+    }
+
+    record.usado = true;
+    record.fecha_uso = MemoryStore.now();
+    return true;
+  },
+
+  async invalidateUserTokens(userId) {
+    MemoryStore.table(tableName)
+      .filter(t => t.usuario_id === userId && !t.usado)
+      .forEach(t => { t.usado = true; });
+
+    return true;
+  }
+});
+
+module.exports = createOneTimeTokenRepository;
@@ -0,0 +1,36 @@
+const MemoryStore = require('./store');
+
+/**
+ * Entradas del historial de un usuario, de la más reciente a la más antigua
+ * @param {number} userId - ID del usuario
+ * @returns {Array<Object>} Filas
+ */
+const entriesOf = (userId) => MemoryStore.table('historial_passwords')
+  .filter(h => h.usuario_id === userId)
+  .sort((a, b) => b.id_historial - a.id_historial);
+
+/**
+ * Repositorio en memoria del historial de contraseñas.
+ * Implementa el mismo contrato que SupabasePasswordHistoryRepository.
+ */
+class MemoryPasswordHistoryRepository {
+  static async add(userId, passwordHash) {
+    MemoryStore.insert('historial_passwords', 'id_historial', {
+      usuario_id: userId,
+      password_hash: passwordHash
+    });
+    return true;
+  }
+
+  static async findRecent(userId, limit) {
+    return entriesOf(userId).slice(0, limit).map(h => h.password_hash);
+  }
+
+  static async prune(userId, keep) {
+    const stale = new Set(entriesOf(userId).slice(keep).map(h => h.id_historial));
+    MemoryStore.remove('historial_passwords', h => stale.has(h.id_historial));
+    return stale.size;
+  }
+}
+
+module.exports = MemoryPasswordHistoryRepository;
@@ -0,0 +1,93 @@
+const MemoryStore = require('./store');
+const logger = require('../../utils/logger');
+const { DEFAULT_PERMISSIONS } = require('../defaults');
+
+const PERMISSION_COLUMNS = ['id_permiso', 'nombre', 'descripcion'];
+
+const findRow = (permissionId) => MemoryStore.table('permisos').find(p => p.id_permiso === permissionId);
+
+/**
+ * Repositorio en memoria de permisos.
+ * Implementa el mismo contrato que SupabasePermissionRepository.
+ */
+class MemoryPermissionRepository {
+  static async createPermission(nombre, descripcion = null) {
+    const normalizedName = nombre.toLowerCase();
+
+    if (MemoryStore.table('permisos').some(p => p.nombre === normalizedName)) {
+      throw new Error('PERMISSION_ALREADY_EXISTS');
+    }
+
+    const permission = MemoryStore.insert('permisos', 'id_permiso', { nombre: normalizedName, descripcion });
+
+    logger.info('Permiso creado exitosamente', { permissionId: permission.id_permiso, nombre });
+    return MemoryStore.pick(permission, PERMISSION_COLUMNS);
+  }
+
+  static async getAllPermissions() {
+    return [...MemoryStore.table('permisos')]
+      .sort((a, b) => a.nombre.localeCompare(b.nombre))
+      .map(p => MemoryStore.pick(p, PERMISSION_COLUMNS));
+  }
+
+  static async findById(permissionId) {
+    return MemoryStore.pick(findRow(permissionId), PERMISSION_COLUMNS);
+  }
+
+  static async findByName(nombre) {
+    const normalizedName = nombre.toLowerCase();
+    return MemoryStore.pick(MemoryStore.table('permisos').find(p => p.nombre === normalizedName), PERMISSION_COLUMNS);
+  }
+
+  static async getRolePermissions(roleId) {
+    return MemoryStore.table('rol_permisos')
+      .filter(rp => rp.rol_id === roleId)
+      .map(rp => MemoryStore.pick(findRow(rp.permiso_id), PERMISSION_COLUMNS))
+      .filter(Boolean);
+  }
+
+  static async getPermissionNamesForRoles(roleIds) {
+    if (!roleIds || roleIds.length === 0) {
+      return [];
+    }
+
+    const names = MemoryStore.table('rol_permisos')
+      .filter(rp => roleIds.includes(rp.rol_id))
+      .map(rp => findRow(rp.permiso_id)?.nombre)
+      .filter(Boolean);
+
+    return [...new Set(names)].sort();
+  }
+
+  static async grantToRole(roleId, permissionId) {
+    if (!MemoryStore.table('roles').some(r => r.id_rol === roleId) || !findRow(permissionId)) {
+      throw MemoryStore.error('23503', 'El rol o el permiso no existe');
+    }
+
+    if (MemoryStore.table('rol_permisos').some(rp => rp.rol_id === roleId && rp.permiso_id === permissionId)) {
+      throw new Error('PERMISSION_ALREADY_GRANTED');
+    }
+
+    const grant = MemoryStore.insert('rol_permisos', 'id', { rol_id: roleId, permiso_id: permissionId });
+    return MemoryStore.pick(grant, ['id', 'rol_id', 'permiso_id']);
+  }
+
+  static async revokeFromRole(roleId, permissionId) {
+    MemoryStore.remove('rol_permisos', rp => rp.rol_id === roleId && rp.permiso_id === permissionId);
+    return true;
+  }
+
+  static async initializeDefaultPermissions() {
+    const createdPermissions = [];
+
+    for (const permission of DEFAULT_PERMISSIONS) {
+      if (!(await this.findByName(permission.nombre))) {
+        createdPermissions.push(await this.createPermission(permission.nombre, permission.descripcion));
+      }
+    }
+
+    return createdPermissions;
+  }
+}
+
+module.exports = MemoryPermissionRepository;
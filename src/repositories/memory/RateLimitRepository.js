@@ -0,0 +1,50 @@
+const MemoryStore = require('./store');
+
+const findRow = (clave) => MemoryStore.table('limites_tasa').find(l => l.clave === clave);
+
+/**
+ * Repositorio en memoria de los contadores de rate limiting.
+ * Implementa el mismo contrato que SupabaseRateLimitRepository.
+ */
+class MemoryRateLimitRepository {
+  static async increment(clave, windowMs) {
+    const now = Date.now();
+    let row = findRow(clave);
+
+    if (!row) {
+      row = { clave, total: 0, fecha_reinicio: null };
+      MemoryStore.table('limites_tasa').push(row);
+    }
+
+    if (!row.fecha_reinicio || new Date(row.fecha_reinicio).getTime() <= now) {
+      row.total = 0;
+      row.fecha_reinicio = new Date(now + windowMs).toISOString();
+    }
+
+    row.total += 1;
+
+    return { total: row.total, fechaReinicio: new Date(row.fecha_reinicio) };
+  }
+
+  static async decrement(clave) {
+    const row = findRow(clave);
+
+    if (row && row.total > 0) {
+      row.total -= 1;
+    }
+
+    return true;
+  }
+
+  static async reset(clave) {
+    MemoryStore.remove('limites_tasa', l => l.clave === clave);
+    return true;
+  }
+
+  static async deleteExpired() {
+    const now = Date.now();
+    return MemoryStore.remove('limites_tasa', l => new Date(l.fecha_reinicio).getTime() < now).length;
+  }
+}
+
+module.exports = MemoryRateLimitRepository;
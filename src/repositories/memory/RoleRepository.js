@@ -0,0 +1,114 @@
+const MemoryStore = require('./store');
+const logger = require('../../utils/logger');
+const { DEFAULT_ROLES } = require('../defaults');
+
+const ROLE_COLUMNS = ['id_rol', 'nombre', 'descripcion', 'fecha_creacion'];
+
+const findRow = (roleId) => MemoryStore.table('roles').find(r => r.id_rol === roleId);
+
+/**
+ * Nombres de los roles de un usuario
+ * @param {number} userId - ID del usuario
+ * @returns {Array<string>} Nombres de roles
+ */
+const roleNamesOf = (userId) => MemoryStore.table('usuario_roles')
+  .filter(ur => ur.usuario_id === userId)
+  .map(ur => findRow(ur.rol_id)?.nombre)
+  .filter(Boolean);
+
+/**
+ * Repositorio en memoria de roles.
+ * Implementa el mismo contrato que SupabaseRoleRepository.
+ */
+class MemoryRoleRepository {
+  static async createRole(nombre, descripcion = null) {
+    const normalizedName = nombre.toLowerCase();
+
+    if (MemoryStore.table('roles').some(r => r.nombre === normalizedName)) {
+      throw new Error('ROLE_ALREADY_EXISTS');
+    }
+
+    const role = MemoryStore.insert('roles', 'id_rol', { nombre: normalizedName, descripcion });
+
+    logger.info('Rol creado exitosamente', { roleId: role.id_rol, nombre });
+    return MemoryStore.copy(role);
+  }
+
+  static async getAllRoles() {
+    return [...MemoryStore.table('roles')]
+      .sort((a, b) => a.id_rol - b.id_rol)
+      .map(r => MemoryStore.pick(r, ROLE_COLUMNS));
+  }
+
+  static async findById(roleId) {
+    return MemoryStore.pick(findRow(roleId), ROLE_COLUMNS);
+  }
+
+  static async findByName(nombre) {
+    const normalizedName = nombre.toLowerCase();
+    return MemoryStore.pick(MemoryStore.table('roles').find(r => r.nombre === normalizedName), ROLE_COLUMNS);
+  }
+
+  static async updateRole(roleId, updateData) {
+    const role = findRow(roleId);
+
+    if (!role) {
+      throw MemoryStore.error('PGRST116', 'Rol no encontrado');
+    }
+
+    if (updateData.nombre && MemoryStore.table('roles').some(r => r.nombre === updateData.nombre && r.id_rol !== roleId)) {
+      throw new Error('ROLE_ALREADY_EXISTS');
+    }
+
+    Object.assign(role, updateData);
+    return MemoryStore.copy(role);
+  }
+
+  static async deleteRole(roleId) {
+    if (MemoryStore.table('usuario_roles').some(ur => ur.rol_id === roleId)) {
+      throw new Error('ROLE_HAS_USERS');
+    }
+
+    MemoryStore.remove('rol_permisos', rp => rp.rol_id === roleId);
+    MemoryStore.remove('roles', r => r.id_rol === roleId);
+
+    logger.info('Rol eliminado', { roleId });
+    return true;
+  }
+
+  static async getUsersByRole(roleId) {
+    return MemoryStore.table('usuario_roles')
+      .filter(ur => ur.rol_id === roleId)
+      .map(ur => MemoryStore.table('usuarios').find(u => u.id_usuario === ur.usuario_id))
+      .map(u => MemoryStore.pick(u, ['id_usuario', 'email', 'nombre', 'activo', 'fecha_creacion']));
+  }
+
+  static async getUserRoles(userId) {
+    return MemoryStore.table('usuario_roles')
+      .filter(ur => ur.usuario_id === userId)
+      .map(ur => MemoryStore.pick(findRow(ur.rol_id), ['id_rol', 'nombre', 'descripcion']));
+  }
+
+  static async userHasRole(userId, roleName) {
+    return roleNamesOf(userId).includes(roleName.toLowerCase());
+  }
+
+  static async userHasAnyRole(userId, roleNames) {
+    const lowerRoleNames = roleNames.map(name => name.toLowerCase());
+    return roleNamesOf(userId).some(name => lowerRoleNames.includes(name));
+  }
+
+  static async initializeDefaultRoles() {
+    const createdRoles = [];
+
+    for (const roleName of DEFAULT_ROLES) {
+      if (!(await this.findByName(roleName))) {
+        createdRoles.push(await this.createRole(roleName));
+      }
+    }
+
+    return createdRoles;
+  }
+}
+
+module.exports = MemoryRoleRepository;
@@ -0,0 +1,205 @@
+const MemoryStore = require('./store');
+const AuthUtils = require('../../utils/authUtils');
+const UserAgentParser = require('../../utils/userAgentParser');
+const logger = require('../../utils/logger');
+
+/**
+ * Sesión activa con el digest indicado
+ * @param {string} refreshToken - Refresh token en texto plano
+ * @returns {Object|undefined} Fila
+ */
+const findActiveRow = (refreshToken) => {
+  const digest = AuthUtils.hashRefreshToken(refreshToken);
+  return MemoryStore.table('sesiones').find(s => s.refresh_token === digest && s.activo);
+};
+
+const SESSION_LIST_COLUMNS = [
+  'id_sesion', 'user_agent', 'navegador', 'navegador_version', 'sistema_operativo',
+  'sistema_operativo_version', 'tipo_dispositivo', 'ip', 'fecha_creacion', 'fecha_expiracion'
+];
+
+const isNotExpired = (session) => new Date(session.fecha_expiracion) > new Date();
+
+/**
+ * Repositorio en memoria de sesiones.
+ * Implementa el mismo contrato que SupabaseSessionRepository, incluido el guardado
+ * del refresh token como digest.
+ */
+class MemorySessionRepository {
+  static async createSession({ userId, userAgent, ip, expiresIn = '7d' }) {
+    const refreshToken = AuthUtils.generateRefreshToken();
+    const device = UserAgentParser.parse(userAgent);
+
+    const session = MemoryStore.insert('sesiones', 'id_sesion', {
+      usuario_id: userId,
+      refresh_token: AuthUtils.hashRefreshToken(refreshToken),
+      familia_token: AuthUtils.generateUUID(),
+      user_agent: userAgent ? userAgent.slice(0, 500) : null,
+      navegador: device.browser,
+      navegador_version: device.browserVersion,
+      sistema_operativo: device.os,
+      sistema_operativo_version: device.osVersion,
+      tipo_dispositivo: device.deviceType,
+      ip,
+      fecha_expiracion: AuthUtils.getExpirationDate(expiresIn).toISOString(),
+      activo: true
+    });
+
+    return { ...MemoryStore.copy(session), refresh_token: refreshToken };
+  }
+
+  static async findByRefreshToken(refreshToken) {
+    const session = findActiveRow(refreshToken);
+
+    if (!session) {
+      return null;
+    }
+
+    const user = MemoryStore.table('usuarios').find(u => u.id_usuario === session.usuario_id);
+
+    return {
+      ...MemoryStore.copy(session),
+      usuarios: MemoryStore.pick(user, ['id_usuario', 'email', 'nombre', 'activo', 'bloqueado'])
+    };
+  }
+
+  static async getActiveSessions(userId) {
+    return MemoryStore.table('sesiones')
+      .filter(s => s.usuario_id === userId && s.activo && isNotExpired(s))
+      .sort((a, b) => b.fecha_creacion.localeCompare(a.fecha_creacion) || b.id_sesion - a.id_sesion)
+      .map(s => MemoryStore.pick(s, SESSION_LIST_COLUMNS));
+  }
+
+  static async invalidateSession(sessionId, userId = null) {
+    MemoryStore.table('sesiones')
+      .filter(s => s.id_sesion === sessionId && (!userId || s.usuario_id === userId))
+      .forEach(s => { s.activo = false; });
+
+    return true;
+  }
+
+  static async invalidateAllUserSessions(userId, exceptSessionId = null) {
+    const sessions = MemoryStore.table('sesiones')
+      .filter(s => s.usuario_id === userId && s.activo && (!exceptSessionId || s.id_sesion !== exceptSessionId));
+
+    sessions.forEach(s => { s.activo = false; });
+
+    logger.info('Sesiones de usuario invalidadas', { userId, invalidatedCount: sessions.length, exceptSessionId });
+    return sessions.length;
+  }
+
+  static async invalidateByRefreshToken(refreshToken) {
+    const digest = AuthUtils.hashRefreshToken(refreshToken);
+
+    MemoryStore.table('sesiones')
+      .filter(s => s.refresh_token === digest)
+      .forEach(s => { s.activo = false; });
+
+    return true;
+  }
+
+  static async isValidSession(refreshToken) {
+    const session = await this.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      return false;
+    }
+
+    if (!isNotExpired(session) || !session.usuarios?.activo || session.usuarios.bloqueado) {
+      await this.invalidateSession(session.id_sesion);
+      return false;
+    }
+
+    return true;
+  }
+
+  static async updateLastActivity(refreshToken) {
+    const session = findActiveRow(refreshToken);
+
+    if (session) {
+      session.fecha_creacion = MemoryStore.now(); // Igual que en Supabase: se reutiliza como "last activity"
+    }
+
+    return true;
+  }
+
+  static async cleanExpiredSessions() {
+    const expired = MemoryStore.table('sesiones').filter(s => s.activo && !isNotExpired(s));
+    expired.forEach(s => { s.activo = false; });
+    return expired.length;
+  }
+
+  static async renewSession(refreshToken, expiresIn = '7d') {
+    const session = findActiveRow(refreshToken);
+
+    if (!session) {
+      throw new Error('INVALID_SESSION');
+    }
+
+    const newRefreshToken = AuthUtils.generateRefreshToken();
+
+    // Registrar el token saliente para detectar si alguien lo reutiliza
+    MemoryStore.insert('tokens_rotados', 'id', {
+      sesion_id: session.id_sesion,
+      familia_token: session.familia_token,
+      token_hash: session.refresh_token,
+      fecha_rotacion: MemoryStore.now()
+    });
+
+    session.refresh_token = AuthUtils.hashRefreshToken(newRefreshToken);
+    session.fecha_expiracion = AuthUtils.getExpirationDate(expiresIn).toISOString();
+    session.fecha_creacion = MemoryStore.now();
+
+    return { ...MemoryStore.copy(session), refresh_token: newRefreshToken };
+  }
+
+  static async findRotatedToken(refreshToken) {
+    const digest = AuthUtils.hashRefreshToken(refreshToken);
+    const rotated = MemoryStore.table('tokens_rotados').find(t => t.token_hash === digest);
+
+    if (!rotated) {
+      return null;
+    }
+
+    const session = MemoryStore.table('sesiones').find(s => s.id_sesion === rotated.sesion_id);
+
+    return {
+      ...MemoryStore.pick(rotated, ['sesion_id', 'familia_token', 'fecha_rotacion']),
+      sesiones: session ? { usuario_id: session.usuario_id } : null
+    };
+  }
+
+  static async revokeFamily(familyId) {
+    const sessions = MemoryStore.table('sesiones').filter(s => s.familia_token === familyId && s.activo);
+    sessions.forEach(s => { s.activo = false; });
+
+    logger.info('Familia de tokens revocada', { familyId, revokedCount: sessions.length });
+    return sessions.map(s => s.id_sesion);
+  }
+
+  static async migratePlaintextRefreshTokens({ mode = 'rehash' } = {}) {
+    const plaintextRows = MemoryStore.table('sesiones')
+      .filter(s => /^[0-9a-f]{128}$/i.test(s.refresh_token || ''));
+
+    plaintextRows.forEach(row => {
+      row.refresh_token = AuthUtils.hashRefreshToken(row.refresh_token);
+
+      if (mode === 'invalidate') {
+        row.activo = false;
+      }
+    });
+
+    return plaintextRows.length;
+  }
+
+  static async getUserSessionStats(userId) {
+    const sessions = MemoryStore.table('sesiones').filter(s => s.usuario_id === userId);
+
+    return {
+      activeSessions: sessions.filter(s => s.activo && isNotExpired(s)).length,
+      totalSessions: sessions.length
+    };
+  }
+}
+
+module.exports = MemorySessionRepository;
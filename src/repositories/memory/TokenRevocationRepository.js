@@ -0,0 +1,36 @@
+const MemoryStore = require('./store');
+
+/**
+ * Repositorio en memoria de la lista de revocación de access tokens.
+ * Implementa el mismo contrato que SupabaseTokenRevocationRepository.
+ */
+class MemoryTokenRevocationRepository {
+  static async upsert({ clave, usuarioId = null, motivo = null, fechaRevocacion, fechaExpiracion }) {
+    const revocation = {
+      clave,
+      usuario_id: usuarioId,
+      motivo,
+      fecha_revocacion: fechaRevocacion.toISOString(),
+      fecha_expiracion: fechaExpiracion.toISOString()
+    };
+
+    MemoryStore.remove('tokens_revocados', r => r.clave === clave);
+    MemoryStore.table('tokens_revocados').push(revocation);
+    return MemoryStore.copy(revocation);
+  }
+
+  static async findActiveByKeys(claves) {
+    const now = new Date();
+
+    return MemoryStore.table('tokens_revocados')
+      .filter(r => claves.includes(r.clave) && new Date(r.fecha_expiracion) > now)
+      .map(r => MemoryStore.pick(r, ['clave', 'fecha_revocacion', 'fecha_expiracion']));
+  }
+
+  static async deleteExpired() {
+    const now = new Date();
+    return MemoryStore.remove('tokens_revocados', r => new Date(r.fecha_expiracion) < now).length;
+  }
+}
+
+module.exports = MemoryTokenRevocationRepository;
@@ -0,0 +1,275 @@
+const MemoryStore = require('./store');
+const AuthUtils = require('../../utils/authUtils');
+const logger = require('../../utils/logger');
+
+const USER_COLUMNS = [
+  'id_usuario', 'email', 'nombre', 'activo', 'bloqueado', 'email_verificado', 'debe_cambiar_password', 'fecha_cambio_password',
+  'estado_aprobacion', 'motivo_rechazo', 'fecha_revision', 'revisado_por', 'intentos_fallidos', 'fecha_bloqueo', 'fecha_creacion',
+  'ultimo_login'
+];
+
+const ROLE_COLUMNS = ['id_rol', 'nombre', 'descripcion'];
+
+const SORT_COLUMNS = ['fecha_creacion', 'ultimo_login', 'email', 'nombre', 'id_usuario'];
+
+// Campos que acepta updateUser; el resto solo se escribe con sus métodos dedicados
+const UPDATABLE_FIELDS = ['nombre', 'activo', 'bloqueado', 'email_verificado', 'intentos_fallidos', 'fecha_bloqueo'];
+
+const APPROVAL_FIELDS = ['activo', 'bloqueado', 'estado_aprobacion', 'motivo_rechazo', 'fecha_revision', 'revisado_por'];
+
+/**
+ * Busca la fila interna de un usuario
+ * @param {number} userId - ID del usuario
+ * @returns {Object|undefined} Fila
+ */
+const findRow = (userId) => MemoryStore.table('usuarios').find(u => u.id_usuario === userId);
+
+/**
+ * Actualiza los campos permitidos de un usuario
+ * @param {number} userId - ID del usuario
+ * @param {Object} updateData - Datos a actualizar
+ * @param {Array<string>} allowedFields - Campos que se pueden escribir
+ * @returns {Object} Usuario actualizado
+ */
+const updateRow = (userId, updateData, allowedFields) => {
+  const row = findRow(userId);
+
+  if (!row) {
+    throw MemoryStore.error('PGRST116', 'Usuario no encontrado');
+  }
+
+  Object.keys(updateData).forEach(key => {
+    if (allowedFields.includes(key)) {
+      row[key] = updateData[key];
+    }
+  });
+
+  return MemoryStore.pick(row, USER_COLUMNS.filter(c => c !== 'fecha_bloqueo'));
+};
+
+/**
+ * Roles asignados a un usuario
+ * @param {number} userId - ID del usuario
+ * @returns {Array<Object>} Roles con id_rol, nombre y descripcion
+ */
+const rolesOf = (userId) => MemoryStore.table('usuario_roles')
+  .filter(ur => ur.usuario_id === userId)
+  .map(ur => MemoryStore.table('roles').find(r => r.id_rol === ur.rol_id))
+  .filter(Boolean)
+  .map(role => MemoryStore.pick(role, ROLE_COLUMNS));
+
+/**
+ * Repositorio en memoria de usuarios
+ */
+class MemoryUserRepository {
+  static async createUser({
+    email, password, nombre = null, activo = false, bloqueado = false, debeCambiarPassword = false, estadoAprobacion = 'approved'
+  }) {
+    const normalizedEmail = email.toLowerCase();
+
+    if (MemoryStore.table('usuarios').some(u => u.email === normalizedEmail)) {
+      throw new Error('EMAIL_ALREADY_EXISTS');
+    }
+
+    const user = MemoryStore.insert('usuarios', 'id_usuario', {
+      email: normalizedEmail,
+      password_hash: await AuthUtils.hashPassword(password),
+      nombre,
+      activo,
+      bloqueado,
+      email_verificado: false,
+      debe_cambiar_password: debeCambiarPassword,
+      fecha_cambio_password: MemoryStore.now(),
+      estado_aprobacion: estadoAprobacion,
+      motivo_rechazo: null,
+      fecha_revision: null,
+      revisado_por: null,
+      ultimo_login: null,
+      intentos_fallidos: 0,
+      fecha_bloqueo: null,
+      mfa_habilitado: false,
+      mfa_secreto: null,
+      mfa_ultimo_paso: null
+    });
+
+    logger.info('Usuario creado exitosamente', { userId: user.id_usuario, email });
+    return MemoryStore.pick(user, [
+      'id_usuario', 'email', 'nombre', 'activo', 'bloqueado', 'email_verificado', 'debe_cambiar_password', 'estado_aprobacion',
+      'fecha_creacion'
+    ]);
+  }
+
+  static async findByEmail(email) {
+    const emailToFind = String(email || '').toLowerCase();
+    return MemoryStore.copy(MemoryStore.table('usuarios').find(u => u.email === emailToFind));
+  }
+
+  static async findById(userId) {
+    return MemoryStore.pick(findRow(userId), USER_COLUMNS);
+  }
+
+  static async findWithRoles(userId) {
+    const row = findRow(userId);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...MemoryStore.pick(row, [...USER_COLUMNS.filter(c => c !== 'fecha_bloqueo'), 'mfa_habilitado']),
+      roles: rolesOf(userId)
+    };
+  }
+
+  static async updateUser(userId, updateData) {
+    return updateRow(userId, updateData, UPDATABLE_FIELDS);
+  }
+
+  static async setApprovalState(userId, approvalData) {
+    return updateRow(userId, approvalData, APPROVAL_FIELDS);
+  }
+
+  static async setPasswordChangeRequired(userId, required) {
+    return updateRow(userId, { debe_cambiar_password: required }, ['debe_cambiar_password']);
+  }
+
+  static async updateLastLogin(userId) {
+    return updateRow(userId, { ultimo_login: MemoryStore.now() }, ['ultimo_login']);
+  }
+
+  static async changePassword(userId, newPassword) {
+    const row = findRow(userId);
+
+    if (row) {
+      row.password_hash = await AuthUtils.hashPassword(newPassword);
+      row.fecha_cambio_password = MemoryStore.now();
+    }
+
+    return true;
+  }
+
+  static async assignRole(userId, rolId) {
+    if (!findRow(userId) || !MemoryStore.table('roles').some(r => r.id_rol === rolId)) {
+      throw MemoryStore.error('23503', 'El usuario o el rol no existe');
+    }
+
+    if (MemoryStore.table('usuario_roles').some(ur => ur.usuario_id === userId && ur.rol_id === rolId)) {
+      throw new Error('ROLE_ALREADY_ASSIGNED');
+    }
+
+    const userRole = MemoryStore.insert('usuario_roles', 'id', { usuario_id: userId, rol_id: rolId });
+    return MemoryStore.pick(userRole, ['id', 'usuario_id', 'rol_id']);
+  }
+
+  static async removeRole(userId, rolId) {
+    MemoryStore.remove('usuario_roles', ur => ur.usuario_id === userId && ur.rol_id === rolId);
+    return true;
+  }
+
+  static async getUsers({
+    page = 1, limit = 10, search = '', includeInactive = false, approvalState = null, roleId = null, blocked = null,
+    lockedSince = null, createdFrom = null, createdTo = null, lastLoginFrom = null, lastLoginTo = null,
+    sortBy = 'fecha_creacion', sortOrder = 'desc', after = null
+  } = {}) {
+    const term = search.toLowerCase();
+    const column = SORT_COLUMNS.includes(sortBy) ? sortBy : 'fecha_creacion';
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const isBlocked = (u) => u.bloqueado ||
+      (!!lockedSince && !!u.fecha_bloqueo && Date.parse(u.fecha_bloqueo) > Date.parse(lockedSince));
+    const inRange = (value, from, to) => (!from && !to) ||
+      (value !== null && (!from || Date.parse(value) >= Date.parse(from)) && (!to || Date.parse(value) <= Date.parse(to)));
+
+    // Mismo orden que la BD: columna, desempate por id y NULL al final
+    const compare = (a, b) => {
+      const [x, y] = [a[column], b[column]];
+
+      if (x !== y) {
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return (x < y ? -1 : 1) * direction;
+      }
+
+      return (a.id_usuario - b.id_usuario) * direction;
+    };
+
+    const users = MemoryStore.table('usuarios')
+      .filter(u => includeInactive || u.activo)
+      .filter(u => !approvalState || u.estado_aprobacion === approvalState)
+      .filter(u => !roleId || MemoryStore.table('usuario_roles').some(ur => ur.usuario_id === u.id_usuario && ur.rol_id === roleId))
+      .filter(u => blocked === null || isBlocked(u) === blocked)
+      .filter(u => inRange(u.fecha_creacion, createdFrom, createdTo))
+      .filter(u => inRange(u.ultimo_login, lastLoginFrom, lastLoginTo))
+      .filter(u => !term || u.email.includes(term) || (u.nombre || '').toLowerCase().includes(term))
+      .sort(compare);
+
+    const toColumns = (rows) => rows.map(u => MemoryStore.pick(u, USER_COLUMNS.filter(c => c !== 'fecha_bloqueo')));
+
+    if (after) {
+      const cursorRow = { [column]: after.value, id_usuario: after.id };
+      const rows = users.filter(u => compare(u, cursorRow) > 0);
+
+      return {
+        users: toColumns(rows.slice(0, limit)),
+        pagination: { limit, hasMore: rows.length > limit }
+      };
+    }
+
+    const offset = (page - 1) * limit;
+
+    return {
+      users: toColumns(users.slice(offset, offset + limit)),
+      pagination: {
+        page,
+        limit,
+        total: users.length,
+        pages: Math.ceil(users.length / limit),
+        hasMore: offset + limit < users.length
+      }
+    };
+  }
+
+  static async deactivateUser(userId) {
+    const row = findRow(userId);
+
+    if (row) {
+      row.activo = false;
+    }
+
+    return true;
+  }
+
+  static async getAllWithRoles({ afterId = 0, limit = null } = {}) {
+    const users = MemoryStore.table('usuarios')
+      .filter(u => u.id_usuario > afterId)
+      .sort((a, b) => a.id_usuario - b.id_usuario);
+
+    return (limit ? users.slice(0, limit) : users)
+      .map(u => ({
+        ...MemoryStore.pick(u, USER_COLUMNS.filter(c => c !== 'fecha_bloqueo')),
+        roles: rolesOf(u.id_usuario)
+      }));
+  }
+
+  static async removeAllRoles(userId) {
+    MemoryStore.remove('usuario_roles', ur => ur.usuario_id === userId);
+    return true;
+  }
+
+  static async deleteUser(userId) {
+    await this.removeAllRoles(userId);
+
+    // Mismo efecto que ON DELETE CASCADE en la BD
+    const sessionIds = MemoryStore.remove('sesiones', s => s.usuario_id === userId).map(s => s.id_sesion);
+    MemoryStore.remove('tokens_rotados', t => sessionIds.includes(t.sesion_id));
+    ['tokens_recuperacion', 'tokens_verificacion', 'tokens_invitacion', 'codigos_recuperacion_mfa', 'historial_passwords'].forEach(table => {
+      MemoryStore.remove(table, row => row.usuario_id === userId);
+    });
+
+    MemoryStore.remove('usuarios', u => u.id_usuario === userId);
+
+    logger.info('Usuario eliminado permanentemente', { userId });
+    return true;
+  }
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,22 @@
+const MemoryStore = require('./store');
+const createOneTimeTokenRepository = require('./OneTimeTokenRepository');
+
+/**
+ * Repositorios en memoria (DATA_STORE=memory): la API completa funciona sin red.
+ * Los datos se pierden al reiniciar el proceso; reset() vuelve al estado sembrado.
+ */
+module.exports = {
+  users: require('./UserRepository'),
+  sessions: require('./SessionRepository'),
+  roles: require('./RoleRepository'),
+  permissions: require('./PermissionRepository'),
+  passwordResets: createOneTimeTokenRepository('tokens_recuperacion', '30m'),
+  emailVerifications: createOneTimeTokenRepository('tokens_verificacion', '24h'),
+  invitations: createOneTimeTokenRepository('tokens_invitacion', '72h'),
+  passwordHistory: require('./PasswordHistoryRepository'),
+  mfa: require('./MfaRepository'),
+  audit: require('./AuditRepository'),
+  tokenRevocations: require('./TokenRevocationRepository'),
+  rateLimits: require('./RateLimitRepository'),
+  reset: () => MemoryStore.reset()
+};
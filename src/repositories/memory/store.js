@@ -0,0 +1,179 @@
+const bcrypt = require('bcryptjs');
+const { DEFAULT_PERMISSIONS } = require('../defaults');
+
+/**
+ * Roles sembrados en memoria, con los mismos ids que la BD de producción.
+ * El registro y la aprobación los buscan por nombre (ver RegistrationApprovalService).
+ */
+const SEED_ROLES = [
+  { id_rol: 1, nombre: 'admin', descripcion: 'Acceso total al sistema' },
+  { id_rol: 2, nombre: 'cliente', descripcion: 'Acceso básico' },
+  { id_rol: 3, nombre: 'empleado', descripcion: 'Acceso limitado' },
+  { id_rol: 5, nombre: 'colaborador', descripcion: 'Usuario pendiente de aprobación' }
+];
+
+let tables = {};
+let sequences = {};
+
+/**
+ * Copia profunda de una fila para que los llamadores no muten el almacén
+ * @param {Object} row - Fila
+ * @returns {Object} Copia
+ */
+const clone = (row) => (row === null || row === undefined ? row : JSON.parse(JSON.stringify(row)));
+
+/**
+ * Almacén en memoria con tablas (arreglos de filas) y secuencias de ids.
+ * Emula lo necesario de la BD: ids autoincrementales, errores con los mismos
+ * códigos de PostgreSQL/PostgREST que manejan los servicios y datos sembrados.
+ */
+class MemoryStore {
+  /**
+   * Obtiene las filas de una tabla
+   * @param {string} name - Nombre de la tabla
+   * @returns {Array<Object>} Filas (referencia interna)
+   */
+  static table(name) {
+    if (!tables[name]) {
+      tables[name] = [];
+    }
+    return tables[name];
+  }
+
+  /**
+   * Siguiente id de una tabla
+   * @param {string} name - Nombre de la tabla
+   * @returns {number} Id
+   */
+  static nextId(name) {
+    sequences[name] = (sequences[name] || 0) + 1;
+    return sequences[name];
+  }
+
+  /**
+   * Inserta una fila asignándole id y fecha de creación
+   * @param {string} name - Nombre de la tabla
+   * @param {string} idColumn - Columna de id (ej: id_usuario)
+   * @param {Object} row - Datos de la fila
+   * @returns {Object} Fila insertada (referencia interna)
+   */
+  static insert(name, idColumn, row) {
+    const record = {
+      [idColumn]: this.nextId(name),
+      fecha_creacion: this.now(),
+      ...row
+    };
+
+    this.table(name).push(record);
+    return record;
+  }
+
+  /**
+   * Elimina las filas que cumplen una condición
+   * @param {string} name - Nombre de la tabla
+   * @param {Function} predicate - Condición
+   * @returns {Array<Object>} Filas eliminadas
+   */
+  static remove(name, predicate) {
+    const rows = this.table(name);
+    const removed = rows.filter(predicate);
+    tables[name] = rows.filter(row => !predicate(row));
+    return removed;
+  }
+
+  /**
+   * Fecha actual en el formato que devuelve la BD
+   * @returns {string} Fecha ISO
+   */
+  static now() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Copia una fila con solo las columnas indicadas
+   * @param {Object} row - Fila
+   * @param {Array<string>} columns - Columnas
+   * @returns {Object|null} Copia parcial
+   */
+  static pick(row, columns) {
+    if (!row) {
+      return null;
+    }
+
+    return columns.reduce((result, column) => {
+      result[column] = row[column] === undefined ? null : clone(row[column]);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Copia completa de una fila
+   * @param {Object} row - Fila
+   * @returns {Object|null} Copia
+   */
+  static copy(row) {
+    return row ? clone(row) : null;
+  }
+
+  /**
+   * Crea un error con código de PostgreSQL/PostgREST
+   * @param {string} code - Código (23505 duplicado, 23503 FK, PGRST116 sin filas)
+   * @param {string} message - Mensaje
+   * @returns {Error} Error
+   */
+  static error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Vacía todas las tablas y vuelve a sembrar roles, permisos y el admin opcional
+   * (MEMORY_ADMIN_EMAIL / MEMORY_ADMIN_PASSWORD)
+   */
+  static reset() {
+    tables = {};
+    sequences = {};
+
+    SEED_ROLES.forEach(role => {
+      this.table('roles').push({ ...role, fecha_creacion: this.now() });
+    });
+    sequences.roles = Math.max(...SEED_ROLES.map(r => r.id_rol));
+
+    DEFAULT_PERMISSIONS.forEach(permission => {
+      this.insert('permisos', 'id_permiso', { ...permission });
+    });
+
+    const adminEmail = process.env.MEMORY_ADMIN_EMAIL;
+    const adminPassword = process.env.MEMORY_ADMIN_PASSWORD;
+
+    if (adminEmail && adminPassword) {
+      const admin = this.insert('usuarios', 'id_usuario', {
+        email: adminEmail.toLowerCase(),
+        password_hash: bcrypt.hashSync(adminPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12),
+        nombre: 'Administrador',
+        activo: true,
+        bloqueado: false,
+        email_verificado: true,
+        debe_cambiar_password: false,
+        fecha_cambio_password: this.now(),
+        estado_aprobacion: 'approved',
+        motivo_rechazo: null,
+        fecha_revision: null,
+        revisado_por: null,
+        ultimo_login: null,
+        intentos_fallidos: 0,
+        fecha_bloqueo: null,
+        mfa_habilitado: false,
+        mfa_secreto: null,
+        mfa_ultimo_paso: null
+      });
+
+      this.insert('usuario_roles', 'id', { usuario_id: admin.id_usuario, rol_id: 1 });
+    }
+  }
+}
+
+MemoryStore.reset();
+
+module.exports = MemoryStore;
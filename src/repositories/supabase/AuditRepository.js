@@ -0,0 +1,110 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const logger = require('../../utils/logger');
+
+/**
+ * Escapa los comodines de LIKE (% _ \) para comparar un prefijo literal
+ * @param {string} value - Prefijo
+ * @returns {string} Prefijo escapado
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Repositorio Supabase para el registro de auditoría (tabla auditoria)
+ */
+class SupabaseAuditRepository {
+  /**
+   * Inserta un evento de auditoría
+   * @param {Object} entry - Datos del evento
+   * @returns {Promise<Object>} Evento creado
+   */
+  static async create({ accion, actorId = null, objetivoId = null, ip = null, userAgent = null, cambios = null, metadata = null }) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('auditoria')
+        .insert([{
+          accion,
+          actor_id: actorId,
+          objetivo_id: objetivoId,
+          ip,
+          user_agent: userAgent,
+          cambios,
+          metadata
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al registrar evento de auditoría', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista eventos de auditoría del más reciente al más antiguo con paginación por cursor
+   * @param {Object} options - Filtros y paginación
+   * @param {number} options.userId - Usuario como actor u objetivo
+   * @param {string} options.action - Acción exacta o prefijo terminado en * (ej: user.*)
+   * @param {string} options.from - Fecha mínima (ISO)
+   * @param {string} options.to - Fecha máxima (ISO)
+   * @param {number} options.cursor - id_auditoria desde el cual continuar (exclusivo)
+   * @param {number} options.limit - Tamaño de página
+   * @returns {Promise<Object>} Eventos y cursor de la siguiente página
+   */
+  static async list({ userId = null, action = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+    try {
+      let query = supabaseAdmin
+        .from('auditoria')
+        .select('id_auditoria, accion, actor_id, objetivo_id, ip, user_agent, cambios, metadata, fecha');
+
+      if (userId) {
+        query = query.or(`actor_id.eq.${userId},objetivo_id.eq.${userId}`);
+      }
+
+      if (action) {
+        query = action.endsWith('*')
+          ? query.like('accion', `${escapeLike(action.slice(0, -1))}%`)
+          : query.eq('accion', action);
+      }
+
+      if (from) {
+        query = query.gte('fecha', from);
+      }
+
+      if (to) {
+        query = query.lte('fecha', to);
+      }
+
+      if (cursor) {
+        query = query.lt('id_auditoria', cursor);
+      }
+
+      // Pedir un elemento extra para saber si hay más páginas
+      const { data, error } = await query
+        .order('id_auditoria', { ascending: false })
+        .limit(limit + 1);
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data || [];
+      const hasMore = rows.length > limit;
+      const entries = hasMore ? rows.slice(0, limit) : rows;
+
+      return {
+        entries,
+        nextCursor: hasMore ? entries[entries.length - 1].id_auditoria : null
+      };
+    } catch (error) {
+      logger.error('Error al obtener eventos de auditoría', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseAuditRepository;
@@ -0,0 +1,125 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const AuthUtils = require('../../utils/authUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * Repositorio Supabase para manejar tokens de verificación de email.
+ * Solo se almacena el hash SHA-256 del token; el token en texto plano
+ * únicamente viaja en el enlace enviado por correo.
+ */
+class SupabaseEmailVerificationRepository {
+  /**
+   * Crea un token de verificación para un usuario
+   * @param {number} userId - ID del usuario
+   * @param {string} expiresIn - Vigencia del token (ej: 24h)
+   * @returns {Promise<Object>} Token en texto plano y registro creado
+   */
+  static async createToken(userId, expiresIn = '24h') {
+    try {
+      const token = AuthUtils.generateRefreshToken();
+      const expirationDate = AuthUtils.getExpirationDate(expiresIn);
+
+      const { data, error } = await supabaseAdmin
+        .from('tokens_verificacion')
+        .insert([{
+          usuario_id: userId,
+          token_hash: AuthUtils.hashToken(token),
+          fecha_expiracion: expirationDate.toISOString(),
+          usado: false
+        }])
+        .select('id_token, usuario_id, fecha_expiracion')
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Token de verificación creado', { userId, tokenId: data.id_token });
+      return { token, record: data };
+    } catch (error) {
+      logger.error('Error al crear token de verificación', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca un token de verificación vigente y sin usar
+   * @param {string} token - Token en texto plano
+   * @returns {Promise<Object|null>} Registro del token o null
+   */
+  static async findValidToken(token) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('tokens_verificacion')
+        .select('id_token, usuario_id, fecha_expiracion, usado')
+        .eq('token_hash', AuthUtils.hashToken(token))
+        .eq('usado', false)
+        .gt('fecha_expiracion', new Date().toISOString())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar token de verificación', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca un token como usado. Solo tiene efecto si aún no estaba usado,
+   * así dos peticiones simultáneas no pueden consumir el mismo token.
+   * @param {number} tokenId - ID del token
+   * @returns {Promise<boolean>} True si este llamado consumió el token
+   */
+  static async markUsed(tokenId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('tokens_verificacion')
+        .update({
+          usado: true,
+          fecha_uso: new Date().toISOString()
+        })
+        .eq('id_token', tokenId)
+        .eq('usado', false)
+        .select('id_token');
+
+      if (error) {
+        throw error;
+      }
+
+      return !!(data && data.length > 0);
+    } catch (error) {
+      logger.error('Error al marcar token de verificación como usado', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invalida todos los tokens pendientes de un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se invalidaron correctamente
+   */
+  static async invalidateUserTokens(userId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('tokens_verificacion')
+        .update({ usado: true })
+        .eq('usuario_id', userId)
+        .eq('usado', false);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al invalidar tokens de verificación', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseEmailVerificationRepository;
@@ -0,0 +1,269 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const AuthUtils = require('../../utils/authUtils');
+const TotpUtils = require('../../utils/totpUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * Repositorio Supabase para manejar la autenticación de dos factores (TOTP)
+ */
+class SupabaseMfaRepository {
+  /**
+   * Obtiene la configuración 2FA de un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object|null>} Estado 2FA con el secreto descifrado
+   */
+  static async getSettings(userId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .select('id_usuario, mfa_habilitado, mfa_secreto, mfa_ultimo_paso')
+        .eq('id_usuario', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (!data) {
+        return null;
+      }
+
+      return {
+        userId: data.id_usuario,
+        enabled: !!data.mfa_habilitado,
+        secret: data.mfa_secreto ? TotpUtils.decryptSecret(data.mfa_secreto) : null,
+        lastUsedStep: data.mfa_ultimo_paso
+      };
+    } catch (error) {
+      logger.error('Error al obtener configuración 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un secreto TOTP pendiente de confirmación (2FA aún deshabilitado)
+   * @param {number} userId - ID del usuario
+   * @param {string} secret - Secreto en base32
+   * @returns {Promise<boolean>} True si se guardó correctamente
+   */
+  static async savePendingSecret(userId, secret) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .update({
+          mfa_secreto: TotpUtils.encryptSecret(secret),
+          mfa_habilitado: false,
+          mfa_ultimo_paso: null
+        })
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al guardar secreto 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Habilita 2FA para un usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} usedStep - Paso TOTP usado al confirmar
+   * @returns {Promise<boolean>} True si se habilitó correctamente
+   */
+  static async enable(userId, usedStep) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .update({
+          mfa_habilitado: true,
+          mfa_ultimo_paso: usedStep
+        })
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('2FA habilitado', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al habilitar 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deshabilita 2FA, borra el secreto y los códigos de recuperación
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se deshabilitó correctamente
+   */
+  static async disable(userId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .update({
+          mfa_habilitado: false,
+          mfa_secreto: null,
+          mfa_ultimo_paso: null
+        })
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      await this.deleteRecoveryCodes(userId);
+
+      logger.info('2FA deshabilitado', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al deshabilitar 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el último paso TOTP usado para impedir reutilizar un código.
+   * Solo actualiza si el paso es posterior al guardado.
+   * @param {number} userId - ID del usuario
+   * @param {number} step - Paso TOTP usado
+   * @returns {Promise<boolean>} True si el paso no había sido usado
+   */
+  static async markStepUsed(userId, step) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .update({ mfa_ultimo_paso: step })
+        .eq('id_usuario', userId)
+        .or(`mfa_ultimo_paso.is.null,mfa_ultimo_paso.lt.${step}`)
+        .select('id_usuario');
+
+      if (error) {
+        throw error;
+      }
+
+      return !!(data && data.length > 0);
+    } catch (error) {
+      logger.error('Error al registrar paso TOTP', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza los códigos de recuperación de un usuario
+   * @param {number} userId - ID del usuario
+   * @param {Array<string>} codes - Códigos en texto plano
+   * @returns {Promise<boolean>} True si se guardaron correctamente
+   */
+  static async replaceRecoveryCodes(userId, codes) {
+    try {
+      await this.deleteRecoveryCodes(userId);
+
+      const { error } = await supabaseAdmin
+        .from('codigos_recuperacion_mfa')
+        .insert(codes.map(code => ({
+          usuario_id: userId,
+          codigo_hash: AuthUtils.hashToken(TotpUtils.normalizeRecoveryCode(code)),
+          usado: false
+        })));
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al guardar códigos de recuperación 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume un código de recuperación
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código en texto plano
+   * @returns {Promise<boolean>} True si el código era válido y no estaba usado
+   */
+  static async consumeRecoveryCode(userId, code) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('codigos_recuperacion_mfa')
+        .update({
+          usado: true,
+          fecha_uso: new Date().toISOString()
+        })
+        .eq('usuario_id', userId)
+        .eq('codigo_hash', AuthUtils.hashToken(TotpUtils.normalizeRecoveryCode(code)))
+        .eq('usado', false)
+        .select('id_codigo');
+
+      if (error) {
+        throw error;
+      }
+
+      const consumed = !!(data && data.length > 0);
+
+      if (consumed) {
+        logger.warn('Código de recuperación 2FA usado', { userId });
+      }
+
+      return consumed;
+    } catch (error) {
+      logger.error('Error al consumir código de recuperación 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los códigos de recuperación disponibles
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<number>} Códigos sin usar
+   */
+  static async countRemainingRecoveryCodes(userId) {
+    try {
+      const { count, error } = await supabaseAdmin
+        .from('codigos_recuperacion_mfa')
+        .select('id_codigo', { count: 'exact', head: true })
+        .eq('usuario_id', userId)
+        .eq('usado', false);
+
+      if (error) {
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error('Error al contar códigos de recuperación 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina todos los códigos de recuperación de un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se eliminaron correctamente
+   */
+  static async deleteRecoveryCodes(userId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('codigos_recuperacion_mfa')
+        .delete()
+        .eq('usuario_id', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al eliminar códigos de recuperación 2FA', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseMfaRepository;
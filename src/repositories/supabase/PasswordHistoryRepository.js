@@ -0,0 +1,102 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const logger = require('../../utils/logger');
+
+/**
+ * Repositorio Supabase del historial de contraseñas (tabla historial_passwords).
+ * Guarda los hashes bcrypt de contraseñas anteriores para impedir su reutilización.
+ */
+class SupabasePasswordHistoryRepository {
+  /**
+   * Agrega un hash al historial del usuario
+   * @param {number} userId - ID del usuario
+   * @param {string} passwordHash - Hash bcrypt de la contraseña anterior
+   * @returns {Promise<boolean>} True si se guardó
+   */
+  static async add(userId, passwordHash) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('historial_passwords')
+        .insert([{ usuario_id: userId, password_hash: passwordHash }]);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al guardar historial de contraseñas', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hashes más recientes del historial del usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} limit - Cantidad máxima
+   * @returns {Promise<Array<string>>} Hashes, del más reciente al más antiguo
+   */
+  static async findRecent(userId, limit) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('historial_passwords')
+        .select('password_hash')
+        .eq('usuario_id', userId)
+        .order('fecha_creacion', { ascending: false })
+        .order('id_historial', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).map(row => row.password_hash);
+    } catch (error) {
+      logger.error('Error al consultar historial de contraseñas', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina las entradas más antiguas conservando las `keep` más recientes
+   * @param {number} userId - ID del usuario
+   * @param {number} keep - Entradas a conservar
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  static async prune(userId, keep) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('historial_passwords')
+        .select('id_historial')
+        .eq('usuario_id', userId)
+        .order('fecha_creacion', { ascending: false })
+        .order('id_historial', { ascending: false })
+        .range(keep, keep + 999);
+
+      if (error) {
+        throw error;
+      }
+
+      const ids = (data || []).map(row => row.id_historial);
+
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      const { error: deleteError } = await supabaseAdmin
+        .from('historial_passwords')
+        .delete()
+        .in('id_historial', ids);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      return ids.length;
+    } catch (error) {
+      logger.error('Error al depurar historial de contraseñas', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabasePasswordHistoryRepository;
@@ -0,0 +1,262 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const logger = require('../../utils/logger');
+const { DEFAULT_PERMISSIONS } = require('../defaults');
+
+/**
+ * Repositorio Supabase para manejar operaciones de permisos
+ */
+class SupabasePermissionRepository {
+  /**
+   * Crea un nuevo permiso
+   * @param {string} nombre - Nombre del permiso (ej: users:approve)
+   * @param {string} descripcion - Descripción del permiso (opcional)
+   * @returns {Promise<Object>} Permiso creado
+   */
+  static async createPermission(nombre, descripcion = null) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('permisos')
+        .insert([{
+          nombre: nombre.toLowerCase(),
+          descripcion
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') { // Duplicate key
+          throw new Error('PERMISSION_ALREADY_EXISTS');
+        }
+        throw error;
+      }
+
+      logger.info('Permiso creado exitosamente', { permissionId: data.id_permiso, nombre });
+      return data;
+    } catch (error) {
+      logger.error('Error al crear permiso', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todos los permisos
+   * @returns {Promise<Array>} Lista de permisos
+   */
+  static async getAllPermissions() {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('permisos')
+        .select('id_permiso, nombre, descripcion')
+        .order('nombre');
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error al obtener permisos', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca permiso por ID
+   * @param {number} permissionId - ID del permiso
+   * @returns {Promise<Object|null>} Permiso encontrado o null
+   */
+  static async findById(permissionId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('permisos')
+        .select('id_permiso, nombre, descripcion')
+        .eq('id_permiso', permissionId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar permiso por ID', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca permiso por nombre
+   * @param {string} nombre - Nombre del permiso
+   * @returns {Promise<Object|null>} Permiso encontrado o null
+   */
+  static async findByName(nombre) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('permisos')
+        .select('id_permiso, nombre, descripcion')
+        .eq('nombre', nombre.toLowerCase())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar permiso por nombre', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los permisos de un rol
+   * @param {number} roleId - ID del rol
+   * @returns {Promise<Array>} Lista de permisos del rol
+   */
+  static async getRolePermissions(roleId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('rol_permisos')
+        .select(`
+          permisos(
+            id_permiso, nombre, descripcion
+          )
+        `)
+        .eq('rol_id', roleId);
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.map(item => item.permisos).filter(Boolean) || [];
+    } catch (error) {
+      logger.error('Error al obtener permisos del rol', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los nombres de permisos efectivos de un conjunto de roles
+   * @param {Array<number>} roleIds - IDs de roles
+   * @returns {Promise<Array<string>>} Nombres de permisos sin duplicados
+   */
+  static async getPermissionNamesForRoles(roleIds) {
+    try {
+      if (!roleIds || roleIds.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('rol_permisos')
+        .select(`
+          permisos(
+            nombre
+          )
+        `)
+        .in('rol_id', roleIds);
+
+      if (error) {
+        throw error;
+      }
+
+      const names = (data || [])
+        .map(item => item.permisos?.nombre)
+        .filter(Boolean);
+
+      return [...new Set(names)].sort();
+    } catch (error) {
+      logger.error('Error al obtener permisos de roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Otorga un permiso a un rol
+   * @param {number} roleId - ID del rol
+   * @param {number} permissionId - ID del permiso
+   * @returns {Promise<Object>} Relación rol-permiso creada
+   */
+  static async grantToRole(roleId, permissionId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('rol_permisos')
+        .insert([{
+          rol_id: roleId,
+          permiso_id: permissionId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') { // Duplicate key
+          throw new Error('PERMISSION_ALREADY_GRANTED');
+        }
+        throw error;
+      }
+
+      logger.info('Permiso otorgado a rol', { roleId, permissionId });
+      return data;
+    } catch (error) {
+      logger.error('Error al otorgar permiso', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca un permiso de un rol
+   * @param {number} roleId - ID del rol
+   * @param {number} permissionId - ID del permiso
+   * @returns {Promise<boolean>} True si se revocó correctamente
+   */
+  static async revokeFromRole(roleId, permissionId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('rol_permisos')
+        .delete()
+        .eq('rol_id', roleId)
+        .eq('permiso_id', permissionId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Permiso revocado de rol', { roleId, permissionId });
+      return true;
+    } catch (error) {
+      logger.error('Error al revocar permiso', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inicializa permisos por defecto del sistema
+   * @returns {Promise<Array>} Permisos creados
+   */
+  static async initializeDefaultPermissions() {
+    try {
+      const createdPermissions = [];
+
+      for (const permission of DEFAULT_PERMISSIONS) {
+        const existingPermission = await this.findByName(permission.nombre);
+
+        if (!existingPermission) {
+          const newPermission = await this.createPermission(permission.nombre, permission.descripcion);
+          createdPermissions.push(newPermission);
+        }
+      }
+
+      if (createdPermissions.length > 0) {
+        logger.info('Permisos por defecto inicializados', {
+          createdPermissions: createdPermissions.map(p => p.nombre)
+        });
+      }
+
+      return createdPermissions;
+    } catch (error) {
+      logger.error('Error al inicializar permisos por defecto', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabasePermissionRepository;
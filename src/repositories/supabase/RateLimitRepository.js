@@ -0,0 +1,105 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const logger = require('../../utils/logger');
+
+/**
+ * Repositorio Supabase para los contadores de rate limiting compartidos entre instancias
+ * (tabla limites_tasa). El incremento es atómico mediante la función incrementar_limite_tasa.
+ */
+class SupabaseRateLimitRepository {
+  /**
+   * Suma un intento a la clave; si su ventana venció, empieza una nueva
+   * @param {string} clave - Clave del contador (ej: login_email:ana@x.com)
+   * @param {number} windowMs - Duración de la ventana en milisegundos
+   * @returns {Promise<Object>} { total, fechaReinicio }
+   */
+  static async increment(clave, windowMs) {
+    try {
+      const { data, error } = await supabaseAdmin.rpc('incrementar_limite_tasa', {
+        p_clave: clave,
+        p_ventana_ms: windowMs
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      const row = Array.isArray(data) ? data[0] : data;
+
+      return {
+        total: row.intentos,
+        fechaReinicio: new Date(row.reinicio)
+      };
+    } catch (error) {
+      logger.error('Error al incrementar límite de solicitudes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resta un intento a la clave (solicitudes que no deben contar)
+   * @param {string} clave - Clave del contador
+   * @returns {Promise<boolean>} True si se actualizó correctamente
+   */
+  static async decrement(clave) {
+    try {
+      const { error } = await supabaseAdmin.rpc('decrementar_limite_tasa', { p_clave: clave });
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al decrementar límite de solicitudes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina el contador de una clave
+   * @param {string} clave - Clave del contador
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async reset(clave) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('limites_tasa')
+        .delete()
+        .eq('clave', clave);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error al reiniciar límite de solicitudes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina los contadores cuya ventana ya terminó
+   * @returns {Promise<number>} Registros eliminados
+   */
+  static async deleteExpired() {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('limites_tasa')
+        .delete()
+        .lt('fecha_reinicio', new Date().toISOString())
+        .select('clave');
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      logger.error('Error al limpiar límites de solicitudes vencidos', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseRateLimitRepository;
@@ -0,0 +1,92 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const logger = require('../../utils/logger');
+
+/**
+ * Repositorio Supabase para la lista de revocación de access tokens (tabla tokens_revocados).
+ * Cada registro revoca por clave: jti:<jti>, sesion:<id_sesion> o usuario:<id_usuario>.
+ */
+class SupabaseTokenRevocationRepository {
+  /**
+   * Registra (o renueva) una revocación
+   * @param {Object} revocation - Datos de la revocación
+   * @param {string} revocation.clave - Clave revocada
+   * @param {number} revocation.usuarioId - Usuario dueño de los tokens
+   * @param {string} revocation.motivo - Motivo de la revocación
+   * @param {Date} revocation.fechaRevocacion - Momento de la revocación
+   * @param {Date} revocation.fechaExpiracion - Hasta cuándo conservar el registro
+   * @returns {Promise<Object>} Revocación guardada
+   */
+  static async upsert({ clave, usuarioId = null, motivo = null, fechaRevocacion, fechaExpiracion }) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('tokens_revocados')
+        .upsert([{
+          clave,
+          usuario_id: usuarioId,
+          motivo,
+          fecha_revocacion: fechaRevocacion.toISOString(),
+          fecha_expiracion: fechaExpiracion.toISOString()
+        }], { onConflict: 'clave' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al registrar revocación de token', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca las revocaciones vigentes de un conjunto de claves
+   * @param {Array<string>} claves - Claves a consultar
+   * @returns {Promise<Array>} Revocaciones encontradas
+   */
+  static async findActiveByKeys(claves) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('tokens_revocados')
+        .select('clave, fecha_revocacion, fecha_expiracion')
+        .in('clave', claves)
+        .gt('fecha_expiracion', new Date().toISOString());
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error al consultar revocaciones de tokens', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina las revocaciones cuyos tokens ya expiraron
+   * @returns {Promise<number>} Registros eliminados
+   */
+  static async deleteExpired() {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('tokens_revocados')
+        .delete()
+        .lt('fecha_expiracion', new Date().toISOString())
+        .select('clave');
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      logger.error('Error al limpiar revocaciones expiradas', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseTokenRevocationRepository;
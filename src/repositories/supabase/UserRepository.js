@@ -0,0 +1,623 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const AuthUtils = require('../../utils/authUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * Columnas por las que se puede ordenar getUsers
+ */
+const SORT_COLUMNS = ['fecha_creacion', 'ultimo_login', 'email', 'nombre', 'id_usuario'];
+
+/**
+ * Campos que acepta updateUser; el resto solo se escribe con sus métodos dedicados
+ */
+const UPDATABLE_FIELDS = ['nombre', 'activo', 'bloqueado', 'email_verificado', 'intentos_fallidos', 'fecha_bloqueo'];
+
+/**
+ * Campos que escribe la revisión de un registro (setApprovalState)
+ */
+const APPROVAL_FIELDS = ['activo', 'bloqueado', 'estado_aprobacion', 'motivo_rechazo', 'fecha_revision', 'revisado_por'];
+
+/**
+ * Actualiza los campos permitidos de un usuario
+ * @param {number} userId - ID del usuario (integer)
+ * @param {Object} updateData - Datos a actualizar
+ * @param {Array<string>} allowedFields - Campos que se pueden escribir
+ * @returns {Promise<Object>} Usuario actualizado
+ */
+const updateColumns = async (userId, updateData, allowedFields) => {
+  const filteredData = {};
+
+  Object.keys(updateData).forEach(key => {
+    if (allowedFields.includes(key)) {
+      filteredData[key] = updateData[key];
+    }
+  });
+
+  const { data, error } = await supabaseAdmin
+    .from('usuarios')
+    .update(filteredData)
+    .eq('id_usuario', userId)
+    .select('id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, estado_aprobacion, intentos_fallidos, fecha_creacion')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  logger.info('Usuario actualizado', { userId, updatedFields: Object.keys(filteredData) });
+  return data;
+};
+
+/**
+ * Entrecomilla un valor para un filtro or() de PostgREST (fechas y nombres traen . , : o paréntesis)
+ * @param {*} value - Valor
+ * @returns {string} Valor entre comillas dobles
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Escapa los comodines de LIKE (% _ \) para buscar el texto literal
+ * @param {string} value - Texto buscado
+ * @returns {string} Texto escapado
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Filtro de la paginación por cursor: filas posteriores a { value, id } en el orden
+ * (column, id_usuario), con los NULL siempre al final
+ * @param {string} column - Columna de orden
+ * @param {boolean} ascending - Orden ascendente
+ * @param {Object} after - { value, id } de la última fila vista
+ * @returns {string} Condiciones para or()
+ */
+const keysetFilter = (column, ascending, { value, id }) => {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (column === 'id_usuario') {
+    return `id_usuario.${op}.${id}`;
+  }
+
+  if (value === null) {
+    return `and(${column}.is.null,id_usuario.${op}.${id})`;
+  }
+
+  const quoted = quoteFilterValue(value);
+  return `${column}.${op}.${quoted},and(${column}.eq.${quoted},id_usuario.${op}.${id}),${column}.is.null`;
+};
+
+/**
+ * Repositorio Supabase para manejar operaciones de usuarios
+ */
+class SupabaseUserRepository {
+  /**
+   * Crea un nuevo usuario
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Usuario creado
+   */
+  static async createUser({
+    email, password, nombre = null, activo = false, bloqueado = false, debeCambiarPassword = false, estadoAprobacion = 'approved'
+  }) {
+    try {
+      const passwordHash = await AuthUtils.hashPassword(password);
+
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .insert([{
+          email: email.toLowerCase(),
+          password_hash: passwordHash,
+          nombre,
+          activo,
+          bloqueado,
+          debe_cambiar_password: debeCambiarPassword,
+          estado_aprobacion: estadoAprobacion,
+          intentos_fallidos: 0
+        }])
+        .select('id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, estado_aprobacion, fecha_creacion')
+        .single();
+
+      if (error) {
+        if (error.code === '23505') { // Duplicate key
+          throw new Error('EMAIL_ALREADY_EXISTS');
+        }
+        throw error;
+      }
+
+      logger.info('Usuario creado exitosamente', { userId: data.id_usuario, email });
+      return data;
+    } catch (error) {
+      logger.error('Error al crear usuario', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca usuario por email
+   * @param {string} email - Email del usuario
+   * @returns {Promise<Object|null>} Usuario encontrado o null
+   */
+  static async findByEmail(email) {
+    try {
+      const emailToFind = String(email || '').toLowerCase();
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .select('*')
+        .eq('email', emailToFind)
+        .single();
+
+      // PGRST116 significa que no se encontró el usuario, retornar null
+      if (error && error.code === 'PGRST116') {
+        logger.info('Usuario no encontrado en BD', { email: emailToFind });
+        return null;
+      }
+
+      // Si hay otro tipo de error, lanzarlo
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar usuario por email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca usuario por ID
+   * @param {number} userId - ID del usuario (integer)
+   * @returns {Promise<Object|null>} Usuario encontrado o null
+   */
+  static async findById(userId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .select(`
+          id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, fecha_cambio_password,
+          estado_aprobacion, motivo_rechazo, fecha_revision, revisado_por, intentos_fallidos, fecha_bloqueo, fecha_creacion
+        `)
+        .eq('id_usuario', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar usuario por ID', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene usuario con sus roles
+   * @param {number} userId - ID del usuario (integer)
+   * @returns {Promise<Object|null>} Usuario con roles
+   */
+  static async findWithRoles(userId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('usuarios')
+        .select(`
+          id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, fecha_cambio_password,
+          estado_aprobacion, motivo_rechazo, fecha_revision, revisado_por, mfa_habilitado, intentos_fallidos, fecha_creacion,
+          ultimo_login,
+          usuario_roles(
+            rol_id,
+            roles(
+              id_rol, nombre, descripcion
+            )
+          )
+        `)
+        .eq('id_usuario', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (data) {
+        // Transformar la estructura de roles
+        data.roles = data.usuario_roles?.map(ur => ur.roles) || [];
+        delete data.usuario_roles;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error al buscar usuario con roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza información del usuario
+   * @param {number} userId - ID del usuario (integer)
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async updateUser(userId, updateData) {
+    try {
+      return await updateColumns(userId, updateData, UPDATABLE_FIELDS);
+    } catch (error) {
+      logger.error('Error al actualizar usuario', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el resultado de la revisión de un registro.
+   * Solo lo usa RegistrationApprovalService: estos campos no se pueden escribir con updateUser.
+   * @param {number} userId - ID del usuario (integer)
+   * @param {Object} approvalData - estado_aprobacion, motivo_rechazo, fecha_revision, revisado_por, activo y bloqueado
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async setApprovalState(userId, approvalData) {
+    try {
+      return await updateColumns(userId, approvalData, APPROVAL_FIELDS);
+    } catch (error) {
+      logger.error('Error al actualizar el estado de aprobación', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca o desmarca que el usuario debe cambiar su contraseña en el próximo login.
+   * No se puede escribir con updateUser para que el propio usuario no pueda limpiarla.
+   * @param {number} userId - ID del usuario (integer)
+   * @param {boolean} required - Si debe cambiarla
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async setPasswordChangeRequired(userId, required) {
+    try {
+      return await updateColumns(userId, { debe_cambiar_password: required }, ['debe_cambiar_password']);
+    } catch (error) {
+      logger.error('Error al actualizar el cambio de contraseña obligatorio', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra la fecha del último login (la escribe solo el login)
+   * @param {number} userId - ID del usuario (integer)
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async updateLastLogin(userId) {
+    try {
+      return await updateColumns(userId, { ultimo_login: new Date().toISOString() }, ['ultimo_login']);
+    } catch (error) {
+      logger.error('Error al registrar el último login', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambia contraseña del usuario
+   * @param {number} userId - ID del usuario (integer)
+   * @param {string} newPassword - Nueva contraseña
+   * @returns {Promise<boolean>} True si se cambió correctamente
+   */
+  static async changePassword(userId, newPassword) {
+    try {
+      const passwordHash = await AuthUtils.hashPassword(newPassword);
+
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .update({ password_hash: passwordHash, fecha_cambio_password: new Date().toISOString() })
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Contraseña cambiada exitosamente', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al cambiar contraseña', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna rol a usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} rolId - ID del rol
+   * @returns {Promise<Object>} Relación usuario-rol creada
+   */
+  static async assignRole(userId, rolId) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('usuario_roles')
+        .insert([{
+          usuario_id: userId,
+          rol_id: rolId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') { // Duplicate key
+          throw new Error('ROLE_ALREADY_ASSIGNED');
+        }
+        throw error;
+      }
+
+      logger.info('Rol asignado a usuario', { userId, rolId });
+      return data;
+    } catch (error) {
+      logger.error('Error al asignar rol', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remueve rol de usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} rolId - ID del rol
+   * @returns {Promise<boolean>} True si se removió correctamente
+   */
+  static async removeRole(userId, rolId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuario_roles')
+        .delete()
+        .eq('usuario_id', userId)
+        .eq('rol_id', rolId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Rol removido de usuario', { userId, rolId });
+      return true;
+    } catch (error) {
+      logger.error('Error al remover rol', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene lista de usuarios con filtros, orden y paginación por página o por cursor
+   * @param {Object} options - Opciones de búsqueda
+   * @param {number} options.page - Página (paginación por offset)
+   * @param {number} options.limit - Tamaño de página
+   * @param {string} options.search - Texto a buscar en email y nombre
+   * @param {boolean} options.includeInactive - Incluir usuarios inactivos
+   * @param {string} options.approvalState - Estado de aprobación
+   * @param {number} options.roleId - Solo usuarios con este rol
+   * @param {boolean} options.blocked - Filtrar por bloqueado (permanente o temporal, ver lockedSince)
+   * @param {string} options.lockedSince - Una fecha_bloqueo posterior a esta fecha (ISO) es un bloqueo temporal vigente
+   * @param {string} options.createdFrom - Fecha de creación mínima (ISO)
+   * @param {string} options.createdTo - Fecha de creación máxima (ISO)
+   * @param {string} options.lastLoginFrom - Último login mínimo (ISO)
+   * @param {string} options.lastLoginTo - Último login máximo (ISO)
+   * @param {string} options.sortBy - Columna de orden (ver SORT_COLUMNS)
+   * @param {string} options.sortOrder - 'asc' o 'desc'
+   * @param {Object} options.after - { value, id } de la última fila vista; activa la paginación por cursor
+   * @returns {Promise<Object>} { users, pagination } (sin total en la paginación por cursor)
+   */
+  static async getUsers({
+    page = 1, limit = 10, search = '', includeInactive = false, approvalState = null, roleId = null, blocked = null,
+    lockedSince = null, createdFrom = null, createdTo = null, lastLoginFrom = null, lastLoginTo = null,
+    sortBy = 'fecha_creacion', sortOrder = 'desc', after = null
+  } = {}) {
+    try {
+      const column = SORT_COLUMNS.includes(sortBy) ? sortBy : 'fecha_creacion';
+      const ascending = sortOrder === 'asc';
+      const columns = [
+        'id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, estado_aprobacion',
+        'intentos_fallidos, fecha_creacion, ultimo_login',
+        ...(roleId ? ['usuario_roles!inner(rol_id)'] : [])
+      ].join(', ');
+
+      // El total exacto solo se calcula en la paginación por página: en tablas grandes es costoso
+      let query = supabaseAdmin
+        .from('usuarios')
+        .select(columns, after ? {} : { count: 'exact' });
+      const orGroups = [];
+
+      if (!includeInactive) {
+        query = query.eq('activo', true);
+      }
+
+      if (approvalState) {
+        query = query.eq('estado_aprobacion', approvalState);
+      }
+
+      if (roleId) {
+        query = query.eq('usuario_roles.rol_id', roleId);
+      }
+
+      if (blocked === true && lockedSince) {
+        orGroups.push(`bloqueado.is.true,fecha_bloqueo.gt.${quoteFilterValue(lockedSince)}`);
+      } else if (blocked !== null) {
+        query = query.eq('bloqueado', blocked);
+
+        if (blocked === false && lockedSince) {
+          orGroups.push(`fecha_bloqueo.is.null,fecha_bloqueo.lte.${quoteFilterValue(lockedSince)}`);
+        }
+      }
+
+      if (createdFrom) query = query.gte('fecha_creacion', createdFrom);
+      if (createdTo) query = query.lte('fecha_creacion', createdTo);
+      if (lastLoginFrom) query = query.gte('ultimo_login', lastLoginFrom);
+      if (lastLoginTo) query = query.lte('ultimo_login', lastLoginTo);
+
+      if (search) {
+        const pattern = quoteFilterValue(`%${escapeLike(search)}%`);
+        orGroups.push(`email.ilike.${pattern},nombre.ilike.${pattern}`);
+      }
+
+      if (after) {
+        orGroups.push(keysetFilter(column, ascending, after));
+      }
+
+      // Varios grupos OR en un solo filtro: or=(and(or(...),or(...)))
+      if (orGroups.length === 1) {
+        query = query.or(orGroups[0]);
+      } else if (orGroups.length > 1) {
+        query = query.or(`and(${orGroups.map(group => `or(${group})`).join(',')})`);
+      }
+
+      query = query.order(column, { ascending, nullsFirst: false });
+
+      if (column !== 'id_usuario') {
+        query = query.order('id_usuario', { ascending });
+      }
+
+      // Pedir un elemento extra para saber si hay más páginas
+      const offset = after ? 0 : (page - 1) * limit;
+      query = query.range(offset, offset + limit);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = (data || []).map(user => ({ ...user, usuario_roles: undefined }));
+      const hasMore = rows.length > limit;
+      const users = hasMore ? rows.slice(0, limit) : rows;
+
+      if (after) {
+        return { users, pagination: { limit, hasMore } };
+      }
+
+      return {
+        users,
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          pages: Math.ceil((count || 0) / limit),
+          hasMore
+        }
+      };
+    } catch (error) {
+      logger.error('Error al obtener usuarios', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina usuario (soft delete - marca como inactivo)
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se desactivó correctamente
+   */
+  static async deactivateUser(userId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .update({ activo: false })
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Usuario desactivado', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al desactivar usuario', error);
+      throw error;
+    }
+  }
+  /**
+   * Obtiene los usuarios con sus roles, ordenados por id
+   * @param {Object} options - { afterId, limit } para recorrer la tabla por lotes (sin límite por defecto)
+   * @returns {Promise<Array>} Lista de usuarios con roles
+   */
+  static async getAllWithRoles({ afterId = 0, limit = null } = {}) {
+    try {
+      let query = supabaseAdmin
+        .from('usuarios')
+        .select(`
+          id_usuario, email, nombre, activo, bloqueado, email_verificado, debe_cambiar_password, estado_aprobacion,
+          intentos_fallidos, fecha_creacion,
+          usuario_roles(
+            rol_id,
+            roles(
+              id_rol, nombre, descripcion
+            )
+          )
+        `)
+        .gt('id_usuario', afterId)
+        .order('id_usuario');
+
+      if (limit) {
+        query = query.limit(limit);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      // Transformar la estructura de roles para cada usuario
+      const users = (data || []).map(user => ({
+        ...user,
+        roles: user.usuario_roles?.map(ur => ur.roles) || [],
+        usuario_roles: undefined // Eliminar campo temporal
+      }));
+
+      return users;
+    } catch (error) {
+      logger.error('Error al obtener usuarios con roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remueve todos los roles de un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se removieron correctamente
+   */
+  static async removeAllRoles(userId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('usuario_roles')
+        .delete()
+        .eq('usuario_id', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Todos los roles removidos del usuario', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al remover todos los roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina permanentemente un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async deleteUser(userId) {
+    try {
+      // Primero eliminar roles asociados
+      await this.removeAllRoles(userId);
+
+      // Luego eliminar el usuario
+      const { error } = await supabaseAdmin
+        .from('usuarios')
+        .delete()
+        .eq('id_usuario', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Usuario eliminado permanentemente', { userId });
+      return true;
+    } catch (error) {
+      logger.error('Error al eliminar usuario', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseUserRepository;
\ No newline at end of file
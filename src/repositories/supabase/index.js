@@ -0,0 +1,17 @@
+/**
+ * Repositorios respaldados por Supabase (PostgreSQL)
+ */
+module.exports = {
+  users: require('./UserRepository'),
+  sessions: require('./SessionRepository'),
+  roles: require('./RoleRepository'),
+  permissions: require('./PermissionRepository'),
+  passwordResets: require('./PasswordResetRepository'),
+  emailVerifications: require('./EmailVerificationRepository'),
+  invitations: require('./InvitationRepository'),
+  passwordHistory: require('./PasswordHistoryRepository'),
+  mfa: require('./MfaRepository'),
+  audit: require('./AuditRepository'),
+  tokenRevocations: require('./TokenRevocationRepository'),
+  rateLimits: require('./RateLimitRepository')
+};
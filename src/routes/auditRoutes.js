@@ -0,0 +1,23 @@
+const express = require('express');
+const AuditController = require('../controllers/AuditController');
+const { validateRequest } = require('../middleware/validation');
+const {
+  authenticateToken,
+  requirePermission,
+  requireActiveUser
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Consultar la auditoría requiere el permiso audit:read (admin lo tiene siempre)
+router.use(authenticateToken);
+router.use(requireActiveUser);
+router.use(requirePermission('audit:read'));
+
+router.get('/',
+  AuditController.getAuditLogValidation,
+  validateRequest,
+  AuditController.getAuditLog
+);
+
+module.exports = router;
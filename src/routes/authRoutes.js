@@ -3,45 +3,127 @@ const AuthController = require('../controllers/AuthController');
 const { validateRequest } = require('../middleware/validation');
 const { 
   authenticateToken, 
+  authenticatePasswordChange,
   validateRefreshToken, 
   requireActiveUser 
 } = require('../middleware/authMiddleware');
+const {
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  refreshIpLimiter,
+  refreshUserLimiter,
+  passwordIpLimiter,
+  passwordEmailLimiter,
+  passwordUserLimiter,
+  verificationIpLimiter,
+  verificationEmailLimiter
+} = require('../middleware/rateLimiters');
 
 const router = express.Router();
 
 // Rutas públicas
 router.post('/register', 
+  registerIpLimiter,
   AuthController.registerValidation,
   validateRequest,
   AuthController.register
 );
 
 router.post('/login',
+  loginIpLimiter,
+  loginEmailLimiter,
   AuthController.loginValidation,
   validateRequest,
   AuthController.login
 );
 
+router.post('/2fa/verify',
+  loginIpLimiter,
+  AuthController.mfaVerifyValidation,
+  validateRequest,
+  AuthController.verifyMfa
+);
+
 router.post('/refresh',
+  refreshIpLimiter,
   AuthController.refreshValidation,
   validateRequest,
   validateRefreshToken,
+  refreshUserLimiter,
   AuthController.refresh
 );
 
 // Logout puede ser llamado sin autenticación válida
 router.post('/logout', AuthController.logout);
 
+router.post('/forgot-password',
+  passwordIpLimiter,
+  passwordEmailLimiter,
+  AuthController.forgotPasswordValidation,
+  validateRequest,
+  AuthController.forgotPassword
+);
+
+router.post('/reset-password',
+  passwordIpLimiter,
+  AuthController.resetPasswordValidation,
+  validateRequest,
+  AuthController.resetPassword
+);
+
+router.post('/accept-invite',
+  passwordIpLimiter,
+  AuthController.acceptInviteValidation,
+  validateRequest,
+  AuthController.acceptInvite
+);
+
+router.post('/verify-email',
+  verificationIpLimiter,
+  AuthController.verifyEmailValidation,
+  validateRequest,
+  AuthController.verifyEmail
+);
+
+router.post('/resend-verification',
+  verificationIpLimiter,
+  verificationEmailLimiter,
+  AuthController.resendVerificationValidation,
+  validateRequest,
+  AuthController.resendVerification
+);
+
+router.get('/password-policy', AuthController.getPasswordPolicy);
+
+// Acepta también el token restringido que emite el login cuando la contraseña debe cambiarse
+router.post('/change-password',
+  authenticatePasswordChange,
+  requireActiveUser,
+  passwordUserLimiter,
+  AuthController.changePasswordValidation,
+  validateRequest,
+  AuthController.changePassword
+);
+
 // Rutas protegidas
 router.use(authenticateToken);
 router.use(requireActiveUser);
 
 router.post('/logout-all', AuthController.logoutAll);
 
-router.post('/change-password',
-  AuthController.changePasswordValidation,
+router.post('/2fa/setup', AuthController.setupMfa);
+
+router.post('/2fa/confirm',
+  AuthController.mfaConfirmValidation,
   validateRequest,
-  AuthController.changePassword
+  AuthController.confirmMfa
+);
+
+router.post('/2fa/disable',
+  AuthController.mfaDisableValidation,
+  validateRequest,
+  AuthController.disableMfa
 );
 
 router.get('/me', AuthController.getProfile);
@@ -50,6 +132,10 @@ router.post('/verify', AuthController.verifyToken);
 
 router.get('/sessions', AuthController.getSessions);
 
-router.delete('/sessions/:sessionId', AuthController.invalidateSession);
+router.delete('/sessions/:sessionId',
+  AuthController.sessionIdValidation,
+  validateRequest,
+  AuthController.invalidateSession
+);
 
 module.exports = router;
\ No newline at end of file
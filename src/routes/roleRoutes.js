@@ -0,0 +1,71 @@
+const express = require('express');
+const RoleController = require('../controllers/RoleController');
+const { validateRequest } = require('../middleware/validation');
+const {
+  authenticateToken,
+  requirePermission,
+  requireActiveUser
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Todas las rutas requieren el permiso roles:manage (admin lo tiene siempre)
+router.use(authenticateToken);
+router.use(requireActiveUser);
+router.use(requirePermission('roles:manage'));
+
+router.get('/', RoleController.getRoles);
+
+router.post('/',
+  RoleController.createRoleValidation,
+  validateRequest,
+  RoleController.createRole
+);
+
+router.post('/initialize', RoleController.initializeDefaultRoles);
+
+router.get('/permissions', RoleController.getPermissions);
+
+router.get('/:roleId',
+  RoleController.roleIdValidation,
+  validateRequest,
+  RoleController.getRole
+);
+
+router.put('/:roleId',
+  RoleController.updateRoleValidation,
+  validateRequest,
+  RoleController.updateRole
+);
+
+router.delete('/:roleId',
+  RoleController.roleIdValidation,
+  validateRequest,
+  RoleController.deleteRole
+);
+
+router.get('/:roleId/users',
+  RoleController.roleIdValidation,
+  validateRequest,
+  RoleController.getRoleUsers
+);
+
+router.get('/:roleId/permissions',
+  RoleController.roleIdValidation,
+  validateRequest,
+  RoleController.getRolePermissions
+);
+
+router.post('/:roleId/permissions',
+  RoleController.grantPermissionValidation,
+  validateRequest,
+  RoleController.grantPermission
+);
+
+router.delete('/:roleId/permissions/:permissionId',
+  RoleController.revokePermissionValidation,
+  validateRequest,
+  RoleController.revokePermission
+);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const SessionController = require('../controllers/SessionController');
 const { validateRequest } = require('../middleware/validation');
 const { 
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   requireActiveUser
 } = require('../middleware/authMiddleware');
 
@@ -16,23 +16,23 @@ router.use(requireActiveUser);
 // Rutas para el usuario autenticado
 router.get('/', SessionController.getSessions);
 router.get('/stats', SessionController.getSessionStats);
+router.delete('/all', SessionController.invalidateAllSessions);
+
+// Rutas que requieren permisos administrativos
+router.delete('/cleanup',
+  requirePermission('sessions:cleanup'),
+  SessionController.cleanupExpiredSessions
+);
 
+// Debe ir después de /all y /cleanup para no capturarlas
 router.delete('/:sessionId',
   [
     require('express-validator').param('sessionId')
-      .isUUID()
+      .isInt({ min: 1 })
       .withMessage('ID de sesión inválido')
   ],
   validateRequest,
   SessionController.invalidateSession
 );
 
-router.delete('/all', SessionController.invalidateAllSessions);
-
-// Rutas que requieren ser admin
-router.delete('/cleanup',
-  requireAdmin,
-  SessionController.cleanupExpiredSessions
-);
-
 module.exports = router;
\ No newline at end of file
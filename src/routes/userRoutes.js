@@ -1,9 +1,11 @@
 const express = require('express');
 const UserController = require('../controllers/UserController');
+const UserAdminService = require('../services/UserAdminService');
+const UserTransferService = require('../services/UserTransferService');
 const { validateRequest } = require('../middleware/validation');
 const {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
   requireActiveUser
 } = require('../middleware/authMiddleware');
@@ -28,17 +30,57 @@ router.put('/profile',
   UserController.updateProfile
 );
 
-// Rutas que requieren ser admin
+// Rutas que requieren permisos administrativos
 router.get('/',
-  requireAdmin,
+  requirePermission('users:read'),
   UserController.getUsersValidation,
   validateRequest,
   UserController.getUsers
 );
 
-// Nuevas rutas para gestión de usuarios (admin only)
+router.post('/',
+  requirePermission('users:create'),
+  UserController.createUserValidation,
+  validateRequest,
+  UserController.createUser
+);
+
+router.get('/pending',
+  requirePermission('users:approve'),
+  UserController.getPendingUsersValidation,
+  validateRequest,
+  UserController.getPendingUsers
+);
+
+router.get('/export',
+  requirePermission('users:read'),
+  UserController.exportUsersValidation,
+  validateRequest,
+  UserController.exportUsers
+);
+
+router.post('/import',
+  requirePermission('users:create'),
+  express.text({
+    type: Object.values(UserTransferService.FORMATS).map(f => f.contentType),
+    limit: process.env.USER_IMPORT_MAX_SIZE || '2mb'
+  }),
+  UserController.importUsersValidation,
+  validateRequest,
+  UserController.importUsers
+);
+
+// El permiso depende de la acción, por eso se valida el cuerpo antes de verificarlo
+router.post('/bulk',
+  UserController.bulkValidation,
+  validateRequest,
+  (req, res, next) => requirePermission(UserAdminService.BULK_ACTIONS[req.body.action].permission)(req, res, next),
+  UserController.bulkUsers
+);
+
+// Nuevas rutas para gestión de usuarios
 router.get('/all-with-roles',
-  requireAdmin,
+  requirePermission('users:read'),
   UserController.getAllWithRoles
 );
 
@@ -60,24 +102,24 @@ router.get('/:userId/roles',
   UserController.getUserRoles
 );
 
-// Rutas que requieren ser admin
+// Rutas que requieren permisos administrativos
 router.delete('/:userId',
-  requireAdmin,
+  requirePermission('users:deactivate'),
   UserController.deactivateUser
 );
 
 router.post('/:userId/roles',
-  requireAdmin,
+  requirePermission('users:roles'),
   UserController.assignRoleValidation,
   validateRequest,
   UserController.assignRole
 );
 
 router.delete('/:userId/roles/:roleId',
-  requireAdmin,
+  requirePermission('users:roles'),
   [
     require('express-validator').param('userId')
-      .isUUID()
+      .isInt({ min: 1 })
       .withMessage('ID de usuario inválido'),
     require('express-validator').param('roleId')
       .isInt({ min: 1 })
@@ -88,12 +130,26 @@ router.delete('/:userId/roles/:roleId',
 );
 
 router.patch('/:userId/approve',
-  requireAdmin,
+  requirePermission('users:approve'),
+  [
+    require('express-validator').body('force')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('force debe ser true o false')
+  ],
+  validateRequest,
   UserController.approveUser
 );
 
+router.patch('/:userId/reject',
+  requirePermission('users:approve'),
+  UserController.rejectUserValidation,
+  validateRequest,
+  UserController.rejectUser
+);
+
 router.patch('/:userId/role',
-  requireAdmin,
+  requirePermission('users:roles'),
   [
     require('express-validator').param('userId')
       .isInt({ min: 1 })
@@ -107,7 +163,7 @@ router.patch('/:userId/role',
 );
 
 router.patch('/:userId/toggle-active',
-  requireAdmin,
+  requirePermission('users:deactivate'),
   [
     require('express-validator').param('userId')
       .isInt({ min: 1 })
@@ -120,8 +176,23 @@ router.patch('/:userId/toggle-active',
   UserController.toggleActive
 );
 
+router.patch('/:userId/require-password-change',
+  requirePermission('users:update'),
+  [
+    require('express-validator').param('userId')
+      .isInt({ min: 1 })
+      .withMessage('ID de usuario inválido'),
+    require('express-validator').body('required')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('required debe ser true o false')
+  ],
+  validateRequest,
+  UserController.requirePasswordChange
+);
+
 router.delete('/:userId/permanent',
-  requireAdmin,
+  requirePermission('users:delete'),
   UserController.deleteUserPermanently
 );
 
@@ -0,0 +1,9 @@
+const express = require('express');
+const AuthController = require('../controllers/AuthController');
+
+const router = express.Router();
+
+// Rutas públicas para que otros servicios verifiquen nuestros tokens
+router.get('/jwks.json', AuthController.getJwks);
+
+module.exports = router;
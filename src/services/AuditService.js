@@ -0,0 +1,115 @@
+const AuditModel = require('../models/AuditModel');
+const AuthUtils = require('../utils/authUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Acciones auditables del sistema
+ */
+const AUDIT_ACTIONS = {
+  LOGIN_SUCCESS: 'auth.login.success',
+  LOGIN_FAILURE: 'auth.login.failure',
+  LOGOUT: 'auth.logout',
+  LOGOUT_ALL: 'auth.logout_all',
+  PASSWORD_CHANGE: 'auth.password.change',
+  PASSWORD_RESET: 'auth.password.reset',
+  INVITATION_ACCEPT: 'auth.invitation.accept',
+  ACCOUNT_LOCKOUT: 'auth.account.lockout',
+  REFRESH_TOKEN_REUSED: 'auth.refresh_token.reused',
+  USER_CREATE: 'user.create',
+  USER_IMPORT: 'user.import',
+  USER_EXPORT: 'user.export',
+  USER_APPROVE: 'user.approve',
+  USER_REJECT: 'user.reject',
+  USER_UPDATE: 'user.update',
+  USER_ROLE_ASSIGN: 'user.role.assign',
+  USER_ROLE_REMOVE: 'user.role.remove',
+  USER_ROLE_CHANGE: 'user.role.change',
+  USER_ACTIVE_TOGGLE: 'user.active.toggle',
+  USER_SESSIONS_REVOKE: 'user.sessions.revoke',
+  USER_DEACTIVATE: 'user.deactivate',
+  USER_DELETE: 'user.delete'
+};
+
+/**
+ * Servicio de auditoría de eventos de seguridad.
+ * Un fallo al auditar nunca interrumpe la operación auditada: solo se registra en el log.
+ */
+class AuditService {
+  /**
+   * Extrae actor, IP y User-Agent de un request de Express
+   * @param {Object} req - Request object
+   * @returns {Object} Contexto de auditoría
+   */
+  static contextFromRequest(req) {
+    if (!req) {
+      return {};
+    }
+
+    return {
+      actorId: req.userId || null,
+      ip: AuthUtils.getRealIP(req),
+      userAgent: req.get ? req.get('User-Agent') : null
+    };
+  }
+
+  /**
+   * Calcula las diferencias entre dos estados de un objeto
+   * @param {Object|null} before - Estado anterior
+   * @param {Object|null} after - Estado posterior
+   * @returns {Object|null} { antes, despues } solo con los campos modificados
+   */
+  static diff(before, after) {
+    if (!before && !after) {
+      return null;
+    }
+
+    if (!before || !after) {
+      return { antes: before || null, despues: after || null };
+    }
+
+    const antes = {};
+    const despues = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        antes[key] = before[key] === undefined ? null : before[key];
+        despues[key] = after[key] === undefined ? null : after[key];
+      }
+    });
+
+    return Object.keys(despues).length > 0 ? { antes, despues } : null;
+  }
+
+  /**
+   * Registra un evento de auditoría
+   * @param {string} action - Acción (ver AUDIT_ACTIONS)
+   * @param {Object} options - Datos del evento
+   * @param {Object} options.context - { actorId, ip, userAgent } (ver contextFromRequest)
+   * @param {number} options.targetId - Usuario afectado
+   * @param {Object} options.before - Estado anterior (opcional)
+   * @param {Object} options.after - Estado posterior (opcional)
+   * @param {Object} options.metadata - Datos adicionales (opcional)
+   * @returns {Promise<Object|null>} Evento creado o null si falló
+   */
+  static async record(action, { context = {}, targetId = null, before = null, after = null, metadata = null } = {}) {
+    try {
+      return await AuditModel.create({
+        accion: action,
+        actorId: context.actorId || null,
+        objetivoId: targetId,
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        cambios: this.diff(before, after),
+        metadata
+      });
+    } catch (error) {
+      logger.error('No se pudo registrar auditoría', error, { action, targetId });
+      return null;
+    }
+  }
+}
+
+AuditService.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditService;
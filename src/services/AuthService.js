@@ -1,9 +1,30 @@
 const UserModel = require('../models/UserModel');
 const SessionModel = require('../models/SessionModel');
 const RoleModel = require('../models/RoleModel');
+const PermissionModel = require('../models/PermissionModel');
+const PasswordResetModel = require('../models/PasswordResetModel');
+const EmailVerificationModel = require('../models/EmailVerificationModel');
+const InvitationModel = require('../models/InvitationModel');
+const MfaModel = require('../models/MfaModel');
+const MailService = require('./MailService');
+const AuditService = require('./AuditService');
+const TokenRevocationService = require('./TokenRevocationService');
+const PasswordPolicyService = require('./PasswordPolicyService');
+const RegistrationApprovalService = require('./RegistrationApprovalService');
 const AuthUtils = require('../utils/authUtils');
+const TotpUtils = require('../utils/totpUtils');
 const logger = require('../utils/logger');
 
+/**
+ * Errores de login que se auditan como intento fallido
+ */
+const LOGIN_FAILURE_CODES = [
+  'INVALID_CREDENTIALS',
+  'ACCOUNT_DISABLED',
+  'ACCOUNT_LOCKED',
+  'ACCOUNT_TEMPORARILY_LOCKED'
+];
+
 /**
  * Servicio de autenticación
  */
@@ -22,12 +43,10 @@ class AuthService {
       }
 
       // Validar contraseña
-      const passwordValidation = AuthUtils.validatePassword(password);
-      if (!passwordValidation.isValid) {
-        const error = new Error('PASSWORD_WEAK');
-        error.details = passwordValidation.errors;
-        throw error;
-      }
+      PasswordPolicyService.assertStrong(password, { email, nombre });
+
+      // Se resuelve antes de crear el usuario para no dejarlo sin rol si falta en la BD
+      const pendingRole = await RegistrationApprovalService.getPendingRole();
 
       // Crear usuario INACTIVO (pendiente de aprobación)
       const user = await UserModel.createUser({
@@ -35,7 +54,8 @@ class AuthService {
         password,
         nombre,
         activo: false,  // Usuario inactivo hasta que admin lo apruebe
-        bloqueado: false
+        bloqueado: false,
+        estadoAprobacion: RegistrationApprovalService.STATES.PENDING
       });
 
       logger.info('Usuario creado (pendiente de aprobación)', {
@@ -43,16 +63,21 @@ class AuthService {
         email
       });
 
-      // Asignar rol 5 (colaborador) por defecto
-      // Este rol indica que el usuario está pendiente de aprobación
-      const colaboradorRoleId = 5;
-      await UserModel.assignRole(user.id_usuario, colaboradorRoleId);
+      await UserModel.assignRole(user.id_usuario, pendingRole.id_rol);
 
-      logger.info('Rol colaborador asignado', {
+      logger.info('Rol de registro pendiente asignado', {
         userId: user.id_usuario,
-        roleId: colaboradorRoleId
+        roleId: pendingRole.id_rol,
+        rol: pendingRole.nombre
       });
 
+      // Enviar enlace de verificación; un fallo de correo no impide el registro
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('No se pudo enviar el email de verificación', mailError, { userId: user.id_usuario });
+      }
+
       // Crear sesión
       const session = await SessionModel.createSession({
         userId: user.id_usuario,
@@ -65,17 +90,7 @@ class AuthService {
       const userWithRoles = await UserModel.findWithRoles(user.id_usuario);
 
       // Generar tokens
-      const accessToken = AuthUtils.generateJWT(
-        {
-          sub: String(user.id_usuario), // Standard subject
-          userId: user.id_usuario,
-          email: user.email,
-          roles: userWithRoles.roles?.map(r => r.nombre) || [],
-          aud: 'authenticated', // Standard Supabase audience
-          role: 'authenticated' // Requerido por Supabase RLS
-        },
-        process.env.JWT_EXPIRES_IN || '15m'
-      );
+      const accessToken = await this.generateAccessToken(userWithRoles, session.id_sesion);
 
       logger.info('Usuario registrado exitosamente (pendiente de aprobación)', {
         userId: user.id_usuario,
@@ -88,6 +103,8 @@ class AuthService {
           email: user.email,
           nombre: user.nombre,
           activo: user.activo,
+          emailVerificado: false,
+          estadoAprobacion: user.estado_aprobacion,
           roles: userWithRoles.roles || []
         },
         tokens: {
@@ -109,12 +126,12 @@ class AuthService {
    * @returns {Promise<Object>} Usuario autenticado con tokens
    */
   static async login({ email, password }, { userAgent, ip }) {
+    let user = null;
+
     try {
 
       // Buscar usuario
-      logger.info('Login recibido', { emailRecibido: email });
-      const user = await UserModel.findByEmail(email);
-      logger.info('Usuario encontrado', { emailEncontrado: user?.email, hash: user?.password_hash });
+      user = await UserModel.findByEmail(email);
 
       if (!user) {
         logger.warn('Usuario no encontrado', { email });
@@ -131,75 +148,461 @@ class AuthService {
         throw new Error('ACCOUNT_LOCKED');
       }
 
-      // DEBUG: mostrar información mínima para verificar que estamos leyendo el hash correcto
-      logger.debug('Verificando contraseña del usuario', {
-        email: user.email,
-        passwordHashPrefix: user.password_hash ? user.password_hash.slice(0, 8) : null,
-        passwordHashLength: user.password_hash ? user.password_hash.length : 0,
-        passwordHash: user.password_hash,
-        passwordIntento: password
-      });
+      // Verificar bloqueo temporal por intentos fallidos
+      await this.checkTemporaryLockout(user);
 
       // Verificar contraseña
       const isValidPassword = await AuthUtils.verifyPassword(password, user.password_hash);
-      logger.info('Resultado comparación bcrypt', { email: user.email, resultado: isValidPassword });
 
       if (!isValidPassword) {
-        logger.warn('Intento de login con contraseña incorrecta', {
-          email,
-          ip,
-          hash: user.password_hash,
-          passwordIntento: password
-        });
+        logger.warn('Intento de login con contraseña incorrecta', { email, ip });
+        await this.registerFailedAttempt(user, ip);
         throw new Error('INVALID_CREDENTIALS');
       }
 
-      // Crear nueva sesión
-      const session = await SessionModel.createSession({
-        userId: user.id_usuario,
-        userAgent,
-        ip,
-        expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
-      });
+      // Reiniciar contador de intentos fallidos tras un login exitoso
+      if (user.intentos_fallidos > 0 || user.fecha_bloqueo) {
+        await UserModel.updateUser(user.id_usuario, {
+          intentos_fallidos: 0,
+          fecha_bloqueo: null
+        });
+      }
 
-      // Obtener usuario con roles
-      const userWithRoles = await UserModel.findWithRoles(user.id_usuario);
+      // Con 2FA habilitado, la contraseña solo habilita el segundo paso
+      if (user.mfa_habilitado) {
+        const mfaExpiresIn = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+        const mfaToken = AuthUtils.generateJWT(
+          {
+            sub: String(user.id_usuario),
+            userId: user.id_usuario,
+            aud: 'mfa'
+          },
+          mfaExpiresIn
+        );
 
-      // Generar access token
-      const accessToken = AuthUtils.generateJWT(
-        {
-          sub: String(user.id_usuario), // Standard subject
-          userId: user.id_usuario,
-          email: user.email,
-          roles: userWithRoles.roles?.map(r => r.nombre) || [],
-          aud: 'authenticated', // Standard Supabase audience
-          role: 'authenticated' // Requerido por Supabase RLS
-        },
-        process.env.JWT_EXPIRES_IN || '15m'
-      );
+        logger.info('Contraseña válida, se requiere 2FA', { userId: user.id_usuario });
 
-      logger.info('Login exitoso', {
-        userId: user.id_usuario,
+        return {
+          mfaRequired: true,
+          mfaToken,
+          expiresIn: mfaExpiresIn
+        };
+      }
+
+      return await this.completeLogin(user, { userAgent, ip });
+    } catch (error) {
+      logger.error('Error en login', error);
+
+      if (LOGIN_FAILURE_CODES.includes(error.message)) {
+        await AuditService.record(AuditService.ACTIONS.LOGIN_FAILURE, {
+          context: { ip, userAgent },
+          targetId: user?.id_usuario || null,
+          metadata: { email, reason: error.message }
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Crea la sesión y emite tokens para un usuario ya autenticado
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} sessionData - Datos de la sesión
+   * @returns {Promise<Object>} Usuario autenticado con tokens
+   */
+  static async completeLogin(user, { userAgent, ip }) {
+    // Contraseña marcada para cambio o caducada: en lugar de una sesión se emite
+    // un token que solo permite cambiarla
+    const passwordChangeReason = PasswordPolicyService.passwordChangeReason(user);
+    if (passwordChangeReason) {
+      return this.issuePasswordChangeToken(user, { userAgent, ip }, passwordChangeReason);
+    }
+
+    // Crear nueva sesión
+    const session = await SessionModel.createSession({
+      userId: user.id_usuario,
+      userAgent,
+      ip,
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
+    });
+
+    await UserModel.updateLastLogin(user.id_usuario);
+
+    // Obtener usuario con roles
+    const userWithRoles = await UserModel.findWithRoles(user.id_usuario);
+
+    // Generar access token
+    const accessToken = await this.generateAccessToken(userWithRoles, session.id_sesion);
+
+    logger.info('Login exitoso', {
+      userId: user.id_usuario,
+      email: user.email,
+      sessionId: session.id_sesion
+    });
+
+    await AuditService.record(AuditService.ACTIONS.LOGIN_SUCCESS, {
+      context: { actorId: user.id_usuario, ip, userAgent },
+      targetId: user.id_usuario,
+      metadata: { sessionId: session.id_sesion }
+    });
+
+    return {
+      user: {
+        id: user.id_usuario,
         email: user.email,
-        sessionId: session.id_sesion
-      });
+        nombre: user.nombre,
+        activo: user.activo,
+        roles: userWithRoles.roles || []
+      },
+      tokens: {
+        accessToken,
+        refreshToken: session.refresh_token,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      }
+    };
+  }
+
+  /**
+   * Emite el token restringido de un usuario que debe cambiar su contraseña.
+   * Solo lo acepta POST /api/auth/change-password (ver authenticatePasswordChange)
+   * y deja de servir en cuanto la contraseña se cambia.
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} sessionData - Datos de la solicitud (auditoría)
+   * @param {string} reason - 'required' (marcada por un administrador) o 'expired'
+   * @returns {Promise<Object>} { passwordChangeRequired, reason, passwordChangeToken, expiresIn }
+   */
+  static async issuePasswordChangeToken(user, { userAgent, ip }, reason = 'required') {
+    const expiresIn = process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m';
+    const passwordChangeToken = AuthUtils.generateJWT(
+      {
+        sub: String(user.id_usuario),
+        userId: user.id_usuario,
+        aud: 'password_change',
+        jti: AuthUtils.generateUUID()
+      },
+      expiresIn
+    );
+
+    logger.info('Contraseña válida, se requiere cambio de contraseña', { userId: user.id_usuario, reason });
+
+    await AuditService.record(AuditService.ACTIONS.LOGIN_SUCCESS, {
+      context: { actorId: user.id_usuario, ip, userAgent },
+      targetId: user.id_usuario,
+      metadata: { passwordChangeRequired: true, reason }
+    });
+
+    return {
+      passwordChangeRequired: true,
+      reason,
+      passwordChangeToken,
+      expiresIn
+    };
+  }
+
+  /**
+   * Completa un login con 2FA usando un código TOTP o de recuperación
+   * @param {Object} verification - mfaToken y code o recoveryCode
+   * @param {Object} sessionData - Datos de la sesión
+   * @returns {Promise<Object>} Usuario autenticado con tokens
+   */
+  static async verifyMfaLogin({ mfaToken, code, recoveryCode }, { userAgent, ip }) {
+    try {
+      let decoded;
+      try {
+        decoded = AuthUtils.verifyJWT(mfaToken);
+      } catch (jwtError) {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
+
+      if (decoded.aud !== 'mfa') {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
+
+      const user = await UserModel.findByEmail((await UserModel.findById(decoded.userId))?.email);
+
+      if (!user || !user.activo || user.bloqueado || !user.mfa_habilitado) {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
+
+      await this.checkTemporaryLockout(user);
+
+      const isValidCode = recoveryCode
+        ? await MfaModel.consumeRecoveryCode(user.id_usuario, recoveryCode)
+        : await this.verifyTotpCode(user.id_usuario, code);
+
+      if (!isValidCode) {
+        logger.warn('Código 2FA incorrecto', { userId: user.id_usuario, ip });
+        await AuditService.record(AuditService.ACTIONS.LOGIN_FAILURE, {
+          context: { ip, userAgent },
+          targetId: user.id_usuario,
+          metadata: { reason: 'INVALID_MFA_CODE' }
+        });
+        await this.registerFailedAttempt(user, ip);
+        throw new Error('INVALID_MFA_CODE');
+      }
+
+      if (user.intentos_fallidos > 0 || user.fecha_bloqueo) {
+        await UserModel.updateUser(user.id_usuario, {
+          intentos_fallidos: 0,
+          fecha_bloqueo: null
+        });
+      }
+
+      return await this.completeLogin(user, { userAgent, ip });
+    } catch (error) {
+      logger.error('Error en verificación 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica un código TOTP contra el secreto del usuario sin permitir reutilizarlo
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Promise<boolean>} True si el código es válido y no fue usado antes
+   */
+  static async verifyTotpCode(userId, code) {
+    const settings = await MfaModel.getSettings(userId);
+
+    if (!settings || !settings.secret) {
+      return false;
+    }
+
+    const step = TotpUtils.verifyCode(settings.secret, code);
+
+    if (step === null) {
+      return false;
+    }
+
+    return await MfaModel.markStepUsed(userId, step);
+  }
+
+  /**
+   * Inicia la configuración de 2FA generando un secreto nuevo
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} Secreto en base32 y URL otpauth
+   */
+  static async setupMfa(userId) {
+    try {
+      const user = await UserModel.findById(userId);
+      const settings = await MfaModel.getSettings(userId);
+
+      if (!user || !settings) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      if (settings.enabled) {
+        throw new Error('MFA_ALREADY_ENABLED');
+      }
+
+      const secret = TotpUtils.generateSecret();
+      await MfaModel.savePendingSecret(userId, secret);
+
+      logger.info('Configuración 2FA iniciada', { userId });
 
       return {
-        user: {
-          id: user.id_usuario,
-          email: user.email,
-          nombre: user.nombre,
-          activo: user.activo,
-          roles: userWithRoles.roles || []
-        },
-        tokens: {
-          accessToken,
-          refreshToken: session.refresh_token,
-          expiresIn: process.env.JWT_EXPIRES_IN || '15m'
-        }
+        secret,
+        otpauthUrl: TotpUtils.buildOtpauthUrl(secret, user.email)
       };
     } catch (error) {
-      logger.error('Error en login', error);
+      logger.error('Error al iniciar configuración 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma la configuración de 2FA con el primer código y genera códigos de recuperación
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Promise<Array<string>>} Códigos de recuperación en texto plano (se muestran una sola vez)
+   */
+  static async confirmMfa(userId, code) {
+    try {
+      const settings = await MfaModel.getSettings(userId);
+
+      if (!settings) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      if (settings.enabled) {
+        throw new Error('MFA_ALREADY_ENABLED');
+      }
+
+      if (!settings.secret) {
+        throw new Error('MFA_SETUP_REQUIRED');
+      }
+
+      const step = TotpUtils.verifyCode(settings.secret, code);
+
+      if (step === null) {
+        throw new Error('INVALID_MFA_CODE');
+      }
+
+      const recoveryCodes = TotpUtils.generateRecoveryCodes();
+      await MfaModel.replaceRecoveryCodes(userId, recoveryCodes);
+      await MfaModel.enable(userId, step);
+
+      logger.info('2FA confirmado', { userId });
+      return recoveryCodes;
+    } catch (error) {
+      logger.error('Error al confirmar 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deshabilita 2FA verificando contraseña y un código TOTP o de recuperación
+   * @param {number} userId - ID del usuario
+   * @param {Object} credentials - password y code o recoveryCode
+   * @returns {Promise<boolean>} True si se deshabilitó
+   */
+  static async disableMfa(userId, { password, code, recoveryCode }) {
+    try {
+      const user = await UserModel.findByEmail((await UserModel.findById(userId))?.email);
+
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      if (!user.mfa_habilitado) {
+        throw new Error('MFA_NOT_ENABLED');
+      }
+
+      const isValidPassword = await AuthUtils.verifyPassword(password, user.password_hash);
+      if (!isValidPassword) {
+        throw new Error('INVALID_CURRENT_PASSWORD');
+      }
+
+      const isValidCode = recoveryCode
+        ? await MfaModel.consumeRecoveryCode(userId, recoveryCode)
+        : await this.verifyTotpCode(userId, code);
+
+      if (!isValidCode) {
+        throw new Error('INVALID_MFA_CODE');
+      }
+
+      await MfaModel.disable(userId);
+      return true;
+    } catch (error) {
+      logger.error('Error al deshabilitar 2FA', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera el access token de un usuario con sus roles y permisos efectivos.
+   * jti y sid permiten revocarlo antes de que expire (ver TokenRevocationService).
+   * @param {Object} userWithRoles - Usuario obtenido con UserModel.findWithRoles
+   * @param {number} sessionId - Sesión a la que pertenece el token
+   * @returns {Promise<string>} JWT firmado
+   */
+  static async generateAccessToken(userWithRoles, sessionId = null) {
+    const roles = userWithRoles.roles || [];
+    const permissions = await PermissionModel.getPermissionNamesForRoles(roles.map(r => r.id_rol));
+
+    return AuthUtils.generateJWT(
+      {
+        sub: String(userWithRoles.id_usuario), // Standard subject
+        userId: userWithRoles.id_usuario,
+        email: userWithRoles.email,
+        roles: roles.map(r => r.nombre),
+        permissions,
+        aud: 'authenticated', // Standard Supabase audience
+        role: 'authenticated', // Requerido por Supabase RLS
+        jti: AuthUtils.generateUUID(),
+        ...(sessionId && { sid: sessionId })
+      },
+      process.env.JWT_EXPIRES_IN || '15m'
+    );
+  }
+
+  /**
+   * Obtiene la configuración de bloqueo por intentos fallidos
+   * @returns {Object} Máximo de intentos y duración del bloqueo en minutos
+   */
+  static getLockoutConfig() {
+    return {
+      maxAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+      lockoutMinutes: parseInt(process.env.LOCKOUT_TIME_MINUTES) || 15
+    };
+  }
+
+  /**
+   * Inicio de la ventana de bloqueo vigente: una cuenta con fecha_bloqueo
+   * posterior sigue bloqueada temporalmente
+   * @returns {Date} Ahora menos la duración del bloqueo
+   */
+  static getLockoutCutoff() {
+    const { lockoutMinutes } = this.getLockoutConfig();
+    return new Date(Date.now() - lockoutMinutes * 60 * 1000);
+  }
+
+  /**
+   * Verifica si la cuenta está bloqueada temporalmente.
+   * Si la ventana de bloqueo ya pasó, desbloquea la cuenta y reinicia el contador.
+   * @param {Object} user - Usuario con intentos_fallidos y fecha_bloqueo
+   * @throws {Error} ACCOUNT_TEMPORARILY_LOCKED con retryAfter (segundos)
+   */
+  static async checkTemporaryLockout(user) {
+    if (!user.fecha_bloqueo) {
+      return;
+    }
+
+    const { lockoutMinutes } = this.getLockoutConfig();
+    const unlockAt = new Date(user.fecha_bloqueo).getTime() + lockoutMinutes * 60 * 1000;
+    const remainingMs = unlockAt - Date.now();
+
+    if (remainingMs > 0) {
+      logger.warn('Cuenta bloqueada temporalmente', { userId: user.id_usuario });
+      const error = new Error('ACCOUNT_TEMPORARILY_LOCKED');
+      error.retryAfter = Math.ceil(remainingMs / 1000);
+      throw error;
+    }
+
+    // La ventana de bloqueo expiró: desbloquear
+    await UserModel.updateUser(user.id_usuario, {
+      intentos_fallidos: 0,
+      fecha_bloqueo: null
+    });
+    user.intentos_fallidos = 0;
+    user.fecha_bloqueo = null;
+
+    logger.info('Bloqueo temporal expirado, cuenta desbloqueada', { userId: user.id_usuario });
+  }
+
+  /**
+   * Registra un intento fallido de login y bloquea la cuenta si se supera el máximo
+   * @param {Object} user - Usuario que falló la autenticación
+   * @param {string} ip - IP desde donde se intentó el login
+   */
+  static async registerFailedAttempt(user, ip) {
+    const { maxAttempts, lockoutMinutes } = this.getLockoutConfig();
+    const attempts = (user.intentos_fallidos || 0) + 1;
+    const updateData = { intentos_fallidos: attempts };
+
+    if (attempts >= maxAttempts) {
+      updateData.fecha_bloqueo = new Date().toISOString();
+    }
+
+    await UserModel.updateUser(user.id_usuario, updateData);
+
+    if (updateData.fecha_bloqueo) {
+      logger.warn('Cuenta bloqueada temporalmente por intentos fallidos', {
+        userId: user.id_usuario,
+        attempts,
+        lockoutMinutes,
+        ip
+      });
+
+      await AuditService.record(AuditService.ACTIONS.ACCOUNT_LOCKOUT, {
+        context: { ip },
+        targetId: user.id_usuario,
+        metadata: { attempts, lockoutMinutes }
+      });
+
+      const error = new Error('ACCOUNT_TEMPORARILY_LOCKED');
+      error.retryAfter = lockoutMinutes * 60;
       throw error;
     }
   }
@@ -215,6 +618,9 @@ class AuthService {
       const session = await SessionModel.findByRefreshToken(refreshToken);
 
       if (!session) {
+        if (await this.detectRefreshTokenReuse(refreshToken)) {
+          throw new Error('REFRESH_TOKEN_REUSED');
+        }
         throw new Error('INVALID_REFRESH_TOKEN');
       }
 
@@ -231,17 +637,7 @@ class AuthService {
       const userWithRoles = await UserModel.findWithRoles(session.usuario_id);
 
       // Generar nuevo access token
-      const newAccessToken = AuthUtils.generateJWT(
-        {
-          sub: String(userWithRoles.id_usuario), // Standard subject
-          userId: userWithRoles.id_usuario,
-          email: userWithRoles.email,
-          roles: userWithRoles.roles?.map(r => r.nombre) || [],
-          aud: 'authenticated', // Standard Supabase audience
-          role: 'authenticated' // Requerido por Supabase RLS
-        },
-        process.env.JWT_EXPIRES_IN || '15m'
-      );
+      const newAccessToken = await this.generateAccessToken(userWithRoles, newSession.id_sesion);
 
       // Actualizar última actividad
       await SessionModel.updateLastActivity(newSession.refresh_token);
@@ -270,19 +666,78 @@ class AuthService {
     }
   }
 
+  /**
+   * Detecta el uso de un refresh token ya rotado. Si ocurre, el token fue
+   * robado o filtrado: se revoca toda la familia de la sesión junto con los
+   * access tokens que se emitieron para ella.
+   * @param {string} refreshToken - Token de renovación presentado
+   * @returns {Promise<boolean>} True si el token ya había sido rotado
+   */
+  static async detectRefreshTokenReuse(refreshToken) {
+    const rotatedToken = await SessionModel.findRotatedToken(refreshToken);
+
+    if (!rotatedToken) {
+      return false;
+    }
+
+    const userId = rotatedToken.sesiones?.usuario_id || null;
+    const revokedSessionIds = await SessionModel.revokeFamily(rotatedToken.familia_token);
+    const revokedCount = revokedSessionIds.length;
+
+    // La sesión del token rotado se incluye aunque ya estuviera cerrada por una reutilización anterior
+    const sessionIds = new Set([rotatedToken.sesion_id, ...revokedSessionIds]);
+    for (const sessionId of sessionIds) {
+      await TokenRevocationService.revokeSession(sessionId, userId, 'refresh_token_reused');
+    }
+
+    logger.warn('🚨 Evento de seguridad: reutilización de refresh token', {
+      securityEvent: 'REFRESH_TOKEN_REUSED',
+      userId,
+      sessionId: rotatedToken.sesion_id,
+      familyId: rotatedToken.familia_token,
+      rotatedAt: rotatedToken.fecha_rotacion,
+      revokedCount
+    });
+
+    await AuditService.record(AuditService.ACTIONS.REFRESH_TOKEN_REUSED, {
+      targetId: userId,
+      metadata: {
+        sessionId: rotatedToken.sesion_id,
+        familyId: rotatedToken.familia_token,
+        revokedCount
+      }
+    });
+
+    return true;
+  }
+
   /**
    * Cierra sesión del usuario
    * @param {string} refreshToken - Token de renovación a invalidar
+   * @param {Object} context - Contexto de auditoría { ip, userAgent }
    * @returns {Promise<boolean>} True si se cerró correctamente
    */
-  static async logout(refreshToken) {
+  static async logout(refreshToken, context = {}) {
     try {
       if (!refreshToken) {
         return true; // Si no hay token, considerar logout exitoso
       }
 
+      const session = await SessionModel.findByRefreshToken(refreshToken);
+
       await SessionModel.invalidateByRefreshToken(refreshToken);
 
+      if (session) {
+        // El access token de la sesión deja de ser válido aunque no haya expirado
+        await TokenRevocationService.revokeSession(session.id_sesion, session.usuario_id, 'logout');
+
+        await AuditService.record(AuditService.ACTIONS.LOGOUT, {
+          context: { ...context, actorId: session.usuario_id },
+          targetId: session.usuario_id,
+          metadata: { sessionId: session.id_sesion }
+        });
+      }
+
       logger.info('Logout exitoso');
       return true;
     } catch (error) {
@@ -295,18 +750,38 @@ class AuthService {
    * Cierra todas las sesiones de un usuario
    * @param {number} userId - ID del usuario
    * @param {number} exceptSessionId - ID de sesión a mantener (opcional)
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
    * @returns {Promise<number>} Número de sesiones cerradas
    */
-  static async logoutAllSessions(userId, exceptSessionId = null) {
+  static async logoutAllSessions(userId, exceptSessionId = null, context = {}) {
     try {
+      const sessionsToRevoke = exceptSessionId
+        ? (await SessionModel.getActiveSessions(userId)).filter(s => s.id_sesion !== exceptSessionId)
+        : [];
+
       const invalidatedCount = await SessionModel.invalidateAllUserSessions(userId, exceptSessionId);
 
+      // Revocar los access tokens vigentes; si se conserva una sesión solo se revocan las demás
+      if (exceptSessionId) {
+        for (const session of sessionsToRevoke) {
+          await TokenRevocationService.revokeSession(session.id_sesion, userId, 'logout_all');
+        }
+      } else {
+        await TokenRevocationService.revokeUserTokens(userId, 'logout_all');
+      }
+
       logger.info('Logout de todas las sesiones', {
         userId,
         invalidatedCount,
         exceptSessionId
       });
 
+      await AuditService.record(AuditService.ACTIONS.LOGOUT_ALL, {
+        context,
+        targetId: userId,
+        metadata: { invalidatedCount, exceptSessionId }
+      });
+
       return invalidatedCount;
     } catch (error) {
       logger.error('Error al cerrar todas las sesiones', error);
@@ -314,21 +789,35 @@ class AuthService {
     }
   }
 
+  /**
+   * Busca un usuario por ID con el hash de su contraseña
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} Usuario con password_hash
+   * @throws {Error} USER_NOT_FOUND si el usuario no existe
+   */
+  static async findUserWithPassword(userId) {
+    const user = await UserModel.findById(userId);
+    const userWithPassword = user && await UserModel.findByEmail(user.email);
+
+    if (!userWithPassword) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    return userWithPassword;
+  }
+
   /**
    * Cambia la contraseña del usuario
    * @param {number} userId - ID del usuario
    * @param {string} currentPassword - Contraseña actual
    * @param {string} newPassword - Nueva contraseña
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
    * @returns {Promise<boolean>} True si se cambió correctamente
    */
-  static async changePassword(userId, currentPassword, newPassword) {
+  static async changePassword(userId, currentPassword, newPassword, context = {}) {
     try {
       // Obtener usuario actual
-      const user = await UserModel.findByEmail((await UserModel.findById(userId)).email);
-
-      if (!user) {
-        throw new Error('USER_NOT_FOUND');
-      }
+      const user = await this.findUserWithPassword(userId);
 
       // Verificar contraseña actual
       const isCurrentValid = await AuthUtils.verifyPassword(currentPassword, user.password_hash);
@@ -337,20 +826,30 @@ class AuthService {
         throw new Error('INVALID_CURRENT_PASSWORD');
       }
 
-      // Validar nueva contraseña
-      const passwordValidation = AuthUtils.validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        const error = new Error('PASSWORD_WEAK');
-        error.details = passwordValidation.errors;
-        throw error;
+      if (newPassword === currentPassword) {
+        throw new Error('PASSWORD_UNCHANGED');
       }
 
+      // Validar nueva contraseña
+      PasswordPolicyService.assertStrong(newPassword, user);
+      await PasswordPolicyService.assertNotReused(user, newPassword);
+
       // Cambiar contraseña
       await UserModel.changePassword(userId, newPassword);
+      await PasswordPolicyService.remember(userId, user.password_hash);
+
+      if (user.debe_cambiar_password) {
+        await UserModel.setPasswordChangeRequired(userId, false);
+      }
 
       // Invalidar todas las sesiones excepto la actual (implementar según necesidades)
       // await this.logoutAllSessions(userId);
 
+      await AuditService.record(AuditService.ACTIONS.PASSWORD_CHANGE, {
+        context,
+        targetId: userId
+      });
+
       logger.info('Contraseña cambiada exitosamente', { userId });
       return true;
     } catch (error) {
@@ -359,6 +858,300 @@ class AuthService {
     }
   }
 
+  /**
+   * Solicita recuperación de contraseña.
+   * No revela si el email existe: siempre termina sin error para emails desconocidos.
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>} True siempre que no haya errores internos
+   */
+  static async requestPasswordReset(email) {
+    try {
+      const user = await UserModel.findByEmail(email);
+
+      if (!user || !user.activo) {
+        logger.warn('Recuperación solicitada para email inexistente o inactivo', { email });
+        return true;
+      }
+
+      const expiresIn = process.env.PASSWORD_RESET_EXPIRES_IN || '30m';
+
+      // Solo el último enlace enviado debe servir
+      await PasswordResetModel.invalidateUserTokens(user.id_usuario);
+      const { token } = await PasswordResetModel.createToken(user.id_usuario, expiresIn);
+
+      await MailService.sendPasswordReset(user, token, expiresIn);
+
+      logger.info('Enlace de recuperación enviado', { userId: user.id_usuario });
+      return true;
+    } catch (error) {
+      logger.error('Error al solicitar recuperación de contraseña', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restablece la contraseña con un token de recuperación
+   * @param {string} token - Token de recuperación en texto plano
+   * @param {string} newPassword - Nueva contraseña
+   * @param {Object} context - Contexto de auditoría { ip, userAgent }
+   * @returns {Promise<boolean>} True si se restableció correctamente
+   */
+  static async resetPassword(token, newPassword, context = {}) {
+    try {
+      const resetToken = await PasswordResetModel.findValidToken(token);
+
+      if (!resetToken) {
+        throw new Error('INVALID_RESET_TOKEN');
+      }
+
+      const userId = resetToken.usuario_id;
+      const user = await this.findUserWithPassword(userId);
+
+      // Validar nueva contraseña
+      PasswordPolicyService.assertStrong(newPassword, user);
+      await PasswordPolicyService.assertNotReused(user, newPassword);
+
+      // Consumir el token antes de cambiar la contraseña (un solo uso)
+      const consumed = await PasswordResetModel.markUsed(resetToken.id_token);
+      if (!consumed) {
+        throw new Error('INVALID_RESET_TOKEN');
+      }
+
+      await UserModel.changePassword(userId, newPassword);
+      await PasswordPolicyService.remember(userId, user.password_hash);
+
+      // Recuperar la cuenta también levanta el bloqueo por intentos fallidos
+      // y cumple con un cambio de contraseña pendiente
+      await UserModel.updateUser(userId, {
+        intentos_fallidos: 0,
+        fecha_bloqueo: null
+      });
+      await UserModel.setPasswordChangeRequired(userId, false);
+
+      // Cerrar todas las sesiones abiertas con la contraseña anterior
+      const invalidatedCount = await SessionModel.invalidateAllUserSessions(userId);
+      await TokenRevocationService.revokeUserTokens(userId, 'password_reset');
+
+      await AuditService.record(AuditService.ACTIONS.PASSWORD_RESET, {
+        context,
+        targetId: userId,
+        metadata: { invalidatedCount }
+      });
+
+      logger.info('Contraseña restablecida con token de recuperación', { userId, invalidatedCount });
+      return true;
+    } catch (error) {
+      logger.error('Error al restablecer contraseña', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera un token de verificación y envía el enlace al usuario
+   * @param {Object} user - Usuario con id_usuario, email y nombre
+   * @returns {Promise<boolean>} True si se envió el correo
+   */
+  static async sendVerificationEmail(user) {
+    const expiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+    // Solo el último enlace enviado debe servir
+    await EmailVerificationModel.invalidateUserTokens(user.id_usuario);
+    const { token } = await EmailVerificationModel.createToken(user.id_usuario, expiresIn);
+
+    await MailService.sendEmailVerification(user, token, expiresIn);
+
+    logger.info('Enlace de verificación de email enviado', { userId: user.id_usuario });
+    return true;
+  }
+
+  /**
+   * Confirma el email de un usuario con un token de verificación
+   * @param {string} token - Token de verificación en texto plano
+   * @returns {Promise<Object>} Usuario verificado
+   */
+  static async verifyEmail(token) {
+    try {
+      const verificationToken = await EmailVerificationModel.findValidToken(token);
+
+      if (!verificationToken) {
+        throw new Error('INVALID_VERIFICATION_TOKEN');
+      }
+
+      const consumed = await EmailVerificationModel.markUsed(verificationToken.id_token);
+      if (!consumed) {
+        throw new Error('INVALID_VERIFICATION_TOKEN');
+      }
+
+      const user = await UserModel.updateUser(verificationToken.usuario_id, {
+        email_verificado: true
+      });
+
+      logger.info('Email verificado', { userId: user.id_usuario });
+      return user;
+    } catch (error) {
+      logger.error('Error al verificar email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reenvía el enlace de verificación de email.
+   * No revela si el email existe ni si ya estaba verificado.
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>} True siempre que no haya errores internos
+   */
+  static async resendVerification(email) {
+    try {
+      const user = await UserModel.findByEmail(email);
+
+      if (!user || user.email_verificado) {
+        logger.warn('Reenvío de verificación ignorado', { email, exists: !!user });
+        return true;
+      }
+
+      await this.sendVerificationEmail(user);
+      return true;
+    } catch (error) {
+      logger.error('Error al reenviar verificación de email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea un usuario activo desde la administración con los roles indicados.
+   * Con invitación se envía un enlace para que el usuario defina su contraseña
+   * (la inicial es aleatoria y nadie la conoce); sin invitación se genera una
+   * contraseña temporal que el administrador entrega y que debe cambiarse.
+   * @param {Object} userData - { email, nombre, roleIds, invite }
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
+   * @returns {Promise<Object>} { user, invitation, temporaryPassword }
+   */
+  static async createUserByAdmin({ email, nombre = null, roleIds, invite = true }, context = {}) {
+    try {
+      if (!AuthUtils.isValidEmail(email)) {
+        throw new Error('EMAIL_INVALID');
+      }
+
+      const roles = [];
+      for (const roleId of [...new Set(roleIds)]) {
+        const role = await RoleModel.findById(roleId);
+
+        if (!role) {
+          const error = new Error('ROLE_NOT_FOUND');
+          error.details = { roleId };
+          throw error;
+        }
+
+        roles.push(role);
+      }
+
+      const initialPassword = AuthUtils.generateTemporaryPassword();
+
+      const user = await UserModel.createUser({
+        email: email.toLowerCase(),
+        password: initialPassword,
+        nombre,
+        activo: true,
+        bloqueado: false,
+        debeCambiarPassword: !invite
+      });
+
+      for (const role of roles) {
+        await UserModel.assignRole(user.id_usuario, role.id_rol);
+      }
+
+      let invitation = null;
+
+      if (invite) {
+        const expiresIn = process.env.INVITATION_EXPIRES_IN || '72h';
+        const { token, record } = await InvitationModel.createToken(user.id_usuario, expiresIn);
+
+        // Un fallo de correo no deshace la creación: el usuario puede recuperar la cuenta con forgot-password
+        let emailSent = true;
+        try {
+          await MailService.sendInvitation(user, token, expiresIn);
+        } catch (mailError) {
+          emailSent = false;
+          logger.error('No se pudo enviar la invitación', mailError, { userId: user.id_usuario });
+        }
+
+        invitation = { expiresAt: record.fecha_expiracion, emailSent };
+      }
+
+      await AuditService.record(AuditService.ACTIONS.USER_CREATE, {
+        context,
+        targetId: user.id_usuario,
+        after: {
+          email: user.email,
+          nombre: user.nombre,
+          activo: true,
+          roles: roles.map(r => r.nombre)
+        },
+        metadata: { method: invite ? 'invitation' : 'temporary_password' }
+      });
+
+      logger.info('Usuario creado por administrador', {
+        userId: user.id_usuario,
+        adminId: context.actorId,
+        method: invite ? 'invitation' : 'temporary_password'
+      });
+
+      return {
+        user: await UserModel.findWithRoles(user.id_usuario),
+        invitation,
+        temporaryPassword: invite ? null : initialPassword
+      };
+    } catch (error) {
+      logger.error('Error al crear usuario desde administración', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acepta una invitación: define la contraseña del usuario y confirma su email
+   * (el enlace llegó a su correo)
+   * @param {string} token - Token de invitación en texto plano
+   * @param {string} password - Contraseña elegida
+   * @param {Object} context - Contexto de auditoría { ip, userAgent }
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async acceptInvitation(token, password, context = {}) {
+    try {
+      const invitation = await InvitationModel.findValidToken(token);
+
+      if (!invitation) {
+        throw new Error('INVALID_INVITATION_TOKEN');
+      }
+
+      PasswordPolicyService.assertStrong(password, await UserModel.findById(invitation.usuario_id));
+
+      // Consumir el token antes de definir la contraseña (un solo uso)
+      const consumed = await InvitationModel.markUsed(invitation.id_token);
+      if (!consumed) {
+        throw new Error('INVALID_INVITATION_TOKEN');
+      }
+
+      const userId = invitation.usuario_id;
+
+      await UserModel.changePassword(userId, password);
+      await UserModel.setPasswordChangeRequired(userId, false);
+      const user = await UserModel.updateUser(userId, {
+        email_verificado: true
+      });
+
+      await AuditService.record(AuditService.ACTIONS.INVITATION_ACCEPT, {
+        context: { ...context, actorId: userId },
+        targetId: userId
+      });
+
+      logger.info('Invitación aceptada', { userId });
+      return user;
+    } catch (error) {
+      logger.error('Error al aceptar invitación', error);
+      throw error;
+    }
+  }
+
   /**
    * Verifica si un token de acceso es válido
    * @param {string} accessToken - Token de acceso
@@ -367,6 +1160,15 @@ class AuthService {
   static async verifyAccessToken(accessToken) {
     try {
       const decoded = AuthUtils.verifyJWT(accessToken);
+
+      if (decoded.aud !== 'authenticated') {
+        return null;
+      }
+
+      if (await TokenRevocationService.isRevoked(decoded)) {
+        return null;
+      }
+
       const user = await UserModel.findWithRoles(decoded.userId);
 
       if (!user || !user.activo || user.bloqueado) {
@@ -391,6 +1193,12 @@ class AuthService {
         logger.info(`${cleanedCount} sesiones expiradas limpiadas automáticamente`);
       }
 
+      const cleanedRevocations = await TokenRevocationService.cleanExpired();
+
+      if (cleanedRevocations > 0) {
+        logger.info(`${cleanedRevocations} revocaciones de tokens expiradas limpiadas`);
+      }
+
       return cleanedCount;
     } catch (error) {
       logger.error('Error al limpiar sesiones expiradas', error);
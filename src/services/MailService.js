@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Transporte que solo escribe el correo en el log (desarrollo)
+ */
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    logger.info('📧 Correo (transporte console)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Transporte que guarda cada correo como JSON en un directorio (pruebas locales)
+ */
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'loginshoker-mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, fecha: new Date().toISOString() }, null, 2));
+
+    logger.info('📧 Correo guardado en archivo', { to: message.to, subject: message.subject, filePath });
+    return { id, filePath };
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let customTransport = null;
+
+/**
+ * Servicio de envío de correos con transporte intercambiable.
+ * Por defecto usa MAIL_TRANSPORT (console | file); un proveedor real se
+ * conecta con setTransport({ send: async (message) => {...} }).
+ */
+class MailService {
+  /**
+   * Reemplaza el transporte de correo
+   * @param {Object|null} transport - Objeto con método send(message); null restaura el de MAIL_TRANSPORT
+   */
+  static setTransport(transport) {
+    if (transport && typeof transport.send !== 'function') {
+      throw new Error('El transporte de correo debe implementar send(message)');
+    }
+    customTransport = transport;
+  }
+
+  /**
+   * Obtiene el transporte activo
+   * @returns {Object} Transporte de correo
+   */
+  static getTransport() {
+    if (customTransport) {
+      return customTransport;
+    }
+
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    return builtInTransports[transportName] || consoleTransport;
+  }
+
+  /**
+   * Envía un correo
+   * @param {Object} message - Datos del correo
+   * @param {string} message.to - Destinatario
+   * @param {string} message.subject - Asunto
+   * @param {string} message.text - Cuerpo en texto plano
+   * @param {string} message.html - Cuerpo HTML (opcional)
+   * @returns {Promise<Object>} Resultado del transporte
+   */
+  static async send({ to, subject, text, html = null }) {
+    const message = {
+      from: process.env.MAIL_FROM || 'LoginShoker <no-reply@loginshoker.local>',
+      to,
+      subject,
+      text,
+      html
+    };
+
+    try {
+      return await this.getTransport().send(message);
+    } catch (error) {
+      logger.error('Error al enviar correo', error, { to, subject });
+      throw error;
+    }
+  }
+
+  /**
+   * Construye una URL del frontend
+   * @param {string} pathname - Ruta del frontend (ej: /reset-password)
+   * @param {Object} params - Query params
+   * @returns {string} URL absoluta
+   */
+  static buildFrontendUrl(pathname, params = {}) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const url = new URL(pathname, baseUrl);
+
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+
+    return url.toString();
+  }
+
+  /**
+   * Envía el enlace de recuperación de contraseña
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de recuperación en texto plano
+   * @param {string} expiresIn - Vigencia del enlace (ej: 30m)
+   * @returns {Promise<Object>} Resultado del transporte
+   */
+  static async sendPasswordReset(user, token, expiresIn) {
+    const link = this.buildFrontendUrl('/reset-password', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Recupera tu contraseña de LoginShoker',
+      text: [
+        `Hola ${user.nombre || ''},`.trim(),
+        '',
+        'Recibimos una solicitud para restablecer tu contraseña.',
+        `Usa este enlace (válido por ${expiresIn}): ${link}`,
+        '',
+        'Si no fuiste tú, ignora este correo.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Envía el enlace de verificación de email
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de verificación en texto plano
+   * @param {string} expiresIn - Vigencia del enlace (ej: 24h)
+   * @returns {Promise<Object>} Resultado del transporte
+   */
+  static async sendEmailVerification(user, token, expiresIn) {
+    const link = this.buildFrontendUrl('/verify-email', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Confirma tu email en LoginShoker',
+      text: [
+        `Hola ${user.nombre || ''},`.trim(),
+        '',
+        'Confirma que este email te pertenece para que un administrador pueda aprobar tu cuenta.',
+        `Usa este enlace (válido por ${expiresIn}): ${link}`,
+        '',
+        'Si no creaste una cuenta, ignora este correo.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Envía la invitación para que un usuario creado por un administrador defina su contraseña
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de invitación en texto plano
+   * @param {string} expiresIn - Vigencia del enlace (ej: 72h)
+   * @returns {Promise<Object>} Resultado del transporte
+   */
+  static async sendInvitation(user, token, expiresIn) {
+    const link = this.buildFrontendUrl('/accept-invite', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Te invitaron a LoginShoker',
+      text: [
+        `Hola ${user.nombre || ''},`.trim(),
+        '',
+        'Un administrador creó una cuenta para ti en LoginShoker.',
+        `Define tu contraseña con este enlace (válido por ${expiresIn}): ${link}`,
+        '',
+        'Si no esperabas esta invitación, ignora este correo.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,171 @@
+const PasswordHistoryModel = require('../models/PasswordHistoryModel');
+const AuthUtils = require('../utils/authUtils');
+const PasswordStrength = require('../utils/passwordStrength');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee un entero no negativo de una variable de entorno
+ * @param {string} name - Nombre de la variable
+ * @param {number} fallback - Valor por defecto
+ * @returns {number} Valor configurado
+ */
+const readNonNegativeInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Motivos que rechazan la contraseña sea cual sea su puntaje
+ */
+const BLOCKING_REASONS = ['COMMON_PASSWORD', 'CONTAINS_EMAIL', 'CONTAINS_NAME'];
+
+/**
+ * Servicio de política de contraseñas: composición (AuthUtils.PASSWORD_RULES),
+ * fortaleza (PasswordStrength, puntaje mínimo PASSWORD_MIN_SCORE), historial para
+ * impedir reutilizar las últimas PASSWORD_HISTORY_SIZE contraseñas (incluida la actual)
+ * y antigüedad máxima PASSWORD_MAX_AGE_DAYS (0 = sin caducidad).
+ */
+class PasswordPolicyService {
+  /**
+   * Número de contraseñas recientes que no se pueden reutilizar (0 = desactivado)
+   * @returns {number} Tamaño del historial
+   */
+  static getHistorySize() {
+    return readNonNegativeInt('PASSWORD_HISTORY_SIZE', 5);
+  }
+
+  /**
+   * Días de validez de una contraseña (0 = sin caducidad)
+   * @returns {number} Antigüedad máxima en días
+   */
+  static getMaxAgeDays() {
+    return readNonNegativeInt('PASSWORD_MAX_AGE_DAYS', 0);
+  }
+
+  /**
+   * Puntaje de fortaleza (0-4) mínimo exigido
+   * @returns {number} Puntaje mínimo
+   */
+  static getMinScore() {
+    return Math.min(readNonNegativeInt('PASSWORD_MIN_SCORE', 2), 4);
+  }
+
+  /**
+   * Política vigente, tal como la publica GET /api/auth/password-policy
+   * @returns {Object} Reglas de composición, puntaje mínimo, historial y caducidad
+   */
+  static getPolicy() {
+    return {
+      ...AuthUtils.PASSWORD_RULES,
+      minScore: this.getMinScore(),
+      historySize: this.getHistorySize(),
+      maxAgeDays: this.getMaxAgeDays()
+    };
+  }
+
+  /**
+   * Rechaza una contraseña que no cumple la composición, es común, contiene datos
+   * del usuario o no alcanza el puntaje mínimo
+   * @param {string} password - Contraseña en texto plano
+   * @param {Object} user - { email, nombre } del titular
+   * @throws {Error} PASSWORD_WEAK con details { score, minScore, reasons: [{ code, message }] }
+   */
+  static assertStrong(password, user = {}) {
+    const minScore = this.getMinScore();
+    const composition = AuthUtils.validatePassword(password);
+    const { score, reasons } = PasswordStrength.evaluate(password, user);
+
+    const allReasons = [
+      ...composition.errors.map(message => ({ code: 'MISSING_REQUIREMENT', message })),
+      ...reasons
+    ];
+
+    if (score < minScore && allReasons.length === 0) {
+      allReasons.push({ code: 'LOW_ENTROPY', message: PasswordStrength.REASONS.LOW_ENTROPY });
+    }
+
+    const blocked = reasons.some(reason => BLOCKING_REASONS.includes(reason.code));
+
+    if (!composition.isValid || blocked || score < minScore) {
+      const error = new Error('PASSWORD_WEAK');
+      error.details = { score, minScore, reasons: allReasons };
+      throw error;
+    }
+  }
+
+  /**
+   * Rechaza una contraseña que coincide con la actual o con una del historial
+   * @param {Object} user - Usuario con id_usuario y password_hash
+   * @param {string} password - Nueva contraseña en texto plano
+   * @throws {Error} PASSWORD_REUSED
+   */
+  static async assertNotReused(user, password) {
+    const historySize = this.getHistorySize();
+
+    if (historySize === 0) {
+      return;
+    }
+
+    // La contraseña actual cuenta como la primera del historial
+    const previousHashes = historySize > 1
+      ? await PasswordHistoryModel.findRecent(user.id_usuario, historySize - 1)
+      : [];
+    const hashes = [user.password_hash, ...previousHashes].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await AuthUtils.verifyPassword(password, hash)) {
+        const error = new Error('PASSWORD_REUSED');
+        error.details = { historySize };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Guarda en el historial el hash de la contraseña que se reemplaza
+   * y descarta las entradas que ya no hacen falta
+   * @param {number} userId - ID del usuario
+   * @param {string} previousHash - Hash de la contraseña anterior
+   */
+  static async remember(userId, previousHash) {
+    const keep = Math.max(this.getHistorySize() - 1, 0);
+
+    if (keep > 0 && previousHash) {
+      await PasswordHistoryModel.add(userId, previousHash);
+    }
+
+    await PasswordHistoryModel.prune(userId, keep);
+  }
+
+  /**
+   * Indica si la contraseña del usuario superó la antigüedad máxima
+   * @param {Object} user - Usuario con fecha_cambio_password
+   * @returns {boolean} True si caducó
+   */
+  static isExpired(user) {
+    const maxAgeDays = this.getMaxAgeDays();
+
+    if (maxAgeDays === 0 || !user.fecha_cambio_password) {
+      return false;
+    }
+
+    const changedAt = new Date(user.fecha_cambio_password).getTime();
+    return Date.now() - changedAt >= maxAgeDays * DAY_MS;
+  }
+
+  /**
+   * Motivo por el que el usuario debe cambiar su contraseña antes de continuar
+   * @param {Object} user - Usuario
+   * @returns {string|null} 'required' (marcada por un administrador), 'expired' o null
+   */
+  static passwordChangeReason(user) {
+    if (user.debe_cambiar_password) {
+      return 'required';
+    }
+
+    return this.isExpired(user) ? 'expired' : null;
+  }
+}
+
+module.exports = PasswordPolicyService;
@@ -0,0 +1,226 @@
+const UserModel = require('../models/UserModel');
+const RoleModel = require('../models/RoleModel');
+const SessionModel = require('../models/SessionModel');
+const AuditService = require('./AuditService');
+const TokenRevocationService = require('./TokenRevocationService');
+const logger = require('../utils/logger');
+
+/**
+ * Estados de aprobación de un registro (usuarios.estado_aprobacion)
+ */
+const APPROVAL_STATES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Transiciones permitidas: solo un registro pendiente se aprueba o rechaza
+ */
+const TRANSITIONS = {
+  [APPROVAL_STATES.PENDING]: [APPROVAL_STATES.APPROVED, APPROVAL_STATES.REJECTED],
+  [APPROVAL_STATES.APPROVED]: [],
+  [APPROVAL_STATES.REJECTED]: []
+};
+
+/**
+ * Campos del usuario que se guardan en la auditoría de la revisión
+ */
+const auditSnapshot = (user) => user && {
+  activo: user.activo,
+  estadoAprobacion: user.estado_aprobacion,
+  roles: (user.roles || []).map(r => r.nombre)
+};
+
+/**
+ * Servicio del flujo de aprobación de registros.
+ * Un usuario registrado queda inactivo, en estado pending y con el rol
+ * REGISTRATION_PENDING_ROLE; al aprobarlo se activa y recibe REGISTRATION_APPROVED_ROLE,
+ * al rechazarlo pierde sus roles y sus sesiones. Los roles se buscan por nombre.
+ */
+class RegistrationApprovalService {
+  /**
+   * Rol que recibe un usuario al registrarse
+   * @returns {Promise<Object>} Rol
+   * @throws {Error} ROLE_NOT_FOUND si el rol configurado no existe
+   */
+  static async getPendingRole() {
+    return this.findRoleByName(process.env.REGISTRATION_PENDING_ROLE || 'colaborador');
+  }
+
+  /**
+   * Rol que recibe un usuario al ser aprobado
+   * @returns {Promise<Object>} Rol
+   * @throws {Error} ROLE_NOT_FOUND si el rol configurado no existe
+   */
+  static async getApprovedRole() {
+    return this.findRoleByName(process.env.REGISTRATION_APPROVED_ROLE || 'cliente');
+  }
+
+  /**
+   * Busca un rol configurado por nombre
+   * @param {string} nombre - Nombre del rol
+   * @returns {Promise<Object>} Rol
+   */
+  static async findRoleByName(nombre) {
+    const role = await RoleModel.findByName(nombre);
+
+    if (!role) {
+      logger.error('Rol del flujo de aprobación no encontrado', null, { rol: nombre });
+      const error = new Error('ROLE_NOT_FOUND');
+      error.details = { rol: nombre };
+      throw error;
+    }
+
+    return role;
+  }
+
+  /**
+   * Indica si el registro del usuario espera revisión
+   * @param {Object} user - Usuario con estado_aprobacion
+   * @returns {boolean} True si está pendiente
+   */
+  static isPending(user) {
+    return user?.estado_aprobacion === APPROVAL_STATES.PENDING;
+  }
+
+  /**
+   * Verifica que el usuario pueda pasar al estado indicado
+   * @param {Object} user - Usuario con estado_aprobacion
+   * @param {string} nextState - Estado destino
+   * @throws {Error} NOT_PENDING_APPROVAL
+   */
+  static assertTransition(user, nextState) {
+    const allowed = TRANSITIONS[user.estado_aprobacion] || [];
+
+    if (!allowed.includes(nextState)) {
+      const error = new Error('NOT_PENDING_APPROVAL');
+      error.details = { estadoAprobacion: user.estado_aprobacion };
+      throw error;
+    }
+  }
+
+  /**
+   * Busca el usuario a revisar
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} Usuario con roles
+   */
+  static async findReviewable(userId) {
+    const user = await UserModel.findWithRoles(userId);
+
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * Aprueba un registro pendiente: activa al usuario y reemplaza sus roles por el rol aprobado.
+   * Requiere email verificado salvo con force.
+   * @param {number} userId - ID del usuario
+   * @param {Object} options - { force }
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
+   * @returns {Promise<Object>} Usuario aprobado con roles
+   */
+  static async approve(userId, { force = false } = {}, context = {}) {
+    const user = await this.findReviewable(userId);
+    this.assertTransition(user, APPROVAL_STATES.APPROVED);
+
+    if (!user.email_verificado) {
+      if (!force) {
+        throw new Error('EMAIL_NOT_VERIFIED');
+      }
+
+      logger.warn('Aprobando usuario con email sin verificar', {
+        userId,
+        email: user.email,
+        adminId: context.actorId
+      });
+    }
+
+    const approvedRole = await this.getApprovedRole();
+
+    await UserModel.setApprovalState(userId, {
+      activo: true,
+      bloqueado: false,
+      estado_aprobacion: APPROVAL_STATES.APPROVED,
+      motivo_rechazo: null,
+      fecha_revision: new Date().toISOString(),
+      revisado_por: context.actorId || null
+    });
+    await UserModel.removeAllRoles(userId);
+    await UserModel.assignRole(userId, approvedRole.id_rol);
+    await TokenRevocationService.revokeUserTokens(userId, 'roles_changed');
+
+    const approved = await UserModel.findWithRoles(userId);
+
+    logger.info('Registro aprobado', { userId, newRole: approvedRole.nombre });
+
+    await AuditService.record(AuditService.ACTIONS.USER_APPROVE, {
+      context,
+      targetId: userId,
+      before: auditSnapshot(user),
+      after: auditSnapshot(approved),
+      metadata: { force: force && !user.email_verificado }
+    });
+
+    return approved;
+  }
+
+  /**
+   * Rechaza un registro pendiente: el usuario queda inactivo, sin roles y sin sesiones
+   * @param {number} userId - ID del usuario
+   * @param {string} reason - Motivo del rechazo
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
+   * @returns {Promise<Object>} Usuario rechazado
+   */
+  static async reject(userId, reason, context = {}) {
+    const user = await this.findReviewable(userId);
+    this.assertTransition(user, APPROVAL_STATES.REJECTED);
+
+    await UserModel.setApprovalState(userId, {
+      activo: false,
+      estado_aprobacion: APPROVAL_STATES.REJECTED,
+      motivo_rechazo: reason,
+      fecha_revision: new Date().toISOString(),
+      revisado_por: context.actorId || null
+    });
+    await UserModel.removeAllRoles(userId);
+
+    const invalidatedCount = await SessionModel.invalidateAllUserSessions(userId);
+    await TokenRevocationService.revokeUserTokens(userId, 'registration_rejected');
+
+    const rejected = await UserModel.findWithRoles(userId);
+
+    logger.info('Registro rechazado', { userId, invalidatedCount });
+
+    await AuditService.record(AuditService.ACTIONS.USER_REJECT, {
+      context,
+      targetId: userId,
+      before: auditSnapshot(user),
+      after: auditSnapshot(rejected),
+      metadata: { reason }
+    });
+
+    return rejected;
+  }
+
+  /**
+   * Cola de registros pendientes
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  static async listPending({ page = 1, limit = 10 } = {}) {
+    return UserModel.getUsers({
+      page,
+      limit,
+      includeInactive: true,
+      approvalState: APPROVAL_STATES.PENDING
+    });
+  }
+}
+
+RegistrationApprovalService.STATES = APPROVAL_STATES;
+
+module.exports = RegistrationApprovalService;
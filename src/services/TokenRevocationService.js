@@ -0,0 +1,201 @@
+const TokenRevocationModel = require('../models/TokenRevocationModel');
+const AuthUtils = require('../utils/authUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Caché en memoria de la lista de revocación: clave -> { revokedAt: Date|null, expiresAt: ms }
+ * También guarda los resultados negativos para no consultar la BD en cada request.
+ */
+const cache = new Map();
+
+const MAX_CACHE_ENTRIES = 10000;
+
+/**
+ * Servicio de revocación de access tokens.
+ * Los tokens llevan jti (id del token) y sid (id de sesión); se pueden revocar por
+ * token, por sesión o todos los emitidos a un usuario hasta el momento de la revocación.
+ * Los registros se guardan en BD (compartidos entre instancias) y se cachean
+ * TOKEN_REVOCATION_CACHE_TTL_SECONDS; una revocación hecha en otra instancia
+ * puede tardar ese tiempo en verse aquí.
+ */
+class TokenRevocationService {
+  /**
+   * Tiempo de vida de la caché en milisegundos
+   * @returns {number} TTL
+   */
+  static getCacheTtlMs() {
+    const seconds = parseInt(process.env.TOKEN_REVOCATION_CACHE_TTL_SECONDS);
+    return (Number.isNaN(seconds) ? 30 : seconds) * 1000;
+  }
+
+  /**
+   * Fecha hasta la cual un access token emitido ahora sigue siendo válido
+   * @returns {Date} Expiración máxima de un access token
+   */
+  static getAccessTokenExpiration() {
+    return AuthUtils.getExpirationDate(process.env.JWT_EXPIRES_IN || '15m');
+  }
+
+  /**
+   * Guarda un resultado en la caché
+   * @param {string} key - Clave de revocación
+   * @param {Date|null} revokedAt - Momento de la revocación o null si no está revocada
+   */
+  static setCached(key, revokedAt) {
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+      const now = Date.now();
+      for (const [cachedKey, entry] of cache) {
+        if (entry.expiresAt <= now) {
+          cache.delete(cachedKey);
+        }
+      }
+
+      if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.clear();
+      }
+    }
+
+    cache.set(key, { revokedAt, expiresAt: Date.now() + this.getCacheTtlMs() });
+  }
+
+  /**
+   * Vacía la caché local
+   */
+  static clearCache() {
+    cache.clear();
+  }
+
+  /**
+   * Registra una revocación en BD y en la caché local
+   * @param {string} key - Clave de revocación
+   * @param {Object} options - { userId, reason, expiresAt }
+   */
+  static async revoke(key, { userId = null, reason = null, expiresAt }) {
+    const revokedAt = new Date();
+
+    await TokenRevocationModel.upsert({
+      clave: key,
+      usuarioId: userId,
+      motivo: reason,
+      fechaRevocacion: revokedAt,
+      fechaExpiracion: expiresAt
+    });
+
+    this.setCached(key, revokedAt);
+    logger.info('Access tokens revocados', { key, userId, reason });
+  }
+
+  /**
+   * Revoca un access token concreto
+   * @param {Object} decoded - Payload del token (jti, exp, userId)
+   * @param {string} reason - Motivo
+   */
+  static async revokeToken(decoded, reason) {
+    if (!decoded?.jti) {
+      return;
+    }
+
+    await this.revoke(`jti:${decoded.jti}`, {
+      userId: decoded.userId || null,
+      reason,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+  }
+
+  /**
+   * Revoca todos los access tokens emitidos para una sesión
+   * @param {number} sessionId - ID de la sesión
+   * @param {number} userId - Dueño de la sesión
+   * @param {string} reason - Motivo
+   */
+  static async revokeSession(sessionId, userId, reason) {
+    await this.revoke(`sesion:${sessionId}`, {
+      userId,
+      reason,
+      expiresAt: this.getAccessTokenExpiration()
+    });
+  }
+
+  /**
+   * Revoca todos los access tokens emitidos a un usuario hasta ahora
+   * @param {number} userId - ID del usuario
+   * @param {string} reason - Motivo
+   */
+  static async revokeUserTokens(userId, reason) {
+    await this.revoke(`usuario:${userId}`, {
+      userId,
+      reason,
+      expiresAt: this.getAccessTokenExpiration()
+    });
+  }
+
+  /**
+   * Verifica si un access token fue revocado
+   * @param {Object} decoded - Payload verificado del token
+   * @returns {Promise<boolean>} True si está revocado
+   */
+  static async isRevoked(decoded) {
+    const keys = [];
+    if (decoded.jti) keys.push(`jti:${decoded.jti}`);
+    if (decoded.sid) keys.push(`sesion:${decoded.sid}`);
+    if (decoded.userId) keys.push(`usuario:${decoded.userId}`);
+
+    if (keys.length === 0) {
+      return false;
+    }
+
+    const now = Date.now();
+    const missing = keys.filter(key => {
+      const entry = cache.get(key);
+      return !entry || entry.expiresAt <= now;
+    });
+
+    if (missing.length > 0) {
+      const revocations = await TokenRevocationModel.findActiveByKeys(missing);
+      const found = new Map(revocations.map(r => [r.clave, new Date(r.fecha_revocacion)]));
+
+      missing.forEach(key => this.setCached(key, found.get(key) || null));
+    }
+
+    return keys.some(key => {
+      const revokedAt = cache.get(key)?.revokedAt;
+
+      if (!revokedAt) {
+        return false;
+      }
+
+      // La revocación por usuario solo afecta tokens emitidos antes de ese momento
+      if (key.startsWith('usuario:')) {
+        return this.issuedBefore(decoded, revokedAt);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Indica si un token se emitió antes de una revocación. Usa iat_ms; los tokens
+   * sin ese claim (emitidos antes de agregarlo) solo tienen iat en segundos y se
+   * consideran revocados si se emitieron en el mismo segundo o antes.
+   * @param {Object} decoded - Payload verificado del token
+   * @param {Date} revokedAt - Momento de la revocación
+   * @returns {boolean} True si el token es anterior a la revocación
+   */
+  static issuedBefore(decoded, revokedAt) {
+    if (Number.isInteger(decoded.iat_ms)) {
+      return decoded.iat_ms < revokedAt.getTime();
+    }
+
+    return decoded.iat <= Math.floor(revokedAt.getTime() / 1000);
+  }
+
+  /**
+   * Elimina revocaciones de tokens ya expirados
+   * @returns {Promise<number>} Registros eliminados
+   */
+  static async cleanExpired() {
+    return TokenRevocationModel.deleteExpired();
+  }
+}
+
+module.exports = TokenRevocationService;
@@ -0,0 +1,224 @@
+const UserModel = require('../models/UserModel');
+const RoleModel = require('../models/RoleModel');
+const SessionModel = require('../models/SessionModel');
+const AuditService = require('./AuditService');
+const TokenRevocationService = require('./TokenRevocationService');
+const RegistrationApprovalService = require('./RegistrationApprovalService');
+const logger = require('../utils/logger');
+
+/**
+ * Busca un usuario o lanza USER_NOT_FOUND
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<Object>} Usuario
+ */
+const findUserOrFail = async (userId) => {
+  const user = await UserModel.findById(userId);
+
+  if (!user) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  return user;
+};
+
+/**
+ * Busca un rol o lanza ROLE_NOT_FOUND
+ * @param {number} roleId - ID del rol
+ * @returns {Promise<Object>} Rol
+ */
+const findRoleOrFail = async (roleId) => {
+  const role = await RoleModel.findById(roleId);
+
+  if (!role) {
+    throw new Error('ROLE_NOT_FOUND');
+  }
+
+  return role;
+};
+
+/**
+ * Acciones administrativas sobre un usuario. Las usan tanto las rutas individuales de
+ * /api/users/:userId como POST /api/users/bulk, así ambas aplican las mismas verificaciones.
+ * Los errores se lanzan como Error('CODIGO') y los traduce UserController.
+ */
+class UserAdminService {
+  /**
+   * Activa o desactiva un usuario. Solo se activa un usuario aprobado: los registros
+   * pendientes o rechazados pasan por RegistrationApprovalService.
+   * @param {number} userId - ID del usuario
+   * @param {boolean} activo - Nuevo estado
+   * @param {Object} context - Contexto de auditoría { actorId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se aplicó
+   */
+  static async setActive(userId, activo, context = {}) {
+    const user = await findUserOrFail(userId);
+
+    if (userId === context.actorId && !activo) {
+      throw new Error('CANNOT_DEACTIVATE_SELF');
+    }
+
+    if (activo && user.estado_aprobacion !== RegistrationApprovalService.STATES.APPROVED) {
+      const error = new Error('USER_NOT_APPROVED');
+      error.details = { estadoAprobacion: user.estado_aprobacion };
+      throw error;
+    }
+
+    await UserModel.updateUser(userId, { activo });
+
+    if (!activo) {
+      await TokenRevocationService.revokeUserTokens(userId, 'user_deactivated');
+    }
+
+    await AuditService.record(AuditService.ACTIONS.USER_ACTIVE_TOGGLE, {
+      context,
+      targetId: userId,
+      before: { activo: user.activo },
+      after: { activo }
+    });
+
+    return true;
+  }
+
+  /**
+   * Asigna un rol a un usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} roleId - ID del rol
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<Object>} Rol asignado
+   */
+  static async assignRole(userId, roleId, context = {}) {
+    await findUserOrFail(userId);
+    const role = await findRoleOrFail(roleId);
+
+    await UserModel.assignRole(userId, role.id_rol);
+    await TokenRevocationService.revokeUserTokens(userId, 'roles_changed');
+
+    await AuditService.record(AuditService.ACTIONS.USER_ROLE_ASSIGN, {
+      context,
+      targetId: userId,
+      metadata: { rolId: role.id_rol, rol: role.nombre }
+    });
+
+    return role;
+  }
+
+  /**
+   * Remueve un rol de un usuario
+   * @param {number} userId - ID del usuario
+   * @param {number} roleId - ID del rol
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<Object>} Rol removido
+   */
+  static async removeRole(userId, roleId, context = {}) {
+    await findUserOrFail(userId);
+    const role = await findRoleOrFail(roleId);
+
+    await UserModel.removeRole(userId, role.id_rol);
+    await TokenRevocationService.revokeUserTokens(userId, 'roles_changed');
+
+    await AuditService.record(AuditService.ACTIONS.USER_ROLE_REMOVE, {
+      context,
+      targetId: userId,
+      metadata: { rolId: role.id_rol, rol: role.nombre }
+    });
+
+    return role;
+  }
+
+  /**
+   * Cierra todas las sesiones de un usuario y revoca sus access tokens
+   * @param {number} userId - ID del usuario
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<number>} Sesiones invalidadas
+   */
+  static async revokeSessions(userId, context = {}) {
+    await findUserOrFail(userId);
+
+    const invalidatedCount = await SessionModel.invalidateAllUserSessions(userId);
+    await TokenRevocationService.revokeUserTokens(userId, 'sessions_revoked');
+
+    await AuditService.record(AuditService.ACTIONS.USER_SESSIONS_REVOKE, {
+      context,
+      targetId: userId,
+      metadata: { invalidatedCount }
+    });
+
+    logger.info('Sesiones de usuario revocadas por un administrador', {
+      userId,
+      invalidatedCount,
+      adminId: context.actorId
+    });
+
+    return invalidatedCount;
+  }
+
+  /**
+   * Ejecuta una acción sobre varios usuarios, uno a la vez. El fallo de un usuario
+   * no detiene al resto: cada uno queda en el reporte con su resultado.
+   * @param {string} action - Acción (ver BULK_ACTIONS)
+   * @param {Array<number>} userIds - IDs de los usuarios (se ignoran repetidos)
+   * @param {Object} params - { roleId, reason, force }
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<Array<Object>>} [{ userId, success, error?, details? }] con error = código
+   */
+  static async runBulk(action, userIds, params = {}, context = {}) {
+    const { run } = this.BULK_ACTIONS[action];
+    const results = [];
+
+    for (const userId of [...new Set(userIds)]) {
+      try {
+        await run(userId, params, context);
+        results.push({ userId, success: true });
+      } catch (error) {
+        logger.warn('Acción masiva fallida para un usuario', { action, userId, error: error.message });
+        results.push({ userId, success: false, error: error.message, details: error.details || null });
+      }
+    }
+
+    logger.info('Acción masiva sobre usuarios ejecutada', {
+      action,
+      total: results.length,
+      failed: results.filter(r => !r.success).length,
+      adminId: context.actorId
+    });
+
+    return results;
+  }
+}
+
+/**
+ * Acciones de POST /api/users/bulk: permiso requerido y ejecución sobre un usuario
+ * (params: { roleId, reason, force } del cuerpo de la solicitud)
+ */
+UserAdminService.BULK_ACTIONS = {
+  approve: {
+    permission: 'users:approve',
+    run: (userId, { force }, context) => RegistrationApprovalService.approve(userId, { force }, context)
+  },
+  reject: {
+    permission: 'users:approve',
+    run: (userId, { reason }, context) => RegistrationApprovalService.reject(userId, reason, context)
+  },
+  activate: {
+    permission: 'users:deactivate',
+    run: (userId, params, context) => UserAdminService.setActive(userId, true, context)
+  },
+  deactivate: {
+    permission: 'users:deactivate',
+    run: (userId, params, context) => UserAdminService.setActive(userId, false, context)
+  },
+  assign_role: {
+    permission: 'users:roles',
+    run: (userId, { roleId }, context) => UserAdminService.assignRole(userId, roleId, context)
+  },
+  remove_role: {
+    permission: 'users:roles',
+    run: (userId, { roleId }, context) => UserAdminService.removeRole(userId, roleId, context)
+  },
+  revoke_sessions: {
+    permission: 'users:update',
+    run: (userId, params, context) => UserAdminService.revokeSessions(userId, context)
+  }
+};
+
+module.exports = UserAdminService;
@@ -0,0 +1,331 @@
+const UserModel = require('../models/UserModel');
+const RoleModel = require('../models/RoleModel');
+const AuthService = require('./AuthService');
+const AuditService = require('./AuditService');
+const AuthUtils = require('../utils/authUtils');
+const Csv = require('../utils/csv');
+const logger = require('../utils/logger');
+
+/**
+ * Formatos de exportación e importación
+ */
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Separador de roles dentro de la celda "roles" del CSV
+ */
+const ROLE_SEPARATOR = '|';
+
+/**
+ * Columnas exportadas, en orden, con el valor de cada una
+ */
+const EXPORT_COLUMNS = [
+  ['id', u => u.id_usuario],
+  ['email', u => u.email],
+  ['nombre', u => u.nombre],
+  ['activo', u => u.activo],
+  ['bloqueado', u => u.bloqueado],
+  ['emailVerificado', u => u.email_verificado],
+  ['estadoAprobacion', u => u.estado_aprobacion],
+  ['fechaCreacion', u => u.fecha_creacion],
+  ['roles', u => (u.roles || []).map(r => r.nombre)]
+];
+
+/**
+ * Errores de una fila importada con su mensaje
+ */
+const ROW_ERRORS = {
+  INVALID_ROW: 'La fila no es un objeto JSON válido',
+  EMAIL_INVALID: 'Formato de email inválido',
+  INVALID_NAME: 'El nombre debe tener entre 2 y 100 caracteres',
+  ROLES_REQUIRED: 'Se requiere al menos un rol',
+  ROLE_NOT_FOUND: 'Rol no encontrado',
+  DUPLICATE_EMAIL: 'El email aparece más de una vez en el archivo',
+  EMAIL_ALREADY_EXISTS: 'El email ya está registrado',
+  INTERNAL_ERROR: 'Error interno del servidor'
+};
+
+/**
+ * Crea el error de una fila
+ * @param {string} code - Código (ver ROW_ERRORS)
+ * @param {Object} details - Datos adicionales (opcional)
+ * @returns {Error} Error con details
+ */
+const rowError = (code, details = null) => {
+  const error = new Error(code);
+  error.details = details;
+  return error;
+};
+
+/**
+ * Normaliza la lista de roles de una fila: arreglo o texto separado por "|"
+ * @param {*} value - Valor de la columna roles
+ * @returns {Array<string>} Nombres de rol
+ */
+const parseRoles = (value) => {
+  const names = Array.isArray(value) ? value : String(value || '').split(ROLE_SEPARATOR);
+  return names.map(name => String(name).trim()).filter(Boolean);
+};
+
+/**
+ * Exportación e importación de usuarios con sus roles, para mover cuentas entre
+ * entornos o entregar listados. Los roles viajan por nombre porque sus ids cambian
+ * entre entornos; la importación solo crea usuarios nuevos (nunca modifica existentes).
+ */
+class UserTransferService {
+  /**
+   * Filas máximas por importación
+   * @returns {number} Máximo de filas
+   */
+  static getImportMaxRows() {
+    const value = parseInt(process.env.USER_IMPORT_MAX_ROWS);
+    return Number.isNaN(value) || value < 1 ? 500 : value;
+  }
+
+  /**
+   * Escribe todos los usuarios en el formato indicado, por lotes para no cargar la tabla completa
+   * @param {string} format - 'csv' o 'ndjson'
+   * @param {Function} write - Recibe cada fragmento de texto; puede devolver una promesa
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<number>} Usuarios exportados
+   */
+  static async exportUsers(format, write, context = {}) {
+    if (format === 'csv') {
+      await write(Csv.formatRow(EXPORT_COLUMNS.map(([name]) => name)));
+    }
+
+    let afterId = 0;
+    let count = 0;
+
+    for (;;) {
+      const users = await UserModel.getAllWithRoles({ afterId, limit: EXPORT_BATCH_SIZE });
+
+      if (users.length === 0) {
+        break;
+      }
+
+      const chunk = users.map(user => {
+        if (format === 'csv') {
+          return Csv.formatRow(EXPORT_COLUMNS.map(([, value]) => {
+            const cell = value(user);
+            return Array.isArray(cell) ? cell.join(ROLE_SEPARATOR) : cell;
+          }));
+        }
+
+        return `${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(([name, value]) => [name, value(user)])))}\n`;
+      }).join('');
+
+      await write(chunk);
+
+      count += users.length;
+      afterId = users[users.length - 1].id_usuario;
+    }
+
+    await AuditService.record(AuditService.ACTIONS.USER_EXPORT, {
+      context,
+      metadata: { format, count }
+    });
+
+    logger.info('Usuarios exportados', { format, count, adminId: context.actorId });
+
+    return count;
+  }
+
+  /**
+   * Convierte el contenido importado en filas { line, data } o { line, error }
+   * @param {string} format - 'csv' o 'ndjson'
+   * @param {string} content - Contenido del archivo
+   * @returns {Array<Object>} Filas
+   * @throws {Error} IMPORT_INVALID_HEADER si el CSV no tiene columna email, CSV_UNTERMINATED_QUOTE
+   */
+  static parseImport(format, content) {
+    if (format === 'ndjson') {
+      return content.split(/\r?\n/)
+        .map((text, index) => ({ line: index + 1, text: text.trim() }))
+        .filter(({ text }) => text !== '')
+        .map(({ line, text }) => {
+          try {
+            const data = JSON.parse(text);
+
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+              return { line, error: rowError('INVALID_ROW') };
+            }
+
+            return { line, data };
+          } catch (error) {
+            return { line, error: rowError('INVALID_ROW') };
+          }
+        });
+    }
+
+    const [header, ...rows] = Csv.parse(content);
+    const columns = (header?.cells || []).map(name => name.trim());
+
+    if (!columns.includes('email')) {
+      const error = new Error('IMPORT_INVALID_HEADER');
+      error.details = { required: ['email', 'roles'], optional: ['nombre'] };
+      throw error;
+    }
+
+    // Las columnas que no se importan (id, activo, ...) se ignoran, así se puede importar una exportación
+    return rows.map(({ line, cells }) => ({
+      line,
+      data: Object.fromEntries(columns.map((name, index) => [name, cells[index]]))
+    }));
+  }
+
+  /**
+   * Valida una fila y la deja lista para crear el usuario
+   * @param {Object} data - Datos de la fila
+   * @param {Function} findRole - Búsqueda de rol por nombre (con caché)
+   * @param {Set<string>} seenEmails - Emails de las filas anteriores
+   * @returns {Promise<Object>} { email, nombre, roles }
+   */
+  static async validateRow(data, findRole, seenEmails) {
+    const email = String(data.email || '').trim().toLowerCase();
+
+    if (!AuthUtils.isValidEmail(email)) {
+      throw rowError('EMAIL_INVALID');
+    }
+
+    const nombre = data.nombre ? String(data.nombre).trim() : null;
+
+    if (nombre && (nombre.length < 2 || nombre.length > 100)) {
+      throw rowError('INVALID_NAME');
+    }
+
+    const roleNames = parseRoles(data.roles);
+
+    if (roleNames.length === 0) {
+      throw rowError('ROLES_REQUIRED');
+    }
+
+    const roles = [];
+    for (const name of roleNames) {
+      const role = await findRole(name);
+
+      if (!role) {
+        throw rowError('ROLE_NOT_FOUND', { rol: name });
+      }
+
+      roles.push(role);
+    }
+
+    if (seenEmails.has(email)) {
+      throw rowError('DUPLICATE_EMAIL');
+    }
+    seenEmails.add(email);
+
+    if (await UserModel.findByEmail(email)) {
+      throw rowError('EMAIL_ALREADY_EXISTS');
+    }
+
+    return { email, nombre, roles };
+  }
+
+  /**
+   * Importa usuarios nuevos con sus roles. Cada fila se valida y se crea por separado
+   * (una fila inválida no detiene al resto); con dryRun solo se informa qué se crearía.
+   * @param {Object} options - { format, content, invite, dryRun }
+   * @param {Object} context - Contexto de auditoría
+   * @returns {Promise<Object>} { dryRun, invite, summary, results }
+   * @throws {Error} IMPORT_EMPTY, IMPORT_TOO_LARGE, IMPORT_INVALID_HEADER, CSV_UNTERMINATED_QUOTE
+   */
+  static async importUsers({ format, content, invite = true, dryRun = false }, context = {}) {
+    const rows = this.parseImport(format, content);
+    const maxRows = this.getImportMaxRows();
+
+    if (rows.length === 0) {
+      throw new Error('IMPORT_EMPTY');
+    }
+
+    if (rows.length > maxRows) {
+      const error = new Error('IMPORT_TOO_LARGE');
+      error.details = { maxRows, rows: rows.length };
+      throw error;
+    }
+
+    const roleCache = new Map();
+    const findRole = async (name) => {
+      const key = name.toLowerCase();
+
+      if (!roleCache.has(key)) {
+        roleCache.set(key, await RoleModel.findByName(key));
+      }
+
+      return roleCache.get(key);
+    };
+
+    const seenEmails = new Set();
+    const results = [];
+
+    for (const row of rows) {
+      const result = { line: row.line, email: row.data?.email || null };
+
+      try {
+        if (row.error) {
+          throw row.error;
+        }
+
+        const { email, nombre, roles } = await this.validateRow(row.data, findRole, seenEmails);
+        Object.assign(result, { email, roles: roles.map(r => r.nombre) });
+
+        if (dryRun) {
+          result.status = 'valid';
+        } else {
+          const created = await AuthService.createUserByAdmin(
+            { email, nombre, roleIds: roles.map(r => r.id_rol), invite },
+            context
+          );
+
+          result.status = 'created';
+          result.id = created.user.id_usuario;
+
+          if (invite) {
+            result.invitation = created.invitation;
+          } else {
+            result.temporaryPassword = created.temporaryPassword;
+          }
+        }
+      } catch (error) {
+        const code = ROW_ERRORS[error.message] ? error.message : 'INTERNAL_ERROR';
+
+        if (code === 'INTERNAL_ERROR') {
+          logger.error('Error al importar una fila de usuarios', error, { line: row.line });
+        }
+
+        result.status = 'error';
+        result.error = { code, message: ROW_ERRORS[code], ...(error.details && { details: error.details }) };
+      }
+
+      results.push(result);
+    }
+
+    const failed = results.filter(r => r.status === 'error').length;
+    const summary = {
+      total: results.length,
+      [dryRun ? 'valid' : 'created']: results.length - failed,
+      failed
+    };
+
+    if (!dryRun) {
+      await AuditService.record(AuditService.ACTIONS.USER_IMPORT, {
+        context,
+        metadata: { format, invite, ...summary }
+      });
+    }
+
+    logger.info('Importación de usuarios', { format, dryRun, ...summary, adminId: context.actorId });
+
+    return { dryRun, invite, summary, results };
+  }
+}
+
+UserTransferService.FORMATS = FORMATS;
+
+module.exports = UserTransferService;
@@ -1,3 +1,17 @@
+/**
+ * Agrega el ID de la solicitud (ver middleware requestId) al cuerpo de una respuesta de error,
+ * para que el cliente pueda reportarlo y se encuentre en los logs
+ * @param {Object} res - Response de Express
+ * @param {Object} body - Cuerpo de la respuesta
+ * @returns {Object} Cuerpo con requestId
+ */
+const withRequestId = (res, body) => {
+  const requestId = res.req?.requestId;
+
+  if (requestId) body.requestId = requestId;
+  return body;
+};
+
 /**
  * Utilidad para crear respuestas consistentes de la API
  */
@@ -21,44 +35,44 @@ class ApiResponse {
     if (code) response.code = code;
     if (details) response.details = details;
 
-    return res.status(statusCode).json(response);
+    return res.status(statusCode).json(withRequestId(res, response));
   }
 
   static validationError(res, errors, message = 'Errores de validación') {
-    return res.status(400).json({
+    return res.status(400).json(withRequestId(res, {
       success: false,
       message,
       code: 'VALIDATION_ERROR',
       errors,
       timestamp: new Date().toISOString()
-    });
+    }));
   }
 
   static unauthorized(res, message = 'No autorizado', code = 'UNAUTHORIZED') {
-    return res.status(401).json({
+    return res.status(401).json(withRequestId(res, {
       success: false,
       message,
       code,
       timestamp: new Date().toISOString()
-    });
+    }));
   }
 
   static forbidden(res, message = 'Acceso prohibido', code = 'FORBIDDEN') {
-    return res.status(403).json({
+    return res.status(403).json(withRequestId(res, {
       success: false,
       message,
       code,
       timestamp: new Date().toISOString()
-    });
+    }));
   }
 
   static notFound(res, message = 'Recurso no encontrado', code = 'NOT_FOUND') {
-    return res.status(404).json({
+    return res.status(404).json(withRequestId(res, {
       success: false,
       message,
       code,
       timestamp: new Date().toISOString()
-    });
+    }));
   }
 }
 
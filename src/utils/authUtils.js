@@ -2,6 +2,20 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const JwtKeys = require('./jwtKeys');
+const ClientIp = require('./clientIp');
+
+/**
+ * Requisitos de composición de contraseñas (ver validatePassword)
+ */
+const PASSWORD_RULES = Object.freeze({
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSpecialCharacter: true,
+  specialCharacters: '!@#$%^&*(),.?":{}|<>'
+});
 
 /**
  * Utilidades para autenticación y seguridad
@@ -28,22 +42,39 @@ class AuthUtils {
   }
 
   /**
-   * Genera JWT token
+   * Genera JWT token firmado con la clave activa (HS256, RS256 o ES256 según JWT_ALGORITHM).
+   * Agrega iat_ms (emisión en milisegundos): iat solo tiene precisión de segundos y no
+   * alcanza para saber si el token es anterior o posterior a una revocación.
    * @param {Object} payload - Datos a incluir en el token
    * @param {string} expiresIn - Tiempo de expiración
    * @returns {string} JWT token
    */
   static generateJWT(payload, expiresIn = process.env.JWT_EXPIRES_IN || '15m') {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+    const { kid, alg, key } = JwtKeys.getSigningKey();
+    const options = { expiresIn, algorithm: alg };
+
+    if (kid) {
+      options.keyid = kid;
+    }
+
+    return jwt.sign({ ...payload, iat_ms: Date.now() }, key, options);
   }
 
   /**
-   * Verifica JWT token
+   * Verifica JWT token con la clave indicada por su kid
    * @param {string} token - Token a verificar
    * @returns {Object} Payload decodificado
    */
   static verifyJWT(token) {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.decode(token, { complete: true });
+    const verificationKey = decoded && JwtKeys.getVerificationKey(decoded.header);
+
+    if (!verificationKey) {
+      throw new jwt.JsonWebTokenError('invalid signing key');
+    }
+
+    // Fijar el algoritmo de la clave evita ataques de confusión de algoritmo
+    return jwt.verify(token, verificationKey.key, { algorithms: [verificationKey.alg] });
   }
 
   /**
@@ -54,6 +85,31 @@ class AuthUtils {
     return crypto.randomBytes(64).toString('hex');
   }
 
+  /**
+   * Genera hash SHA-256 de un token para almacenarlo sin exponerlo
+   * @param {string} token - Token en texto plano
+   * @returns {string} Hash hexadecimal
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Genera el digest con el que se guarda un refresh token en la BD.
+   * Usa HMAC-SHA256 con REFRESH_TOKEN_PEPPER si está configurado; si no, SHA-256.
+   * @param {string} refreshToken - Refresh token en texto plano
+   * @returns {string} Digest hexadecimal (64 caracteres)
+   */
+  static hashRefreshToken(refreshToken) {
+    const pepper = process.env.REFRESH_TOKEN_PEPPER;
+
+    if (!pepper) {
+      return this.hashToken(refreshToken);
+    }
+
+    return crypto.createHmac('sha256', pepper).update(String(refreshToken)).digest('hex');
+  }
+
   /**
    * Genera UUID
    * @returns {string} UUID v4
@@ -62,6 +118,32 @@ class AuthUtils {
     return uuidv4();
   }
 
+  /**
+   * Genera una contraseña temporal aleatoria que cumple validatePassword
+   * (al menos una mayúscula, una minúscula, un número y un carácter especial)
+   * @param {number} length - Longitud (mínimo 12)
+   * @returns {string} Contraseña temporal
+   */
+  static generateTemporaryPassword(length = 16) {
+    // Sin caracteres ambiguos (0/O, 1/l/I) porque el administrador la transmite a mano
+    const groups = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!@#$%&*?'];
+    const all = groups.join('');
+    const size = Math.max(length, 12);
+
+    const chars = groups.map(group => group[crypto.randomInt(group.length)]);
+    while (chars.length < size) {
+      chars.push(all[crypto.randomInt(all.length)]);
+    }
+
+    // Fisher-Yates para que los caracteres obligatorios no queden al inicio
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+
+    return chars.join('');
+  }
+
   /**
    * Calcula fecha de expiración
    * @param {string} duration - Duración (ej: '7d', '1h', '30m')
@@ -94,39 +176,13 @@ class AuthUtils {
   }
 
   /**
-   * Extrae información del User-Agent
-   * @param {string} userAgent - User-Agent header
-   * @returns {string} Información simplificada del dispositivo
-   */
-  static parseUserAgent(userAgent) {
-    if (!userAgent) return 'Desconocido';
-    
-    // Detectar navegador principal
-    if (userAgent.includes('Chrome')) return 'Chrome';
-    if (userAgent.includes('Firefox')) return 'Firefox';
-    if (userAgent.includes('Safari')) return 'Safari';
-    if (userAgent.includes('Edge')) return 'Edge';
-    
-    // Detectar móvil
-    if (userAgent.includes('Mobile')) return 'Móvil';
-    if (userAgent.includes('iPhone')) return 'iPhone';
-    if (userAgent.includes('Android')) return 'Android';
-    
-    return 'Navegador';
-  }
-
-  /**
-   * Obtiene IP real del request
+   * Obtiene IP real del request (solo confía en X-Forwarded-For de proxies
+   * listados en TRUSTED_PROXIES, ver ClientIp)
    * @param {Object} req - Request object
-   * @returns {string} Dirección IP
+   * @returns {string} Dirección IP normalizada
    */
   static getRealIP(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.headers['x-real-ip'] || 
-           req.connection?.remoteAddress || 
-           req.socket?.remoteAddress || 
-           req.ip || 
-           'unknown';
+    return ClientIp.resolve(req) || 'unknown';
   }
 
   /**
@@ -145,11 +201,11 @@ class AuthUtils {
    * @returns {Object} Resultado de validación
    */
   static validatePassword(password) {
-    const minLength = 8;
+    const { minLength, specialCharacters } = PASSWORD_RULES;
     const hasUpperCase = /[A-Z]/.test(password);
     const hasLowerCase = /[a-z]/.test(password);
     const hasNumbers = /\d/.test(password);
-    const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+    const hasSpecialChar = [...password].some(char => specialCharacters.includes(char));
 
     const errors = [];
     
@@ -176,4 +232,6 @@ class AuthUtils {
   }
 }
 
+AuthUtils.PASSWORD_RULES = PASSWORD_RULES;
+
 module.exports = AuthUtils;
\ No newline at end of file
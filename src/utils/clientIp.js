@@ -0,0 +1,177 @@
+const net = require('net');
+
+/**
+ * Rangos con nombre aceptados en TRUSTED_PROXIES (mismos nombres que `trust proxy` de Express)
+ */
+const PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// Vercel no publica los rangos de su red edge, pero reemplaza X-Forwarded-For con la IP
+// del cliente; con el preset "vercel" se confía en el salto inmediato (el edge) sea cual sea su IP.
+const VERCEL_PRESET = 'vercel';
+
+let cachedConfig = null;
+
+/**
+ * Convierte una IPv4-mapped en hexadecimal (::ffff:7f00:1) a notación decimal
+ * @param {string} ip - IPv6 canónica
+ * @returns {string|null} IPv4 o null si no es mapped
+ */
+const mappedToIPv4 = (ip) => {
+  const match = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const high = parseInt(match[1], 16);
+  const low = parseInt(match[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+/**
+ * Resolución de la IP del cliente detrás de proxies de confianza.
+ * Recorre la cadena X-Forwarded-For desde el salto más cercano y se detiene en la
+ * primera dirección que no es un proxy de confianza, así un cliente no puede
+ * falsificar su IP agregando entradas al encabezado.
+ */
+class ClientIp {
+  /**
+   * Normaliza una dirección IP: quita puerto, corchetes y zona, convierte
+   * IPv4-mapped (::ffff:1.2.3.4) a IPv4 y deja IPv6 en forma canónica (RFC 5952)
+   * @param {string} value - Dirección tal como llega del socket o del encabezado
+   * @returns {string|null} IP normalizada o null si no es válida
+   */
+  static normalize(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    let ip = value.trim().replace(/^"|"$/g, '');
+
+    const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+    const ipv4WithPort = ip.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+
+    if (bracketed) {
+      ip = bracketed[1];
+    } else if (ipv4WithPort) {
+      ip = ipv4WithPort[1];
+    }
+
+    ip = ip.split('%')[0];
+
+    const version = net.isIP(ip);
+
+    if (version === 4) {
+      return ip;
+    }
+
+    if (version !== 6) {
+      return null;
+    }
+
+    const canonical = new URL(`http://[${ip}]`).hostname.slice(1, -1);
+    return mappedToIPv4(canonical) || canonical;
+  }
+
+  /**
+   * Carga la lista de proxies de confianza desde TRUSTED_PROXIES
+   * (IPs, rangos CIDR, loopback, linklocal, uniquelocal y vercel separados por coma).
+   * Sin definir: "vercel" en Vercel y "loopback" en los demás entornos; "none" no confía en ninguno.
+   * @returns {Object} { trustFirstHop, blockList }
+   */
+  static load() {
+    if (cachedConfig) {
+      return cachedConfig;
+    }
+
+    const configured = process.env.TRUSTED_PROXIES || (process.env.VERCEL ? VERCEL_PRESET : 'loopback');
+    const entries = configured.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    const blockList = new net.BlockList();
+    let trustFirstHop = false;
+
+    entries
+      .filter(entry => entry !== 'none')
+      .flatMap(entry => {
+        if (entry === VERCEL_PRESET) {
+          trustFirstHop = true;
+          return [];
+        }
+        return PRESETS[entry] || [entry];
+      })
+      .forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const ip = this.normalize(address);
+        const type = net.isIP(ip || '') === 6 ? 'ipv6' : 'ipv4';
+        const maxPrefix = type === 'ipv6' ? 128 : 32;
+        const prefixLength = prefix === undefined ? maxPrefix : Number(prefix);
+
+        if (!ip || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) {
+          throw new Error(`TRUSTED_PROXIES contiene una entrada inválida: ${entry}`);
+        }
+
+        blockList.addSubnet(ip, prefixLength, type);
+      });
+
+    cachedConfig = { trustFirstHop, blockList };
+    return cachedConfig;
+  }
+
+  /**
+   * Limpia la configuración cacheada (tests o cambios de entorno)
+   */
+  static reset() {
+    cachedConfig = null;
+  }
+
+  /**
+   * Indica si una dirección de la cadena es un proxy de confianza.
+   * Tiene la firma que espera `app.set('trust proxy', fn)` para que req.ip coincida.
+   * @param {string} address - Dirección
+   * @param {number} hop - Posición en la cadena (0 = conexión directa)
+   * @returns {boolean} True si es de confianza
+   */
+  static isTrusted(address, hop = 0) {
+    const config = ClientIp.load();
+
+    if (hop === 0 && config.trustFirstHop) {
+      return true;
+    }
+
+    const ip = ClientIp.normalize(address);
+
+    if (!ip) {
+      return false;
+    }
+
+    return config.blockList.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Resuelve la IP del cliente de un request
+   * @param {Object} req - Request de Express
+   * @returns {string|null} IP normalizada o null si no se pudo determinar
+   */
+  static resolve(req) {
+    const socketAddress = req.socket?.remoteAddress || req.connection?.remoteAddress;
+    const forwarded = String(req.headers?.['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .reverse();
+
+    const chain = [socketAddress, ...forwarded];
+    let hop = 0;
+
+    while (hop < chain.length - 1 && this.isTrusted(chain[hop], hop)) {
+      hop++;
+    }
+
+    return this.normalize(chain[hop]);
+  }
+}
+
+module.exports = ClientIp;
@@ -0,0 +1,45 @@
+/**
+ * Contraseñas más frecuentes en filtraciones públicas y variantes locales (español).
+ * Se guardan en su forma base: PasswordStrength las compara después de pasar la
+ * contraseña a minúsculas, quitar dígitos y símbolos de los extremos y deshacer
+ * sustituciones leet, así "P@ssw0rd2024!" coincide con "password".
+ */
+module.exports = [
+  // Inglés
+  'password', 'passwort', 'passw', 'pass', 'qwerty', 'qwertyuiop', 'qwer', 'qwertz', 'azerty',
+  'asdf', 'asdfgh', 'asdfghjkl', 'zxcv', 'zxcvbn', 'zxcvbnm', 'qazwsx', 'qwaszx', '1qaz2wsx',
+  'abc', 'abcd', 'abcdef', 'abcdefg', 'abcdefgh', 'letmein', 'welcome', 'welcom', 'admin',
+  'administrator', 'root', 'toor', 'user', 'guest', 'login', 'master', 'secret', 'changeme',
+  'default', 'test', 'testing', 'tester', 'demo', 'sample', 'temp', 'iloveyou', 'loveyou', 'love',
+  'lovely', 'lover', 'monkey', 'dragon', 'football', 'baseball', 'basketball', 'soccer', 'hockey',
+  'golf', 'sunshine', 'princess', 'shadow', 'superman', 'batman', 'spiderman', 'ironman', 'hello',
+  'hellothere', 'freedom', 'whatever', 'trustno', 'starwars', 'pokemon', 'charlie', 'michael',
+  'jennifer', 'jordan', 'thomas', 'hunter', 'ranger', 'buster', 'tigger', 'harley',
+  'matrix', 'mustang', 'ferrari', 'porsche', 'corvette', 'yankees', 'cowboys', 'eagles', 'lakers',
+  'liverpool', 'chelsea', 'arsenal', 'computer', 'internet', 'google', 'facebook', 'microsoft',
+  'apple', 'samsung', 'summer', 'winter', 'spring', 'autumn', 'january', 'february', 'march',
+  'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december', 'monday',
+  'friday', 'sunday', 'secure', 'security', 'access', 'flower', 'cookie', 'cheese', 'chocolate',
+  'banana', 'orange', 'purple', 'silver', 'golden', 'diamond', 'killer', 'ninja', 'pepper',
+  'ginger', 'maggie', 'daniel', 'andrew', 'joshua', 'ashley', 'nicole', 'jessica', 'amanda',
+  'michelle', 'babygirl', 'angel', 'angels', 'blessed', 'jesus', 'christ', 'heaven', 'family',
+  'friends', 'forever', 'mylove', 'sweetheart', 'snoopy', 'mickey', 'minnie', 'garfield',
+  'zaq', 'zaqxsw', 'passpass', 'mypassword', 'newpassword', 'nopassword', 'letmeinnow',
+  'company', 'office', 'business', 'server', 'database', 'oracle', 'mysql', 'postgres', 'supabase',
+  // Español
+  'contrasena', 'contrasenia', 'clave', 'miclave', 'secreto', 'usuario', 'administrador', 'acceso',
+  'bienvenido', 'bienvenida', 'hola', 'holamundo', 'amor', 'miamor', 'teamo', 'tequiero', 'amigo',
+  'amigos', 'familia', 'princesa', 'princeso', 'mariposa', 'estrella', 'corazon', 'angelito',
+  'futbol', 'barcelona', 'realmadrid', 'madrid', 'america', 'boca', 'bocajuniors',
+  'river', 'riverplate', 'racing', 'independiente', 'sanlorenzo', 'chivas', 'pumas', 'cruzazul',
+  'tigres', 'millonarios', 'nacional', 'colocolo', 'universidad', 'alianza', 'mexico', 'argentina',
+  'colombia', 'espana', 'peru', 'chile', 'venezuela', 'ecuador', 'uruguay', 'paraguay', 'bolivia',
+  'guatemala', 'honduras', 'panama', 'cuba', 'buenosaires', 'lima', 'bogota', 'santiago',
+  'dios', 'diosteama', 'jesucristo', 'maria', 'jose', 'juan', 'carlos', 'luis', 'alejandro',
+  'fernando', 'sebastian', 'valentina', 'camila', 'sofia', 'daniela', 'gabriela', 'andrea',
+  'martin', 'lucas', 'mateo', 'tomas', 'perro', 'gato', 'pelota', 'verano', 'invierno',
+  'primavera', 'otono', 'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+  'septiembre', 'octubre', 'noviembre', 'diciembre', 'lunes', 'viernes', 'domingo', 'cambiar',
+  'cambiame', 'nueva', 'nuevaclave', 'temporal', 'prueba', 'pruebas', 'sistema', 'empresa',
+  'oficina', 'soporte', 'seguridad', 'segura', 'seguro'
+];
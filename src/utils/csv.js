@@ -0,0 +1,109 @@
+/**
+ * Caracteres con los que Excel y similares interpretan una celda como fórmula
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Lectura y escritura de CSV (RFC 4180): separador coma, campos entre comillas
+ * cuando contienen comas, comillas o saltos de línea, y comillas escapadas duplicándolas.
+ */
+class Csv {
+  /**
+   * Convierte un valor en una celda CSV. Los textos que empiezan como una fórmula
+   * se prefijan con ' para que una hoja de cálculo no los ejecute.
+   * @param {*} value - Valor (null/undefined se escriben vacíos)
+   * @returns {string} Celda
+   */
+  static formatCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Convierte una fila en una línea CSV terminada en salto de línea
+   * @param {Array} values - Valores de la fila
+   * @returns {string} Línea CSV
+   */
+  static formatRow(values) {
+    return `${values.map(value => this.formatCell(value)).join(',')}\r\n`;
+  }
+
+  /**
+   * Separa un texto CSV en filas de celdas. Ignora las filas vacías y un BOM inicial.
+   * @param {string} text - Contenido CSV
+   * @returns {Array<Object>} [{ line, cells }] con line = número de línea donde empieza la fila
+   * @throws {Error} CSV_UNTERMINATED_QUOTE si un campo entre comillas no se cierra
+   */
+  static parse(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const source = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+      cells.push(cell);
+
+      if (cells.length > 1 || cells[0].trim() !== '') {
+        rows.push({ line: rowLine, cells });
+      }
+
+      cells = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      const error = new Error('CSV_UNTERMINATED_QUOTE');
+      error.details = { line: rowLine };
+      throw error;
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+}
+
+module.exports = Csv;
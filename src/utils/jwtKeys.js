@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+let cachedKeys = null;
+
+/**
+ * Convierte un PEM guardado en una variable de entorno (con \n escapados) a texto PEM
+ * @param {string} value - PEM en una sola línea o multilínea
+ * @returns {string} PEM normalizado
+ */
+const normalizePem = (value) => String(value).replace(/\\n/g, '\n').trim();
+
+/**
+ * Manejo de claves para firmar y verificar JWT.
+ * HS256 (por defecto) usa JWT_SECRET; RS256/ES256 firman con JWT_PRIVATE_KEY y
+ * verifican con la clave actual más las claves públicas de JWT_VERIFICATION_KEYS,
+ * lo que permite rotar la clave de firma sin invalidar los tokens ya emitidos.
+ */
+class JwtKeys {
+  /**
+   * Algoritmo de firma configurado
+   * @returns {string} HS256 | RS256 | ES256
+   */
+  static getAlgorithm() {
+    const algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+    if (algorithm !== 'HS256' && !ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`JWT_ALGORITHM no soportado: ${algorithm}`);
+    }
+
+    return algorithm;
+  }
+
+  /**
+   * Indica si se firma con una clave asimétrica
+   * @returns {boolean} True para RS256/ES256
+   */
+  static isAsymmetric() {
+    return ASYMMETRIC_ALGORITHMS.includes(this.getAlgorithm());
+  }
+
+  /**
+   * Calcula el kid de una clave pública como su thumbprint JWK (RFC 7638)
+   * @param {crypto.KeyObject} publicKey - Clave pública
+   * @returns {string} Thumbprint en base64url
+   */
+  static computeKeyId(publicKey) {
+    const jwk = publicKey.export({ format: 'jwk' });
+    const members = jwk.kty === 'EC'
+      ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+      : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+    return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+  }
+
+  /**
+   * Carga (una sola vez) la clave de firma y las claves de verificación
+   * @returns {Object} { signing: { kid, alg, key }, verification: Map<kid, { kid, alg, key }> }
+   */
+  static load() {
+    if (cachedKeys) {
+      return cachedKeys;
+    }
+
+    const alg = this.getAlgorithm();
+
+    if (alg === 'HS256') {
+      if (!process.env.JWT_SECRET) {
+        throw new Error('Falta JWT_SECRET para firmar tokens HS256');
+      }
+
+      const secretKey = { kid: null, alg, key: process.env.JWT_SECRET };
+      cachedKeys = { signing: secretKey, verification: new Map() };
+      return cachedKeys;
+    }
+
+    if (!process.env.JWT_PRIVATE_KEY) {
+      throw new Error(`Falta JWT_PRIVATE_KEY para firmar tokens ${alg}`);
+    }
+
+    const privateKey = crypto.createPrivateKey(normalizePem(process.env.JWT_PRIVATE_KEY));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const kid = process.env.JWT_KEY_ID || this.computeKeyId(publicKey);
+
+    const verification = new Map();
+    verification.set(kid, { kid, alg, key: publicKey });
+
+    // Claves anteriores aún válidas: { "kid": "-----BEGIN PUBLIC KEY-----..." }
+    // o { "kid": { "alg": "RS256", "key": "-----BEGIN PUBLIC KEY-----..." } }
+    if (process.env.JWT_VERIFICATION_KEYS) {
+      let extraKeys;
+      try {
+        extraKeys = JSON.parse(process.env.JWT_VERIFICATION_KEYS);
+      } catch (error) {
+        throw new Error('JWT_VERIFICATION_KEYS debe ser un objeto JSON { kid: clavePública }');
+      }
+
+      Object.entries(extraKeys).forEach(([extraKid, value]) => {
+        const entry = typeof value === 'string' ? { key: value } : value;
+        const extraAlg = (entry.alg || alg).toUpperCase();
+
+        if (!ASYMMETRIC_ALGORITHMS.includes(extraAlg)) {
+          throw new Error(`Algoritmo no soportado para la clave ${extraKid}: ${extraAlg}`);
+        }
+
+        verification.set(extraKid, {
+          kid: extraKid,
+          alg: extraAlg,
+          key: crypto.createPublicKey(normalizePem(entry.key))
+        });
+      });
+    }
+
+    cachedKeys = {
+      signing: { kid, alg, key: privateKey },
+      verification
+    };
+
+    return cachedKeys;
+  }
+
+  /**
+   * Descarta las claves cargadas (al cambiar la configuración)
+   */
+  static reset() {
+    cachedKeys = null;
+  }
+
+  /**
+   * Obtiene la clave con la que se firman los tokens nuevos
+   * @returns {Object} { kid, alg, key }
+   */
+  static getSigningKey() {
+    return this.load().signing;
+  }
+
+  /**
+   * Busca la clave para verificar un token según su header
+   * @param {Object} header - Header del JWT ({ alg, kid })
+   * @returns {Object|null} { kid, alg, key } o null si no hay clave para ese token
+   */
+  static getVerificationKey(header = {}) {
+    const keys = this.load();
+
+    if (keys.signing.alg === 'HS256') {
+      return keys.signing;
+    }
+
+    if (!header.kid) {
+      return null;
+    }
+
+    return keys.verification.get(header.kid) || null;
+  }
+
+  /**
+   * Construye el JWKS público con todas las claves de verificación
+   * @returns {Object} { keys: [...] } (vacío con HS256)
+   */
+  static getJwks() {
+    const keys = this.load();
+
+    return {
+      keys: Array.from(keys.verification.values()).map(({ kid, alg, key }) => ({
+        ...key.export({ format: 'jwk' }),
+        kid,
+        alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+module.exports = JwtKeys;
@@ -0,0 +1,36 @@
+/**
+ * Cursores opacos para paginación por keyset: guardan el orden usado y la posición
+ * (valor de la columna de orden e id) de la última fila entregada, en base64url.
+ */
+class KeysetCursor {
+  /**
+   * Codifica un cursor
+   * @param {Object} position - { sortBy, sortOrder, value, id }
+   * @returns {string} Cursor
+   */
+  static encode({ sortBy, sortOrder, value, id }) {
+    return Buffer.from(JSON.stringify({ s: sortBy, o: sortOrder, v: value, id })).toString('base64url');
+  }
+
+  /**
+   * Decodifica un cursor
+   * @param {string} cursor - Cursor recibido del cliente
+   * @returns {Object|null} { sortBy, sortOrder, value, id } o null si no es válido
+   */
+  static decode(cursor) {
+    try {
+      const { s, o, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const validValue = v === null || typeof v === 'string' || Number.isInteger(v);
+
+      if (typeof s !== 'string' || !['asc', 'desc'].includes(o) || !validValue || !Number.isInteger(id) || id < 1) {
+        return null;
+      }
+
+      return { sortBy: s, sortOrder: o, value: v, id };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = KeysetCursor;
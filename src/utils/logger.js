@@ -1,25 +1,198 @@
+const RequestContext = require('./requestContext');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Campos que nunca se escriben en los logs (se comparan en minúsculas y sin guiones ni guiones bajos)
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordhash',
+  'passwordintento',
+  'currentpassword',
+  'newpassword',
+  'refreshtoken',
+  'accesstoken',
+  'token',
+  'mfatoken',
+  'code',
+  'recoverycode',
+  'recoverycodes',
+  'temporarypassword',
+  'authorization',
+  'cookie',
+  'setcookie',
+  'secret',
+  'mfasecreto'
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[-_]/g, '');
+
+let sensitiveFields = null;
+
+/**
+ * Campos a ocultar: los fijos más los de LOG_REDACT_FIELDS (separados por coma)
+ * @returns {Set<string>} Campos normalizados
+ */
+const getSensitiveFields = () => {
+  if (!sensitiveFields) {
+    const extra = (process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean);
+    sensitiveFields = new Set([...SENSITIVE_FIELDS, ...extra].map(normalizeKey));
+  }
+
+  return sensitiveFields;
+};
+
+/**
+ * Nivel mínimo a escribir según LOG_LEVEL (error | warn | info | debug | silent).
+ * Por defecto debug en desarrollo e info en los demás entornos.
+ * @returns {number} Nivel numérico (-1 = silent)
+ */
+const getThreshold = () => {
+  const configured = (process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info')).toLowerCase();
+
+  if (configured === 'silent') {
+    return -1;
+  }
+
+  return LEVELS[configured] ?? LEVELS.info;
+};
+
+/**
+ * Serializa un error (o un error plano de Supabase) con lo necesario para diagnosticarlo
+ * @param {Error|Object} error - Error
+ * @returns {Object} Error serializable
+ */
+const serializeError = (error) => {
+  const serialized = { name: error.name, message: error.message };
+
+  if (error.code) serialized.code = error.code;
+  if (error.stack) serialized.stack = error.stack;
+
+  return serialized;
+};
+
+/**
+ * Copia un valor ocultando los campos sensibles a cualquier profundidad
+ * @param {*} value - Valor a copiar
+ * @param {number} depth - Profundidad actual
+ * @param {WeakSet} seen - Objetos ya visitados (referencias circulares)
+ * @returns {*} Copia sin datos sensibles
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const fields = getSensitiveFields();
+  const copy = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = fields.has(normalizeKey(key)) ? REDACTED : redact(item, depth + 1, seen);
+  }
+
+  return copy;
+};
+
+/**
+ * Escribe una línea JSON con el nivel, el mensaje, el requestId de la solicitud
+ * en curso y los metadatos sin campos sensibles
+ * @param {string} level - Nivel
+ * @param {string} message - Mensaje
+ * @param {Object} meta - Metadatos
+ * @param {Object} error - Error ya serializado (su `code` no es un dato sensible)
+ */
+const write = (level, message, meta = {}, error = undefined) => {
+  if (LEVELS[level] > getThreshold()) {
+    return;
+  }
+
+  const context = RequestContext.get() || {};
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message
+  };
+
+  const requestId = meta.requestId || context.requestId;
+  if (requestId) entry.requestId = requestId;
+  if (context.userId && !meta.userId) entry.userId = context.userId;
+
+  const safeMeta = redact(meta);
+  for (const [key, value] of Object.entries(safeMeta)) {
+    if (!(key in entry)) {
+      entry[key] = value;
+    }
+  }
+
+  if (error !== undefined) {
+    entry.error = error;
+  }
+
+  const line = JSON.stringify(entry);
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
 const logger = {
   info: (message, meta = {}) => {
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`, meta);
+    write('info', message, meta);
   },
-  
+
   error: (message, error = null, meta = {}) => {
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, {
-      error: error?.message || error,
-      stack: error?.stack,
-      ...meta
-    });
+    write('error', message, { ...meta }, error && typeof error === 'object' ? serializeError(error) : error);
   },
-  
+
   warn: (message, meta = {}) => {
-    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, meta);
+    write('warn', message, meta);
   },
-  
+
   debug: (message, meta = {}) => {
-    if (process.env.NODE_ENV === 'development') {
-      console.debug(`[DEBUG] ${new Date().toISOString()} - ${message}`, meta);
-    }
+    write('debug', message, meta);
+  },
+
+  redact,
+
+  /**
+   * Limpia la configuración cacheada (tests o cambios de entorno)
+   */
+  reset: () => {
+    sensitiveFields = null;
   }
 };
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
@@ -0,0 +1,191 @@
+const COMMON_PASSWORDS = require('./commonPasswords');
+
+/**
+ * Sustituciones leet habituales que se deshacen antes de comparar con la lista
+ */
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't'
+};
+
+/**
+ * Filas del teclado para detectar secuencias como "qwer" o "asdf"
+ */
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+/**
+ * Umbrales de entropía (bits) para los puntajes 1 a 4
+ */
+const SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+const SYMBOL_POOL_SIZE = 33;
+
+/**
+ * Motivos de rechazo con su mensaje
+ */
+const REASONS = {
+  COMMON_PASSWORD: 'Es una contraseña demasiado común',
+  CONTAINS_EMAIL: 'No debe contener tu email',
+  CONTAINS_NAME: 'No debe contener tu nombre',
+  REPEATED_CHARACTERS: 'Tiene demasiados caracteres repetidos',
+  SEQUENTIAL_CHARACTERS: 'Contiene secuencias predecibles (abcd, 1234, qwerty)',
+  LOW_ENTROPY: 'Es demasiado predecible; usa una contraseña más larga o variada'
+};
+
+/**
+ * Pasa un texto a minúsculas sin tildes
+ * @param {string} value - Texto
+ * @returns {string} Texto normalizado
+ */
+const fold = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Deshace sustituciones leet
+ * @param {string} value - Texto en minúsculas
+ * @returns {string} Texto sin sustituciones
+ */
+const unleet = (value) => [...value].map(char => LEET_MAP[char] || char).join('');
+
+/**
+ * Forma base de una contraseña para compararla con la lista de contraseñas comunes:
+ * minúsculas, sin dígitos ni símbolos en los extremos y sin sustituciones leet
+ * @param {string} password - Contraseña
+ * @returns {string} Forma base
+ */
+const baseForm = (password) => unleet(fold(password).replace(/^[^a-z]+|[^a-z]+$/g, ''));
+
+const COMMON_SET = new Set(COMMON_PASSWORDS.map(baseForm).filter(Boolean));
+
+/**
+ * Indica si dos caracteres son consecutivos en el alfabeto, en los dígitos o en una fila del teclado
+ * @param {string} a - Carácter anterior
+ * @param {string} b - Carácter siguiente
+ * @returns {boolean} True si b sigue (o precede) a a
+ */
+const isSequential = (a, b) => {
+  if (Math.abs(a.charCodeAt(0) - b.charCodeAt(0)) === 1 && /[a-z0-9]/.test(a + b)) {
+    return true;
+  }
+
+  return KEYBOARD_ROWS.some(row => {
+    const index = row.indexOf(a);
+    return index !== -1 && (row[index + 1] === b || row[index - 1] === b);
+  });
+};
+
+/**
+ * Evaluación offline de la fortaleza de una contraseña: lista de contraseñas comunes,
+ * datos personales del usuario y un puntaje 0-4 basado en la entropía estimada
+ * (descontando caracteres repetidos y secuencias).
+ */
+class PasswordStrength {
+  /**
+   * Partes del email y del nombre que no deben aparecer en la contraseña
+   * @param {Object} user - { email, nombre }
+   * @returns {Object} { email: string[], name: string[] }
+   */
+  static personalTokens({ email, nombre } = {}) {
+    const localPart = fold(email).split('@')[0];
+    // Los fragmentos solo numéricos (contadores, años) no identifican al usuario
+    const tokens = (value) => value.split(/[^a-z0-9]+/).filter(token => token.length >= 3 && /[a-z]/.test(token));
+
+    return {
+      email: localPart.length >= 3 ? [...new Set([localPart, ...tokens(localPart)])] : [],
+      name: tokens(fold(nombre))
+    };
+  }
+
+  /**
+   * Entropía estimada en bits
+   * @param {string} password - Contraseña
+   * @returns {Object} { bits, repeated, sequential } (caracteres descontados por cada motivo)
+   */
+  static estimateEntropy(password) {
+    const chars = [...password];
+    let poolSize = 0;
+
+    if (/[a-z]/.test(password)) poolSize += 26;
+    if (/[A-Z]/.test(password)) poolSize += 26;
+    if (/\d/.test(password)) poolSize += 10;
+    if (/[^A-Za-z0-9]/.test(password)) poolSize += SYMBOL_POOL_SIZE;
+
+    // Un carácter que repite o continúa la secuencia del anterior casi no aporta entropía
+    let repeated = 0;
+    let sequential = 0;
+    const lower = chars.map(char => char.toLowerCase());
+
+    for (let i = 1; i < lower.length; i++) {
+      if (lower[i] === lower[i - 1]) {
+        repeated++;
+      } else if (isSequential(lower[i - 1], lower[i])) {
+        sequential++;
+      }
+    }
+
+    const effectiveLength = chars.length - repeated - sequential;
+    const bits = poolSize > 0 ? effectiveLength * Math.log2(poolSize) : 0;
+
+    return { bits: Math.round(bits * 10) / 10, repeated, sequential };
+  }
+
+  /**
+   * Puntaje 0-4 para una entropía dada
+   * @param {number} bits - Entropía en bits
+   * @returns {number} Puntaje
+   */
+  static scoreFor(bits) {
+    return SCORE_THRESHOLDS.filter(threshold => bits >= threshold).length;
+  }
+
+  /**
+   * Evalúa una contraseña
+   * @param {string} password - Contraseña
+   * @param {Object} user - { email, nombre } del titular (opcional)
+   * @returns {Object} { score, entropyBits, reasons: [{ code, message }] }
+   */
+  static evaluate(password, user = {}) {
+    const reasons = [];
+    const addReason = (code) => reasons.push({ code, message: REASONS[code] });
+
+    const { bits, repeated, sequential } = this.estimateEntropy(password);
+    let score = this.scoreFor(bits);
+
+    if (COMMON_SET.has(baseForm(password))) {
+      addReason('COMMON_PASSWORD');
+      score = 0;
+    }
+
+    const folded = fold(password);
+    const variants = [folded, unleet(folded)];
+    const contains = (tokens) => tokens.some(token => variants.some(variant => variant.includes(token)));
+    const personal = this.personalTokens(user);
+
+    if (contains(personal.email)) {
+      addReason('CONTAINS_EMAIL');
+      score = Math.min(score, 1);
+    }
+
+    if (contains(personal.name)) {
+      addReason('CONTAINS_NAME');
+      score = Math.min(score, 1);
+    }
+
+    // Solo se informan cuando pesan en el resultado (más de un tercio de la contraseña)
+    if (repeated * 3 > password.length) {
+      addReason('REPEATED_CHARACTERS');
+    }
+
+    if (sequential * 3 > password.length) {
+      addReason('SEQUENTIAL_CHARACTERS');
+    }
+
+    return { score, entropyBits: bits, reasons };
+  }
+}
+
+PasswordStrength.REASONS = REASONS;
+
+module.exports = PasswordStrength;
@@ -0,0 +1,41 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Contexto de la solicitud en curso (requestId, userId), disponible en cualquier
+ * punto de la cadena asíncrona sin pasarlo como parámetro
+ */
+class RequestContext {
+  /**
+   * Ejecuta una función dentro de un contexto
+   * @param {Object} context - Datos del contexto
+   * @param {Function} fn - Función a ejecutar
+   * @returns {*} Resultado de la función
+   */
+  static run(context, fn) {
+    return storage.run(context, fn);
+  }
+
+  /**
+   * Contexto activo
+   * @returns {Object|undefined} Contexto o undefined fuera de una solicitud
+   */
+  static get() {
+    return storage.getStore();
+  }
+
+  /**
+   * Agrega datos al contexto activo (ej: userId tras autenticar)
+   * @param {Object} values - Datos a agregar
+   */
+  static set(values) {
+    const context = storage.getStore();
+
+    if (context) {
+      Object.assign(context, values);
+    }
+  }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Utilidades TOTP (RFC 6238) implementadas solo con el módulo crypto de Node
+ */
+class TotpUtils {
+  /**
+   * Configuración TOTP compatible con Google Authenticator, Authy, etc.
+   */
+  static get config() {
+    return {
+      digits: 6,
+      period: 30,
+      algorithm: 'sha1',
+      window: parseInt(process.env.MFA_TOTP_WINDOW) || 1
+    };
+  }
+
+  /**
+   * Codifica un buffer en base32 (RFC 4648, sin padding)
+   * @param {Buffer} buffer - Datos a codificar
+   * @returns {string} Cadena base32
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decodifica una cadena base32 (ignora espacios, guiones y padding)
+   * @param {string} input - Cadena base32
+   * @returns {Buffer} Datos decodificados
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Secreto base32 inválido');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Genera un secreto TOTP aleatorio de 160 bits
+   * @returns {string} Secreto en base32
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Calcula el paso de tiempo TOTP para un instante
+   * @param {number} timestamp - Tiempo en milisegundos
+   * @returns {number} Contador de pasos
+   */
+  static getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.config.period);
+  }
+
+  /**
+   * Genera el código HOTP (RFC 4226) para un contador
+   * @param {string} secret - Secreto en base32
+   * @param {number} counter - Contador
+   * @returns {string} Código numérico con ceros a la izquierda
+   */
+  static generateHotp(secret, counter) {
+    const { digits, algorithm } = this.config;
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * Genera el código TOTP vigente
+   * @param {string} secret - Secreto en base32
+   * @param {number} timestamp - Tiempo en milisegundos
+   * @returns {string} Código TOTP
+   */
+  static generateCode(secret, timestamp = Date.now()) {
+    return this.generateHotp(secret, this.getTimeStep(timestamp));
+  }
+
+  /**
+   * Verifica un código TOTP tolerando desfase de reloj
+   * @param {string} secret - Secreto en base32
+   * @param {string} code - Código ingresado por el usuario
+   * @param {number} timestamp - Tiempo en milisegundos
+   * @returns {number|null} Paso de tiempo que coincidió, o null si no es válido
+   */
+  static verifyCode(secret, code, timestamp = Date.now()) {
+    const { digits, window } = this.config;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(timestamp);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      const expected = this.generateHotp(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Construye la URL otpauth:// para apps autenticadoras (código QR)
+   * @param {string} secret - Secreto en base32
+   * @param {string} accountName - Nombre de la cuenta (email)
+   * @param {string} issuer - Emisor mostrado en la app
+   * @returns {string} URL otpauth
+   */
+  static buildOtpauthUrl(secret, accountName, issuer = process.env.MFA_ISSUER || 'LoginShoker') {
+    const { digits, period, algorithm } = this.config;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: algorithm.toUpperCase(),
+      digits: String(digits),
+      period: String(period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Genera códigos de recuperación de un solo uso (formato XXXXX-XXXXX)
+   * @param {number} count - Cantidad de códigos
+   * @returns {Array<string>} Códigos en texto plano
+   */
+  static generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = this.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Normaliza un código de recuperación antes de hashearlo
+   * @param {string} code - Código ingresado
+   * @returns {string} Código en mayúsculas sin separadores
+   */
+  static normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Cifra el secreto TOTP para guardarlo en la BD (AES-256-GCM)
+   * @param {string} secret - Secreto en base32
+   * @returns {string} iv:tag:ciphertext en hexadecimal
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv.toString('hex'), tag.toString('hex'), encrypted.toString('hex')].join(':');
+  }
+
+  /**
+   * Descifra un secreto TOTP guardado con encryptSecret
+   * @param {string} payload - iv:tag:ciphertext en hexadecimal
+   * @returns {string} Secreto en base32
+   */
+  static decryptSecret(payload) {
+    const [ivHex, tagHex, dataHex] = String(payload).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Deriva la clave de cifrado de secretos TOTP
+   * @returns {Buffer} Clave de 32 bytes
+   */
+  static getEncryptionKey() {
+    const keyMaterial = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+    if (!keyMaterial) {
+      throw new Error('Falta MFA_ENCRYPTION_KEY para cifrar secretos TOTP');
+    }
+
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+}
+
+module.exports = TotpUtils;
@@ -0,0 +1,142 @@
+/**
+ * Navegadores en orden de detección. El orden importa: Edge, Opera, Samsung
+ * Internet y otros basados en Chromium también anuncian "Chrome/", y Chrome
+ * anuncia "Safari/", así que los más específicos van primero.
+ */
+const BROWSERS = [
+  { name: 'Edge', pattern: /(?:Edg|Edge|EdgA|EdgiOS)\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera|OPiOS)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Yandex', pattern: /YaBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// }
+];
+
+// Windows 11 se anuncia como "NT 10.0", por lo que no se puede distinguir de Windows 10
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7'
+};
+
+/**
+ * Sistemas operativos en orden de detección (iOS y Android antes que macOS y Linux,
+ * porque sus User-Agent también contienen "Mac OS X" y "Linux")
+ */
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/, version: (v) => WINDOWS_VERSIONS[v] || v },
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*?OS ([\d_]+)/, version: (v) => v.replace(/_/g, '.') },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS [\w]+ ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/, version: (v) => v.replace(/_/g, '.') },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const BOT_PATTERN = /bot|crawler|spider|slurp|curl|wget|python-requests|postman|node-fetch|axios|^node$/i;
+const TABLET_PATTERN = /iPad|Tablet|PlayBook|Silk|Kindle/i;
+const MOBILE_PATTERN = /Mobi|iPhone|iPod|Windows Phone/i;
+
+const DEVICE_TYPE_LABELS = {
+  desktop: 'escritorio',
+  mobile: 'móvil',
+  tablet: 'tablet',
+  bot: 'cliente automatizado'
+};
+
+/**
+ * Utilidades para interpretar el encabezado User-Agent de las sesiones
+ */
+class UserAgentParser {
+  /**
+   * Extrae navegador, sistema operativo y tipo de dispositivo
+   * @param {string} userAgent - Encabezado User-Agent
+   * @returns {Object} { browser, browserVersion, os, osVersion, deviceType }
+   * (deviceType: desktop | mobile | tablet | bot | unknown; los demás campos null si no se reconocen)
+   */
+  static parse(userAgent) {
+    const result = {
+      browser: null,
+      browserVersion: null,
+      os: null,
+      osVersion: null,
+      deviceType: 'unknown'
+    };
+
+    if (!userAgent || typeof userAgent !== 'string') {
+      return result;
+    }
+
+    const browser = BROWSERS.find(candidate => candidate.pattern.test(userAgent));
+    if (browser) {
+      result.browser = browser.name;
+      result.browserVersion = userAgent.match(browser.pattern)[1] || null;
+    }
+
+    const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(userAgent));
+    if (os) {
+      const version = userAgent.match(os.pattern)[1];
+      result.os = os.name;
+      result.osVersion = version ? (os.version ? os.version(version) : version) : null;
+    }
+
+    result.deviceType = this.getDeviceType(userAgent, result.os);
+    return result;
+  }
+
+  /**
+   * Determina el tipo de dispositivo
+   * @param {string} userAgent - Encabezado User-Agent
+   * @param {string|null} os - Sistema operativo detectado
+   * @returns {string} desktop | mobile | tablet | bot | unknown
+   */
+  static getDeviceType(userAgent, os) {
+    if (BOT_PATTERN.test(userAgent)) {
+      return 'bot';
+    }
+
+    if (TABLET_PATTERN.test(userAgent)) {
+      return 'tablet';
+    }
+
+    if (MOBILE_PATTERN.test(userAgent)) {
+      return 'mobile';
+    }
+
+    // Android sin "Mobile" corresponde a tablets
+    if (os === 'Android') {
+      return 'tablet';
+    }
+
+    if (['Windows', 'macOS', 'Linux', 'Chrome OS'].includes(os)) {
+      return 'desktop';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Etiqueta legible del dispositivo (ej: "Edge 120 en Windows 10 (escritorio)")
+   * @param {Object} info - Resultado de parse()
+   * @returns {string|null} Etiqueta o null si no se reconoció nada
+   */
+  static describe({ browser, browserVersion, os, osVersion, deviceType }) {
+    const browserLabel = browser
+      ? [browser, browserVersion && browserVersion.split('.')[0]].filter(Boolean).join(' ')
+      : null;
+    const osLabel = os ? [os, osVersion].filter(Boolean).join(' ') : null;
+    const typeLabel = DEVICE_TYPE_LABELS[deviceType];
+
+    const label = [browserLabel, osLabel].filter(Boolean).join(' en ');
+
+    if (!label) {
+      return typeLabel ? typeLabel.charAt(0).toUpperCase() + typeLabel.slice(1) : null;
+    }
+
+    return typeLabel ? `${label} (${typeLabel})` : label;
+  }
+}
+
+module.exports = UserAgentParser;
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../src/index');
+
+const ADMIN = {
+  email: process.env.MEMORY_ADMIN_EMAIL,
+  password: process.env.MEMORY_ADMIN_PASSWORD
+};
+
+const DEFAULT_PASSWORD = 'Segura#2024x';
+
+let emailCounter = 0;
+
+/**
+ * Email único dentro del archivo de tests
+ * @param {string} prefix - Prefijo
+ * @returns {string} Email
+ */
+const uniqueEmail = (prefix = 'usuario') => `${prefix}.${++emailCounter}@loginshoker.test`;
+
+/**
+ * Cabecera Authorization con Bearer
+ * @param {string} accessToken - Access token
+ * @returns {Object} Cabeceras
+ */
+const bearer = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+/**
+ * Inicia sesión y devuelve la respuesta completa
+ * @param {string} email - Email
+ * @param {string} password - Contraseña
+ * @returns {Promise<Object>} Respuesta de supertest
+ */
+const login = (email, password = DEFAULT_PASSWORD) => request(app)
+  .post('/api/auth/login')
+  .send({ email, password });
+
+/**
+ * Tokens del administrador sembrado
+ * @returns {Promise<Object>} { accessToken, refreshToken, ... }
+ */
+const loginAdmin = async () => {
+  const res = await login(ADMIN.email, ADMIN.password);
+  return res.body.data.tokens;
+};
+
+/**
+ * Registra un usuario (queda pendiente de aprobación)
+ * @param {Object} overrides - Datos a sobrescribir
+ * @returns {Promise<Object>} Respuesta de supertest
+ */
+const register = (overrides = {}) => request(app)
+  .post('/api/auth/register')
+  .send({
+    email: uniqueEmail(),
+    password: DEFAULT_PASSWORD,
+    nombre: 'Usuario de Prueba',
+    ...overrides
+  });
+
+/**
+ * Registra un usuario, lo aprueba como admin e inicia sesión
+ * @param {string} adminToken - Access token de un administrador
+ * @param {Object} overrides - Datos de registro a sobrescribir
+ * @returns {Promise<Object>} { id, email, password, tokens }
+ */
+const createActiveUser = async (adminToken, overrides = {}) => {
+  const registered = await register(overrides);
+  const { id, email } = registered.body.data.user;
+
+  await request(app)
+    .patch(`/api/users/${id}/approve`)
+    .set(bearer(adminToken))
+    .send({ force: true })
+    .expect(200);
+
+  const password = overrides.password || DEFAULT_PASSWORD;
+  const res = await login(email, password);
+
+  return { id, email, password, tokens: res.body.data.tokens };
+};
+
+module.exports = {
+  app,
+  request,
+  ADMIN,
+  DEFAULT_PASSWORD,
+  uniqueEmail,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+};
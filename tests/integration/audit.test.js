@@ -0,0 +1,86 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+
+describe('Registro de auditoría', () => {
+  let adminToken;
+  let user;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+    user = await createActiveUser(adminToken);
+
+    await login(user.email, 'Incorrecta#123').expect(401);
+    await request(app).post('/api/auth/logout').send({ refreshToken: user.tokens.refreshToken }).expect(200);
+  });
+
+  /**
+   * Consulta la auditoría como administrador
+   * @param {Object} query - Filtros
+   * @returns {Object} Solicitud de supertest
+   */
+  const getAudit = (query = {}) => request(app)
+    .get('/api/audit')
+    .query(query)
+    .set(bearer(adminToken));
+
+  const actions = (res) => res.body.data.entries.map(e => e.accion);
+
+  it('filtra por usuario afectado o actor, del más reciente al más antiguo', async () => {
+    const res = await getAudit({ userId: user.id }).expect(200);
+
+    expect(actions(res)).toEqual(expect.arrayContaining([
+      'user.approve', 'auth.login.success', 'auth.login.failure', 'auth.logout'
+    ]));
+    res.body.data.entries.forEach(e => expect([e.actorId, e.objetivoId]).toContain(user.id));
+
+    const ids = res.body.data.entries.map(e => e.id);
+    expect(ids).toEqual([...ids].sort((a, b) => b - a));
+  });
+
+  it('filtra por acción exacta o por prefijo', async () => {
+    const exact = await getAudit({ userId: user.id, action: 'auth.login.failure' }).expect(200);
+    expect(exact.body.data.entries).toHaveLength(1);
+    expect(exact.body.data.entries[0].metadata).toMatchObject({ email: user.email, reason: 'INVALID_CREDENTIALS' });
+
+    const prefix = await getAudit({ userId: user.id, action: 'auth.login.*' }).expect(200);
+    expect(new Set(actions(prefix))).toEqual(new Set(['auth.login.success', 'auth.login.failure']));
+
+    // El prefijo se compara literalmente: "_" no actúa como comodín
+    const literal = await getAudit({ userId: user.id, action: 'auth.log_ut*' }).expect(200);
+    expect(literal.body.data.entries).toHaveLength(0);
+  });
+
+  it('filtra por rango de fechas', async () => {
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+    expect((await getAudit({ userId: user.id, from: future }).expect(200)).body.data.entries).toHaveLength(0);
+    expect((await getAudit({ userId: user.id, to: future }).expect(200)).body.data.entries.length).toBeGreaterThan(0);
+  });
+
+  it('pagina con cursor sin repetir eventos', async () => {
+    const all = await getAudit({ userId: user.id }).expect(200);
+    const first = await getAudit({ userId: user.id, limit: 2 }).expect(200);
+    expect(first.body.data.nextCursor).toEqual(expect.any(Number));
+
+    const second = await getAudit({ userId: user.id, limit: 100, cursor: first.body.data.nextCursor }).expect(200);
+    expect([...first.body.data.entries, ...second.body.data.entries].map(e => e.id))
+      .toEqual(all.body.data.entries.map(e => e.id));
+    expect(second.body.data.nextCursor).toBeNull();
+  });
+
+  it('valida los filtros y exige audit:read', async () => {
+    expect((await getAudit({ action: 'DROP TABLE' }).expect(400)).body.code).toBe('VALIDATION_ERROR');
+    await getAudit({ from: 'ayer' }).expect(400);
+    await getAudit({ limit: 500 }).expect(400);
+
+    const client = await createActiveUser(adminToken);
+    const denied = await request(app).get('/api/audit').set(bearer(client.tokens.accessToken)).expect(403);
+    expect(denied.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
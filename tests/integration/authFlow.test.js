@@ -0,0 +1,135 @@
+const {
+  app,
+  request,
+  DEFAULT_PASSWORD,
+  uniqueEmail,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+
+describe('Flujo de autenticación', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  it('registra, aprueba, inicia sesión, renueva y cierra sesión', async () => {
+    const email = uniqueEmail('flujo');
+
+    // Registro: queda pendiente con el rol colaborador
+    const registered = await register({ email }).expect(201);
+    const { user } = registered.body.data;
+
+    expect(user).toMatchObject({ email, activo: false });
+    expect(user.roles.map(r => r.nombre)).toEqual(['colaborador']);
+
+    const pending = await login(email).expect(401);
+    expect(pending.body.code).toBe('ACCOUNT_DISABLED');
+
+    // Aprobación por un administrador
+    await request(app)
+      .patch(`/api/users/${user.id}/approve`)
+      .set(bearer(adminToken))
+      .send({ force: true })
+      .expect(200);
+
+    // Login
+    const loggedIn = await login(email).expect(200);
+    const { tokens } = loggedIn.body.data;
+
+    expect(loggedIn.body.data.user.roles.map(r => r.nombre)).toEqual(['cliente']);
+    expect(tokens.accessToken).toEqual(expect.any(String));
+    expect(tokens.refreshToken).toEqual(expect.any(String));
+
+    const me = await request(app).get('/api/auth/me').set(bearer(tokens.accessToken)).expect(200);
+    expect(me.body.data.user).toMatchObject({ id: user.id, email, activo: true });
+
+    // Renovación: rota el refresh token
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+    const renewed = refreshed.body.data.tokens;
+
+    expect(renewed.refreshToken).not.toBe(tokens.refreshToken);
+    await request(app).get('/api/auth/me').set(bearer(renewed.accessToken)).expect(200);
+
+    // Logout: el refresh token y el access token de la sesión dejan de servir
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: renewed.refreshToken })
+      .expect(200);
+
+    const afterLogout = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: renewed.refreshToken })
+      .expect(401);
+    expect(afterLogout.body.code).toBe('INVALID_SESSION');
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(renewed.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  it('detecta la reutilización de un refresh token rotado y cierra la sesión', async () => {
+    const { refreshToken } = await loginAdmin();
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    const renewed = refreshed.body.data.tokens;
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+    expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // Toda la familia queda revocada, incluido el token más reciente y su access token
+    await request(app).post('/api/auth/refresh').send({ refreshToken: renewed.refreshToken }).expect(401);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(renewed.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  it('limita la revocación por reutilización a la familia del token y la audita', async () => {
+    const user = await createActiveUser(adminToken);
+    const other = (await login(user.email).expect(200)).body.data.tokens;
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: user.tokens.refreshToken }).expect(200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: user.tokens.refreshToken }).expect(401);
+
+    // La otra sesión del usuario pertenece a otra familia y sigue activa
+    await request(app).get('/api/auth/me').set(bearer(other.accessToken)).expect(200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken }).expect(200);
+
+    const audit = await request(app)
+      .get('/api/audit')
+      .query({ userId: user.id, action: 'auth.refresh_token.reused' })
+      .set(bearer(adminToken))
+      .expect(200);
+    expect(audit.body.data.entries).toHaveLength(1);
+    expect(audit.body.data.entries[0].metadata).toMatchObject({ revokedCount: 1 });
+  });
+
+  it('rechaza credenciales inválidas', async () => {
+    const res = await login(process.env.MEMORY_ADMIN_EMAIL, 'Incorrecta#123').expect(401);
+    expect(res.body).toMatchObject({ success: false, code: 'INVALID_CREDENTIALS' });
+
+    const unknown = await login(uniqueEmail('inexistente'), DEFAULT_PASSWORD).expect(401);
+    expect(unknown.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('rechaza un email ya registrado', async () => {
+    const email = uniqueEmail('duplicado');
+    await register({ email }).expect(201);
+
+    const res = await register({ email }).expect(409);
+    expect(res.body.code).toBe('EMAIL_ALREADY_EXISTS');
+  });
+
+  it('valida los datos de registro', async () => {
+    const res = await register({ email: 'no-es-email', password: 'corta' }).expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors.map(e => e.field)).toEqual(expect.arrayContaining(['email', 'password']));
+  });
+});
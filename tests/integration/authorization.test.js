@@ -0,0 +1,154 @@
+const {
+  app,
+  request,
+  bearer,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+
+describe('Autorización', () => {
+  let adminToken;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+    alice = await createActiveUser(adminToken, { nombre: 'Alice' });
+    bob = await createActiveUser(adminToken, { nombre: 'Bob' });
+  });
+
+  describe('autenticación', () => {
+    it('exige un access token', async () => {
+      const res = await request(app).get('/api/users/profile').expect(401);
+      expect(res.body.code).toBe('TOKEN_REQUIRED');
+    });
+
+    it('rechaza un token inválido', async () => {
+      const res = await request(app).get('/api/users/profile').set(bearer('no.es.un-jwt')).expect(401);
+      expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+  });
+
+  describe('guardas por rol y permiso', () => {
+    it('permite a un admin listar usuarios', async () => {
+      const res = await request(app).get('/api/users').set(bearer(adminToken)).expect(200);
+      expect(res.body.data.users.length).toBeGreaterThanOrEqual(3);
+    });
+
+    it('impide a un cliente listar usuarios', async () => {
+      const res = await request(app).get('/api/users').set(bearer(alice.tokens.accessToken)).expect(403);
+      expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('impide a un cliente aprobar usuarios o administrar roles', async () => {
+      const pending = await register();
+
+      await request(app)
+        .patch(`/api/users/${pending.body.data.user.id}/approve`)
+        .set(bearer(alice.tokens.accessToken))
+        .send({ force: true })
+        .expect(403);
+
+      await request(app)
+        .post('/api/roles')
+        .set(bearer(alice.tokens.accessToken))
+        .send({ nombre: 'soporte' })
+        .expect(403);
+    });
+  });
+
+  describe('propiedad de recursos', () => {
+    it('permite a un usuario ver sus propios datos y roles', async () => {
+      const res = await request(app)
+        .get(`/api/users/${alice.id}`)
+        .set(bearer(alice.tokens.accessToken))
+        .expect(200);
+
+      expect(res.body.data.user.email).toBe(alice.email);
+
+      await request(app)
+        .get(`/api/users/${alice.id}/roles`)
+        .set(bearer(alice.tokens.accessToken))
+        .expect(200);
+    });
+
+    it('impide a un usuario ver o modificar a otro usuario', async () => {
+      const res = await request(app)
+        .get(`/api/users/${bob.id}`)
+        .set(bearer(alice.tokens.accessToken))
+        .expect(403);
+      expect(res.body.code).toBe('ACCESS_DENIED');
+
+      await request(app)
+        .put(`/api/users/${bob.id}`)
+        .set(bearer(alice.tokens.accessToken))
+        .send({ nombre: 'Intruso' })
+        .expect(403);
+    });
+
+    it('permite a un admin ver a cualquier usuario', async () => {
+      await request(app)
+        .get(`/api/users/${bob.id}`)
+        .set(bearer(adminToken))
+        .expect(200);
+    });
+  });
+
+  describe('cambios de estado', () => {
+    it('revoca los tokens de un usuario desactivado', async () => {
+      const carol = await createActiveUser(adminToken, { nombre: 'Carol' });
+
+      await request(app)
+        .patch(`/api/users/${carol.id}/toggle-active`)
+        .set(bearer(adminToken))
+        .send({ activo: false })
+        .expect(200);
+
+      const res = await request(app).get('/api/users/profile').set(bearer(carol.tokens.accessToken)).expect(401);
+      expect(res.body.code).toBe('TOKEN_REVOKED');
+
+      const relogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: carol.email, password: carol.password })
+        .expect(401);
+      expect(relogin.body.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    it('revoca los tokens al cambiar los roles de un usuario', async () => {
+      const dave = await createActiveUser(adminToken, { nombre: 'Dave' });
+      const roles = await request(app).get('/api/roles').set(bearer(adminToken)).expect(200);
+      const empleado = roles.body.data.roles.find(r => r.nombre === 'empleado');
+
+      await request(app)
+        .post(`/api/users/${dave.id}/roles`)
+        .set(bearer(adminToken))
+        .send({ rolId: empleado.id })
+        .expect(200);
+
+      const res = await request(app).get('/api/users/profile').set(bearer(dave.tokens.accessToken)).expect(401);
+      expect(res.body.code).toBe('TOKEN_REVOKED');
+    });
+
+    it('acepta un login inmediatamente posterior a la revocación', async () => {
+      const erin = await createActiveUser(adminToken, { nombre: 'Erin' });
+      const roles = await request(app).get('/api/roles').set(bearer(adminToken)).expect(200);
+      const empleado = roles.body.data.roles.find(r => r.nombre === 'empleado');
+
+      await request(app)
+        .post(`/api/users/${erin.id}/roles`)
+        .set(bearer(adminToken))
+        .send({ rolId: empleado.id })
+        .expect(200);
+
+      // Sin esperar: el token nuevo se emite casi siempre en el mismo segundo que la revocación
+      const relogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: erin.email, password: erin.password })
+        .expect(200);
+
+      await request(app).get('/api/auth/me').set(bearer(relogin.body.data.tokens.accessToken)).expect(200);
+      await request(app).get('/api/auth/me').set(bearer(erin.tokens.accessToken)).expect(401);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+
+describe('Operaciones masivas sobre usuarios', () => {
+  let adminToken;
+  let adminId;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+    const me = await request(app).get('/api/auth/me').set(bearer(adminToken)).expect(200);
+    adminId = me.body.data.user.id;
+  });
+
+  /**
+   * Envía una acción masiva
+   * @param {Object} payload - { action, userIds, ... }
+   * @param {string} token - Access token (administrador por defecto)
+   * @returns {Promise<Object>} Respuesta de supertest
+   */
+  const bulk = (payload, token = adminToken) => request(app)
+    .post('/api/users/bulk')
+    .set(bearer(token))
+    .send(payload);
+
+  it('aprueba los registros pendientes y reporta los que fallan', async () => {
+    const first = (await register().expect(201)).body.data.user;
+    const second = (await register().expect(201)).body.data.user;
+
+    const res = await bulk({ action: 'approve', userIds: [first.id, second.id, first.id, 999999], force: true })
+      .expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+    expect(res.body.data.results).toEqual([
+      { userId: first.id, success: true },
+      { userId: second.id, success: true },
+      { userId: 999999, success: false, error: expect.objectContaining({ code: 'USER_NOT_FOUND' }) }
+    ]);
+
+    const again = await bulk({ action: 'approve', userIds: [first.id], force: true }).expect(200);
+    expect(again.body.data.results[0].error).toMatchObject({
+      code: 'NOT_PENDING_APPROVAL',
+      details: { estadoAprobacion: 'approved' }
+    });
+  });
+
+  it('no permite desactivar la propia cuenta dentro del lote', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const res = await bulk({ action: 'deactivate', userIds: [user.id, adminId] }).expect(200);
+
+    expect(res.body.data.results).toEqual([
+      { userId: user.id, success: true },
+      { userId: adminId, success: false, error: expect.objectContaining({ code: 'CANNOT_DEACTIVATE_SELF' }) }
+    ]);
+
+    const detail = await request(app).get(`/api/users/${user.id}`).set(bearer(adminToken)).expect(200);
+    expect(detail.body.data.user.activo).toBe(false);
+  });
+
+  it('solo activa usuarios aprobados y reporta los pendientes o rechazados', async () => {
+    const approved = await createActiveUser(adminToken);
+    const pending = (await register().expect(201)).body.data.user;
+    const rejected = (await register().expect(201)).body.data.user;
+    await bulk({ action: 'reject', userIds: [rejected.id], reason: 'Datos incompletos' }).expect(200);
+    await bulk({ action: 'deactivate', userIds: [approved.id] }).expect(200);
+
+    const res = await bulk({ action: 'activate', userIds: [approved.id, pending.id, rejected.id] }).expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 3, succeeded: 1, failed: 2 });
+    expect(res.body.data.results).toEqual([
+      { userId: approved.id, success: true },
+      {
+        userId: pending.id,
+        success: false,
+        error: expect.objectContaining({ code: 'USER_NOT_APPROVED', details: { estadoAprobacion: 'pending' } })
+      },
+      {
+        userId: rejected.id,
+        success: false,
+        error: expect.objectContaining({ code: 'USER_NOT_APPROVED', details: { estadoAprobacion: 'rejected' } })
+      }
+    ]);
+
+    await login(pending.email).expect(401);
+    await login(rejected.email).expect(401);
+  });
+
+  it('asigna un rol y valida los parámetros de la acción', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const missingRole = await bulk({ action: 'assign_role', userIds: [user.id] }).expect(400);
+    expect(missingRole.body.code).toBe('VALIDATION_ERROR');
+
+    const missingReason = await bulk({ action: 'reject', userIds: [user.id] }).expect(400);
+    expect(missingReason.body.code).toBe('VALIDATION_ERROR');
+
+    await bulk({ action: 'unknown', userIds: [user.id] }).expect(400);
+
+    const res = await bulk({ action: 'assign_role', userIds: [user.id], roleId: 3 }).expect(200);
+    expect(res.body.data.summary.succeeded).toBe(1);
+
+    const repeated = await bulk({ action: 'assign_role', userIds: [user.id], roleId: 3 }).expect(200);
+    expect(repeated.body.data.results[0].error.code).toBe('ROLE_ALREADY_ASSIGNED');
+
+    const roles = await request(app).get(`/api/users/${user.id}/roles`).set(bearer(adminToken)).expect(200);
+    expect(roles.body.data.roles.map(r => r.nombre)).toEqual(expect.arrayContaining(['cliente', 'empleado']));
+  });
+
+  it('revoca las sesiones de los usuarios', async () => {
+    const user = await createActiveUser(adminToken);
+
+    await bulk({ action: 'revoke_sessions', userIds: [user.id] }).expect(200);
+
+    await request(app).get('/api/auth/me').set(bearer(user.tokens.accessToken)).expect(401);
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: user.tokens.refreshToken })
+      .expect(401);
+  });
+
+  it('exige el permiso de la acción solicitada', async () => {
+    const client = await createActiveUser(adminToken);
+
+    await bulk({ action: 'deactivate', userIds: [client.id] }, client.tokens.accessToken).expect(403);
+  });
+});
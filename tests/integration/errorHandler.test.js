@@ -0,0 +1,133 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { app, request, bearer, loginAdmin } = require('../helpers');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+/**
+ * App mínima que lanza el error indicado para verificar su mapeo
+ * @param {Function} createError - Fábrica del error
+ * @returns {Object} App de Express
+ */
+const appThrowing = (createError) => {
+  const testApp = express();
+  testApp.get('/', (req, res, next) => next(createError()));
+  testApp.use(errorHandler);
+  return testApp;
+};
+
+const withCode = (code, message = 'error de BD') => () => Object.assign(new Error(message), { code });
+
+describe('errorHandler', () => {
+  describe('a través de la API', () => {
+    it('responde INVALID_JSON ante un cuerpo malformado', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .set('Content-Type', 'application/json')
+        .send('{"email": ')
+        .expect(400);
+
+      expect(res.body).toMatchObject({ success: false, code: 'INVALID_JSON' });
+    });
+
+    it('responde ROLE_ALREADY_EXISTS al crear un rol duplicado', async () => {
+      const { accessToken } = await loginAdmin();
+
+      await request(app).post('/api/roles').set(bearer(accessToken)).send({ nombre: 'soporte' }).expect(201);
+
+      const res = await request(app).post('/api/roles').set(bearer(accessToken)).send({ nombre: 'soporte' }).expect(409);
+      expect(res.body.code).toBe('ROLE_ALREADY_EXISTS');
+    });
+
+    it('responde ENDPOINT_NOT_FOUND en rutas inexistentes', async () => {
+      const res = await request(app).get('/api/no-existe').expect(404);
+      expect(res.body.code).toBe('ENDPOINT_NOT_FOUND');
+    });
+
+    it('incluye el requestId en el header y en el cuerpo de los errores', async () => {
+      const res = await request(app).get('/api/auth/me').expect(401);
+
+      expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(res.body.requestId).toBe(res.headers['x-request-id']);
+    });
+
+    it('reutiliza un X-Request-Id válido y descarta uno inválido', async () => {
+      const propagated = await request(app).get('/api/auth/me').set('X-Request-Id', 'edge-abc123.456').expect(401);
+      expect(propagated.body.requestId).toBe('edge-abc123.456');
+
+      const replaced = await request(app).get('/api/auth/me').set('X-Request-Id', '"inyectado" <script>').expect(401);
+      expect(replaced.body.requestId).not.toContain('inyectado');
+    });
+  });
+
+  describe('mapeo de errores', () => {
+    it.each([
+      ['23505', 409, 'DUPLICATE_DATA'],
+      ['23503', 400, 'INVALID_REFERENCE']
+    ])('traduce el código de BD %s', async (code, status, apiCode) => {
+      const res = await request(appThrowing(withCode(code))).get('/').expect(status);
+      expect(res.body.code).toBe(apiCode);
+    });
+
+    it.each([
+      ['EMAIL_ALREADY_EXISTS', 409],
+      ['ROLE_ALREADY_EXISTS', 409],
+      ['ROLE_ALREADY_ASSIGNED', 409],
+      ['ROLE_HAS_USERS', 400],
+      ['PERMISSION_ALREADY_EXISTS', 409],
+      ['PERMISSION_ALREADY_GRANTED', 409]
+    ])('traduce el error de dominio %s', async (message, status) => {
+      const res = await request(appThrowing(() => new Error(message))).get('/').expect(status);
+      expect(res.body.code).toBe(message);
+    });
+
+    it('traduce los errores de JWT', async () => {
+      const expired = await request(appThrowing(() => new jwt.TokenExpiredError('jwt expired', new Date())))
+        .get('/')
+        .expect(401);
+      expect(expired.body.code).toBe('TOKEN_EXPIRED');
+
+      const invalid = await request(appThrowing(() => new jwt.JsonWebTokenError('invalid signature')))
+        .get('/')
+        .expect(401);
+      expect(invalid.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('respeta el statusCode de errores desconocidos', async () => {
+      const res = await request(appThrowing(() => Object.assign(new Error('No disponible'), { statusCode: 503 })))
+        .get('/')
+        .expect(503);
+
+      expect(res.body).toMatchObject({ code: 'INTERNAL_ERROR', message: 'No disponible' });
+    });
+
+    it('registra solo el tipo y tamaño de los cuerpos que no son JSON', async () => {
+      const logged = [];
+      jest.spyOn(console, 'error').mockImplementation(line => logged.push(JSON.parse(line)));
+
+      try {
+        const testApp = express();
+        testApp.post('/', express.text({ type: 'text/csv' }), (req, res, next) => next(new Error('boom')));
+        testApp.use(errorHandler);
+
+        await request(testApp).post('/').set('Content-Type', 'text/csv').send('email\nsecreta@x.com').expect(500);
+      } finally {
+        jest.restoreAllMocks();
+      }
+
+      expect(logged[0].body).toEqual({ type: 'text', length: 19 });
+      expect(JSON.stringify(logged)).not.toContain('secreta@x.com');
+    });
+
+    it('oculta el mensaje interno en producción', async () => {
+      const previousEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        const res = await request(appThrowing(() => new Error('detalle interno'))).get('/').expect(500);
+        expect(res.body.message).toBe('Error interno del servidor');
+      } finally {
+        process.env.NODE_ENV = previousEnv;
+      }
+    });
+  });
+});
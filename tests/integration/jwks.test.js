@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Par de claves en PEM
+ * @param {string} type - rsa o ec
+ * @returns {Object} { privateKey, publicKey }
+ */
+const generatePemKeys = (type) => crypto.generateKeyPairSync(type, {
+  ...(type === 'rsa' ? { modulusLength: 2048 } : { namedCurve: 'P-256' }),
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const previousKeys = generatePemKeys('ec');
+const currentKeys = generatePemKeys('rsa');
+
+// Firma asimétrica para que el JWKS publique claves
+Object.assign(process.env, {
+  JWT_ALGORITHM: 'ES256',
+  JWT_PRIVATE_KEY: previousKeys.privateKey,
+  JWT_KEY_ID: 'clave-anterior'
+});
+
+const jwt = require('jsonwebtoken');
+const {
+  app,
+  request,
+  bearer,
+  loginAdmin
+} = require('../helpers');
+const JwtKeys = require('../../src/utils/jwtKeys');
+
+describe('JWKS y rotación de claves', () => {
+  /**
+   * Cambia la configuración de claves y descarta las cargadas
+   * @param {Object} env - Variables de entorno a fijar (undefined las elimina)
+   */
+  const configureKeys = (env) => {
+    Object.entries(env).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    JwtKeys.reset();
+  };
+
+  const getJwks = () => request(app).get('/.well-known/jwks.json');
+
+  it('rechaza una clave de verificación con un algoritmo no soportado', () => {
+    configureKeys({
+      JWT_ALGORITHM: 'ES256',
+      JWT_VERIFICATION_KEYS: JSON.stringify({ vieja: { alg: 'HS256', key: previousKeys.publicKey } })
+    });
+
+    expect(() => JwtKeys.load()).toThrow('Algoritmo no soportado para la clave vieja: HS256');
+  });
+
+  it('publica la clave de firma sin partes privadas', async () => {
+    configureKeys({ JWT_ALGORITHM: 'ES256', JWT_VERIFICATION_KEYS: undefined });
+
+    const res = await getJwks().expect(200);
+
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.body.keys).toEqual([
+      expect.objectContaining({ kid: 'clave-anterior', alg: 'ES256', kty: 'EC', crv: 'P-256', use: 'sig' })
+    ]);
+    expect(res.body.keys[0]).not.toHaveProperty('d');
+  });
+
+  it('rota la clave de firma sin invalidar los tokens emitidos con la anterior', async () => {
+    configureKeys({ JWT_ALGORITHM: 'ES256', JWT_VERIFICATION_KEYS: undefined });
+    const before = await loginAdmin();
+    expect(jwt.decode(before.accessToken, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'clave-anterior' });
+
+    configureKeys({
+      JWT_ALGORITHM: 'RS256',
+      JWT_PRIVATE_KEY: currentKeys.privateKey,
+      JWT_KEY_ID: undefined,
+      JWT_VERIFICATION_KEYS: JSON.stringify({ 'clave-anterior': { alg: 'ES256', key: previousKeys.publicKey } })
+    });
+
+    const jwks = await getJwks().expect(200);
+    const currentKid = JwtKeys.computeKeyId(crypto.createPublicKey(currentKeys.publicKey));
+    expect(jwks.body.keys.map(k => [k.kid, k.alg])).toEqual([[currentKid, 'RS256'], ['clave-anterior', 'ES256']]);
+
+    const after = await loginAdmin();
+    expect(jwt.decode(after.accessToken, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: currentKid });
+
+    await request(app).get('/api/auth/me').set(bearer(before.accessToken)).expect(200);
+    await request(app).get('/api/auth/me').set(bearer(after.accessToken)).expect(200);
+
+    // Retirada la clave anterior, sus tokens dejan de verificarse
+    configureKeys({ JWT_VERIFICATION_KEYS: undefined });
+
+    expect((await getJwks().expect(200)).body.keys.map(k => k.kid)).toEqual([currentKid]);
+    await request(app).get('/api/auth/me').set(bearer(before.accessToken)).expect(401);
+    await request(app).get('/api/auth/me').set(bearer(after.accessToken)).expect(200);
+  });
+
+  it('rechaza un token sin kid o firmado con la clave pública como secreto HS256', async () => {
+    const forged = jwt.sign({ userId: 1, sub: '1' }, currentKeys.publicKey, { algorithm: 'HS256', keyid: 'clave-anterior' });
+    const withoutKid = jwt.sign({ userId: 1, sub: '1' }, 'secreto-de-pruebas', { algorithm: 'HS256' });
+
+    await request(app).get('/api/auth/me').set(bearer(forged)).expect(401);
+    await request(app).get('/api/auth/me').set(bearer(withoutKid)).expect(401);
+  });
+});
@@ -0,0 +1,79 @@
+// Pocos intentos para alcanzar el bloqueo rápido
+Object.assign(process.env, {
+  MAX_LOGIN_ATTEMPTS: '3',
+  LOCKOUT_TIME_MINUTES: '15'
+});
+
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const MemoryStore = require('../../src/repositories/memory/store');
+
+describe('Bloqueo temporal por intentos fallidos', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Agota los intentos de login permitidos con una contraseña incorrecta
+   * @param {string} email - Email del usuario
+   * @returns {Promise<Object>} Respuesta del intento que bloquea la cuenta
+   */
+  const exhaustAttempts = async (email) => {
+    await login(email, 'Incorrecta#123').expect(401);
+    await login(email, 'Incorrecta#123').expect(401);
+    return login(email, 'Incorrecta#123').expect(429);
+  };
+
+  it('bloquea la cuenta al alcanzar el máximo de intentos, incluso con la contraseña correcta', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const locked = await exhaustAttempts(user.email);
+    expect(locked.body).toMatchObject({
+      code: 'ACCOUNT_TEMPORARILY_LOCKED',
+      details: { retryAfter: 15 * 60 }
+    });
+    expect(locked.headers['retry-after']).toBe(String(15 * 60));
+
+    const correct = await login(user.email).expect(429);
+    expect(correct.body.code).toBe('ACCOUNT_TEMPORARILY_LOCKED');
+    expect(Number(correct.headers['retry-after'])).toBeGreaterThan(0);
+
+    const audit = await request(app)
+      .get('/api/audit')
+      .query({ userId: user.id, action: 'auth.account.lockout' })
+      .set(bearer(adminToken))
+      .expect(200);
+    expect(audit.body.data.entries).toHaveLength(1);
+    expect(audit.body.data.entries[0].metadata).toMatchObject({ attempts: 3, lockoutMinutes: 15 });
+  });
+
+  it('desbloquea la cuenta cuando vence la ventana de bloqueo', async () => {
+    const user = await createActiveUser(adminToken);
+    await exhaustAttempts(user.email);
+
+    const storedUser = () => MemoryStore.table('usuarios').find(u => u.id_usuario === user.id);
+    storedUser().fecha_bloqueo = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+
+    await login(user.email).expect(200);
+    expect(storedUser()).toMatchObject({ intentos_fallidos: 0, fecha_bloqueo: null });
+  });
+
+  it('reinicia el contador tras un login exitoso', async () => {
+    const user = await createActiveUser(adminToken);
+
+    await login(user.email, 'Incorrecta#123').expect(401);
+    await login(user.email, 'Incorrecta#123').expect(401);
+    await login(user.email).expect(200);
+
+    // Con el contador en cero hacen falta otros tres fallos para bloquear
+    await exhaustAttempts(user.email);
+  });
+});
@@ -0,0 +1,130 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const TotpUtils = require('../../src/utils/totpUtils');
+
+describe('Verificación en dos pasos', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Completa el segundo paso del login
+   * @param {string} mfaToken - Token emitido por el login
+   * @param {Object} verification - { code } o { recoveryCode }
+   * @returns {Object} Solicitud de supertest
+   */
+  const verifyMfa = (mfaToken, verification) => request(app)
+    .post('/api/auth/2fa/verify')
+    .send({ mfaToken, ...verification });
+
+  /**
+   * Habilita 2FA para un usuario nuevo
+   * @returns {Promise<Object>} { user, secret, recoveryCodes }
+   */
+  const enrolUser = async () => {
+    const user = await createActiveUser(adminToken);
+
+    const setup = await request(app).post('/api/auth/2fa/setup').set(bearer(user.tokens.accessToken)).expect(200);
+    const { secret, otpauthUrl } = setup.body.data;
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+
+    const confirmed = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set(bearer(user.tokens.accessToken))
+      .send({ code: TotpUtils.generateCode(secret) })
+      .expect(200);
+
+    return { user, secret, recoveryCodes: confirmed.body.data.recoveryCodes };
+  };
+
+  it('rechaza confirmar sin configurar o con un código incorrecto', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const notStarted = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set(bearer(user.tokens.accessToken))
+      .send({ code: '123456' })
+      .expect(400);
+    expect(notStarted.body.code).toBe('MFA_SETUP_REQUIRED');
+
+    const setup = await request(app).post('/api/auth/2fa/setup').set(bearer(user.tokens.accessToken)).expect(200);
+    const wrongCode = TotpUtils.generateCode(setup.body.data.secret, Date.now() - 5 * 60 * 1000);
+
+    const invalid = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set(bearer(user.tokens.accessToken))
+      .send({ code: wrongCode })
+      .expect(400);
+    expect(invalid.body.code).toBe('INVALID_MFA_CODE');
+
+    // Sin 2FA confirmado el login sigue emitiendo tokens directamente
+    expect((await login(user.email).expect(200)).body.data.tokens).toBeDefined();
+  });
+
+  it('exige un código TOTP tras la contraseña y no acepta repetirlo', async () => {
+    const { user, secret, recoveryCodes } = await enrolUser();
+    expect(recoveryCodes).toHaveLength(10);
+
+    const again = await request(app).post('/api/auth/2fa/setup').set(bearer(user.tokens.accessToken)).expect(409);
+    expect(again.body.code).toBe('MFA_ALREADY_ENABLED');
+
+    const first = await login(user.email).expect(200);
+    expect(first.body.data).toMatchObject({ mfaRequired: true, mfaToken: expect.any(String) });
+    expect(first.body.data).not.toHaveProperty('tokens');
+
+    // El código del paso actual se usó al confirmar: el siguiente paso cae en la ventana de tolerancia
+    const code = TotpUtils.generateCode(secret, Date.now() + 30 * 1000);
+    const verified = await verifyMfa(first.body.data.mfaToken, { code }).expect(200);
+    await request(app).get('/api/auth/me').set(bearer(verified.body.data.tokens.accessToken)).expect(200);
+
+    const second = await login(user.email).expect(200);
+    const replayed = await verifyMfa(second.body.data.mfaToken, { code }).expect(401);
+    expect(replayed.body.code).toBe('INVALID_MFA_CODE');
+  });
+
+  it('acepta cada código de recuperación una sola vez', async () => {
+    const { user, recoveryCodes } = await enrolUser();
+    const [recoveryCode] = recoveryCodes;
+
+    const first = await login(user.email).expect(200);
+    await verifyMfa(first.body.data.mfaToken, { recoveryCode: recoveryCode.toLowerCase() }).expect(200);
+
+    const second = await login(user.email).expect(200);
+    const reused = await verifyMfa(second.body.data.mfaToken, { recoveryCode }).expect(401);
+    expect(reused.body.code).toBe('INVALID_MFA_CODE');
+  });
+
+  it('rechaza un mfaToken que no fue emitido para el segundo paso', async () => {
+    const { user } = await enrolUser();
+
+    const res = await verifyMfa(user.tokens.accessToken, { code: '123456' }).expect(401);
+    expect(res.body.code).toBe('INVALID_MFA_TOKEN');
+  });
+
+  it('deshabilita 2FA con la contraseña y un código de recuperación', async () => {
+    const { user, recoveryCodes } = await enrolUser();
+
+    const wrongPassword = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set(bearer(user.tokens.accessToken))
+      .send({ password: 'Incorrecta#123', recoveryCode: recoveryCodes[0] })
+      .expect(400);
+    expect(wrongPassword.body.code).toBe('INVALID_CURRENT_PASSWORD');
+
+    await request(app)
+      .post('/api/auth/2fa/disable')
+      .set(bearer(user.tokens.accessToken))
+      .send({ password: user.password, recoveryCode: recoveryCodes[0] })
+      .expect(200);
+
+    expect((await login(user.email).expect(200)).body.data.tokens).toBeDefined();
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  app,
+  request,
+  DEFAULT_PASSWORD,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const AuthService = require('../../src/services/AuthService');
+
+describe('Cambio de contraseña obligatorio', () => {
+  const NEW_PASSWORD = 'Renovada#2024x';
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Marca o desmarca el cambio de contraseña obligatorio de un usuario
+   * @param {number} userId - ID del usuario
+   * @param {boolean} required - Valor del flag
+   * @returns {Object} Solicitud de supertest
+   */
+  const requirePasswordChange = (userId, required = true) => request(app)
+    .patch(`/api/users/${userId}/require-password-change`)
+    .set(bearer(adminToken))
+    .send({ required });
+
+  /**
+   * Cambia la contraseña con el token indicado
+   * @param {string} token - Access token o token restringido
+   * @param {Object} body - currentPassword y newPassword
+   * @returns {Object} Solicitud de supertest
+   */
+  const changePassword = (token, body) => request(app)
+    .post('/api/auth/change-password')
+    .set(bearer(token))
+    .send(body);
+
+  it('cierra las sesiones y obliga a cambiar la contraseña en el próximo login', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const flagged = await requirePasswordChange(user.id).expect(200);
+    expect(flagged.body.data.invalidatedSessions).toBeGreaterThanOrEqual(1);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(user.tokens.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+
+    const loggedIn = await login(user.email).expect(200);
+    const { passwordChangeRequired, passwordChangeToken } = loggedIn.body.data;
+
+    expect(passwordChangeRequired).toBe(true);
+    expect(loggedIn.body.data).not.toHaveProperty('tokens');
+
+    // El token restringido no sirve para nada más
+    const restricted = await request(app).get('/api/auth/me').set(bearer(passwordChangeToken)).expect(403);
+    expect(restricted.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+    const unchanged = await changePassword(passwordChangeToken, {
+      currentPassword: DEFAULT_PASSWORD,
+      newPassword: DEFAULT_PASSWORD
+    }).expect(400);
+    expect(unchanged.body.code).toBe('PASSWORD_UNCHANGED');
+
+    await changePassword(passwordChangeToken, {
+      currentPassword: DEFAULT_PASSWORD,
+      newPassword: NEW_PASSWORD
+    }).expect(200);
+
+    // Cumplido el cambio, el token restringido deja de servir y el login es normal
+    const reused = await changePassword(passwordChangeToken, {
+      currentPassword: NEW_PASSWORD,
+      newPassword: 'Otra#Clave2024'
+    }).expect(401);
+    expect(reused.body.code).toBe('INVALID_TOKEN');
+
+    const relogged = await login(user.email, NEW_PASSWORD).expect(200);
+    expect(relogged.body.data.tokens.accessToken).toEqual(expect.any(String));
+  });
+
+  it('permite quitar el cambio obligatorio', async () => {
+    const user = await createActiveUser(adminToken);
+
+    await requirePasswordChange(user.id).expect(200);
+    await requirePasswordChange(user.id, false).expect(200);
+
+    const loggedIn = await login(user.email).expect(200);
+    expect(loggedIn.body.data.tokens).toBeDefined();
+  });
+
+  it('no permite quitar el cambio obligatorio con PUT /api/users/:userId', async () => {
+    const user = await createActiveUser(adminToken);
+    await requirePasswordChange(user.id).expect(200);
+
+    await request(app)
+      .put(`/api/users/${user.id}`)
+      .set(bearer(adminToken))
+      .send({ nombre: 'Sin atajos', debe_cambiar_password: false })
+      .expect(200);
+
+    const loggedIn = await login(user.email).expect(200);
+    expect(loggedIn.body.data.passwordChangeRequired).toBe(true);
+  });
+
+  it('lanza USER_NOT_FOUND al cambiar la contraseña de un usuario inexistente', async () => {
+    await expect(AuthService.changePassword(999999, DEFAULT_PASSWORD, NEW_PASSWORD)).rejects.toThrow('USER_NOT_FOUND');
+  });
+
+  it('reserva el marcado a quien tiene users:update', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const res = await request(app)
+      .patch(`/api/users/${user.id}/require-password-change`)
+      .set(bearer(user.tokens.accessToken))
+      .send({ required: true })
+      .expect(403);
+    expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
@@ -0,0 +1,125 @@
+// Historial corto y caducidad activada para poder ejercitar la política
+Object.assign(process.env, {
+  PASSWORD_HISTORY_SIZE: '2',
+  PASSWORD_MAX_AGE_DAYS: '90'
+});
+
+const {
+  app,
+  request,
+  DEFAULT_PASSWORD,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+const MailService = require('../../src/services/MailService');
+const MemoryStore = require('../../src/repositories/memory/store');
+
+describe('Política de contraseñas', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Cambia la contraseña con el token indicado
+   * @param {string} token - Access token o token restringido
+   * @param {string} currentPassword - Contraseña actual
+   * @param {string} newPassword - Nueva contraseña
+   * @returns {Object} Solicitud de supertest
+   */
+  const changePassword = (token, currentPassword, newPassword) => request(app)
+    .post('/api/auth/change-password')
+    .set(bearer(token))
+    .send({ currentPassword, newPassword });
+
+  it('publica la política vigente sin autenticación', async () => {
+    const res = await request(app).get('/api/auth/password-policy').expect(200);
+
+    expect(res.body.data).toMatchObject({
+      minLength: 8,
+      requireUppercase: true,
+      requireSpecialCharacter: true,
+      minScore: 2,
+      historySize: 2,
+      maxAgeDays: 90
+    });
+  });
+
+  it('rechaza registrarse con una contraseña común e informa puntaje y motivos', async () => {
+    const res = await register({ password: 'Password2024!' }).expect(400);
+
+    expect(res.body.code).toBe('PASSWORD_WEAK');
+    expect(res.body.details).toMatchObject({
+      score: 0,
+      minScore: 2,
+      reasons: [expect.objectContaining({ code: 'COMMON_PASSWORD' })]
+    });
+  });
+
+  it('rechaza una nueva contraseña que contiene el nombre del usuario', async () => {
+    const user = await createActiveUser(adminToken, { nombre: 'Valeria Núñez' });
+
+    const res = await changePassword(user.tokens.accessToken, DEFAULT_PASSWORD, 'Valeria#2024x').expect(400);
+
+    expect(res.body.code).toBe('PASSWORD_WEAK');
+    expect(res.body.details.reasons.map(reason => reason.code)).toEqual(['CONTAINS_NAME']);
+  });
+
+  it('rechaza reutilizar una contraseña del historial', async () => {
+    const user = await createActiveUser(adminToken);
+    const token = user.tokens.accessToken;
+
+    await changePassword(token, DEFAULT_PASSWORD, 'Primera#2024x').expect(200);
+
+    const reused = await changePassword(token, 'Primera#2024x', DEFAULT_PASSWORD).expect(400);
+    expect(reused.body).toMatchObject({ code: 'PASSWORD_REUSED', details: { historySize: 2 } });
+
+    // Con historial de 2 la contraseña original sale del historial tras otro cambio
+    await changePassword(token, 'Primera#2024x', 'Segunda#2024x').expect(200);
+    await changePassword(token, 'Segunda#2024x', DEFAULT_PASSWORD).expect(200);
+  });
+
+  it('rechaza restablecer con la contraseña actual sin consumir el enlace', async () => {
+    const outbox = [];
+    MailService.setTransport({ send: async (message) => { outbox.push(message); return { id: 'test' }; } });
+
+    try {
+      const user = await createActiveUser(adminToken);
+      await request(app).post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+      const token = new URL(outbox[outbox.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: DEFAULT_PASSWORD })
+        .expect(400);
+      expect(reused.body.code).toBe('PASSWORD_REUSED');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'Recuperada#2024x' })
+        .expect(200);
+    } finally {
+      MailService.setTransport(null);
+    }
+  });
+
+  it('exige cambiar una contraseña caducada al iniciar sesión', async () => {
+    const user = await createActiveUser(adminToken);
+
+    const row = MemoryStore.table('usuarios').find(u => u.id_usuario === user.id);
+    row.fecha_cambio_password = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000).toISOString();
+
+    const expired = await login(user.email).expect(200);
+    expect(expired.body.data).toMatchObject({ passwordChangeRequired: true, reason: 'expired' });
+    expect(expired.body.data).not.toHaveProperty('tokens');
+
+    await changePassword(expired.body.data.passwordChangeToken, DEFAULT_PASSWORD, 'Renovada#2024x').expect(200);
+
+    const renewed = await login(user.email, 'Renovada#2024x').expect(200);
+    expect(renewed.body.data.tokens.accessToken).toBeDefined();
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  app,
+  request,
+  uniqueEmail,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+const MailService = require('../../src/services/MailService');
+const MemoryStore = require('../../src/repositories/memory/store');
+
+describe('Recuperación de contraseña y verificación de email', () => {
+  let adminToken;
+  let outbox;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  beforeEach(() => {
+    outbox = [];
+    MailService.setTransport({ send: async (message) => { outbox.push(message); return { id: 'test' }; } });
+  });
+
+  afterAll(() => {
+    MailService.setTransport(null);
+  });
+
+  /**
+   * Token del último enlace enviado a un email
+   * @param {string} email - Destinatario
+   * @returns {string} Token en texto plano
+   */
+  const linkToken = (email) => {
+    const message = outbox.filter(m => m.to === email).pop();
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  const forgotPassword = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+  const resetPassword = (token, newPassword) => request(app).post('/api/auth/reset-password').send({ token, newPassword });
+
+  describe('recuperación de contraseña', () => {
+    it('restablece la contraseña con el enlace y cierra las sesiones abiertas', async () => {
+      const user = await createActiveUser(adminToken);
+
+      await forgotPassword(user.email).expect(200);
+      const token = linkToken(user.email);
+
+      await resetPassword(token, 'Recuperada#2024x').expect(200);
+
+      const revoked = await request(app).get('/api/auth/me').set(bearer(user.tokens.accessToken)).expect(401);
+      expect(revoked.body.code).toBe('TOKEN_REVOKED');
+      await request(app).post('/api/auth/refresh').send({ refreshToken: user.tokens.refreshToken }).expect(401);
+
+      await login(user.email).expect(401);
+      await login(user.email, 'Recuperada#2024x').expect(200);
+
+      // El enlace es de un solo uso
+      const reused = await resetPassword(token, 'Otra#Clave2024').expect(400);
+      expect(reused.body.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('solo acepta el último enlace enviado y rechaza los vencidos', async () => {
+      const user = await createActiveUser(adminToken);
+
+      await forgotPassword(user.email).expect(200);
+      const first = linkToken(user.email);
+      await forgotPassword(user.email).expect(200);
+      const second = linkToken(user.email);
+
+      expect((await resetPassword(first, 'Recuperada#2024x').expect(400)).body.code).toBe('INVALID_RESET_TOKEN');
+
+      MemoryStore.table('tokens_recuperacion')
+        .filter(t => t.usuario_id === user.id)
+        .forEach(t => { t.fecha_expiracion = new Date(Date.now() - 1000).toISOString(); });
+
+      expect((await resetPassword(second, 'Recuperada#2024x').expect(400)).body.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('responde igual para un email desconocido sin enviar correo', async () => {
+      const res = await forgotPassword(uniqueEmail('desconocido')).expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('levanta el bloqueo temporal al restablecer la contraseña', async () => {
+      const user = await createActiveUser(adminToken);
+      const row = MemoryStore.table('usuarios').find(u => u.id_usuario === user.id);
+      Object.assign(row, { intentos_fallidos: 5, fecha_bloqueo: new Date().toISOString() });
+
+      expect((await login(user.email).expect(429)).body.code).toBe('ACCOUNT_TEMPORARILY_LOCKED');
+
+      await forgotPassword(user.email).expect(200);
+      await resetPassword(linkToken(user.email), 'Recuperada#2024x').expect(200);
+
+      await login(user.email, 'Recuperada#2024x').expect(200);
+    });
+
+    it('responde USER_NOT_FOUND si el usuario del enlace ya no existe', async () => {
+      const user = await createActiveUser(adminToken);
+      await forgotPassword(user.email).expect(200);
+      const token = linkToken(user.email);
+
+      MemoryStore.remove('usuarios', u => u.id_usuario === user.id);
+
+      const res = await resetPassword(token, 'Recuperada#2024x').expect(404);
+      expect(res.body.code).toBe('USER_NOT_FOUND');
+    });
+
+    it('valida el formato del token', async () => {
+      const res = await resetPassword('no-es-un-token', 'Recuperada#2024x').expect(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('verificación de email', () => {
+    const verifyEmail = (token) => request(app).post('/api/auth/verify-email').send({ token });
+
+    it('envía el enlace al registrarse y permite aprobar sin force una vez verificado', async () => {
+      const email = uniqueEmail('verificado');
+      const { id } = (await register({ email }).expect(201)).body.data.user;
+
+      const unverified = await request(app)
+        .patch(`/api/users/${id}/approve`)
+        .set(bearer(adminToken))
+        .send({})
+        .expect(409);
+      expect(unverified.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const token = linkToken(email);
+      await verifyEmail(token).expect(200);
+
+      const reused = await verifyEmail(token).expect(400);
+      expect(reused.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+
+      await request(app).patch(`/api/users/${id}/approve`).set(bearer(adminToken)).send({}).expect(200);
+
+      const detail = await request(app).get(`/api/users/${id}`).set(bearer(adminToken)).expect(200);
+      expect(detail.body.data.user.emailVerificado).toBe(true);
+    });
+
+    it('reenvía el enlace invalidando el anterior, solo a emails sin verificar', async () => {
+      const email = uniqueEmail('reenvio');
+      await register({ email }).expect(201);
+      const first = linkToken(email);
+
+      await request(app).post('/api/auth/resend-verification').send({ email }).expect(200);
+      const second = linkToken(email);
+      expect(second).not.toBe(first);
+
+      expect((await verifyEmail(first).expect(400)).body.code).toBe('INVALID_VERIFICATION_TOKEN');
+      await verifyEmail(second).expect(200);
+
+      outbox = [];
+      await request(app).post('/api/auth/resend-verification').send({ email }).expect(200);
+      await request(app).post('/api/auth/resend-verification').send({ email: uniqueEmail('desconocido') }).expect(200);
+      expect(outbox).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// Límites bajos y store compartido: los limitadores leen su configuración al cargarse
+Object.assign(process.env, {
+  RATE_LIMIT_STORE: 'database',
+  RATE_LIMIT_LOGIN_EMAIL_MAX: '3',
+  RATE_LIMIT_REGISTER_IP_MAX: '4',
+  RATE_LIMIT_REFRESH_USER_MAX: '2',
+  RATE_LIMIT_VERIFICATION_IP_MAX: '4',
+  RATE_LIMIT_VERIFICATION_EMAIL_MAX: '2'
+});
+
+const {
+  app,
+  request,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+
+describe('Rate limiting de autenticación', () => {
+  let adminToken;
+  let user;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+    user = await createActiveUser(adminToken);
+  });
+
+  it('limita los intentos fallidos de login por cuenta sin contar los exitosos', async () => {
+    // Los logins exitosos no consumen el presupuesto de la cuenta
+    for (let i = 0; i < 3; i++) {
+      await login(user.email, user.password).expect(200);
+    }
+
+    for (let i = 0; i < 3; i++) {
+      await login(user.email, 'Incorrecta#2024').expect(401);
+    }
+
+    const res = await login(user.email, user.password).expect(429);
+    expect(res.body.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect(res.headers).toHaveProperty('ratelimit-reset');
+
+    // Otra cuenta desde la misma IP no se ve afectada
+    await loginAdmin();
+    await login('otra.cuenta@loginshoker.test', 'Incorrecta#2024').expect(401);
+  });
+
+  it('limita los registros por IP', async () => {
+    // createActiveUser ya consumió un registro
+    for (let i = 0; i < 3; i++) {
+      await register().expect(201);
+    }
+
+    const res = await register().expect(429);
+    expect(res.body.code).toBe('RATE_LIMIT_EXCEEDED');
+
+    // Cada IP tiene su propio presupuesto
+    await register().set('X-Forwarded-For', '198.51.100.77').expect(201);
+  });
+
+  it('limita la verificación de email por cuenta y por IP', async () => {
+    const resend = (email) => request(app).post('/api/auth/resend-verification').send({ email });
+
+    await resend(user.email).expect(200);
+    await resend(user.email).expect(200);
+    expect((await resend(user.email).expect(429)).body.code).toBe('RATE_LIMIT_EXCEEDED');
+
+    // verify-email comparte el presupuesto por IP: los tres reenvíos ya usaron tres de los cuatro intentos
+    const token = 'a'.repeat(128);
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+    const res = await request(app).post('/api/auth/verify-email').send({ token }).expect(429);
+    expect(res.body.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  it('limita las renovaciones de tokens por usuario', async () => {
+    let { refreshToken } = await loginAdmin();
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+      ({ refreshToken } = res.body.data.tokens);
+    }
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(429);
+    expect(res.body.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+});
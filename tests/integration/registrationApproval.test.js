@@ -0,0 +1,160 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+
+describe('Aprobación de registros', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Registra un usuario y devuelve sus datos
+   * @returns {Promise<Object>} Usuario registrado (pendiente)
+   */
+  const registerPending = async () => (await register().expect(201)).body.data.user;
+
+  /**
+   * IDs de la cola de registros pendientes
+   * @returns {Promise<Array<number>>} IDs
+   */
+  const pendingIds = async () => {
+    const res = await request(app).get('/api/users/pending?limit=100').set(bearer(adminToken)).expect(200);
+    return res.body.data.users.map(u => u.id);
+  };
+
+  it('deja el registro pendiente con el rol configurado y lo lista en la cola', async () => {
+    const user = await registerPending();
+
+    expect(user).toMatchObject({ activo: false, estadoAprobacion: 'pending' });
+    expect(user.roles.map(r => r.nombre)).toEqual(['colaborador']);
+    expect(await pendingIds()).toContain(user.id);
+  });
+
+  it('aprueba un registro pendiente con el rol configurado y lo saca de la cola', async () => {
+    const user = await registerPending();
+    process.env.REGISTRATION_APPROVED_ROLE = 'empleado';
+
+    try {
+      const approved = await request(app)
+        .patch(`/api/users/${user.id}/approve`)
+        .set(bearer(adminToken))
+        .send({ force: true })
+        .expect(200);
+
+      expect(approved.body.data.user).toMatchObject({
+        activo: true,
+        estadoAprobacion: 'approved',
+        roles: [expect.objectContaining({ nombre: 'empleado' })]
+      });
+    } finally {
+      delete process.env.REGISTRATION_APPROVED_ROLE;
+    }
+
+    expect(await pendingIds()).not.toContain(user.id);
+
+    const again = await request(app)
+      .patch(`/api/users/${user.id}/approve`)
+      .set(bearer(adminToken))
+      .send({ force: true })
+      .expect(400);
+    expect(again.body).toMatchObject({ code: 'NOT_PENDING_APPROVAL', details: { estadoAprobacion: 'approved' } });
+  });
+
+  it('rechaza un registro con motivo y ya no se puede aprobar', async () => {
+    const user = await registerPending();
+
+    const missingReason = await request(app)
+      .patch(`/api/users/${user.id}/reject`)
+      .set(bearer(adminToken))
+      .send({})
+      .expect(400);
+    expect(missingReason.body.code).toBe('VALIDATION_ERROR');
+
+    const rejected = await request(app)
+      .patch(`/api/users/${user.id}/reject`)
+      .set(bearer(adminToken))
+      .send({ reason: 'No pertenece a la organización' })
+      .expect(200);
+    expect(rejected.body.data.user).toMatchObject({
+      activo: false,
+      estadoAprobacion: 'rejected',
+      motivoRechazo: 'No pertenece a la organización'
+    });
+
+    const detail = await request(app).get(`/api/users/${user.id}`).set(bearer(adminToken)).expect(200);
+    expect(detail.body.data.user).toMatchObject({ estadoAprobacion: 'rejected', roles: [] });
+
+    expect(await pendingIds()).not.toContain(user.id);
+    expect((await login(user.email).expect(401)).body.code).toBe('ACCOUNT_DISABLED');
+
+    const approve = await request(app)
+      .patch(`/api/users/${user.id}/approve`)
+      .set(bearer(adminToken))
+      .send({ force: true })
+      .expect(400);
+    expect(approve.body.code).toBe('NOT_PENDING_APPROVAL');
+  });
+
+  it('no permite activar un registro rechazado sin pasar por la aprobación', async () => {
+    const user = await registerPending();
+    await request(app)
+      .patch(`/api/users/${user.id}/reject`)
+      .set(bearer(adminToken))
+      .send({ reason: 'Datos incompletos' })
+      .expect(200);
+
+    const res = await request(app)
+      .patch(`/api/users/${user.id}/toggle-active`)
+      .set(bearer(adminToken))
+      .send({ activo: true })
+      .expect(409);
+    expect(res.body).toMatchObject({ code: 'USER_NOT_APPROVED', details: { estadoAprobacion: 'rejected' } });
+
+    await login(user.email).expect(401);
+  });
+
+  it('no permite cambiar el rol de un registro pendiente', async () => {
+    const user = await registerPending();
+
+    const res = await request(app)
+      .patch(`/api/users/${user.id}/role`)
+      .set(bearer(adminToken))
+      .send({ roleId: 3 })
+      .expect(400);
+    expect(res.body.code).toBe('USER_PENDING_APPROVAL');
+  });
+
+  it('no permite que un usuario reescriba su propio estado de aprobación', async () => {
+    const user = await createActiveUser(adminToken);
+
+    await request(app)
+      .put(`/api/users/${user.id}`)
+      .set(bearer(user.tokens.accessToken))
+      .send({ nombre: 'Nuevo nombre', estado_aprobacion: 'pending', motivo_rechazo: 'Propio', revisado_por: user.id })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/users/${user.id}`).set(bearer(adminToken)).expect(200);
+    expect(detail.body.data.user).toMatchObject({ nombre: 'Nuevo nombre', estadoAprobacion: 'approved' });
+    expect(detail.body.data.user.motivoRechazo).toBeFalsy();
+  });
+
+  it('solo quien puede aprobar ve la cola y rechaza registros', async () => {
+    const client = await createActiveUser(adminToken);
+    const user = await registerPending();
+
+    await request(app).get('/api/users/pending').set(bearer(client.tokens.accessToken)).expect(403);
+    await request(app)
+      .patch(`/api/users/${user.id}/reject`)
+      .set(bearer(client.tokens.accessToken))
+      .send({ reason: 'Sin permiso' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,149 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+
+describe('Administración de roles y permisos', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  /**
+   * Busca un rol por nombre
+   * @param {string} nombre - Nombre del rol
+   * @returns {Promise<Object>} Rol
+   */
+  const findRole = async (nombre) => {
+    const res = await request(app).get('/api/roles').set(bearer(adminToken)).expect(200);
+    return res.body.data.roles.find(r => r.nombre === nombre);
+  };
+
+  it('crea, consulta, actualiza y elimina un rol', async () => {
+    const created = await request(app)
+      .post('/api/roles')
+      .set(bearer(adminToken))
+      .send({ nombre: 'auditor', descripcion: 'Consulta la auditoría' })
+      .expect(201);
+    const { id } = created.body.data.role;
+    expect(created.body.data.role).toMatchObject({ nombre: 'auditor', descripcion: 'Consulta la auditoría' });
+
+    const detail = await request(app).get(`/api/roles/${id}`).set(bearer(adminToken)).expect(200);
+    expect(detail.body.data.role.id).toBe(id);
+
+    const updated = await request(app)
+      .put(`/api/roles/${id}`)
+      .set(bearer(adminToken))
+      .send({ nombre: 'Revisor' })
+      .expect(200);
+    expect(updated.body.data.role.nombre).toBe('revisor');
+
+    const empty = await request(app).put(`/api/roles/${id}`).set(bearer(adminToken)).send({}).expect(400);
+    expect(empty.body.code).toBe('NO_UPDATE_DATA');
+
+    await request(app).delete(`/api/roles/${id}`).set(bearer(adminToken)).expect(200);
+
+    const missing = await request(app).get(`/api/roles/${id}`).set(bearer(adminToken)).expect(404);
+    expect(missing.body.code).toBe('ROLE_NOT_FOUND');
+  });
+
+  it('protege el rol admin y los roles con usuarios asignados', async () => {
+    const admin = await findRole('admin');
+
+    const renamed = await request(app)
+      .put(`/api/roles/${admin.id}`)
+      .set(bearer(adminToken))
+      .send({ nombre: 'superusuario' })
+      .expect(400);
+    expect(renamed.body.code).toBe('ROLE_PROTECTED');
+
+    const deleted = await request(app).delete(`/api/roles/${admin.id}`).set(bearer(adminToken)).expect(400);
+    expect(deleted.body.code).toBe('ROLE_PROTECTED');
+
+    const cliente = await findRole('cliente');
+    await createActiveUser(adminToken);
+
+    const inUse = await request(app).delete(`/api/roles/${cliente.id}`).set(bearer(adminToken)).expect(400);
+    expect(inUse.body.code).toBe('ROLE_HAS_USERS');
+
+    const users = await request(app).get(`/api/roles/${cliente.id}/users`).set(bearer(adminToken)).expect(200);
+    expect(users.body.data.users.length).toBeGreaterThan(0);
+  });
+
+  it('valida el nombre del rol', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set(bearer(adminToken))
+      .send({ nombre: 'con espacios' })
+      .expect(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('otorga y revoca permisos que llegan al token tras un nuevo login', async () => {
+    const role = (await request(app)
+      .post('/api/roles')
+      .set(bearer(adminToken))
+      .send({ nombre: 'soporte' })
+      .expect(201)).body.data.role;
+
+    const granted = await request(app)
+      .post(`/api/roles/${role.id}/permissions`)
+      .set(bearer(adminToken))
+      .send({ permiso: 'users:read' })
+      .expect(201);
+    const permission = granted.body.data.permission;
+    expect(permission.nombre).toBe('users:read');
+
+    const again = await request(app)
+      .post(`/api/roles/${role.id}/permissions`)
+      .set(bearer(adminToken))
+      .send({ permiso: 'users:read' })
+      .expect(409);
+    expect(again.body.code).toBe('PERMISSION_ALREADY_GRANTED');
+
+    const unknown = await request(app)
+      .post(`/api/roles/${role.id}/permissions`)
+      .set(bearer(adminToken))
+      .send({ permiso: 'users:fly' })
+      .expect(404);
+    expect(unknown.body.code).toBe('PERMISSION_NOT_FOUND');
+
+    const rolePermissions = await request(app).get(`/api/roles/${role.id}/permissions`).set(bearer(adminToken)).expect(200);
+    expect(rolePermissions.body.data.permissions.map(p => p.nombre)).toEqual(['users:read']);
+
+    const user = await createActiveUser(adminToken);
+    await request(app).get('/api/users').set(bearer(user.tokens.accessToken)).expect(403);
+
+    await request(app)
+      .post(`/api/users/${user.id}/roles`)
+      .set(bearer(adminToken))
+      .send({ rolId: role.id })
+      .expect(200);
+
+    const withRole = (await login(user.email).expect(200)).body.data.tokens;
+    await request(app).get('/api/users').set(bearer(withRole.accessToken)).expect(200);
+
+    await request(app)
+      .delete(`/api/roles/${role.id}/permissions/${permission.id}`)
+      .set(bearer(adminToken))
+      .expect(200);
+
+    const withoutPermission = (await login(user.email).expect(200)).body.data.tokens;
+    const denied = await request(app).get('/api/users').set(bearer(withoutPermission.accessToken)).expect(403);
+    expect(denied.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  it('lista el catálogo de permisos solo a quien tiene roles:manage', async () => {
+    const res = await request(app).get('/api/roles/permissions').set(bearer(adminToken)).expect(200);
+    expect(res.body.data.permissions.map(p => p.nombre)).toEqual(expect.arrayContaining(['roles:manage', 'audit:read']));
+
+    const user = await createActiveUser(adminToken);
+    const denied = await request(app).get('/api/roles/permissions').set(bearer(user.tokens.accessToken)).expect(403);
+    expect(denied.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
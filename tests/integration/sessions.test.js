@@ -0,0 +1,222 @@
+const {
+  app,
+  request,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const SessionModel = require('../../src/models/SessionModel');
+const MemoryStore = require('../../src/repositories/memory/store');
+const AuthUtils = require('../../src/utils/authUtils');
+
+describe('Sesiones', () => {
+  let adminToken;
+  let user;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+    user = await createActiveUser(adminToken);
+  });
+
+  /**
+   * Abre una nueva sesión del usuario de prueba
+   * @returns {Promise<Object>} Tokens de la sesión
+   */
+  const openSession = async () => {
+    const res = await login(user.email, user.password).expect(200);
+    return res.body.data.tokens;
+  };
+
+  /**
+   * Ids de las sesiones activas del usuario
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Array<number>>} Ids
+   */
+  const activeSessionIds = async (accessToken) => {
+    const res = await request(app).get('/api/sessions').set(bearer(accessToken)).expect(200);
+    return res.body.data.sessions.map(s => s.id);
+  };
+
+  it('lista las sesiones activas del usuario', async () => {
+    const second = await openSession();
+    const ids = await activeSessionIds(second.accessToken);
+
+    expect(ids.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('describe el dispositivo y marca la sesión actual', async () => {
+    const edge = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91';
+    const loggedIn = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', edge)
+      .set('X-Forwarded-For', '203.0.113.9')
+      .send({ email: user.email, password: user.password })
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/sessions')
+      .set(bearer(loggedIn.body.data.tokens.accessToken))
+      .expect(200);
+
+    const current = res.body.data.sessions.filter(s => s.current);
+    expect(current).toHaveLength(1);
+    expect(current[0]).toMatchObject({
+      dispositivo: 'Edge 120 en Windows 10 (escritorio)',
+      navegador: 'Edge',
+      sistemaOperativo: 'Windows',
+      tipoDispositivo: 'desktop',
+      userAgent: edge,
+      // La conexión llega desde loopback, un proxy de confianza por defecto
+      ip: '203.0.113.9'
+    });
+  });
+
+  it('invalida una sesión concreta y revoca sus tokens', async () => {
+    const current = await openSession();
+    const other = await openSession();
+
+    const before = await activeSessionIds(current.accessToken);
+    const otherId = Math.max(...before);
+
+    await request(app)
+      .delete(`/api/sessions/${otherId}`)
+      .set(bearer(current.accessToken))
+      .expect(200);
+
+    expect(await activeSessionIds(current.accessToken)).not.toContain(otherId);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(other.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken }).expect(401);
+  });
+
+  it('no permite invalidar sesiones de otro usuario', async () => {
+    const adminSessions = await request(app).get('/api/sessions').set(bearer(adminToken)).expect(200);
+    const adminSessionId = adminSessions.body.data.sessions[0].id;
+    const current = await openSession();
+
+    const res = await request(app)
+      .delete(`/api/sessions/${adminSessionId}`)
+      .set(bearer(current.accessToken))
+      .expect(404);
+    expect(res.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  it('no permite invalidar sesiones de otro usuario desde /api/auth/sessions', async () => {
+    const other = await createActiveUser(adminToken);
+    const [otherSessionId] = await activeSessionIds(other.tokens.accessToken);
+    const current = await openSession();
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${otherSessionId}`)
+      .set(bearer(current.accessToken))
+      .expect(404);
+    expect(res.body.code).toBe('SESSION_NOT_FOUND');
+
+    // La sesión ajena sigue activa y sus tokens siguen sirviendo
+    await request(app).get('/api/auth/me').set(bearer(other.tokens.accessToken)).expect(200);
+    expect(await activeSessionIds(other.tokens.accessToken)).toContain(otherSessionId);
+
+    const invalid = await request(app)
+      .delete('/api/auth/sessions/abc')
+      .set(bearer(current.accessToken))
+      .expect(400);
+    expect(invalid.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('invalida una sesión propia desde /api/auth/sessions', async () => {
+    const current = await openSession();
+    const other = await openSession();
+    const otherId = Math.max(...await activeSessionIds(current.accessToken));
+
+    await request(app)
+      .delete(`/api/auth/sessions/${otherId}`)
+      .set(bearer(current.accessToken))
+      .expect(200);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(other.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+    await request(app).get('/api/auth/me').set(bearer(current.accessToken)).expect(200);
+  });
+
+  it('valida el id de sesión', async () => {
+    const current = await openSession();
+
+    const res = await request(app)
+      .delete('/api/sessions/no-es-un-id')
+      .set(bearer(current.accessToken))
+      .expect(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('cierra todas las demás sesiones y conserva la actual', async () => {
+    const other = await openSession();
+    const current = await openSession();
+
+    const res = await request(app)
+      .delete('/api/sessions/all')
+      .set(bearer(current.accessToken))
+      .expect(200);
+    expect(res.body.data.invalidatedSessions).toBeGreaterThanOrEqual(1);
+
+    expect(await activeSessionIds(current.accessToken)).toHaveLength(1);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(other.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  it('cierra las demás sesiones con /api/auth/logout-all y conserva la actual', async () => {
+    const other = await openSession();
+    const current = await openSession();
+
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set(bearer(current.accessToken))
+      .expect(200);
+    expect(res.body.data.invalidatedSessions).toBeGreaterThanOrEqual(1);
+
+    const revoked = await request(app).get('/api/auth/me').set(bearer(other.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+    await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken }).expect(401);
+
+    // La sesión que hizo la petición sigue sirviendo
+    await request(app).get('/api/auth/me').set(bearer(current.accessToken)).expect(200);
+    expect(await activeSessionIds(current.accessToken)).toHaveLength(1);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: current.refreshToken }).expect(200);
+  });
+
+  it('migra los refresh tokens en texto plano de sesiones activas e inactivas', async () => {
+    const tokens = [await openSession(), await openSession()];
+    const rows = tokens.map(({ refreshToken }) => {
+      // Simula sesiones creadas antes de guardar solo el digest
+      const row = MemoryStore.table('sesiones').find(s => s.refresh_token === AuthUtils.hashRefreshToken(refreshToken));
+      row.refresh_token = refreshToken;
+      return row;
+    });
+    rows[1].activo = false;
+
+    expect(await SessionModel.migratePlaintextRefreshTokens({ mode: 'invalidate' })).toBe(2);
+
+    rows.forEach((row, index) => {
+      expect(row).toMatchObject({ refresh_token: AuthUtils.hashRefreshToken(tokens[index].refreshToken), activo: false });
+    });
+    expect(await SessionModel.migratePlaintextRefreshTokens()).toBe(0);
+  });
+
+  it('reserva la limpieza de sesiones expiradas a quien tiene sessions:cleanup', async () => {
+    const current = await openSession();
+
+    await request(app)
+      .delete('/api/sessions/cleanup')
+      .set(bearer(current.accessToken))
+      .expect(403);
+
+    const res = await request(app)
+      .delete('/api/sessions/cleanup')
+      .set(bearer(adminToken))
+      .expect(200);
+    expect(res.body.data).toMatchObject({ cleanedSessions: expect.any(Number) });
+  });
+});
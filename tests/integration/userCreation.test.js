@@ -0,0 +1,124 @@
+const {
+  app,
+  request,
+  DEFAULT_PASSWORD,
+  uniqueEmail,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const MailService = require('../../src/services/MailService');
+
+describe('Creación de usuarios por un administrador', () => {
+  let adminToken;
+  let outbox;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  beforeEach(() => {
+    outbox = [];
+    MailService.setTransport({ send: async (message) => { outbox.push(message); return { id: 'test' }; } });
+  });
+
+  afterAll(() => {
+    MailService.setTransport(null);
+  });
+
+  /**
+   * Crea un usuario desde la administración
+   * @param {Object} body - Cuerpo de la solicitud
+   * @returns {Object} Solicitud de supertest
+   */
+  const createUser = (body) => request(app)
+    .post('/api/users')
+    .set(bearer(adminToken))
+    .send({ email: uniqueEmail('empleado'), nombre: 'Empleado Nuevo', roleIds: [3], ...body });
+
+  /**
+   * Token de la última invitación enviada
+   * @returns {string} Token
+   */
+  const invitationToken = () => new URL(outbox[outbox.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  it('invita a un usuario que define su contraseña con el enlace', async () => {
+    const email = uniqueEmail('invitado');
+    const created = await createUser({ email }).expect(201);
+
+    expect(created.body.data.user).toMatchObject({
+      email,
+      activo: true,
+      emailVerificado: false,
+      roles: [expect.objectContaining({ nombre: 'empleado' })]
+    });
+    expect(created.body.data.invitation.emailSent).toBe(true);
+    expect(created.body.data).not.toHaveProperty('temporaryPassword');
+    expect(outbox[0].to).toBe(email);
+
+    const token = invitationToken();
+
+    await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, password: DEFAULT_PASSWORD })
+      .expect(200);
+
+    const loggedIn = await login(email).expect(200);
+    expect(loggedIn.body.data.user.roles.map(r => r.nombre)).toEqual(['empleado']);
+
+    // El enlace es de un solo uso
+    const reused = await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, password: 'Otra#Clave2024' })
+      .expect(400);
+    expect(reused.body.code).toBe('INVALID_INVITATION_TOKEN');
+  });
+
+  it('rechaza una contraseña débil al aceptar la invitación', async () => {
+    await createUser().expect(201);
+
+    const res = await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token: invitationToken(), password: 'solominusculas' })
+      .expect(400);
+    expect(res.body.code).toBe('PASSWORD_WEAK');
+  });
+
+  it('crea un usuario con contraseña temporal que debe cambiar', async () => {
+    const email = uniqueEmail('temporal');
+    const created = await createUser({ email, invite: false }).expect(201);
+    const { user, temporaryPassword } = created.body.data;
+
+    expect(user.debeCambiarPassword).toBe(true);
+    expect(temporaryPassword).toEqual(expect.any(String));
+    expect(outbox).toHaveLength(0);
+
+    // El login solo entrega el token restringido para cambiar la contraseña
+    const loggedIn = await login(email, temporaryPassword).expect(200);
+    expect(loggedIn.body.data.passwordChangeRequired).toBe(true);
+  });
+
+  it('valida los roles y los emails duplicados', async () => {
+    const missingRole = await createUser({ roleIds: [999] }).expect(404);
+    expect(missingRole.body).toMatchObject({ code: 'ROLE_NOT_FOUND', details: { roleId: 999 } });
+
+    await createUser({ roleIds: [] }).expect(400);
+
+    const email = uniqueEmail('duplicado');
+    await createUser({ email }).expect(201);
+    const duplicated = await createUser({ email }).expect(409);
+    expect(duplicated.body.code).toBe('EMAIL_ALREADY_EXISTS');
+  });
+
+  it('requiere el permiso users:create', async () => {
+    const employee = await createActiveUser(adminToken);
+
+    const res = await request(app)
+      .post('/api/users')
+      .set(bearer(employee.tokens.accessToken))
+      .send({ email: uniqueEmail(), nombre: 'Sin Permiso', roleIds: [2] })
+      .expect(403);
+    expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
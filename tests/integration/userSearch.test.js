@@ -0,0 +1,147 @@
+const {
+  app,
+  request,
+  uniqueEmail,
+  bearer,
+  loginAdmin,
+  register,
+  createActiveUser
+} = require('../helpers');
+const MemoryStore = require('../../src/repositories/memory/store');
+
+describe('Búsqueda de usuarios', () => {
+  let adminToken;
+  let active;
+  let blocked;
+  let pending;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+
+    active = await createActiveUser(adminToken, { email: uniqueEmail('busqueda.c') });
+    blocked = await createActiveUser(adminToken, { email: uniqueEmail('busqueda.a') });
+    pending = (await register({ email: uniqueEmail('busqueda.b') }).expect(201)).body.data.user;
+
+    await request(app)
+      .put(`/api/users/${blocked.id}`)
+      .set(bearer(adminToken))
+      .send({ bloqueado: true })
+      .expect(200);
+  });
+
+  /**
+   * Lista usuarios como administrador
+   * @param {Object} query - Parámetros de búsqueda
+   * @returns {Object} Solicitud de supertest
+   */
+  const listUsers = (query) => request(app)
+    .get('/api/users')
+    .query({ search: 'busqueda', ...query })
+    .set(bearer(adminToken));
+
+  const ids = (res) => res.body.data.users.map(u => u.id);
+
+  /**
+   * Recorre todas las páginas con nextCursor
+   * @param {Object} query - Parámetros de búsqueda
+   * @returns {Promise<Array<Object>>} Usuarios en el orden recibido
+   */
+  const walkCursor = async (query) => {
+    const users = [];
+    let cursor;
+
+    do {
+      const res = await listUsers({ ...query, limit: 1, ...(cursor && { cursor }) }).expect(200);
+      users.push(...res.body.data.users);
+      ({ nextCursor: cursor } = res.body.data.pagination);
+    } while (cursor);
+
+    return users;
+  };
+
+  it('filtra por rol, bloqueo y estado de aprobación', async () => {
+    expect(ids(await listUsers({ role: 'cliente' }).expect(200)).sort()).toEqual([active.id, blocked.id].sort());
+    expect(ids(await listUsers({ blocked: 'true' }).expect(200))).toEqual([blocked.id]);
+    expect(ids(await listUsers({ blocked: 'false', role: 'cliente' }).expect(200))).toEqual([active.id]);
+
+    // Los pendientes están inactivos: filtrar por estado los incluye sin includeInactive
+    expect(ids(await listUsers({ approvalState: 'pending' }).expect(200))).toEqual([pending.id]);
+    expect(ids(await listUsers({ role: 'colaborador', includeInactive: 'true' }).expect(200))).toEqual([pending.id]);
+
+    const unknownRole = await listUsers({ role: 'gerente' }).expect(404);
+    expect(unknownRole.body.code).toBe('ROLE_NOT_FOUND');
+  });
+
+  it('considera bloqueados a los usuarios con un bloqueo temporal vigente', async () => {
+    const locked = await createActiveUser(adminToken, { email: uniqueEmail('bloqueo.temporal') });
+    const expired = await createActiveUser(adminToken, { email: uniqueEmail('bloqueo.temporal') });
+    const storedUser = (id) => MemoryStore.table('usuarios').find(u => u.id_usuario === id);
+
+    storedUser(locked.id).fecha_bloqueo = new Date().toISOString();
+    storedUser(expired.id).fecha_bloqueo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    const query = { search: 'bloqueo.temporal' };
+    expect(ids(await listUsers({ ...query, blocked: 'true' }).expect(200))).toEqual([locked.id]);
+    expect(ids(await listUsers({ ...query, blocked: 'false' }).expect(200))).toEqual([expired.id]);
+  });
+
+  it('busca los comodines de LIKE como texto literal', async () => {
+    expect(ids(await listUsers({ search: '%' }).expect(200))).toEqual([]);
+    expect(ids(await listUsers({ search: 'busqueda_' }).expect(200))).toEqual([]);
+  });
+
+  it('filtra por fecha de creación y último login', async () => {
+    const detail = await request(app).get(`/api/users/${active.id}`).set(bearer(adminToken)).expect(200);
+    const { ultimoLogin, fechaCreacion } = detail.body.data.user;
+    expect(ultimoLogin).toEqual(expect.any(String));
+
+    const loggedIn = await listUsers({ lastLoginFrom: fechaCreacion, includeInactive: 'true' }).expect(200);
+    expect(ids(loggedIn).sort()).toEqual([active.id, blocked.id].sort());
+
+    const future = new Date(Date.now() + 60000).toISOString();
+    expect(ids(await listUsers({ createdFrom: future }).expect(200))).toEqual([]);
+    expect(ids(await listUsers({ createdTo: future, includeInactive: 'true' }).expect(200))).toHaveLength(3);
+
+    await listUsers({ lastLoginTo: 'ayer' }).expect(400);
+  });
+
+  it('no permite que un usuario falsee su último login', async () => {
+    const before = (await request(app).get(`/api/users/${active.id}`).set(bearer(adminToken)).expect(200))
+      .body.data.user.ultimoLogin;
+
+    await request(app)
+      .put(`/api/users/${active.id}`)
+      .set(bearer(active.tokens.accessToken))
+      .send({ ultimo_login: '2000-01-01T00:00:00.000Z' })
+      .expect(200);
+
+    const after = await request(app).get(`/api/users/${active.id}`).set(bearer(adminToken)).expect(200);
+    expect(after.body.data.user.ultimoLogin).toBe(before);
+    expect(ids(await listUsers({ lastLoginTo: '2001-01-01T00:00:00.000Z' }).expect(200))).toEqual([]);
+  });
+
+  it('ordena por columna y pagina con cursor sin repetir ni saltar filas', async () => {
+    const byEmail = await listUsers({ sortBy: 'email', includeInactive: 'true' }).expect(200);
+    expect(ids(byEmail)).toEqual([blocked.id, pending.id, active.id]);
+    expect(byEmail.body.data.pagination).toMatchObject({ sortBy: 'email', sortOrder: 'asc', total: 3 });
+
+    const walked = await walkCursor({ sortBy: 'email', sortOrder: 'desc', includeInactive: 'true' });
+    expect(walked.map(u => u.id)).toEqual([active.id, pending.id, blocked.id]);
+
+    // Quien nunca inició sesión va al final en ambos sentidos
+    const byLogin = await walkCursor({ sortBy: 'lastLogin', sortOrder: 'asc', includeInactive: 'true' });
+    expect(byLogin.map(u => u.id)).toEqual([active.id, blocked.id, pending.id]);
+  });
+
+  it('rechaza un cursor inválido o generado con otro orden', async () => {
+    const first = await listUsers({ sortBy: 'email', limit: 1, includeInactive: 'true' }).expect(200);
+    const { nextCursor } = first.body.data.pagination;
+    expect(nextCursor).toEqual(expect.any(String));
+
+    const otherOrder = await listUsers({ sortBy: 'nombre', cursor: nextCursor }).expect(400);
+    expect(otherOrder.body.code).toBe('VALIDATION_ERROR');
+
+    await listUsers({ cursor: 'no-es-un-cursor' }).expect(400);
+    await listUsers({ sortBy: 'password' }).expect(400);
+  });
+});
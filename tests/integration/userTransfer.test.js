@@ -0,0 +1,167 @@
+const {
+  app,
+  request,
+  uniqueEmail,
+  bearer,
+  login,
+  loginAdmin,
+  createActiveUser
+} = require('../helpers');
+const MailService = require('../../src/services/MailService');
+const Csv = require('../../src/utils/csv');
+
+describe('Exportación e importación de usuarios', () => {
+  let adminToken;
+  let outbox;
+
+  beforeAll(async () => {
+    ({ accessToken: adminToken } = await loginAdmin());
+  });
+
+  beforeEach(() => {
+    outbox = [];
+    MailService.setTransport({ send: async (message) => { outbox.push(message); return { id: 'test' }; } });
+  });
+
+  afterAll(() => {
+    MailService.setTransport(null);
+  });
+
+  /**
+   * Descarga la exportación como texto
+   * @param {string} format - csv o ndjson
+   * @returns {Promise<Object>} Respuesta de supertest (body = texto descargado)
+   */
+  const exportUsers = (format) => request(app)
+    .get(`/api/users/export?format=${format}`)
+    .set(bearer(adminToken))
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    });
+
+  /**
+   * Envía un archivo de importación
+   * @param {string} content - Contenido
+   * @param {Object} options - { type, query }
+   * @returns {Object} Solicitud de supertest
+   */
+  const importUsers = (content, { type = 'text/csv', query = '' } = {}) => request(app)
+    .post(`/api/users/import${query}`)
+    .set(bearer(adminToken))
+    .set('Content-Type', type)
+    .send(content);
+
+  it('exporta los usuarios con sus roles en CSV y NDJSON', async () => {
+    const user = await createActiveUser(adminToken, { nombre: 'Exportado, Con Coma' });
+
+    const csv = await exportUsers('csv').expect(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers['content-disposition']).toMatch(/attachment; filename="usuarios-.*\.csv"/);
+
+    const [header, ...rows] = Csv.parse(csv.body);
+    expect(header.cells).toEqual([
+      'id', 'email', 'nombre', 'activo', 'bloqueado', 'emailVerificado', 'estadoAprobacion', 'fechaCreacion', 'roles'
+    ]);
+    const row = rows.find(r => r.cells[1] === user.email);
+    expect(row.cells).toEqual(expect.arrayContaining(['Exportado, Con Coma', 'true', 'approved', 'cliente']));
+
+    const ndjson = await exportUsers('ndjson').expect(200);
+    const lines = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.find(u => u.email === user.email)).toMatchObject({
+      id: user.id,
+      nombre: 'Exportado, Con Coma',
+      roles: ['cliente']
+    });
+    expect(lines).toHaveLength(rows.length);
+  });
+
+  it('valida sin crear nada en modo dryRun', async () => {
+    const existing = await createActiveUser(adminToken);
+    const email = uniqueEmail('importado');
+
+    const content = [
+      'email,nombre,roles',
+      `${email},Importado Uno,empleado|cliente`,
+      `${email},Repetido,cliente`,
+      `${existing.email},Ya Existe,cliente`,
+      'no-es-un-email,Inválido,cliente',
+      `${uniqueEmail('importado')},Sin Rol,`,
+      `${uniqueEmail('importado')},Rol Inexistente,gerente`
+    ].join('\n');
+
+    const res = await importUsers(content, { query: '?dryRun=true' }).expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 6, valid: 1, failed: 5 });
+    expect(res.body.data.results.map(r => r.status === 'error' ? r.error.code : r.status)).toEqual([
+      'valid', 'DUPLICATE_EMAIL', 'EMAIL_ALREADY_EXISTS', 'EMAIL_INVALID', 'ROLES_REQUIRED', 'ROLE_NOT_FOUND'
+    ]);
+    expect(res.body.data.results[0]).toMatchObject({ line: 2, roles: ['empleado', 'cliente'] });
+    expect(res.body.data.results[5].error.details).toEqual({ rol: 'gerente' });
+
+    expect((await login(email).expect(401)).body.code).toBe('INVALID_CREDENTIALS');
+    expect(outbox.map(m => m.to)).not.toContain(email);
+  });
+
+  it('crea los usuarios con invitación por defecto', async () => {
+    const email = uniqueEmail('importado');
+
+    const res = await importUsers(`email,roles\n${email},empleado\n`).expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 1, created: 1, failed: 0 });
+    const [result] = res.body.data.results;
+    expect(result).toMatchObject({ status: 'created', email, invitation: { emailSent: true } });
+    expect(result.temporaryPassword).toBeUndefined();
+    expect(outbox.map(m => m.to)).toEqual([email]);
+
+    const roles = await request(app).get(`/api/users/${result.id}/roles`).set(bearer(adminToken)).expect(200);
+    expect(roles.body.data.roles.map(r => r.nombre)).toEqual(['empleado']);
+  });
+
+  it('importa NDJSON con contraseñas temporales y reimporta una exportación', async () => {
+    const email = uniqueEmail('importado');
+    const content = `${JSON.stringify({ email, nombre: 'Temporal', roles: ['cliente'] })}\n{no es json}\n`;
+
+    const res = await importUsers(content, { type: 'application/x-ndjson', query: '?invite=false' }).expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 2, created: 1, failed: 1 });
+    const [created, invalid] = res.body.data.results;
+    expect(invalid).toMatchObject({ line: 2, status: 'error', error: { code: 'INVALID_ROW' } });
+
+    const loginRes = await login(email, created.temporaryPassword).expect(200);
+    expect(loginRes.body.data.passwordChangeRequired).toBe(true);
+
+    // Todos los usuarios exportados ya existen en este entorno
+    const exported = await exportUsers('csv').expect(200);
+    const again = await importUsers(exported.body, { query: '?dryRun=true' }).expect(200);
+    expect(again.body.data.summary.valid).toBe(0);
+    expect(again.body.data.results.find(r => r.email === email).error.code).toBe('EMAIL_ALREADY_EXISTS');
+  });
+
+  it('rechaza archivos sin encabezado válido, vacíos o de otro tipo', async () => {
+    expect((await importUsers('correo,roles\na@x.com,cliente').expect(400)).body.code).toBe('IMPORT_INVALID_HEADER');
+    expect((await importUsers('email,roles\n').expect(400)).body.code).toBe('IMPORT_EMPTY');
+
+    const json = await request(app)
+      .post('/api/users/import')
+      .set(bearer(adminToken))
+      .send([{ email: 'a@x.com' }])
+      .expect(415);
+    expect(json.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  it('exige permisos para exportar e importar', async () => {
+    const client = await createActiveUser(adminToken);
+
+    await request(app).get('/api/users/export').set(bearer(client.tokens.accessToken)).expect(403);
+    await request(app)
+      .post('/api/users/import')
+      .set(bearer(client.tokens.accessToken))
+      .set('Content-Type', 'text/csv')
+      .send('email,roles\n')
+      .expect(403);
+  });
+});
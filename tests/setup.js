@@ -0,0 +1,20 @@
+/**
+ * Entorno de los tests: la API corre contra el almacenamiento en memoria,
+ * sin Supabase ni red. Cada archivo de tests obtiene un almacén nuevo.
+ */
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATA_STORE: 'memory',
+  MEMORY_ADMIN_EMAIL: 'admin@loginshoker.test',
+  MEMORY_ADMIN_PASSWORD: 'Admin#Pass2024',
+  JWT_SECRET: 'secreto-de-pruebas',
+  JWT_ALGORITHM: 'HS256',
+  BCRYPT_ROUNDS: '4',
+  RATE_LIMIT_MAX_REQUESTS: '10000',
+  RATE_LIMIT_REGISTER_IP_MAX: '10000',
+  RATE_LIMIT_LOGIN_IP_MAX: '10000',
+  RATE_LIMIT_REFRESH_IP_MAX: '10000',
+  RATE_LIMIT_PASSWORD_IP_MAX: '10000',
+  RATE_LIMIT_VERIFICATION_IP_MAX: '10000',
+  MAIL_TRANSPORT: 'console'
+});
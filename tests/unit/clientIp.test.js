@@ -0,0 +1,95 @@
+const ClientIp = require('../../src/utils/clientIp');
+
+/**
+ * Request mínimo con la dirección del socket y X-Forwarded-For
+ * @param {string} remoteAddress - Dirección de la conexión directa
+ * @param {string} forwardedFor - Valor de X-Forwarded-For
+ * @returns {Object} Request
+ */
+const fakeRequest = (remoteAddress, forwardedFor) => ({
+  socket: { remoteAddress },
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+});
+
+describe('ClientIp', () => {
+  const originalEnv = { TRUSTED_PROXIES: process.env.TRUSTED_PROXIES, VERCEL: process.env.VERCEL };
+
+  const configure = (trustedProxies, vercel) => {
+    if (trustedProxies === undefined) {
+      delete process.env.TRUSTED_PROXIES;
+    } else {
+      process.env.TRUSTED_PROXIES = trustedProxies;
+    }
+
+    if (vercel) {
+      process.env.VERCEL = '1';
+    } else {
+      delete process.env.VERCEL;
+    }
+
+    ClientIp.reset();
+  };
+
+  afterAll(() => {
+    configure(originalEnv.TRUSTED_PROXIES, originalEnv.VERCEL);
+  });
+
+  describe('normalize', () => {
+    it.each([
+      ['203.0.113.7', '203.0.113.7'],
+      ['203.0.113.7:51234', '203.0.113.7'],
+      ['::ffff:127.0.0.1', '127.0.0.1'],
+      ['::FFFF:7F00:1', '127.0.0.1'],
+      ['2001:DB8:0:0:0:0:0:1', '2001:db8::1'],
+      ['[2001:db8::1]:443', '2001:db8::1'],
+      ['fe80::1%eth0', 'fe80::1'],
+      [' "198.51.100.2" ', '198.51.100.2']
+    ])('normaliza %s', (input, expected) => {
+      expect(ClientIp.normalize(input)).toBe(expected);
+    });
+
+    it.each([['no-es-ip'], ['999.1.1.1'], [''], [undefined]])('rechaza %s', (input) => {
+      expect(ClientIp.normalize(input)).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    it('ignora X-Forwarded-For si la conexión no viene de un proxy de confianza', () => {
+      configure('loopback');
+      expect(ClientIp.resolve(fakeRequest('198.51.100.20', '1.2.3.4'))).toBe('198.51.100.20');
+    });
+
+    it('toma la primera dirección no confiable recorriendo la cadena desde el final', () => {
+      configure('loopback,10.0.0.0/8');
+
+      // El cliente agregó 1.2.3.4 para falsificar su IP; el proxy 10.0.0.5 agregó la real
+      const req = fakeRequest('::ffff:127.0.0.1', '1.2.3.4, 203.0.113.9, 10.0.0.5');
+      expect(ClientIp.resolve(req)).toBe('203.0.113.9');
+    });
+
+    it('devuelve la dirección más lejana si toda la cadena es de confianza', () => {
+      configure('loopback,uniquelocal');
+      expect(ClientIp.resolve(fakeRequest('127.0.0.1', '192.168.1.10, 10.0.0.5'))).toBe('192.168.1.10');
+    });
+
+    it('normaliza IPv6 en la cadena', () => {
+      configure('::1');
+      expect(ClientIp.resolve(fakeRequest('::1', '2001:DB8::0:1'))).toBe('2001:db8::1');
+    });
+
+    it('confía en el edge de Vercel por defecto al correr en Vercel', () => {
+      configure(undefined, true);
+      expect(ClientIp.resolve(fakeRequest('100.64.10.3', '203.0.113.50'))).toBe('203.0.113.50');
+    });
+
+    it('no confía en nadie con TRUSTED_PROXIES=none', () => {
+      configure('none');
+      expect(ClientIp.resolve(fakeRequest('127.0.0.1', '203.0.113.50'))).toBe('127.0.0.1');
+    });
+
+    it('rechaza entradas inválidas en TRUSTED_PROXIES', () => {
+      configure('10.0.0.0/33');
+      expect(() => ClientIp.load()).toThrow('TRUSTED_PROXIES');
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const Csv = require('../../src/utils/csv');
+
+describe('Csv', () => {
+  it('escribe celdas con comillas solo cuando hace falta', () => {
+    expect(Csv.formatRow(['simple', 'con, coma', 'con "comillas"', null, true, 3]))
+      .toBe('simple,"con, coma","con ""comillas""",,true,3\r\n');
+  });
+
+  it('neutraliza textos que una hoja de cálculo ejecutaría como fórmula', () => {
+    expect(Csv.formatCell('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(Csv.formatCell('@SUMA')).toBe("'@SUMA");
+    expect(Csv.formatCell(-5)).toBe('-5');
+  });
+
+  it('lee campos entre comillas con comas, comillas y saltos de línea', () => {
+    const rows = Csv.parse('\uFEFFemail,nombre\r\na@x.com,"Pérez, Ana"\n\nb@x.com,"Dice ""hola""\nadiós"\nc@x.com,');
+
+    expect(rows).toEqual([
+      { line: 1, cells: ['email', 'nombre'] },
+      { line: 2, cells: ['a@x.com', 'Pérez, Ana'] },
+      { line: 4, cells: ['b@x.com', 'Dice "hola"\nadiós'] },
+      { line: 6, cells: ['c@x.com', ''] }
+    ]);
+  });
+
+  it('rechaza un campo entre comillas sin cerrar', () => {
+    expect(() => Csv.parse('email\n"a@x.com')).toThrow('CSV_UNTERMINATED_QUOTE');
+  });
+
+  it('lee lo que escribe', () => {
+    const values = ['a@x.com', 'Nombre, con "todo"\nmultilínea', 'admin|cliente'];
+    expect(Csv.parse(Csv.formatRow(values))[0].cells).toEqual(values);
+  });
+});
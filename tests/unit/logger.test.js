@@ -0,0 +1,111 @@
+const logger = require('../../src/utils/logger');
+const RequestContext = require('../../src/utils/requestContext');
+
+describe('logger', () => {
+  const originalLevel = process.env.LOG_LEVEL;
+  let output;
+
+  beforeEach(() => {
+    output = [];
+    process.env.LOG_LEVEL = 'debug';
+
+    for (const method of ['log', 'warn', 'error']) {
+      jest.spyOn(console, method).mockImplementation(line => output.push(JSON.parse(line)));
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    if (originalLevel === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = originalLevel;
+    }
+  });
+
+  it('escribe una línea JSON con nivel, mensaje y metadatos', () => {
+    logger.info('Usuario creado', { userId: 7 });
+
+    expect(output).toEqual([
+      { timestamp: expect.any(String), level: 'info', message: 'Usuario creado', userId: 7 }
+    ]);
+  });
+
+  it('oculta campos sensibles a cualquier profundidad', () => {
+    logger.warn('Solicitud', {
+      password: 'Segura#2024x',
+      body: { newPassword: 'Otra#2024x', refreshToken: 'abc', email: 'a@b.test' },
+      headers: { Authorization: 'Bearer xyz' },
+      usuarios: [{ password_hash: '$2a$12$...' }]
+    });
+
+    expect(output[0]).toMatchObject({
+      password: '[REDACTED]',
+      body: { newPassword: '[REDACTED]', refreshToken: '[REDACTED]', email: 'a@b.test' },
+      headers: { Authorization: '[REDACTED]' },
+      usuarios: [{ password_hash: '[REDACTED]' }]
+    });
+  });
+
+  it('oculta códigos 2FA, de recuperación y contraseñas temporales sin tocar el código del error', () => {
+    logger.error('Falló', Object.assign(new Error('boom'), { code: '23505' }), {
+      body: { mfaToken: 'jwt', code: '123456', recoveryCode: 'ABCDE-FGHIJ' },
+      results: [{ email: 'a@b.test', temporaryPassword: 'Temporal#2024' }]
+    });
+
+    expect(output[0]).toMatchObject({
+      body: { mfaToken: '[REDACTED]', code: '[REDACTED]', recoveryCode: '[REDACTED]' },
+      results: [{ email: 'a@b.test', temporaryPassword: '[REDACTED]' }],
+      error: { message: 'boom', code: '23505' }
+    });
+  });
+
+  it('agrega los campos de LOG_REDACT_FIELDS', () => {
+    process.env.LOG_REDACT_FIELDS = 'telefono';
+    logger.reset();
+
+    try {
+      logger.info('Perfil', { telefono: '555-1234' });
+      expect(output[0].telefono).toBe('[REDACTED]');
+    } finally {
+      delete process.env.LOG_REDACT_FIELDS;
+      logger.reset();
+    }
+  });
+
+  it('serializa errores y referencias circulares', () => {
+    const meta = { action: 'x' };
+    meta.self = meta;
+
+    logger.error('Falló', Object.assign(new Error('boom'), { code: 'E1' }), meta);
+
+    expect(output[0]).toMatchObject({
+      level: 'error',
+      self: { action: 'x', self: '[Circular]' },
+      error: { name: 'Error', message: 'boom', code: 'E1', stack: expect.any(String) }
+    });
+  });
+
+  it('respeta LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+
+    expect(output.map(entry => entry.level)).toEqual(['warn']);
+  });
+
+  it('agrega el requestId y el userId del contexto de la solicitud', async () => {
+    await RequestContext.run({ requestId: 'req-123' }, async () => {
+      await Promise.resolve();
+      RequestContext.set({ userId: 42 });
+      logger.info('Dentro de la solicitud');
+    });
+
+    expect(output[0]).toMatchObject({ requestId: 'req-123', userId: 42 });
+  });
+});
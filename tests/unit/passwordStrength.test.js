@@ -0,0 +1,47 @@
+const PasswordStrength = require('../../src/utils/passwordStrength');
+
+const codesOf = (result) => result.reasons.map(reason => reason.code);
+
+describe('PasswordStrength.evaluate', () => {
+  it.each([
+    'Password1!',
+    'P@ssw0rd2024!',
+    'Qwerty123!',
+    'Contraseña#1'
+  ])('detecta la contraseña común %s', (password) => {
+    const result = PasswordStrength.evaluate(password);
+
+    expect(codesOf(result)).toContain('COMMON_PASSWORD');
+    expect(result.score).toBe(0);
+  });
+
+  it('detecta el email y el nombre del usuario, con tildes y sustituciones leet', () => {
+    const user = { email: 'juan.perez@empresa.test', nombre: 'Ramón Gómez' };
+
+    expect(codesOf(PasswordStrength.evaluate('Xj#Perez2024w', user))).toEqual(['CONTAINS_EMAIL']);
+    expect(codesOf(PasswordStrength.evaluate('R4mon#Kw2024', user))).toEqual(['CONTAINS_NAME']);
+  });
+
+  it('ignora los fragmentos numéricos del email', () => {
+    const result = PasswordStrength.evaluate('Segura#2024x', { email: 'usuario.202@loginshoker.test' });
+    expect(result.reasons).toEqual([]);
+  });
+
+  it('descuenta repeticiones y secuencias de la entropía', () => {
+    const repeated = PasswordStrength.evaluate('Aaaaaaaa1!');
+    const sequential = PasswordStrength.evaluate('Abcdefg1234!');
+
+    expect(codesOf(repeated)).toContain('REPEATED_CHARACTERS');
+    expect(codesOf(sequential)).toContain('SEQUENTIAL_CHARACTERS');
+    expect(repeated.score).toBeLessThan(2);
+    expect(sequential.score).toBeLessThan(2);
+  });
+
+  it('puntúa más alto las contraseñas largas y variadas', () => {
+    const strong = PasswordStrength.evaluate('Kx9#mPq2$vL7nR4w');
+
+    expect(strong.score).toBe(4);
+    expect(strong.entropyBits).toBeGreaterThan(80);
+    expect(strong.reasons).toEqual([]);
+  });
+});
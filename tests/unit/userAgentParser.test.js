@@ -0,0 +1,58 @@
+const UserAgentParser = require('../../src/utils/userAgentParser');
+
+const USER_AGENTS = {
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  chromeAndroid: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36',
+  edgeAndroid: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 EdgA/120.0.2210.115',
+  samsungTablet: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Safari/537.36',
+  safariIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  chromeIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  operaWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/106.0.0.0'
+};
+
+describe('UserAgentParser.parse', () => {
+  it.each([
+    ['edgeWindows', { browser: 'Edge', browserVersion: '120.0.2210.91', os: 'Windows', osVersion: '10', deviceType: 'desktop' }],
+    ['chromeWindows', { browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Windows', osVersion: '10', deviceType: 'desktop' }],
+    ['chromeAndroid', { browser: 'Chrome', os: 'Android', osVersion: '14', deviceType: 'mobile' }],
+    ['edgeAndroid', { browser: 'Edge', os: 'Android', osVersion: '10', deviceType: 'mobile' }],
+    ['samsungTablet', { browser: 'Samsung Internet', os: 'Android', deviceType: 'tablet' }],
+    ['safariIphone', { browser: 'Safari', browserVersion: '17.2', os: 'iOS', osVersion: '17.2', deviceType: 'mobile' }],
+    ['chromeIphone', { browser: 'Chrome', os: 'iOS', deviceType: 'mobile' }],
+    ['safariMac', { browser: 'Safari', os: 'macOS', osVersion: '10.15.7', deviceType: 'desktop' }],
+    ['firefoxLinux', { browser: 'Firefox', browserVersion: '121.0', os: 'Linux', deviceType: 'desktop' }],
+    ['operaWindows', { browser: 'Opera', os: 'Windows', deviceType: 'desktop' }]
+  ])('reconoce %s', (name, expected) => {
+    expect(UserAgentParser.parse(USER_AGENTS[name])).toMatchObject(expected);
+  });
+
+  it('clasifica clientes automatizados', () => {
+    expect(UserAgentParser.parse('curl/8.4.0').deviceType).toBe('bot');
+    expect(UserAgentParser.parse('Googlebot/2.1 (+http://www.google.com/bot.html)').deviceType).toBe('bot');
+  });
+
+  it('devuelve campos vacíos si no hay User-Agent', () => {
+    expect(UserAgentParser.parse(undefined)).toEqual({
+      browser: null,
+      browserVersion: null,
+      os: null,
+      osVersion: null,
+      deviceType: 'unknown'
+    });
+  });
+});
+
+describe('UserAgentParser.describe', () => {
+  it('arma una etiqueta con la versión mayor del navegador', () => {
+    const label = UserAgentParser.describe(UserAgentParser.parse(USER_AGENTS.edgeWindows));
+    expect(label).toBe('Edge 120 en Windows 10 (escritorio)');
+  });
+
+  it('usa solo el tipo de dispositivo si no se reconoce navegador ni sistema', () => {
+    expect(UserAgentParser.describe(UserAgentParser.parse('curl/8.4.0'))).toBe('Cliente automatizado');
+    expect(UserAgentParser.describe(UserAgentParser.parse(''))).toBeNull();
+  });
+});